@@ -76,7 +76,7 @@ class MultiAgentDesktopApp {
               const result = await dialog.showOpenDialog(this.mainWindow, {
                 properties: ['openFile'],
                 filters: [
-                  { name: 'Data Files', extensions: ['csv', 'xlsx', 'xls', 'json'] },
+                  { name: 'Data Files', extensions: ['csv', 'xlsx', 'xls', 'json', 'ndjson', 'jsonl', 'parquet', 'arrow', 'feather', 'gz', 'zip', 'tar', 'tgz'] },
                   { name: 'All Files', extensions: ['*'] }
                 ]
               });
@@ -131,6 +131,13 @@ class MultiAgentDesktopApp {
               this.mainWindow.webContents.send('navigate-to', 'analytics');
             }
           },
+          {
+            label: 'Schema Review',
+            accelerator: 'CmdOrCtrl+5',
+            click: () => {
+              this.mainWindow.webContents.send('navigate-to', 'review');
+            }
+          },
           { type: 'separator' },
           {
             label: 'Toggle Full Screen',
@@ -242,7 +249,7 @@ class MultiAgentDesktopApp {
       const result = await dialog.showOpenDialog(this.mainWindow, {
         properties: ['openFile'],
         filters: [
-          { name: 'Data Files', extensions: ['csv', 'xlsx', 'xls', 'json'] },
+          { name: 'Data Files', extensions: ['csv', 'xlsx', 'xls', 'json', 'ndjson', 'jsonl', 'parquet', 'arrow', 'feather', 'gz', 'zip', 'tar', 'tgz'] },
           { name: 'All Files', extensions: ['*'] }
         ]
       });
@@ -31,24 +31,26 @@ export class BaseAgent extends EventEmitter {
 
   async process(data) {
     this.logger.info(`Processing data in ${this.name}`);
-    this.status = 'processing';
-    this.emit('statusChange', { agent: this.name, status: this.status });
+    this.setStatus('processing');
     
     try {
       const result = await this.execute(data);
-      this.status = 'completed';
-      this.emit('statusChange', { agent: this.name, status: this.status });
+      this.setStatus('completed');
       this.emit('completed', { agent: this.name, result });
       return result;
     } catch (error) {
-      this.status = 'error';
       this.logger.error(`Error in ${this.name}:`, error);
-      this.emit('statusChange', { agent: this.name, status: this.status });
+      this.setStatus('error');
       this.emit('error', { agent: this.name, error });
       throw error;
     }
   }
 
+  setStatus(status) {
+    this.status = status;
+    this.emit('statusChange', { agent: this.name, status: this.status });
+  }
+
   async execute(data) {
     throw new Error('Execute method must be implemented by subclass');
   }
@@ -1,18 +1,51 @@
 import { BaseAgent } from './BaseAgent.js';
+import { RestApiClient } from '../services/RestApiClient.js';
+import { ObjectStorageClient } from '../services/ObjectStorageClient.js';
+import { WatermarkStore } from '../services/WatermarkStore.js';
 import fs from 'fs/promises';
 import path from 'path';
 import csv from 'csv-parser';
 import XLSX from 'xlsx';
+import { asyncBufferFromFile, parquetMetadataAsync, parquetReadObjects, parquetSchema } from 'hyparquet';
+import { compressors } from 'hyparquet-compressors';
+import { tableFromIPC, RecordBatchReader, DataType } from 'apache-arrow';
 import { createReadStream } from 'fs';
+import readline from 'readline';
 import sqlite3 from 'sqlite3';
 import mysql from 'mysql2/promise';
 import pg from 'pg';
+import Cursor from 'pg-cursor';
+import _ from 'lodash';
+import { selectRecords, parseJSONPath } from '../utils/jsonPath.js';
+import { flattenRecord, isPlainObject } from '../utils/flatten.js';
+import { sniffCSV, createDecodeStream } from '../utils/csvDialect.js';
+import { detectCompression, createTempDir, gunzipFile, extractZip, extractTar, removeTempDir } from '../utils/archive.js';
+import { resolveConnection, describeConnection, toMySQLConfig, toPostgresConfig } from '../utils/connection.js';
+import { retry, withTimeout } from '../utils/retry.js';
 
 export class DataLoaderAgent extends BaseAgent {
   constructor(config = {}) {
     super('DataLoader', config);
-    this.supportedFormats = ['csv', 'xlsx', 'xls', 'json'];
+    this.supportedFormats = ['csv', 'xlsx', 'xls', 'json', 'ndjson', 'jsonl', 'parquet', 'arrow', 'feather'];
     this.uploadDir = config.uploadDir || './uploads';
+    this.batchSize = config.batchSize || 1000;
+    this.streamThreshold = config.streamThreshold || 100 * 1024 * 1024;
+    this.watermarks = new WatermarkStore(config.watermarkFile);
+    this.retryOptions = {
+      retries: config.retryAttempts ?? 3,
+      delay: config.retryDelay || 1000,
+      maxDelay: config.maxRetryDelay || 30000
+    };
+    // API requests retry as often as other sources unless api.maxRetries says otherwise
+    this.apiClient = new RestApiClient({
+      timeout: config.timeout,
+      maxRetries: this.retryOptions.retries,
+      retryDelay: this.retryOptions.delay,
+      ...config.api
+    }, this.logger);
+    this.timeouts = { database: config.timeout || 30000, s3: config.timeout || 30000, ...config.timeouts };
+    this.previewRows = config.previewRows || 20;
+    this.maxPreviewRows = config.maxPreviewRows || 1000;
   }
 
   async initialize() {
@@ -23,21 +56,42 @@ export class DataLoaderAgent extends BaseAgent {
   }
 
   async execute(data) {
-    const { source, type, path: filePath, connectionString } = data;
+    const result = await this.loadSource(data);
+    // Multi-value overrides, validation rules, PII policies and the locale are applied when the rows are structured, so they travel with the result
+    const { multiValue, validation: validationRules, pii: piiPolicy, locale, timezone } = data.options || {};
+    const structuring = _.omitBy({ multiValue, validationRules, piiPolicy, locale, timezone }, _.isUndefined);
+    return _.isEmpty(structuring) ? result : { ...result, metadata: { ...result.metadata, ...structuring } };
+  }
+
+  async loadSource(data) {
+    const {
+      source, type, path: filePath, connectionString, query, params,
+      url, auth, pagination, request, bucket, prefix, glob, connection, options = {}
+    } = data;
     
     switch (source) {
       case 'local':
-        return await this.loadFromLocal(filePath, type);
+        return this.withSourceName(await this.loadFromLocal(filePath, type, options), options.sourceName || filePath);
       case 'upload':
-        return await this.loadFromUpload(filePath, type);
+        return this.withSourceName(await this.loadFromUpload(filePath, type, options), options.sourceName || filePath);
       case 'odbc':
-        return await this.loadFromODBC(connectionString, type);
+        return await this.loadFromODBC(connectionString ?? connection, { query, params, options });
+      case 'api':
+        return await this.loadFromAPI(url, { auth, pagination, request, options });
+      case 's3':
+        return await this.loadFromS3(bucket, { prefix, glob, connection, options });
       default:
         throw new Error(`Unsupported source type: ${source}`);
     }
   }
 
-  async loadFromLocal(filePath, type) {
+  withSourceName(result, name) {
+    // The file name is what a flat table's rows get named after when it is split into entities
+    const sourceName = path.basename(name).replace(/(\.[^.]+)+$/, '');
+    return { ...result, metadata: { sourceName, ...result.metadata } };
+  }
+
+  async loadFromLocal(filePath, type, options = {}) {
     this.logger.info(`Loading data from local file: ${filePath}`);
     
     if (!await this.fileExists(filePath)) {
@@ -46,207 +100,1819 @@ export class DataLoaderAgent extends BaseAgent {
 
     const extension = path.extname(filePath).toLowerCase();
     const actualType = type || extension.substring(1);
+    
+    // Workbooks are zip containers themselves, so only other types are checked for compression
+    const compression = ['xlsx', 'xls', 'excel'].includes(actualType) ? null : await detectCompression(filePath);
+    if (compression === 'gzip') {
+      return await this.loadGzip(filePath, actualType, options);
+    }
+    if (compression === 'zip' || compression === 'tar') {
+      return await this.loadArchive(filePath, compression, options);
+    }
 
     switch (actualType) {
       case 'csv':
-        return await this.parseCSV(filePath);
+        if (await this.shouldStream(filePath, options)) {
+          return await this.streamCSV(filePath, options);
+        }
+        return await this.parseCSV(filePath, options);
       case 'xlsx':
       case 'xls':
-        return await this.parseExcel(filePath);
+      case 'excel':
+        return await this.parseExcel(filePath, options);
       case 'json':
-        return await this.parseJSON(filePath);
+        return await this.parseJSON(filePath, options);
+      case 'ndjson':
+      case 'jsonl':
+        if (await this.shouldStream(filePath, options)) {
+          return await this.streamNDJSON(filePath, options);
+        }
+        return await this.parseNDJSON(filePath, options);
+      case 'parquet':
+        if (await this.shouldStream(filePath, options)) {
+          return await this.streamParquet(filePath, options);
+        }
+        return await this.parseParquet(filePath);
+      case 'arrow':
+      case 'feather':
+      case 'ipc':
+        if (await this.shouldStream(filePath, options)) {
+          return await this.streamArrow(filePath, options);
+        }
+        return await this.parseArrow(filePath);
       default:
         throw new Error(`Unsupported file type: ${actualType}`);
     }
   }
 
-  async loadFromUpload(filePath, type) {
+  async loadFromUpload(filePath, type, options = {}) {
     this.logger.info(`Loading data from uploaded file: ${filePath}`);
-    return await this.loadFromLocal(filePath, type);
+    return await this.loadFromLocal(filePath, type, options);
   }
 
-  async loadFromODBC(connectionString, type) {
-    this.logger.info(`Loading data from ODBC connection`);
+  async preview(source = {}, limit = this.previewRows) {
+    // Reads just enough of a file or table to show it, without structuring or loading anything
+    const rowLimit = Math.min(Math.max(Number(limit) || this.previewRows, 1), this.maxPreviewRows);
+    const { path: filePath, type, connectionString, connection, table, schema, query, params = [], options = {} } = source;
     
-    try {
-      // Parse connection string to determine database type
-      const dbType = this.parseConnectionString(connectionString);
+    switch (source.source) {
+      case 'local':
+      case 'upload': {
+        if (!await this.fileExists(filePath)) {
+          throw new Error(`File not found: ${filePath}`);
+        }
+        const result = await this.loadFromLocal(filePath, type, { ...options, streaming: true, batchSize: rowLimit });
+        return this.buildPreview(result, rowLimit);
+      }
+      case 'odbc': {
+        const dbConfig = resolveConnection(connectionString ?? connection);
+        const dbType = dbConfig.type;
+        let sql = null;
+        if (table) {
+          sql = `SELECT * FROM ${[schema, table].filter(Boolean).map(part => this.quoteIdentifier(dbType, part)).join('.')}`;
+        } else if (query) {
+          this.assertReadOnlyQuery(query);
+          sql = query;
+        }
+        const run = this.createRun('database', options);
+        const result = {
+          data: [],
+          batches: () => this.retryBatches(run, `${dbType} preview`, () => (
+            this.readQueryBatches(dbType, dbConfig, sql, params, rowLimit, run.timeout)
+          )),
+          metadata: { type: dbType, table, query, attempts: run.attempts }
+        };
+        return this.buildPreview(result, rowLimit);
+      }
+      default:
+        throw new Error(`Preview is not supported for source type: ${source.source}`);
+    }
+  }
+
+  async buildPreview(result, limit) {
+    const { batches, data, entities, metadata = {} } = result;
+    const toPreview = (rows) => ({
+      columns: _.uniq(rows.flatMap(row => Object.keys(row))),
+      rows
+    });
+    
+    let rows = data.slice(0, limit);
+    if (batches) {
+      rows = [];
+      // Leaving the loop early closes the file or cursor behind the batches
+      for await (const batch of batches()) {
+        rows.push(...batch.slice(0, limit - rows.length));
+        if (rows.length >= limit) break;
+      }
+    }
+    
+    return {
+      ...toPreview(rows),
+      entities: entities?.map(entity => ({ name: entity.name, ...toPreview(entity.data.slice(0, limit)) })),
+      columnTypes: metadata.columnTypes,
+      metadata: _.omit(metadata, ['streaming', 'batchSize', 'columnTypes'])
+    };
+  }
+
+  async loadFromAPI(url, { auth = {}, pagination = {}, request = {}, options = {} } = {}) {
+    if (!url) {
+      throw new Error('API source requires a url');
+    }
+    this.logger.info(`Loading data from API: ${url}`);
+    
+    const run = this.createRun('api', options);
+    const fetchOptions = {
+      auth,
+      pagination,
+      request,
+      recordPath: options.recordPath || '$',
+      // A job's own retryAttempts wins; otherwise the client's setting applies
+      retries: options.retryAttempts,
+      onAttempt: (record) => this.recordAttempt(run, record)
+    };
+    const metadata = {
+      type: 'api',
+      url,
+      pagination: pagination.type || 'none',
+      recordPath: fetchOptions.recordPath,
+      attempts: run.attempts
+    };
+    
+    if (options.streaming) {
+      const batchSize = options.batchSize || this.batchSize;
+      const separator = options.flattenSeparator || '_';
       
-      switch (dbType) {
-        case 'sqlite':
-          return await this.querySQLite(connectionString);
-        case 'mysql':
-          return await this.queryMySQL(connectionString);
-        case 'postgresql':
-          return await this.queryPostgreSQL(connectionString);
-        default:
-          throw new Error(`Unsupported database type: ${dbType}`);
+      return {
+        data: [],
+        batches: async function* () {
+          let batch = [];
+          let rowsRead = 0;
+          
+          for await (const { page, records } of this.apiClient.fetchPages(url, fetchOptions)) {
+            for (const record of records) {
+              batch.push(this.toFlatRow(record, separator));
+              
+              if (batch.length >= batchSize) {
+                rowsRead += batch.length;
+                this.emit('progress', { agent: this.name, rowsRead, pagesRead: page });
+                yield batch;
+                batch = [];
+              }
+            }
+          }
+          
+          if (batch.length > 0) {
+            rowsRead += batch.length;
+            this.emit('progress', { agent: this.name, rowsRead });
+            yield batch;
+          }
+        }.bind(this),
+        metadata: { ...metadata, streaming: true, batchSize }
+      };
+    }
+    
+    const records = [];
+    let pages = 0;
+    try {
+      for await (const { page, records: pageRecords } of this.apiClient.fetchPages(url, fetchOptions)) {
+        records.push(...pageRecords);
+        pages = page;
+        this.emit('progress', { agent: this.name, rowsRead: records.length, pagesRead: page });
+        
+        if (options.maxRows && records.length >= options.maxRows) {
+          records.length = options.maxRows;
+          break;
+        }
       }
     } catch (error) {
-      this.logger.error('ODBC connection failed:', error);
+      error.attempts = run.attempts;
       throw error;
     }
+    
+    this.logger.info(`Fetched ${records.length} records from ${pages} API pages`);
+    return this.buildJSONResult(records, { ...metadata, pages }, options);
   }
 
-  async parseCSV(filePath) {
-    return new Promise((resolve, reject) => {
+  async loadFromS3(bucket, { prefix = '', glob = null, connection = {}, options = {} } = {}) {
+    if (!bucket) {
+      throw new Error('S3 source requires a bucket');
+    }
+    this.logger.info(`Loading data from S3: s3://${bucket}/${prefix}${glob ? ` (${glob})` : ''}`);
+    
+    // Retries are done, and recorded, here rather than inside the SDK
+    const storage = new ObjectStorageClient({ ...this.config.s3, ...connection, maxAttempts: 1 });
+    const run = this.createRun('s3', options);
+    const tempDir = await createTempDir();
+    
+    try {
+      const listed = await this.withRetry(run, `list s3://${bucket}/${prefix}`, () => storage.listObjects(bucket, { prefix, glob }));
+      const objects = listed.filter(object => this.isSupportedFile(object.key));
+      
+      if (objects.length === 0) {
+        throw new Error(`No supported objects found in s3://${bucket}/${prefix}`);
+      }
+      
+      // Objects are downloaded under their key so each one goes through the parser for its extension
+      const files = [];
+      for (const object of objects) {
+        const segments = object.key.split('/').filter(segment => segment && segment !== '.' && segment !== '..');
+        const filePath = await this.withRetry(run, `download s3://${bucket}/${object.key}`, () => {
+          const controller = new AbortController();
+          return withTimeout(
+            storage.downloadObject(bucket, object.key, path.join(tempDir, ...segments), { signal: controller.signal }),
+            run.timeout,
+            `Download of ${object.key} timed out after ${run.timeout}ms`,
+            () => controller.abort()
+          );
+        });
+        files.push({ key: object.key, path: filePath });
+      }
+      
+      const s3 = { bucket, prefix, glob, objects: objects.map(object => object.key) };
+      this.logger.info(`Downloaded ${files.length} objects from s3://${bucket}`);
+      
+      if (files.length === 1) {
+        const result = await this.loadFromLocal(files[0].path, null, options);
+        return await this.releaseTempDir(result, tempDir, { s3, attempts: run.attempts });
+      }
+      
       const results = [];
-      createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (data) => results.push(data))
-        .on('end', () => {
-          this.logger.info(`Parsed ${results.length} rows from CSV`);
-          resolve({
-            data: results,
-            metadata: {
-              type: 'csv',
-              rowCount: results.length,
-              columns: results.length > 0 ? Object.keys(results[0]) : []
-            }
-          });
-        })
-        .on('error', reject);
-    });
+      for (const file of files) {
+        const result = await this.loadFromLocal(file.path, null, { ...options, streaming: false });
+        results.push({ file: file.key, result });
+      }
+      
+      await removeTempDir(tempDir);
+      return this.combineFileResults(results, { type: 's3', s3, attempts: run.attempts });
+    } catch (error) {
+      await removeTempDir(tempDir);
+      error.attempts = run.attempts;
+      throw error;
+    } finally {
+      storage.destroy();
+    }
   }
 
-  async parseExcel(filePath) {
-    const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
+  async loadFromODBC(connection, { query = null, params = [], options = {} } = {}) {
+    const run = this.createRun('database', options);
+    
+    try {
+      // Connection strings and structured connection objects resolve to the same config
+      const dbConfig = resolveConnection(connection);
+      const dbType = dbConfig.type;
+      this.logger.info(`Loading data from ${describeConnection(dbConfig)}`);
+      
+      if (options.tables) {
+        return await this.loadDatabaseSchema(dbType, dbConfig, options, run);
+      }
+      
+      if (query) {
+        this.assertReadOnlyQuery(query);
+      }
+      
+      const batchSize = options.batchSize || this.batchSize;
+      const incremental = options.incremental
+        ? await this.prepareIncrementalQuery(dbType, dbConfig, query, params, options.incremental)
+        : null;
+      const sql = incremental ? incremental.query : query;
+      const sqlParams = incremental ? incremental.params : params;
+      const readBatches = () => {
+        const batches = this.readQueryBatches(dbType, dbConfig, sql, sqlParams, batchSize, run.timeout);
+        return incremental ? this.trackWatermark(batches, incremental.state) : batches;
+      };
+      const incrementalMetadata = incremental
+        ? { incremental: incremental.state, primaryKey: incremental.state.key }
+        : {};
+      
+      if (options.streaming) {
+        return {
+          data: [],
+          batches: () => this.retryBatches(run, `${dbType} query`, readBatches),
+          metadata: {
+            type: dbType,
+            query,
+            streaming: true,
+            // Reading an incremental delta again would count its rows twice
+            replayable: !incremental,
+            batchSize,
+            attempts: run.attempts,
+            ...incrementalMetadata
+          }
+        };
+      }
+      
+      // A failed read starts over, so rows from the failed attempt are dropped
+      const data = await this.withRetry(run, `${dbType} query`, async () => {
+        const rows = [];
+        for await (const batch of readBatches()) {
+          rows.push(...batch);
+          if (options.maxRows && rows.length >= options.maxRows) {
+            rows.length = options.maxRows;
+            break;
+          }
+        }
+        return rows;
+      });
+      
+      if (incremental) {
+        // Rows come back ordered by the watermark column, so a truncated load resumes where it stopped
+        incremental.state.next = data.length > 0
+          ? data[data.length - 1][incremental.state.column]
+          : null;
+        incremental.state.rowCount = data.length;
+      }
+      
+      this.logger.info(`Retrieved ${data.length} rows from ${dbType}`);
+      return {
+        data,
+        metadata: {
+          type: dbType,
+          query,
+          rowCount: data.length,
+          columns: data.length > 0 ? Object.keys(data[0]) : [],
+          attempts: run.attempts,
+          ...incrementalMetadata
+        }
+      };
+    } catch (error) {
+      this.logger.error('ODBC connection failed:', error);
+      error.attempts = run.attempts;
+      throw error;
+    }
+  }
+
+  async prepareIncrementalQuery(dbType, dbConfig, query, params = [], incremental = {}) {
+    const { column, table } = incremental;
+    if (!column) {
+      throw new Error('Incremental loads require a watermark column');
+    }
+    if (!query && !table) {
+      throw new Error('Incremental loads require a query or a table');
+    }
+    
+    // The key identifies a row across loads, so changed rows update their node instead of adding one
+    const key = incremental.key ? [].concat(incremental.key) : await this.incrementalKey(dbType, dbConfig, incremental);
+    const sourceId = incremental.name
+      || WatermarkStore.sourceId([describeConnection(dbConfig), query || table, column]);
+    const previous = incremental.reset ? null : await this.watermarks.get(sourceId);
+    
+    // A timestamp can be shared by rows committed in the same instant, so by default rows at the
+    // watermark are read again and MERGEd onto the nodes they already created
+    const inclusive = incremental.inclusive ?? !key.includes(column);
+    const source = query
+      ? `(${query.trim().replace(/;\s*$/, '')}) incremental_source`
+      : table.split('.').map(part => this.quoteIdentifier(dbType, part)).join('.');
+    const quotedColumn = this.quoteIdentifier(dbType, column);
+    const boundParams = [...params];
+    let sql = `SELECT * FROM ${source}`;
+    
+    if (previous) {
+      boundParams.push(previous.value);
+      const placeholder = dbType === 'postgresql' ? `$${boundParams.length}` : '?';
+      sql += ` WHERE ${quotedColumn} ${inclusive ? '>=' : '>'} ${placeholder}`;
+    }
+    sql += ` ORDER BY ${quotedColumn}`;
+    
+    this.logger.info(previous
+      ? `Incremental load of ${sourceId} from ${column} ${inclusive ? '>=' : '>'} ${previous.value instanceof Date ? previous.value.toISOString() : previous.value}`
+      : `Incremental load of ${sourceId} has no watermark yet, reading all rows`);
     
-    this.logger.info(`Parsed ${data.length} rows from Excel`);
     return {
-      data,
-      metadata: {
-        type: 'excel',
-        rowCount: data.length,
-        columns: data.length > 0 ? Object.keys(data[0]) : [],
-        sheetName
+      query: sql,
+      params: boundParams,
+      state: {
+        sourceId,
+        column,
+        key,
+        inclusive,
+        previous: previous ? previous.value : null,
+        next: null,
+        rowCount: 0
       }
     };
   }
 
-  async parseJSON(filePath) {
-    const content = await fs.readFile(filePath, 'utf8');
-    const data = JSON.parse(content);
+  async incrementalKey(dbType, dbConfig, { table, column }) {
+    // A timestamp is shared by rows written together and moves when a row changes, so without a declared
+    // key the table's primary key identifies the rows
+    if (!table) {
+      throw new Error(`Incremental loads from a query need a key: ${column} alone does not identify a row`);
+    }
+    const parts = table.split('.');
+    const name = parts[parts.length - 1];
+    const tables = await this.introspectSchema(dbType, dbConfig, parts.length > 1 ? { schema: parts[parts.length - 2] } : {});
+    const primaryKey = tables.find(candidate => candidate.name === name)?.primaryKey || [];
+    if (primaryKey.length === 0) {
+      throw new Error(`Incremental loads from ${table} need a key, as the table has no primary key`);
+    }
+    this.logger.info(`Incremental load of ${table} identifies rows by its primary key (${primaryKey.join(', ')})`);
+    return primaryKey;
+  }
+
+  async *trackWatermark(batches, state) {
+    for await (const batch of batches) {
+      for (const row of batch) {
+        const value = row[state.column];
+        if (value !== null && value !== undefined && (state.next === null || this.compareWatermarks(value, state.next) > 0)) {
+          state.next = value;
+        }
+      }
+      state.rowCount += batch.length;
+      yield batch;
+    }
+  }
+
+  compareWatermarks(a, b) {
+    if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    // Drivers return BIGINT and DECIMAL columns as strings
+    if (/^-?\d+$/.test(a) && /^-?\d+$/.test(b)) {
+      const difference = BigInt(a) - BigInt(b);
+      return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+  }
+
+  async commitWatermark(incremental) {
+    // Called by the orchestrator once the rows are in the graph, so a failed job is read again
+    if (!incremental || incremental.next === null || incremental.next === undefined) {
+      return false;
+    }
+    
+    await this.watermarks.set(incremental.sourceId, {
+      column: incremental.column,
+      value: incremental.next,
+      rowCount: incremental.rowCount
+    });
+    this.logger.info(`Watermark for ${incremental.sourceId} advanced to ${incremental.next instanceof Date ? incremental.next.toISOString() : incremental.next}`);
+    return true;
+  }
+
+  async loadDatabaseSchema(dbType, dbConfig, options = {}, run = this.createRun('database', options)) {
+    this.logger.info(`Importing relational schema from ${dbType}`);
+    
+    if (options.tables !== '*' && !Array.isArray(options.tables)) {
+      throw new Error('Table selection must be "*" or an array of table names');
+    }
+    
+    const tables = await this.introspectSchema(dbType, dbConfig, options, run);
+    const selected = options.tables === '*'
+      ? tables
+      : tables.filter(table => options.tables.includes(table.name));
     
-    // Handle both array and object formats
-    const normalizedData = Array.isArray(data) ? data : [data];
+    const missing = options.tables === '*'
+      ? []
+      : options.tables.filter(name => !tables.some(table => table.name === name));
+    if (missing.length > 0) {
+      throw new Error(`Tables not found: ${missing.join(', ')}`);
+    }
+    
+    const batchSize = options.batchSize || this.batchSize;
+    const entities = [];
+    
+    for (const table of selected) {
+      const query = `SELECT * FROM ${this.quoteIdentifier(dbType, table.name)}`;
+      const data = await this.withRetry(run, `${dbType} table ${table.name}`, async () => {
+        const rows = [];
+        for await (const batch of this.readQueryBatches(dbType, dbConfig, query, [], batchSize, run.timeout)) {
+          rows.push(...batch);
+        }
+        return rows;
+      });
+      
+      this.logger.info(`Retrieved ${data.length} rows from ${dbType} table: ${table.name}`);
+      entities.push({
+        name: table.name,
+        data,
+        primaryKey: table.primaryKey,
+        // References to tables outside the selection cannot be materialized
+        foreignKeys: table.foreignKeys.filter(fk => selected.some(t => t.name === fk.referencedTable)),
+        metadata: {
+          tableName: table.name,
+          rowCount: data.length,
+          columns: table.columns.map(column => column.name)
+        }
+      });
+    }
     
-    this.logger.info(`Parsed ${normalizedData.length} rows from JSON`);
     return {
-      data: normalizedData,
+      data: [],
+      entities,
       metadata: {
-        type: 'json',
-        rowCount: normalizedData.length,
-        columns: normalizedData.length > 0 ? Object.keys(normalizedData[0]) : []
+        type: dbType,
+        mode: 'schema',
+        tables: entities.map(entity => entity.name),
+        rowCount: entities.reduce((sum, entity) => sum + entity.data.length, 0),
+        attempts: run.attempts
       }
     };
   }
 
-  async querySQLite(connectionString) {
-    return new Promise((resolve, reject) => {
-      const db = new sqlite3.Database(connectionString);
-      db.all("SELECT * FROM sqlite_master WHERE type='table'", (err, tables) => {
-        if (err) {
-          reject(err);
-          return;
-        }
+  async introspectSchema(dbType, dbConfig, options = {}, run = this.createRun('database', options)) {
+    const introspect = () => {
+      switch (dbType) {
+        case 'sqlite':
+          return this.introspectSQLite(dbConfig);
+        case 'mysql':
+          return this.introspectMySQL(dbConfig, run.timeout);
+        case 'postgresql':
+          return this.introspectPostgreSQL(dbConfig, options.schema || dbConfig.schema || 'public', run.timeout);
+        default:
+          throw new Error(`Unsupported database type: ${dbType}`);
+      }
+    };
+    
+    return await this.withRetry(run, `${dbType} schema introspection`, () => (
+      withTimeout(introspect(), run.timeout, `${dbType} schema introspection timed out after ${run.timeout}ms`)
+    ));
+  }
+
+  async describeDatabase(connection, options = {}) {
+    const dbConfig = resolveConnection(connection);
+    const dbType = dbConfig.type;
+    const schemaName = dbType === 'postgresql' ? options.schema || dbConfig.schema || 'public' : undefined;
+    const run = this.createRun('database', options);
+    const tables = await this.introspectSchema(dbType, dbConfig, options, run);
+    
+    // Counting scans every table, so a plain connection test can skip it
+    if (options.rowCounts !== false) {
+      for (const table of tables) {
+        table.rowCount = await this.countRows(dbType, dbConfig, table.name, schemaName, run);
+      }
+    }
+    
+    return { type: dbType, schema: schemaName, tables };
+  }
+
+  async countRows(dbType, dbConfig, tableName, schemaName, run = this.createRun('database')) {
+    const table = [schemaName, tableName].filter(Boolean).map(part => this.quoteIdentifier(dbType, part)).join('.');
+    const query = `SELECT COUNT(*) AS row_count FROM ${table}`;
+    
+    return await this.withRetry(run, `${dbType} count ${tableName}`, async () => {
+      for await (const [row] of this.readQueryBatches(dbType, dbConfig, query, [], 1, run.timeout)) {
+        // PostgreSQL returns COUNT(*) as a bigint string
+        return Number(row.row_count);
+      }
+      return 0;
+    });
+  }
+
+  async introspectSQLite(dbConfig) {
+    const db = await new Promise((resolve, reject) => {
+      const database = new sqlite3.Database(dbConfig.database, sqlite3.OPEN_READONLY, (err) => {
+        if (err) reject(err);
+        else resolve(database);
+      });
+    });
+    
+    const all = (sql) => new Promise((resolve, reject) => {
+      db.all(sql, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+    
+    try {
+      const tableRows = await all("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name");
+      const tables = [];
+      
+      for (const { name } of tableRows) {
+        const quoted = this.quoteIdentifier('sqlite', name);
+        const columnRows = await all(`PRAGMA table_info(${quoted})`);
+        const foreignKeyRows = await all(`PRAGMA foreign_key_list(${quoted})`);
         
-        if (tables.length === 0) {
-          resolve({ data: [], metadata: { type: 'sqlite', tables: [] } });
-          return;
-        }
+        const foreignKeys = Object.values(_.groupBy(foreignKeyRows, 'id')).map(rows => {
+          const ordered = _.sortBy(rows, 'seq');
+          return {
+            columns: ordered.map(row => row.from),
+            referencedTable: ordered[0].table,
+            // "to" is null when the reference targets the primary key implicitly
+            referencedColumns: ordered.every(row => row.to) ? ordered.map(row => row.to) : []
+          };
+        });
         
-        const tableName = tables[0].name;
-        db.all(`SELECT * FROM ${tableName} LIMIT 1000`, (err, rows) => {
-          if (err) {
-            reject(err);
-            return;
-          }
-          
-          this.logger.info(`Retrieved ${rows.length} rows from SQLite table: ${tableName}`);
-          resolve({
-            data: rows,
-            metadata: {
-              type: 'sqlite',
-              tableName,
-              rowCount: rows.length,
-              columns: rows.length > 0 ? Object.keys(rows[0]) : []
-            }
-          });
+        tables.push({
+          name,
+          columns: columnRows.map(row => ({ name: row.name, type: row.type, nullable: !row.notnull })),
+          primaryKey: _.sortBy(columnRows.filter(row => row.pk > 0), 'pk').map(row => row.name),
+          foreignKeys
         });
-      });
-    });
+      }
+      
+      // Implicit primary key references are resolved once every table is known
+      for (const table of tables) {
+        for (const fk of table.foreignKeys) {
+          if (fk.referencedColumns.length === 0) {
+            fk.referencedColumns = tables.find(t => t.name === fk.referencedTable)?.primaryKey || [];
+          }
+        }
+      }
+      
+      return tables;
+    } finally {
+      await new Promise(resolve => db.close(() => resolve()));
+    }
   }
 
-  async queryMySQL(connectionString) {
-    const connection = await mysql.createConnection(connectionString);
+  async introspectMySQL(dbConfig, timeout) {
+    const connection = await mysql.createConnection({ ...toMySQLConfig(dbConfig), connectTimeout: timeout });
     
     try {
-      const [tables] = await connection.execute("SHOW TABLES");
-      if (tables.length === 0) {
-        return { data: [], metadata: { type: 'mysql', tables: [] } };
-      }
+      const [columnRows] = await connection.query(`
+        SELECT TABLE_NAME AS tableName, COLUMN_NAME AS columnName, DATA_TYPE AS dataType, IS_NULLABLE AS isNullable
+        FROM information_schema.COLUMNS
+        WHERE TABLE_SCHEMA = DATABASE()
+        ORDER BY TABLE_NAME, ORDINAL_POSITION
+      `);
       
-      const tableName = Object.values(tables[0])[0];
-      const [rows] = await connection.execute(`SELECT * FROM ${tableName} LIMIT 1000`);
+      const [keyRows] = await connection.query(`
+        SELECT k.TABLE_NAME AS tableName, k.COLUMN_NAME AS columnName, k.CONSTRAINT_NAME AS constraintName,
+               k.REFERENCED_TABLE_NAME AS referencedTable, k.REFERENCED_COLUMN_NAME AS referencedColumn
+        FROM information_schema.KEY_COLUMN_USAGE k
+        JOIN information_schema.TABLES t
+          ON t.TABLE_SCHEMA = k.TABLE_SCHEMA AND t.TABLE_NAME = k.TABLE_NAME AND t.TABLE_TYPE = 'BASE TABLE'
+        WHERE k.TABLE_SCHEMA = DATABASE()
+          AND (k.CONSTRAINT_NAME = 'PRIMARY' OR k.REFERENCED_TABLE_NAME IS NOT NULL)
+        ORDER BY k.TABLE_NAME, k.CONSTRAINT_NAME, k.ORDINAL_POSITION
+      `);
       
-      this.logger.info(`Retrieved ${rows.length} rows from MySQL table: ${tableName}`);
-      return {
-        data: rows,
-        metadata: {
-          type: 'mysql',
-          tableName,
-          rowCount: rows.length,
-          columns: rows.length > 0 ? Object.keys(rows[0]) : []
-        }
-      };
+      const [tableRows] = await connection.query(`
+        SELECT TABLE_NAME AS tableName
+        FROM information_schema.TABLES
+        WHERE TABLE_SCHEMA = DATABASE() AND TABLE_TYPE = 'BASE TABLE'
+        ORDER BY TABLE_NAME
+      `);
+      
+      return this.buildTableDefinitions(
+        tableRows.map(row => row.tableName),
+        columnRows,
+        keyRows.filter(row => row.constraintName === 'PRIMARY'),
+        keyRows.filter(row => row.referencedTable)
+      );
     } finally {
       await connection.end();
     }
   }
 
-  async queryPostgreSQL(connectionString) {
-    const client = new pg.Client(connectionString);
+  async introspectPostgreSQL(dbConfig, schemaName, timeout) {
+    const client = new pg.Client({ ...toPostgresConfig(dbConfig), connectionTimeoutMillis: timeout, statement_timeout: timeout });
     await client.connect();
     
     try {
-      const result = await client.query(`
-        SELECT table_name 
-        FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        LIMIT 1
-      `);
+      const tableResult = await client.query(`
+        SELECT table_name AS "tableName"
+        FROM information_schema.tables
+        WHERE table_schema = $1 AND table_type = 'BASE TABLE'
+        ORDER BY table_name
+      `, [schemaName]);
       
-      if (result.rows.length === 0) {
-        return { data: [], metadata: { type: 'postgresql', tables: [] } };
-      }
+      const columnResult = await client.query(`
+        SELECT table_name AS "tableName", column_name AS "columnName", data_type AS "dataType", is_nullable AS "isNullable"
+        FROM information_schema.columns
+        WHERE table_schema = $1
+        ORDER BY table_name, ordinal_position
+      `, [schemaName]);
       
-      const tableName = result.rows[0].table_name;
-      const dataResult = await client.query(`SELECT * FROM ${tableName} LIMIT 1000`);
+      const primaryKeyResult = await client.query(`
+        SELECT kcu.table_name AS "tableName", kcu.column_name AS "columnName", kcu.constraint_name AS "constraintName"
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+          ON kcu.constraint_name = tc.constraint_name AND kcu.constraint_schema = tc.constraint_schema
+        WHERE tc.constraint_type = 'PRIMARY KEY' AND tc.table_schema = $1
+        ORDER BY kcu.table_name, kcu.ordinal_position
+      `, [schemaName]);
       
-      this.logger.info(`Retrieved ${dataResult.rows.length} rows from PostgreSQL table: ${tableName}`);
-      return {
-        data: dataResult.rows,
-        metadata: {
-          type: 'postgresql',
-          tableName,
-          rowCount: dataResult.rows.length,
-          columns: dataResult.rows.length > 0 ? Object.keys(dataResult.rows[0]) : []
-        }
-      };
+      const foreignKeyResult = await client.query(`
+        SELECT kcu.table_name AS "tableName", kcu.column_name AS "columnName", kcu.constraint_name AS "constraintName",
+               ref.table_name AS "referencedTable", ref.column_name AS "referencedColumn"
+        FROM information_schema.referential_constraints rc
+        JOIN information_schema.key_column_usage kcu
+          ON kcu.constraint_name = rc.constraint_name AND kcu.constraint_schema = rc.constraint_schema
+        JOIN information_schema.key_column_usage ref
+          ON ref.constraint_name = rc.unique_constraint_name
+         AND ref.constraint_schema = rc.unique_constraint_schema
+         AND ref.ordinal_position = kcu.position_in_unique_constraint
+        WHERE kcu.table_schema = $1
+        ORDER BY kcu.table_name, kcu.constraint_name, kcu.ordinal_position
+      `, [schemaName]);
+      
+      return this.buildTableDefinitions(
+        tableResult.rows.map(row => row.tableName),
+        columnResult.rows,
+        primaryKeyResult.rows,
+        foreignKeyResult.rows
+      );
     } finally {
       await client.end();
     }
   }
 
-  parseConnectionString(connectionString) {
-    if (connectionString.includes('sqlite')) return 'sqlite';
-    if (connectionString.includes('mysql')) return 'mysql';
-    if (connectionString.includes('postgresql') || connectionString.includes('postgres')) return 'postgresql';
-    throw new Error('Unable to determine database type from connection string');
+  buildTableDefinitions(tableNames, columnRows, primaryKeyRows, foreignKeyRows) {
+    return tableNames.map(name => ({
+      name,
+      columns: columnRows
+        .filter(row => row.tableName === name)
+        .map(row => ({ name: row.columnName, type: row.dataType, nullable: row.isNullable === 'YES' })),
+      primaryKey: primaryKeyRows
+        .filter(row => row.tableName === name)
+        .map(row => row.columnName),
+      foreignKeys: Object.values(_.groupBy(foreignKeyRows.filter(row => row.tableName === name), 'constraintName'))
+        .map(rows => ({
+          columns: rows.map(row => row.columnName),
+          referencedTable: rows[0].referencedTable,
+          referencedColumns: rows.map(row => row.referencedColumn)
+        }))
+    }));
+  }
+
+  assertReadOnlyQuery(query) {
+    // Comments and literals are blanked out first so their contents cannot hide or fake keywords
+    const statement = String(query)
+      .replace(/--[^\n]*/g, ' ')
+      .replace(/\/\*[\s\S]*?\*\//g, ' ')
+      .replace(/'(?:[^']|'')*'/g, "''")
+      .replace(/"(?:[^"]|"")*"/g, '""')
+      .replace(/`[^`]*`/g, '``')
+      .trim()
+      .replace(/;\s*$/, '');
+    
+    if (statement.includes(';')) {
+      throw new Error('Query rejected: only a single statement is allowed');
+    }
+    
+    if (!/^(select|with)\b/i.test(statement)) {
+      throw new Error('Query rejected: only SELECT queries are allowed');
+    }
+    
+    // Writes to tables are stopped by the database itself: SQLite files are opened read-only and MySQL and
+    // PostgreSQL queries run in a READ ONLY transaction. That does not cover row locks or MySQL's
+    // INTO OUTFILE and DUMPFILE, so those are refused here. INTO is reserved, so a bare one is always the clause
+    const forbidden = statement.match(/\bfor\s+(update|share|no\s+key\s+update|key\s+share)\b/i) ||
+      statement.match(/\block\s+in\s+share\s+mode\b/i) ||
+      statement.match(/\binto\s+(outfile|dumpfile)\b/i) ||
+      statement.match(/\binto\b/i);
+    
+    if (forbidden) {
+      throw new Error(`Query rejected: ${forbidden[0].toUpperCase().replace(/\s+/g, ' ')} is not allowed in read-only queries`);
+    }
+  }
+
+  async *readQueryBatches(dbType, dbConfig, query, params, batchSize, timeout = this.timeouts.database) {
+    const controller = new AbortController();
+    const driverOptions = { signal: controller.signal, timeout };
+    let batches;
+    switch (dbType) {
+      case 'sqlite':
+        batches = this.querySQLite(dbConfig, query, params, batchSize, driverOptions);
+        break;
+      case 'mysql':
+        batches = this.queryMySQL(dbConfig, query, params, batchSize, driverOptions);
+        break;
+      case 'postgresql':
+        batches = this.queryPostgreSQL(dbConfig, query, params, batchSize, driverOptions);
+        break;
+      default:
+        throw new Error(`Unsupported database type: ${dbType}`);
+    }
+    
+    try {
+      while (true) {
+        // Only the wait for the next batch is timed; a consumer that is slow to load rows is not
+        const { value, done } = await withTimeout(
+          batches.next(),
+          timeout,
+          `${dbType} query produced no rows for ${timeout}ms`,
+          () => controller.abort()
+        );
+        if (done) return;
+        yield value;
+      }
+    } finally {
+      if (controller.signal.aborted) {
+        // The aborted call may still be settling; its cleanup must not hold up the retry
+        batches.return().catch(() => {});
+      } else {
+        await batches.return();
+      }
+    }
+  }
+
+  createRun(source, options = {}) {
+    // Per-load settings and the attempt log that ends up in the job step
+    return {
+      attempts: [],
+      timeout: options.timeout ?? this.timeouts[source],
+      retries: options.retryAttempts ?? this.retryOptions.retries
+    };
+  }
+
+  async withRetry(run, label, operation) {
+    try {
+      return await retry(operation, {
+        ...this.retryOptions,
+        retries: run.retries,
+        label,
+        onAttempt: (record) => this.recordAttempt(run, record)
+      });
+    } catch (error) {
+      error.attempts = run.attempts;
+      throw error;
+    }
+  }
+
+  recordAttempt(run, record) {
+    run.attempts.push(record);
+    if (record.status === 'failed') {
+      const next = record.retryIn !== null ? `, retrying in ${record.retryIn}ms` : '';
+      this.logger.warn(`${record.operation} failed on attempt ${record.attempt}: ${record.error}${next}`);
+      if (record.retryIn !== null) {
+        this.emit('retry', { agent: this.name, ...record });
+      }
+    }
+  }
+
+  async *retryBatches(run, label, openBatches) {
+    // Streams are only retried until their first batch is handed on; after that a retry would deliver rows twice
+    let iterator;
+    let attempt;
+    const startTime = new Date();
+    const first = await this.withRetry(run, label, async (current) => {
+      attempt = current;
+      iterator = openBatches()[Symbol.asyncIterator]();
+      return await iterator.next();
+    });
+    
+    try {
+      if (first.done) return;
+      yield first.value;
+      
+      while (true) {
+        const { value, done } = await iterator.next();
+        if (done) return;
+        yield value;
+      }
+    } catch (error) {
+      this.recordAttempt(run, {
+        operation: label,
+        attempt,
+        status: 'failed',
+        startTime,
+        duration: Date.now() - startTime,
+        error: error.message,
+        code: error.code,
+        retryIn: null
+      });
+      error.attempts = run.attempts;
+      throw error;
+    } finally {
+      await iterator.return?.();
+    }
+  }
+
+  async loadGzip(filePath, type, options = {}) {
+    const tempDir = await createTempDir();
+    
+    try {
+      // file.csv.gz unpacks to file.csv, file.tgz to file.tar
+      const innerName = path.basename(filePath)
+        .replace(/\.tgz$/i, '.tar')
+        .replace(/\.(gz|gzip)$/i, '') || 'data';
+      const innerType = ['gz', 'gzip', 'tgz', 'tar'].includes(type) ? null : type;
+      const innerPath = await gunzipFile(filePath, path.join(tempDir, innerName));
+      
+      this.logger.info(`Decompressed gzip file: ${filePath}`);
+      const result = await this.loadFromLocal(innerPath, innerType, options);
+      return await this.releaseTempDir(result, tempDir, { compression: 'gzip' });
+    } catch (error) {
+      await removeTempDir(tempDir);
+      throw error;
+    }
+  }
+
+  async loadArchive(filePath, format, options = {}) {
+    const tempDir = await createTempDir();
+    
+    try {
+      const files = format === 'zip'
+        ? await extractZip(filePath, tempDir)
+        : await extractTar(filePath, tempDir);
+      const members = files.filter(file => this.isSupportedFile(file));
+      
+      if (members.length === 0) {
+        throw new Error(`Archive contains no supported files: ${filePath}`);
+      }
+      
+      const archive = { format, files: members.map(file => path.relative(tempDir, file)) };
+      this.logger.info(`Loading ${members.length} files from ${format} archive: ${filePath}`);
+      
+      if (members.length === 1) {
+        const result = await this.loadFromLocal(members[0], null, options);
+        return await this.releaseTempDir(result, tempDir, { archive });
+      }
+      
+      // Several files are loaded in full and combined as entities of one job
+      const results = [];
+      for (const file of members) {
+        const result = await this.loadFromLocal(file, null, { ...options, streaming: false });
+        results.push({ file: path.relative(tempDir, file), result });
+      }
+      
+      await removeTempDir(tempDir);
+      return this.combineFileResults(results, { type: 'archive', archive });
+    } catch (error) {
+      await removeTempDir(tempDir);
+      throw error;
+    }
+  }
+
+  isSupportedFile(filePath) {
+    const name = path.basename(filePath);
+    if (name.startsWith('.') || filePath.split(path.sep).includes('__MACOSX')) {
+      return false;
+    }
+    
+    const extension = path.extname(name.replace(/\.(gz|gzip)$/i, '')).toLowerCase().substring(1);
+    return this.supportedFormats.includes(extension);
+  }
+
+  combineFileResults(results, metadata) {
+    const entities = [];
+    const names = new Set();
+    const uniqueName = (name) => {
+      let candidate = name;
+      for (let i = 2; names.has(candidate); i++) {
+        candidate = `${name}_${i}`;
+      }
+      names.add(candidate);
+      return candidate;
+    };
+    
+    for (const { file, result } of results) {
+      const stem = path.basename(file).replace(/(\.[^.]+)+$/, '') || 'data';
+      
+      if (!result.entities) {
+        entities.push({
+          name: uniqueName(stem),
+          data: result.data,
+          metadata: { ...result.metadata, file }
+        });
+        continue;
+      }
+      
+      // Sheets or nested records of one file keep their references when they have to be renamed
+      const renamed = {};
+      for (const entity of result.entities) {
+        renamed[entity.name] = uniqueName(names.has(entity.name) ? `${stem}_${entity.name}` : entity.name);
+      }
+      for (const entity of result.entities) {
+        entities.push({
+          ...entity,
+          name: renamed[entity.name],
+          foreignKeys: entity.foreignKeys?.map(fk => ({
+            ...fk,
+            referencedTable: renamed[fk.referencedTable] || fk.referencedTable
+          })),
+          metadata: { ...entity.metadata, file }
+        });
+      }
+    }
+    
+    return {
+      data: [],
+      entities,
+      metadata: {
+        ...metadata,
+        entities: entities.map(entity => entity.name),
+        rowCount: entities.reduce((sum, entity) => sum + entity.data.length, 0)
+      }
+    };
+  }
+
+  async releaseTempDir(result, tempDir, metadata) {
+    const withMetadata = { ...result, metadata: { ...result.metadata, ...metadata } };
+    
+    if (!result.batches) {
+      await removeTempDir(tempDir);
+      return withMetadata;
+    }
+    
+    // Streamed results still read from the extracted file, so it is removed once the batches are consumed
+    return {
+      ...withMetadata,
+      metadata: { ...withMetadata.metadata, replayable: false },
+      batches: async function* () {
+        try {
+          yield* result.batches();
+        } finally {
+          await removeTempDir(tempDir);
+        }
+      }
+    };
+  }
+
+  async parseCSV(filePath, options = {}) {
+    const dialect = await this.detectCSVDialect(filePath, options);
+    
+    return new Promise((resolve, reject) => {
+      const results = [];
+      const fileStream = createReadStream(filePath);
+      fileStream.on('error', reject);
+      fileStream
+        .pipe(createDecodeStream(dialect.encoding))
+        .pipe(this.createCSVParser(dialect))
+        .on('data', (data) => results.push(data))
+        .on('end', () => {
+          this.logger.info(`Parsed ${results.length} rows from CSV`);
+          resolve({
+            data: results,
+            metadata: {
+              type: 'csv',
+              rowCount: results.length,
+              columns: results.length > 0 ? Object.keys(results[0]) : [],
+              dialect
+            }
+          });
+        })
+        .on('error', reject);
+    });
+  }
+
+  async detectCSVDialect(filePath, options = {}) {
+    const overrides = options.csv || {};
+    const handle = await fs.open(filePath, 'r');
+    
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(64 * 1024), 0, 64 * 1024, 0);
+      const { columnCount, ...dialect } = sniffCSV(buffer.subarray(0, bytesRead), overrides);
+      
+      // Files without a header row get positional column names
+      if (!dialect.header) {
+        dialect.columns = overrides.columns || Array.from({ length: columnCount }, (value, i) => `column_${i + 1}`);
+      }
+      dialect.overrides = Object.keys(overrides).filter(key => overrides[key] !== undefined);
+      
+      this.logger.info(`CSV dialect: encoding=${dialect.encoding}, delimiter=${JSON.stringify(dialect.delimiter)}, quote=${dialect.quote}, header=${dialect.header}`);
+      return dialect;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  createCSVParser(dialect) {
+    const parserOptions = {
+      separator: dialect.delimiter,
+      quote: dialect.quote
+    };
+    if (!dialect.header) {
+      parserOptions.headers = dialect.columns;
+    }
+    return csv(parserOptions);
+  }
+
+  async shouldStream(filePath, options) {
+    if (options.streaming !== undefined) {
+      return Boolean(options.streaming);
+    }
+    
+    // Files above the threshold are streamed even when the job did not ask for it
+    const stats = await fs.stat(filePath);
+    return stats.size >= this.streamThreshold;
+  }
+
+  async streamCSV(filePath, options = {}) {
+    const stats = await fs.stat(filePath);
+    const batchSize = options.batchSize || this.batchSize;
+    
+    const dialect = await this.detectCSVDialect(filePath, options);
+    
+    this.logger.info(`Streaming CSV in batches of ${batchSize} rows: ${filePath}`);
+    return {
+      data: [],
+      batches: () => this.readCSVBatches(filePath, batchSize, dialect),
+      metadata: {
+        type: 'csv',
+        streaming: true,
+        replayable: true,
+        batchSize,
+        fileSize: stats.size,
+        dialect
+      }
+    };
+  }
+
+  async *readCSVBatches(filePath, batchSize, dialect) {
+    const { size: totalBytes } = await fs.stat(filePath);
+    const fileStream = createReadStream(filePath);
+    const parser = fileStream.pipe(createDecodeStream(dialect.encoding)).pipe(this.createCSVParser(dialect));
+    fileStream.on('error', (error) => parser.destroy(error));
+    
+    let batch = [];
+    let rowsRead = 0;
+    
+    // Async iteration pauses the file stream while a batch is being processed downstream
+    for await (const row of parser) {
+      batch.push(row);
+      
+      if (batch.length >= batchSize) {
+        rowsRead += batch.length;
+        this.emit('progress', { agent: this.name, rowsRead, bytesRead: fileStream.bytesRead, totalBytes });
+        yield batch;
+        batch = [];
+      }
+    }
+    
+    if (batch.length > 0) {
+      rowsRead += batch.length;
+      this.emit('progress', { agent: this.name, rowsRead, bytesRead: totalBytes, totalBytes });
+      yield batch;
+    }
+    
+    this.logger.info(`Streamed ${rowsRead} rows from CSV`);
+  }
+
+  async parseExcel(filePath, options = {}) {
+    const workbook = XLSX.readFile(filePath);
+    const sheetNames = options.sheets && options.sheets !== '*'
+      ? workbook.SheetNames.filter(name => options.sheets.includes(name))
+      : workbook.SheetNames;
+    
+    const sheets = sheetNames
+      .map(sheetName => this.readSheet(workbook.Sheets[sheetName], sheetName, options))
+      .filter(sheet => sheet.data.length > 0);
+    
+    if (sheets.length === 0) {
+      throw new Error('No data found in any worksheet');
+    }
+    
+    if (sheets.length === 1) {
+      const [{ data, metadata }] = sheets;
+      this.logger.info(`Parsed ${data.length} rows from Excel`);
+      return {
+        data,
+        metadata: {
+          type: 'excel',
+          ...metadata
+        }
+      };
+    }
+    
+    // Each sheet becomes its own entity; references between sheets are inferred during structuring
+    this.logger.info(`Parsed ${sheets.length} sheets from Excel`);
+    return {
+      data: [],
+      entities: sheets.map(sheet => ({
+        name: sheet.metadata.sheetName,
+        data: sheet.data,
+        metadata: sheet.metadata
+      })),
+      metadata: {
+        type: 'excel',
+        sheets: sheets.map(sheet => sheet.metadata.sheetName),
+        rowCount: sheets.reduce((sum, sheet) => sum + sheet.data.length, 0)
+      }
+    };
+  }
+
+  readSheet(worksheet, sheetName, options = {}) {
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: null, blankrows: true });
+    const configuredHeaderRow = typeof options.headerRow === 'object'
+      ? options.headerRow?.[sheetName]
+      : options.headerRow;
+    const headerRow = configuredHeaderRow ?? this.detectHeaderRow(rows);
+    
+    // The detected offset is relative to the used range, which may not start at the first row
+    const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+    const data = XLSX.utils.sheet_to_json(worksheet, { range: range.s.r + headerRow });
+    
+    return {
+      data,
+      metadata: {
+        sheetName,
+        headerRow,
+        rowCount: data.length,
+        columns: data.length > 0 ? Object.keys(data[0]) : []
+      }
+    };
+  }
+
+  detectHeaderRow(rows, scanLimit = 20) {
+    // Title banners and notes above a table fill fewer cells than the header row does
+    const candidates = rows.slice(0, scanLimit);
+    const filledCounts = candidates.map(row => row.filter(cell => cell !== null && cell !== '').length);
+    const tableWidth = Math.max(0, ...filledCounts);
+    
+    for (let i = 0; i < candidates.length; i++) {
+      const cells = candidates[i].filter(cell => cell !== null && cell !== '');
+      const isLabelRow = cells.every(cell => typeof cell === 'string' && isNaN(Number(cell)));
+      const isDistinct = new Set(cells).size === cells.length;
+      
+      if (cells.length >= Math.max(2, tableWidth * 0.6) && isLabelRow && isDistinct) {
+        return i;
+      }
+    }
+    
+    return 0;
+  }
+
+  async parseJSON(filePath, options = {}) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const data = JSON.parse(content);
+    
+    // Handle both array and object formats, unless a selector says where the records live
+    const records = options.recordPath
+      ? selectRecords(data, options.recordPath)
+      : (Array.isArray(data) ? data : [data]);
+    
+    this.logger.info(`Parsed ${records.length} rows from JSON`);
+    return this.buildJSONResult(records, { type: 'json', recordPath: options.recordPath }, options);
+  }
+
+  async parseNDJSON(filePath, options = {}) {
+    const records = [];
+    for await (const record of this.readNDJSONRecords(filePath)) {
+      records.push(record);
+    }
+    
+    this.logger.info(`Parsed ${records.length} rows from NDJSON`);
+    return this.buildJSONResult(records, { type: 'ndjson' }, options);
+  }
+
+  async streamNDJSON(filePath, options = {}) {
+    const stats = await fs.stat(filePath);
+    const batchSize = options.batchSize || this.batchSize;
+    const separator = options.flattenSeparator || '_';
+    
+    this.logger.info(`Streaming NDJSON in batches of ${batchSize} rows: ${filePath}`);
+    return {
+      data: [],
+      batches: async function* () {
+        let batch = [];
+        let rowsRead = 0;
+        
+        for await (const record of this.readNDJSONRecords(filePath)) {
+          batch.push(this.toFlatRow(record, separator));
+          
+          if (batch.length >= batchSize) {
+            rowsRead += batch.length;
+            this.emit('progress', { agent: this.name, rowsRead, totalBytes: stats.size });
+            yield batch;
+            batch = [];
+          }
+        }
+        
+        if (batch.length > 0) {
+          rowsRead += batch.length;
+          this.emit('progress', { agent: this.name, rowsRead, totalBytes: stats.size });
+          yield batch;
+        }
+      }.bind(this),
+      metadata: {
+        type: 'ndjson',
+        streaming: true,
+        replayable: true,
+        batchSize,
+        fileSize: stats.size
+      }
+    };
+  }
+
+  async *readNDJSONRecords(filePath) {
+    const lines = readline.createInterface({
+      input: createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+    
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      const trimmed = line.replace(/^\uFEFF/, '').trim();
+      if (!trimmed) continue;
+      
+      try {
+        yield JSON.parse(trimmed);
+      } catch (error) {
+        lines.close();
+        throw new Error(`Invalid JSON on line ${lineNumber}: ${error.message}`);
+      }
+    }
+  }
+
+  toFlatRow(record, separator) {
+    // Streamed rows feed a single entity, so nested arrays of objects are kept as JSON text
+    const { flat, children } = flattenRecord(isPlainObject(record) ? record : { value: record }, { separator });
+    return { ...flat, ..._.mapValues(children, items => JSON.stringify(items)) };
+  }
+
+  buildJSONResult(records, metadata, options = {}) {
+    const separator = options.flattenSeparator || '_';
+    const rootName = options.entityName || this.entityNameFromPath(options.recordPath) || 'records';
+    const entities = this.extractJSONEntities(records, rootName, separator);
+    
+    if (entities.length === 1) {
+      const { data } = entities[0];
+      return {
+        data,
+        metadata: {
+          ...metadata,
+          rowCount: data.length,
+          columns: data.length > 0 ? Object.keys(data[0]) : []
+        }
+      };
+    }
+    
+    return {
+      data: [],
+      entities,
+      metadata: {
+        ...metadata,
+        entities: entities.map(entity => entity.name),
+        rowCount: entities.reduce((sum, entity) => sum + entity.data.length, 0)
+      }
+    };
+  }
+
+  extractJSONEntities(records, rootName, separator) {
+    const entities = [];
+    const pending = [{ name: rootName, records, parent: null, parentKeys: [] }];
+    
+    while (pending.length > 0) {
+      const { name, records: entityRecords, parent, parentKeys } = pending.shift();
+      const entity = {
+        name,
+        data: [],
+        primaryKey: [],
+        foreignKeys: [],
+        metadata: { recordPath: name }
+      };
+      const childGroups = {};
+      
+      entityRecords.forEach((record, index) => {
+        const { flat, children } = flattenRecord(isPlainObject(record) ? record : { value: record }, { separator });
+        
+        if (parent) {
+          flat._parent_id = parentKeys[index];
+        }
+        entity.data.push(flat);
+        
+        for (const [field, items] of Object.entries(children)) {
+          childGroups[field] = childGroups[field] || { records: [], parentRows: [] };
+          for (const item of items) {
+            childGroups[field].records.push(item);
+            childGroups[field].parentRows.push(index);
+          }
+        }
+      });
+      
+      if (parent) {
+        entity.foreignKeys.push({
+          columns: ['_parent_id'],
+          referencedTable: parent,
+          referencedColumns: ['_record_id'],
+          name: 'BELONGS_TO'
+        });
+      }
+      
+      // Rows that own child records get a key the children can point back to
+      if (Object.keys(childGroups).length > 0) {
+        entity.data.forEach((row, index) => {
+          row._record_id = index + 1;
+        });
+        entity.primaryKey = ['_record_id'];
+        
+        for (const [field, group] of Object.entries(childGroups)) {
+          pending.push({
+            name: `${name}${separator}${field}`,
+            records: group.records,
+            parent: name,
+            parentKeys: group.parentRows.map(index => index + 1)
+          });
+        }
+      }
+      
+      entities.push(entity);
+    }
+    
+    return entities;
+  }
+
+  entityNameFromPath(recordPath) {
+    if (!recordPath) return null;
+    const keys = parseJSONPath(recordPath).filter(selector => selector.type === 'key');
+    return keys.length > 0 ? keys[keys.length - 1].key : null;
+  }
+
+  async parseParquet(filePath) {
+    const file = await asyncBufferFromFile(filePath);
+    const metadata = await parquetMetadataAsync(file);
+    const columnTypes = this.parquetColumnTypes(metadata);
+    
+    const rows = await parquetReadObjects({ file, metadata, compressors });
+    const data = rows.map(row => this.normalizeColumnarRow(row, columnTypes));
+    
+    this.logger.info(`Parsed ${data.length} rows from Parquet`);
+    return {
+      data,
+      metadata: {
+        type: 'parquet',
+        rowCount: data.length,
+        columns: Object.keys(columnTypes),
+        columnTypes
+      }
+    };
+  }
+
+  async streamParquet(filePath, options = {}) {
+    const stats = await fs.stat(filePath);
+    const batchSize = options.batchSize || this.batchSize;
+    const file = await asyncBufferFromFile(filePath);
+    const metadata = await parquetMetadataAsync(file);
+    const columnTypes = this.parquetColumnTypes(metadata);
+    const totalRows = Number(metadata.num_rows);
+    
+    this.logger.info(`Streaming Parquet in batches of ${batchSize} rows: ${filePath}`);
+    return {
+      data: [],
+      batches: async function* () {
+        let rowStart = 0;
+        let rowsRead = 0;
+        let batch = [];
+        
+        // Each row group is decoded once and handed out in batch-sized slices
+        for (const rowGroup of metadata.row_groups) {
+          const rowEnd = rowStart + Number(rowGroup.num_rows);
+          const rows = await parquetReadObjects({ file, metadata, rowStart, rowEnd, compressors });
+          
+          for (const row of rows) {
+            batch.push(this.normalizeColumnarRow(row, columnTypes));
+            
+            if (batch.length >= batchSize) {
+              rowsRead += batch.length;
+              this.emit('progress', { agent: this.name, rowsRead, totalRows });
+              yield batch;
+              batch = [];
+            }
+          }
+          rowStart = rowEnd;
+        }
+        
+        if (batch.length > 0) {
+          rowsRead += batch.length;
+          this.emit('progress', { agent: this.name, rowsRead, totalRows });
+          yield batch;
+        }
+      }.bind(this),
+      metadata: {
+        type: 'parquet',
+        streaming: true,
+        replayable: true,
+        batchSize,
+        fileSize: stats.size,
+        rowCount: totalRows,
+        columns: Object.keys(columnTypes),
+        columnTypes
+      }
+    };
+  }
+
+  parquetColumnTypes(metadata) {
+    const columnTypes = {};
+    for (const { element, children } of parquetSchema(metadata).children) {
+      // Nested groups (structs, lists, maps) are left to value-based detection
+      const type = children.length === 0 ? this.parquetColumnType(element) : null;
+      columnTypes[element.name] = type;
+    }
+    return columnTypes;
+  }
+
+  parquetColumnType(element) {
+    const logicalType = element.logical_type?.type;
+    const convertedType = element.converted_type;
+    
+    if (['DATE', 'TIMESTAMP'].includes(logicalType) ||
+        ['DATE', 'TIMESTAMP_MILLIS', 'TIMESTAMP_MICROS'].includes(convertedType) ||
+        element.type === 'INT96') {
+      return 'date';
+    }
+    if (['STRING', 'ENUM', 'UUID', 'JSON'].includes(logicalType) || ['UTF8', 'ENUM', 'JSON'].includes(convertedType)) {
+      return 'string';
+    }
+    if (logicalType === 'DECIMAL' || convertedType === 'DECIMAL') {
+      return 'number';
+    }
+    if (logicalType === 'TIME' || ['TIME_MILLIS', 'TIME_MICROS', 'INTERVAL'].includes(convertedType)) {
+      return null;
+    }
+    
+    switch (element.type) {
+      case 'BOOLEAN':
+        return 'boolean';
+      case 'INT32':
+      case 'INT64':
+      case 'FLOAT':
+      case 'DOUBLE':
+        return 'number';
+      case 'BYTE_ARRAY':
+      case 'FIXED_LEN_BYTE_ARRAY':
+        return 'string';
+      default:
+        return null;
+    }
+  }
+
+  async parseArrow(filePath) {
+    const table = tableFromIPC(await fs.readFile(filePath));
+    const columnTypes = this.arrowColumnTypes(table.schema);
+    const data = table.toArray().map(row => this.normalizeColumnarRow(row.toJSON(), columnTypes));
+    
+    this.logger.info(`Parsed ${data.length} rows from Arrow`);
+    return {
+      data,
+      metadata: {
+        type: 'arrow',
+        rowCount: data.length,
+        columns: Object.keys(columnTypes),
+        columnTypes
+      }
+    };
+  }
+
+  async streamArrow(filePath, options = {}) {
+    const stats = await fs.stat(filePath);
+    const batchSize = options.batchSize || this.batchSize;
+    
+    // The schema is read up front so that the structuring step sees it with the first batch
+    const schemaReader = await RecordBatchReader.from(createReadStream(filePath));
+    await schemaReader.open();
+    const columnTypes = this.arrowColumnTypes(schemaReader.schema);
+    await schemaReader.cancel();
+    
+    this.logger.info(`Streaming Arrow in batches of ${batchSize} rows: ${filePath}`);
+    return {
+      data: [],
+      batches: async function* () {
+        const reader = await RecordBatchReader.from(createReadStream(filePath));
+        let batch = [];
+        let rowsRead = 0;
+        
+        for await (const recordBatch of reader) {
+          for (const row of recordBatch) {
+            batch.push(this.normalizeColumnarRow(row.toJSON(), columnTypes));
+            
+            if (batch.length >= batchSize) {
+              rowsRead += batch.length;
+              this.emit('progress', { agent: this.name, rowsRead, totalBytes: stats.size });
+              yield batch;
+              batch = [];
+            }
+          }
+        }
+        
+        if (batch.length > 0) {
+          rowsRead += batch.length;
+          this.emit('progress', { agent: this.name, rowsRead, totalBytes: stats.size });
+          yield batch;
+        }
+      }.bind(this),
+      metadata: {
+        type: 'arrow',
+        streaming: true,
+        replayable: true,
+        batchSize,
+        fileSize: stats.size,
+        columns: Object.keys(columnTypes),
+        columnTypes
+      }
+    };
+  }
+
+  arrowColumnTypes(schema) {
+    const columnTypes = {};
+    for (const field of schema.fields) {
+      columnTypes[field.name] = this.arrowColumnType(field.type);
+    }
+    return columnTypes;
+  }
+
+  arrowColumnType(type) {
+    if (DataType.isDictionary(type)) return this.arrowColumnType(type.dictionary);
+    if (DataType.isBool(type)) return 'boolean';
+    if (DataType.isInt(type) || DataType.isFloat(type) || DataType.isDecimal(type)) return 'number';
+    if (DataType.isDate(type) || DataType.isTimestamp(type)) return 'date';
+    if (DataType.isUtf8(type) || DataType.isLargeUtf8(type)) return 'string';
+    return null;
+  }
+
+  normalizeColumnarRow(row, columnTypes) {
+    const normalized = {};
+    for (const [column, value] of Object.entries(row)) {
+      normalized[column] = this.normalizeColumnarValue(value, columnTypes[column]);
+    }
+    return normalized;
+  }
+
+  normalizeColumnarValue(value, columnType) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    if (typeof value === 'bigint') {
+      // 64-bit integers beyond the safe range are kept exact as strings
+      const number = Number(value);
+      return Number.isSafeInteger(number) ? number : value.toString();
+    }
+    if (columnType === 'date' && typeof value === 'number') {
+      return new Date(value);
+    }
+    if (value instanceof Uint8Array) {
+      return Buffer.from(value).toString('base64');
+    }
+    return value;
+  }
+
+  async *querySQLite(dbConfig, query, params, batchSize, { signal, timeout } = {}) {
+    const db = await new Promise((resolve, reject) => {
+      const database = new sqlite3.Database(dbConfig.database, sqlite3.OPEN_READONLY, (err) => {
+        if (err) reject(err);
+        else resolve(database);
+      });
+    });
+    
+    // Waits on a locked database instead of failing at once, and stops the statement on abort
+    if (timeout) db.configure('busyTimeout', timeout);
+    const interrupt = () => db.interrupt();
+    signal?.addEventListener('abort', interrupt, { once: true });
+    
+    try {
+      let sql = query;
+      
+      if (!sql) {
+        const tables = await new Promise((resolve, reject) => {
+          db.all("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'", (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+          });
+        });
+        
+        if (tables.length === 0) {
+          return;
+        }
+        
+        sql = `SELECT * FROM ${this.quoteIdentifier('sqlite', tables[0].name)}`;
+        this.logger.info(`No query given, reading SQLite table: ${tables[0].name}`);
+      }
+      
+      // A prepared statement steps through the result set one row at a time
+      const statement = await new Promise((resolve, reject) => {
+        const prepared = db.prepare(sql, params, (err) => {
+          if (err) reject(err);
+          else resolve(prepared);
+        });
+      });
+      
+      try {
+        while (true) {
+          const batch = [];
+          
+          while (batch.length < batchSize) {
+            const row = await new Promise((resolve, reject) => {
+              statement.get((err, result) => {
+                if (err) reject(err);
+                else resolve(result);
+              });
+            });
+            
+            if (row === undefined) break;
+            batch.push(row);
+          }
+          
+          if (batch.length > 0) {
+            yield batch;
+          }
+          
+          if (batch.length < batchSize) break;
+        }
+      } finally {
+        await new Promise(resolve => statement.finalize(() => resolve()));
+      }
+    } finally {
+      signal?.removeEventListener('abort', interrupt);
+      await new Promise(resolve => db.close(() => resolve()));
+    }
+  }
+
+  async *queryMySQL(dbConfig, query, params, batchSize, { signal, timeout } = {}) {
+    const connection = await mysql.createConnection({ ...toMySQLConfig(dbConfig), connectTimeout: timeout });
+    // Closing the socket is the only way to stop a streaming query
+    const destroy = () => connection.destroy();
+    signal?.addEventListener('abort', destroy, { once: true });
+    
+    try {
+      let sql = query;
+      
+      if (!sql) {
+        const [tables] = await connection.query("SHOW TABLES");
+        if (tables.length === 0) {
+          return;
+        }
+        
+        const tableName = Object.values(tables[0])[0];
+        sql = `SELECT * FROM ${this.quoteIdentifier('mysql', tableName)}`;
+        this.logger.info(`No query given, reading MySQL table: ${tableName}`);
+      }
+      
+      await connection.query('START TRANSACTION READ ONLY');
+      
+      // Rows are streamed off the socket; iteration pauses the connection between batches
+      const rowStream = connection.connection.query(sql, params).stream({ highWaterMark: batchSize });
+      let batch = [];
+      
+      try {
+        for await (const row of rowStream) {
+          batch.push(row);
+          if (batch.length >= batchSize) {
+            yield batch;
+            batch = [];
+          }
+        }
+      } finally {
+        rowStream.destroy();
+      }
+      
+      if (batch.length > 0) {
+        yield batch;
+      }
+      
+      await connection.query('ROLLBACK');
+    } finally {
+      signal?.removeEventListener('abort', destroy);
+      if (!signal?.aborted) {
+        await connection.end();
+      }
+    }
+  }
+
+  async *queryPostgreSQL(dbConfig, query, params, batchSize, { signal, timeout } = {}) {
+    // statement_timeout makes the server cancel a stuck fetch itself
+    const client = new pg.Client({
+      ...toPostgresConfig(dbConfig),
+      connectionTimeoutMillis: timeout,
+      statement_timeout: timeout
+    });
+    await client.connect();
+    const end = () => client.end();
+    signal?.addEventListener('abort', end, { once: true });
+    
+    try {
+      let sql = query;
+      
+      if (!sql) {
+        const result = await client.query(`
+          SELECT table_name 
+          FROM information_schema.tables 
+          WHERE table_schema = $1 AND table_type = 'BASE TABLE'
+          LIMIT 1
+        `, [dbConfig.schema || 'public']);
+        
+        if (result.rows.length === 0) {
+          return;
+        }
+        
+        const tableName = result.rows[0].table_name;
+        sql = `SELECT * FROM ${this.quoteIdentifier('postgresql', dbConfig.schema || 'public')}.${this.quoteIdentifier('postgresql', tableName)}`;
+        this.logger.info(`No query given, reading PostgreSQL table: ${tableName}`);
+      }
+      
+      await client.query('BEGIN READ ONLY');
+      
+      // Server-side cursor: only one batch of rows is held on the client at a time
+      const cursor = client.query(new Cursor(sql, params));
+      
+      try {
+        while (true) {
+          const rows = await cursor.read(batchSize);
+          if (rows.length === 0) break;
+          yield rows;
+        }
+      } finally {
+        // A cursor on a closed connection would wait forever for the server to confirm
+        if (!signal?.aborted) {
+          await cursor.close();
+        }
+      }
+      
+      await client.query('COMMIT');
+    } finally {
+      signal?.removeEventListener('abort', end);
+      if (!signal?.aborted) {
+        await client.end();
+      }
+    }
+  }
+
+  quoteIdentifier(dbType, identifier) {
+    if (dbType === 'mysql') {
+      return `\`${String(identifier).replace(/`/g, '``')}\``;
+    }
+    return `"${String(identifier).replace(/"/g, '""')}"`;
   }
 
   async fileExists(filePath) {
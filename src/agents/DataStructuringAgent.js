@@ -1,7 +1,32 @@
 import { BaseAgent } from './BaseAgent.js';
 import { LLMService } from '../services/LLMService.js';
+import { DatasetProfiler } from '../services/DatasetProfiler.js';
+import { EntityResolver, mergeRecords } from '../services/EntityResolver.js';
+import { MatchReviewQueue } from '../services/MatchReviewQueue.js';
+import { RowValidator } from '../services/RowValidator.js';
+import { PiiPolicy } from '../services/PiiPolicy.js';
+import { DependencyMiner } from '../services/DependencyMiner.js';
+import { localeConventions, parseAmount, matchDate, parseDate, NUMBER_FORMATS, DATE_ORDERS } from '../utils/locale.js';
+import crypto from 'crypto';
+import path from 'path';
 import _ from 'lodash';
-import moment from 'moment';
+
+// Most specific first: a column of 0/1 values is boolean before it is number, plain numbers are numbers before amounts
+const TYPE_ORDER = ['boolean', 'number', 'percent', 'currency', 'date', 'email', 'url', 'phone', 'id'];
+const NUMERIC_TYPES = ['number', 'currency', 'percent'];
+
+// Column names that stand for an entity of their own even when their values do not repeat
+const ENTITY_COLUMN = /^(department|dept|division|team|unit|location|city|country|region|province|office|site|branch|company|organization|organisation|employer|category|brand|supplier|vendor|manufacturer|store|warehouse)(_(id|code|key|name))?$/;
+// Columns that point back at another row of the same table
+const SELF_REFERENCE = /(^|_)(parent|manager|supervisor|reports_to|boss|mentor)(_|$)/;
+// Labels and relationship types a reviewer may give; they are written into Cypher as they are
+const IDENTIFIER = /^[A-Za-z][A-Za-z0-9_]*$/;
+// Words in file names that say nothing about what a row is
+const GENERIC_WORDS = new Set(['data', 'database', 'db', 'dataset', 'export', 'dump', 'list', 'table', 'file', 'sheet', 'records']);
+
+function singular(word) {
+  return word.replace(/ies$/, 'y').replace(/(ss)$|s$/, '$1');
+}
 
 export class DataStructuringAgent extends BaseAgent {
   constructor(config = {}) {
@@ -9,6 +34,8 @@ export class DataStructuringAgent extends BaseAgent {
     this.dataTypes = {
       'string': 'String',
       'number': 'Number',
+      'currency': 'Currency',
+      'percent': 'Percent',
       'boolean': 'Boolean',
       'date': 'Date',
       'email': 'Email',
@@ -17,6 +44,77 @@ export class DataStructuringAgent extends BaseAgent {
       'id': 'ID'
     };
     this.llmService = new LLMService(config.llm || {});
+    this.multiValue = {
+      enabled: true,
+      separators: [',', ';', '|'],
+      minShare: 0.5,
+      maxItemLength: 50,
+      mode: 'auto',
+      columns: {},
+      ...config.multiValue
+    };
+    this.validation = {
+      rules: {},
+      quarantineDir: './data/quarantine',
+      sampleSize: 20,
+      ...config.validation
+    };
+    this.entityResolution = {
+      enabled: true,
+      mergeThreshold: 0.9,
+      reviewThreshold: 0.7,
+      maxBlockSize: 200,
+      minFields: 2,
+      againstGraph: true,
+      merge: { survivor: 'mostComplete', fields: {} },
+      entities: {},
+      ...config.entityResolution
+    };
+    this.reviewQueue = new MatchReviewQueue(this.entityResolution.reviewFile);
+    this.privacy = new PiiPolicy(config.pii);
+    this.localization = {
+      locale: 'en-US',
+      timezone: 'UTC',
+      ...config.localization
+    };
+    // Set by the orchestrator so records can be matched with nodes already in the graph
+    this.graphLookup = null;
+    // Set by the orchestrator: { keys(metadata), match(label, property, values) } over key properties in the graph
+    this.graphCatalog = null;
+    this.graphReferences = {
+      enabled: true,
+      minContainment: 0.9,
+      maxValues: 1000,
+      samples: 5,
+      ...config.graphReferences
+    };
+    this.normalization = {
+      enabled: true,
+      minRows: 10,
+      maxDistinctRatio: 0.5,
+      minSupport: 0.1,
+      minContainment: 0.9,
+      ...config.normalization
+    };
+    this.dependencies = {
+      enabled: true,
+      maxKeySize: 3,
+      maxDeterminantSize: 2,
+      maxError: 0.02,
+      minSupport: 0.1,
+      maxColumns: 20,
+      maxRows: 10000,
+      minKeyRows: 50,
+      ...config.dependencies
+    };
+    this.profiling = {
+      typeConfidence: 1,
+      topK: 10,
+      exactDistinctLimit: 10000,
+      quantileSampleSize: 10000,
+      streamPass: true,
+      ...config.profiling
+    };
   }
 
   async initialize() {
@@ -27,29 +125,80 @@ export class DataStructuringAgent extends BaseAgent {
   async execute(data) {
     this.logger.info('Starting data structuring process');
     
-    const { data: rawData, metadata } = data;
+    const { data: rawData, metadata, analysis: profiledAnalysis } = data;
+    
+    if (data.entities?.length > 0) {
+      return await this.structureEntities(data.entities, metadata);
+    }
     
     if (!rawData || rawData.length === 0) {
       throw new Error('No data provided for structuring');
     }
 
-    // Analyze data structure
-    const analysis = await this.analyzeDataStructure(rawData);
+    // Streamed sources arrive with the profile of the whole stream
+    const analysis = profiledAnalysis || await this.analyzeDataStructure(rawData, metadata?.columnTypes, metadata);
     
-    // Clean and normalize data
-    const cleanedData = await this.cleanData(rawData, analysis);
+    // Clean and normalize data; delimited multi-valued cells become lists
+    const multiValued = this.detectMultiValued(rawData, analysis, metadata);
+    const cleanedRows = this.applyMultiValued(await this.cleanData(rawData, analysis), analysis, multiValued);
+    
+    // Rows that break a validation rule are quarantined instead of loaded
+    const validator = this.createValidator(metadata);
+    const entityName = this.entityNameForSource(metadata) || 'MainEntity';
+    const cleanedData = validator ? await validator.validate(entityName, cleanedRows) : cleanedRows;
+    this.applyValidationAccuracy(analysis.dataQuality, validator?.accuracy(entityName));
+    if (cleanedData.length === 0 && !metadata?.streaming) {
+      throw new Error(`All ${cleanedRows.length} rows failed validation; the reasons are in ${validator.reportFile}`);
+    }
+    
+    // Personal data is tagged before any rows go into an LLM prompt
+    const piiTags = this.privacy.tag(entityName, cleanedData, metadata?.piiPolicy);
+    
+    // Flat tables whose repeated values stand for other entities are split into those entities
+    const normalized = this.normalizeTable(cleanedData, analysis, metadata);
+    if (normalized) {
+      normalized.entities[0].multiValued = multiValued;
+      normalized.entities.forEach(entity => { entity.validated = true; });
+      return await this.structureEntities(normalized.entities, { ...metadata, normalization: normalized.summary }, validator);
+    }
     
     // Detect relationships
     const relationships = await this.detectRelationships(cleanedData, analysis);
     
     // Generate schema with LLM assistance
-    const schema = await this.generateSchemaWithLLM(analysis, relationships, cleanedData);
+    const schema = await this.generateSchemaWithLLM(analysis, relationships, cleanedData, piiTags);
+    
+    // Incremental loads declare the row key so later loads update the same nodes
+    if (metadata?.primaryKey?.length > 0) {
+      this.applyPrimaryKey(schema, metadata.primaryKey);
+    }
+    const dependencies = this.applyDependencies(schema, schema.entities[0], cleanedData, analysis, metadata);
     
-    // Structure data according to schema
-    const structuredData = await this.structureData(cleanedData, schema);
+    this.linkMultiValued(schema, relationships, schema.entities[0], multiValued);
+    
+    // Duplicate records are merged before they become nodes
+    const [mainEntity] = schema.entities;
+    this.keepJoinable(piiTags, mainEntity.primaryKey || []);
+    this.applyPiiTags(mainEntity, piiTags);
+    const graphReferences = await this.linkGraphReferences(
+      schema,
+      relationships,
+      [{ name: mainEntity.name, label: mainEntity.label, data: cleanedData, primaryKey: mainEntity.primaryKey || [] }],
+      { [mainEntity.name]: analysis },
+      { [mainEntity.name]: piiTags },
+      metadata
+    );
+    const resolution = await this.resolveEntities(
+      [{ name: mainEntity.name, label: mainEntity.label, data: cleanedData, primaryKey: mainEntity.primaryKey || [] }],
+      { [mainEntity.name]: analysis },
+      metadata
+    );
+    
+    // Structure data according to schema; the graph gets personal data as the policy says
+    const structuredData = await this.privacy.apply(await this.structureData(resolution.entities[0].data, schema), piiTags, 'graph');
     
     // Generate LLM insights
-    const llmInsights = await this.generateLLMInsights(cleanedData, analysis, relationships, schema);
+    const llmInsights = await this.generateLLMInsights(cleanedData, analysis, relationships, schema, piiTags);
     
     const result = {
       originalData: rawData,
@@ -60,6 +209,11 @@ export class DataStructuringAgent extends BaseAgent {
       llmInsights,
       metadata: {
         ...metadata,
+        validation: validator || undefined,
+        entityResolution: resolution.summary,
+        graphReferences: graphReferences.length > 0 ? graphReferences : undefined,
+        dependencies: dependencies ? { [entityName]: dependencies } : undefined,
+        pii: _.isEmpty(piiTags) ? undefined : { [entityName]: piiTags },
         processedAt: new Date().toISOString(),
         originalRowCount: rawData.length,
         structuredRowCount: structuredData.length
@@ -70,102 +224,1531 @@ export class DataStructuringAgent extends BaseAgent {
     return result;
   }
 
-  async analyzeDataStructure(data) {
-    this.logger.info('Analyzing data structure');
+  applyPrimaryKey(schema, primaryKey) {
+    const [entity] = schema.entities;
+    entity.primaryKey = primaryKey;
+    // A declared key replaces uniqueness guessed from the rows
+    entity.properties = entity.properties.map(prop => ({
+      ...prop,
+      unique: primaryKey.length === 1 && prop.name === primaryKey[0]
+    }));
+  }
+
+  applyDependencies(schema, entity, rows, analysis, metadata = {}) {
+    // Candidate keys and functional dependencies found in the rows go into the schema's constraints. Without a
+    // declared key, uniqueness is what the keys show and the best key identifies the entity's nodes
+    const found = this.discoverDependencies(rows, analysis, metadata);
+    if (found?.exact) {
+      if (!(entity.primaryKey?.length > 0)) {
+        const key = this.chooseKey(found.keys, analysis);
+        if (key) entity.primaryKey = key;
+        entity.properties = entity.properties.map(prop => ({
+          ...prop,
+          unique: found.keys.some(candidate => candidate.length === 1 && candidate[0] === prop.name)
+        }));
+      }
+      schema.constraints.push(...found.keys
+        .filter(key => !_.isEqual(key, entity.primaryKey))
+        .map(key => ({ type: 'CANDIDATE_KEY', entity: entity.name, properties: key })));
+    }
     
-    const sampleSize = Math.min(100, data.length);
-    const sample = data.slice(0, sampleSize);
+    if (entity.primaryKey?.length > 0) {
+      schema.constraints.push({ type: 'NODE_KEY', entity: entity.name, properties: entity.primaryKey });
+    }
+    schema.constraints.push(...(found?.dependencies || []).map(dependency => ({
+      type: 'FUNCTIONAL_DEPENDENCY', entity: entity.name, ...dependency
+    })));
+    return found;
+  }
+
+  discoverDependencies(rows, analysis, metadata = {}) {
+    // A stream's first batch says little about the rest of it, so streams are not mined
+    if (!this.dependencies.enabled || metadata?.streaming || rows.length < 2) return null;
     
-    const columnAnalysis = {};
-    const columns = Object.keys(sample[0] || {});
+    const columns = analysis.columns.filter(column => {
+      const col = analysis.columnAnalysis[column];
+      return col && col.dataType !== 'list' && !col.unitOf && !(col.statistics?.avgLength > 60);
+    });
+    const keyColumns = columns.filter(column => this.isKeyCandidate(analysis.columnAnalysis[column]));
+    const identifierColumns = keyColumns.filter(column => analysis.columnAnalysis[column].patterns.includes('identifier'));
+    const found = new DependencyMiner(this.dependencies).discover(rows, columns, { keyColumns, identifierColumns });
+    
+    this.logger.info(`Found ${found.keys.length} candidate keys and ${found.dependencies.length} functional dependencies` +
+      (found.exact ? '' : ` in a sample of ${found.rows} rows`));
+    return found;
+  }
+
+  isKeyCandidate(col) {
+    // Amounts, fractions, flags and dates can be unique by chance, but they do not identify anything
+    return ['string', 'id', 'email', 'phone', 'url'].includes(col.dataType) ||
+      (col.dataType === 'number' && col.patterns.includes('integer'));
+  }
+
+  chooseKey(keys, analysis) {
+    // The smallest key with an identifier among its columns, such as order_id or (order_id, line_no)
+    const identifying = keys.filter(key => key.some(column => analysis.columnAnalysis[column]?.patterns.includes('identifier')));
+    return _.minBy(identifying, key => key.length) || null;
+  }
+
+  async structureEntities(entities, metadata, validator = this.createValidator(metadata)) {
+    this.logger.info(`Structuring ${entities.length} entities`);
+    
+    const entityAnalysis = {};
+    const entityData = {};
+    const schema = {
+      entities: [],
+      relationships: [],
+      constraints: []
+    };
+    
+    const cleanedEntities = [];
+    const piiTags = {};
+    for (const entity of entities) {
+      const analysis = await this.analyzeDataStructure(entity.data, entity.metadata?.columnTypes, metadata);
+      // A flat table that was split up has had its multi-valued columns handled already
+      const multiValued = entity.multiValued ?? this.detectMultiValued(entity.data, analysis, metadata);
+      const cleanedRows = this.applyMultiValued(await this.cleanData(entity.data, analysis), analysis, multiValued);
+      // Entities split off a flat table were validated as part of it
+      const cleanedData = validator && !entity.validated ? await validator.validate(entity.name, cleanedRows) : cleanedRows;
+      this.applyValidationAccuracy(analysis.dataQuality, validator?.accuracy(entity.name));
+      piiTags[entity.name] = this.privacy.tag(entity.name, cleanedData, metadata?.piiPolicy);
+      entityAnalysis[entity.name] = analysis;
+      cleanedEntities.push({ ...entity, data: cleanedData, multiValued });
+    }
+    
+    // Sources without declared keys (spreadsheets, files) get their references inferred from the values
+    const referencedEntities = entities.every(entity => entity.foreignKeys === undefined)
+      ? this.detectEntityReferences(cleanedEntities, entityAnalysis)
+      : cleanedEntities;
+    
+    // Duplicates are merged once keys are known, so references to a merged record can follow it
+    const resolution = await this.resolveEntities(referencedEntities, entityAnalysis, metadata);
+    const keyedEntities = resolution.entities;
+    
+    const dependencies = {};
+    for (const entity of keyedEntities) {
+      const analysis = entityAnalysis[entity.name];
+      const entitySchema = await this.generateSchema(analysis, []);
+      const primaryKey = entity.primaryKey || [];
+      const schemaEntity = {
+        ...entitySchema.entities[0],
+        name: entity.name,
+        label: this.toLabel(entity.name),
+        primaryKey,
+        // A declared key replaces uniqueness guessed from the rows
+        properties: entitySchema.entities[0].properties.map(prop => (
+          primaryKey.length > 0
+            ? { ...prop, unique: primaryKey.length === 1 && prop.name === primaryKey[0] }
+            : prop
+        ))
+      };
+      schema.entities.push(schemaEntity);
+      
+      const found = this.applyDependencies(schema, schemaEntity, entity.data, analysis, metadata);
+      if (found) dependencies[entity.name] = found;
+      entity.primaryKey = schemaEntity.primaryKey;
+      
+      entityData[entity.name] = await this.structureData(entity.data, entitySchema);
+    }
+    
+    // Each foreign key becomes one relationship type
+    for (const entity of keyedEntities) {
+      for (const fk of entity.foreignKeys || []) {
+        schema.relationships.push({
+          type: 'entity_reference',
+          name: this.generateReferenceName(fk, entity, schema.relationships),
+          sourceEntity: entity.name,
+          targetEntity: fk.referencedTable,
+          sourceProperties: fk.columns,
+          targetProperties: fk.referencedColumns,
+          confidence: fk.confidence ?? 1,
+          declared: !fk.inferred,
+          description: `${entity.name}.${fk.columns.join(', ')} references ${fk.referencedTable}.${fk.referencedColumns.join(', ')}`
+        });
+      }
+    }
+    
+    for (const entity of keyedEntities) {
+      const entitySchema = schema.entities.find(candidate => candidate.name === entity.name);
+      this.linkMultiValued(schema, schema.relationships, entitySchema, entity.multiValued);
+    }
+    
+    this.tagEntityPii(keyedEntities, piiTags);
+    const graphReferences = await this.linkGraphReferences(
+      schema, schema.relationships, keyedEntities, entityAnalysis, piiTags, metadata
+    );
+    for (const entity of keyedEntities) {
+      this.applyPiiTags(schema.entities.find(candidate => candidate.name === entity.name), piiTags[entity.name]);
+      entityData[entity.name] = await this.privacy.apply(entityData[entity.name], piiTags[entity.name], 'graph');
+    }
+    
+    const structuredData = Object.values(entityData).flat();
+    const analysis = {
+      columns: [],
+      columnAnalysis: {},
+      entities: entityAnalysis,
+      totalRows: structuredData.length,
+      dataQuality: this.combineDataQuality(Object.values(entityAnalysis))
+    };
+    
+    // The largest entity stands in for the dataset in LLM prompts
+    const primaryEntity = _.maxBy(entities, entity => entity.data.length);
+    const llmInsights = await this.generateLLMInsights(
+      entityData[primaryEntity.name],
+      entityAnalysis[primaryEntity.name],
+      schema.relationships,
+      schema,
+      piiTags[primaryEntity.name]
+    );
+    
+    this.logger.info(`Data structuring completed. Processed ${structuredData.length} rows across ${entities.length} entities`);
+    return {
+      originalData: [],
+      structuredData,
+      entityData,
+      schema,
+      relationships: schema.relationships,
+      analysis,
+      llmInsights,
+      metadata: {
+        ...metadata,
+        validation: validator || undefined,
+        entityResolution: resolution.summary,
+        graphReferences: graphReferences.length > 0 ? graphReferences : undefined,
+        dependencies: _.isEmpty(dependencies) ? undefined : dependencies,
+        pii: _.isEmpty(_.omitBy(piiTags, _.isEmpty)) ? undefined : _.omitBy(piiTags, _.isEmpty),
+        processedAt: new Date().toISOString(),
+        originalRowCount: structuredData.length,
+        structuredRowCount: structuredData.length
+      }
+    };
+  }
+
+  detectEntityReferences(entities, entityAnalysis, minContainment = 0.9) {
+    this.logger.info('Detecting references between entities');
+    
+    const keys = {};
+    for (const entity of entities) {
+      const key = this.findCandidateKey(entity.data, entityAnalysis[entity.name]);
+      if (key) {
+        keys[entity.name] = {
+          column: key.name,
+          values: new Set(entity.data.map(row => String(row[key.name])))
+        };
+      }
+    }
+    
+    return entities.map(entity => {
+      const foreignKeys = [];
+      
+      for (const [targetName, key] of Object.entries(keys)) {
+        if (targetName === entity.name) continue;
+        
+        for (const column of entityAnalysis[entity.name].columns) {
+          if (column === keys[entity.name]?.column) continue;
+          
+          // The column name has to point at the other entity, otherwise small integers match any id range
+          if (!this.namedAfter(column, targetName, key.column)) continue;
+          
+          const values = new Set(entity.data
+            .map(row => row[column])
+            .filter(value => value !== null && value !== undefined)
+            .map(String));
+          if (values.size === 0) continue;
+          
+          const contained = [...values].filter(value => key.values.has(value)).length;
+          const containment = contained / values.size;
+          
+          if (containment >= minContainment) {
+            foreignKeys.push({
+              columns: [column],
+              referencedTable: targetName,
+              referencedColumns: [key.column],
+              inferred: true,
+              confidence: containment
+            });
+          }
+        }
+      }
+      
+      return {
+        ...entity,
+        primaryKey: keys[entity.name] ? [keys[entity.name].column] : [],
+        foreignKeys
+      };
+    });
+  }
+
+  namedAfter(column, targetName, keyColumn) {
+    // customer_id, customer and cust_no all point at Customer; so does a column named like its key
+    const targetStem = _.snakeCase(targetName).replace(/ies$/, 'y').replace(/s$/, '');
+    const columnName = _.snakeCase(column);
+    const columnStem = columnName.replace(/_(id|key|code|no|number)$/, '');
+    return columnName === _.snakeCase(keyColumn) ||
+      (columnStem.length >= 3 && (columnStem.startsWith(targetStem) || targetStem.startsWith(columnStem)));
+  }
+
+  async linkGraphReferences(schema, relationships, entities, entityAnalysis, piiTags = {}, metadata = {}) {
+    // Columns whose values are keys of nodes loaded by earlier jobs, e.g. orders.customer_id and (:Customer {customer_id}).
+    // Columns named after the label are linked to those nodes; other columns that fit are only suggested
+    const settings = this.graphReferences;
+    if (!settings.enabled || !this.graphCatalog || metadata?.streaming) return [];
+    
+    const keys = (await this.graphCatalog.keys(metadata)).filter(key => ['string', 'number'].includes(key.valueType));
+    if (keys.length === 0) return [];
+    this.logger.info(`Checking columns against ${keys.length} key properties already in the graph`);
+    
+    const found = [];
+    for (const entity of entities) {
+      const label = entity.label || this.toLabel(entity.name);
+      // Columns already linked within the upload, and masked columns, whose graph values differ from the rows
+      const skipped = new Set([
+        ...relationships.filter(rel => rel.sourceEntity === entity.name).flatMap(rel => rel.sourceProperties || []),
+        ...Object.keys(_.pickBy(piiTags[entity.name] || {}, tag => tag.graph !== 'keep'))
+      ]);
+      
+      for (const col of Object.values(entityAnalysis[entity.name].columnAnalysis)) {
+        if (skipped.has(col.name) || !this.isReferenceCandidate(col)) continue;
+        const values = _.uniq(entity.data.map(row => row[col.name]).filter(value => value !== null && value !== undefined && value !== ''));
+        if (values.length === 0) continue;
+        const checked = values.slice(0, settings.maxValues);
+        
+        // A label is not checked against itself: an entity's key is the entity, not a reference to it
+        for (const key of keys.filter(candidate => candidate.label !== label && candidate.valueType === typeof checked[0])) {
+          const matched = await this.graphCatalog.match(key.label, key.property, checked);
+          const containment = matched.length / checked.length;
+          if (containment < settings.minContainment) continue;
+          
+          found.push({
+            entity: entity.name,
+            column: col.name,
+            label: key.label,
+            property: key.property,
+            containment,
+            checked: checked.length,
+            matched: matched.length,
+            samples: matched.slice(0, settings.samples),
+            // Keys and generic names such as id fit any label with a range of small integers, so they are never linked
+            named: !(entity.primaryKey || []).includes(col.name) && !['id', 'key', 'code', 'name'].includes(_.snakeCase(col.name)) &&
+              this.namedAfter(col.name, key.label, key.property)
+          });
+        }
+      }
+    }
+    
+    // A column links to one label at most: the best contained of those it is named after
+    const linked = _.uniqBy(_.orderBy(found.filter(match => match.named), 'containment', 'desc'), match => `${match.entity}.${match.column}`);
+    for (const match of linked) {
+      const entity = entities.find(candidate => candidate.name === match.entity);
+      const relationship = {
+        type: 'entity_reference',
+        name: this.generateReferenceName({ columns: [match.column], referencedTable: match.label }, entity, relationships),
+        sourceEntity: match.entity,
+        targetEntity: match.label,
+        sourceProperties: [match.column],
+        targetProperties: [match.property],
+        confidence: match.containment,
+        declared: false,
+        inGraph: true,
+        description: `${match.entity}.${match.column} references ${match.label}.${match.property} already in the graph`
+      };
+      relationships.push(relationship);
+      if (schema.relationships !== relationships) {
+        schema.relationships.push(relationship);
+      }
+    }
+    
+    const suggestions = found.map(match => ({ ..._.omit(match, 'named'), linked: linked.includes(match) }));
+    for (const suggestion of suggestions) {
+      this.logger.info(`${suggestion.entity}.${suggestion.column} fits ${suggestion.label}.${suggestion.property}: ` +
+        `${suggestion.matched} of ${suggestion.checked} values (${suggestion.linked ? 'linked' : 'suggested'})`);
+    }
+    return suggestions;
+  }
+
+  isReferenceCandidate(col) {
+    // Identifier-like columns: text, ids and whole numbers, but not amounts, dates, lists or long text
+    const typed = ['string', 'id', 'email'].includes(col.dataType) || (col.dataType === 'number' && col.patterns.includes('integer'));
+    return typed && !col.unitOf && !(col.statistics?.avgLength > 60);
+  }
+
+  findCandidateKey(rows, analysis) {
+    // A candidate key is a complete, unique column, preferably one named like an identifier
+    const candidates = Object.values(analysis.columnAnalysis).filter(col =>
+      col.nullCount === 0 && this.countDistinct(rows, col.name) === rows.length
+    );
+    return candidates.find(col => col.patterns.includes('identifier')) || candidates[0];
+  }
+
+  countDistinct(rows, column) {
+    return new Set(rows.map(row => row[column])).size;
+  }
+
+  normalizeTable(rows, analysis, metadata = {}) {
+    const settings = this.normalization;
+    // Later batches of a stream are structured against a single-entity schema, so streams stay flat
+    if (!settings.enabled || metadata?.streaming || rows.length < settings.minRows) {
+      return null;
+    }
+    
+    const { columnAnalysis } = analysis;
+    const keyColumns = metadata?.primaryKey?.length > 0
+      ? metadata.primaryKey
+      : [this.findCandidateKey(rows, analysis)?.name].filter(Boolean);
+    
+    // Manager and parent columns become references between rows of the main entity
+    const keyValues = keyColumns.length === 1 ? new Set(rows.map(row => String(row[keyColumns[0]]))) : null;
+    const selfReferences = keyValues
+      ? analysis.columns.filter(column => (
+        !keyColumns.includes(column) &&
+        SELF_REFERENCE.test(_.snakeCase(column)) &&
+        this.containment(rows, column, keyValues) >= settings.minContainment
+      ))
+      : [];
+    
+    const groups = {};
+    for (const column of analysis.columns) {
+      groups[column] = this.valueGroups(rows, column);
+    }
+    
+    const isCandidate = (column) => {
+      const col = columnAnalysis[column];
+      if (keyColumns.includes(column) || selfReferences.includes(column) || col.unitOf) return false;
+      const { distinct, present, avgLength } = groups[column];
+      const typed = ['string', 'id'].includes(col.dataType) ||
+        (col.dataType === 'number' && col.patterns.includes('identifier'));
+      if (!typed || distinct === 0 || avgLength > 60) return false;
+      
+      const repeated = distinct >= 2 && distinct <= present * settings.maxDistinctRatio;
+      return repeated || ENTITY_COLUMN.test(_.snakeCase(column));
+    };
+    let dimensions = analysis.columns.filter(isCandidate);
+    if (dimensions.length === 0) {
+      return null;
+    }
+    
+    // Functional dependencies: a dimension determines a column when each of its values always comes with the same value there
+    const movable = analysis.columns.filter(column => (
+      !keyColumns.includes(column) && !selfReferences.includes(column) &&
+      columnAnalysis[column].dataType !== 'list' && groups[column].distinct > 1
+    ));
+    const dependents = {};
+    for (const dimension of dimensions) {
+      dependents[dimension] = new Set(movable.filter(column => (
+        column !== dimension && this.determines(rows, dimension, column, groups[dimension])
+      )));
+    }
+    
+    // Two columns that determine each other (a code and its name) are one entity
+    for (const dimension of [...dimensions]) {
+      const twin = dimensions.find(other => (
+        other !== dimension && dependents[dimension].has(other) && dependents[other].has(dimension)
+      ));
+      if (twin && !this.isPreferredDimension(dimension, twin, analysis.columns)) {
+        dimensions = dimensions.filter(column => column !== dimension);
+      }
+    }
+    
+    // A repeated column is only an entity when its name says so or other columns depend on it
+    let owners = this.assignDependents(dimensions, dependents, groups);
+    dimensions = dimensions.filter(dimension => (
+      ENTITY_COLUMN.test(_.snakeCase(dimension)) || Object.values(owners).includes(dimension)
+    ));
+    if (dimensions.length === 0) {
+      return null;
+    }
+    owners = this.assignDependents(dimensions, dependents, groups);
+    
+    const mainName = this.entityNameForSource(metadata) || 'MainEntity';
+    const names = new Set([mainName]);
+    const specs = [];
+    for (const column of dimensions) {
+      const stem = _.snakeCase(column).replace(/_(id|code|key|name|no|number)$/, '');
+      const name = this.toLabel(stem);
+      if (names.has(name)) continue;
+      names.add(name);
+      
+      // department -> Department.name, department_id -> Department.department_id
+      const keyProperty = /_(id|code|key|no|number)$/.test(_.snakeCase(column)) ? column : 'name';
+      const moved = Object.keys(owners).filter(dependent => owners[dependent] === column);
+      // department_head -> Department.head, unless that name is taken
+      const renamed = {};
+      for (const dependent of moved) {
+        const stripped = _.snakeCase(dependent).startsWith(`${stem}_`) ? _.snakeCase(dependent).slice(stem.length + 1) : dependent;
+        renamed[dependent] = [stripped, dependent, `${stem}_${dependent}`].find(candidate => (
+          candidate !== keyProperty && !Object.values(renamed).includes(candidate)
+        ));
+      }
+      specs.push({ column, name, keyProperty, moved, renamed });
+    }
+    
+    const specByColumn = _.keyBy(specs, 'column');
+    const movedColumns = new Set(specs.flatMap(spec => spec.moved));
     
+    const entities = [{
+      name: mainName,
+      data: rows.map(row => _.omit(row, [...movedColumns])),
+      primaryKey: keyColumns,
+      foreignKeys: [
+        ...specs
+          .filter(spec => !movedColumns.has(spec.column))
+          .map(spec => ({ columns: [spec.column], referencedTable: spec.name, referencedColumns: [spec.keyProperty] })),
+        ...selfReferences.map(column => ({ columns: [column], referencedTable: mainName, referencedColumns: keyColumns }))
+      ],
+      metadata: { columnTypes: metadata?.columnTypes }
+    }];
+    
+    for (const spec of specs) {
+      const entityRows = new Map();
+      for (const row of rows) {
+        const value = row[spec.column];
+        if (value === null || value === undefined || entityRows.has(String(value))) continue;
+        
+        const entityRow = { [spec.keyProperty]: value };
+        for (const dependent of spec.moved) {
+          entityRow[spec.renamed[dependent]] = row[dependent];
+        }
+        entityRows.set(String(value), entityRow);
+      }
+      
+      entities.push({
+        name: spec.name,
+        data: [...entityRows.values()],
+        primaryKey: [spec.keyProperty],
+        // Dimensions that depend on this one (city -> country) hang off it rather than the main entity
+        foreignKeys: spec.moved
+          .filter(dependent => specByColumn[dependent])
+          .map(dependent => ({
+            columns: [spec.renamed[dependent]],
+            referencedTable: specByColumn[dependent].name,
+            referencedColumns: [specByColumn[dependent].keyProperty]
+          }))
+      });
+    }
+    
+    if (entities.length === 1) {
+      return null;
+    }
+    
+    this.logger.info(`Normalized ${mainName} into ${entities.map(entity => entity.name).join(', ')}`);
+    return {
+      entities,
+      summary: {
+        mainEntity: mainName,
+        key: keyColumns,
+        entities: specs.map(spec => ({
+          name: spec.name,
+          column: spec.column,
+          key: spec.keyProperty,
+          properties: spec.moved.map(dependent => spec.renamed[dependent])
+        })),
+        selfReferences
+      }
+    };
+  }
+
+  valueGroups(rows, column) {
+    const counts = new Map();
+    let present = 0;
+    let totalLength = 0;
+    for (const row of rows) {
+      const value = row[column];
+      if (value === null || value === undefined || value === '') continue;
+      const key = String(value);
+      counts.set(key, (counts.get(key) || 0) + 1);
+      present++;
+      totalLength += key.length;
+    }
+    return { counts, distinct: counts.size, present, avgLength: present > 0 ? totalLength / present : 0 };
+  }
+
+  determines(rows, determinant, dependent, determinantGroups) {
+    // Rows that repeat a determinant value are the evidence; a near-unique column trivially determines everything
+    const { distinct, present } = determinantGroups;
+    if (present - distinct < Math.max(2, present * this.normalization.minSupport)) {
+      return false;
+    }
+    
+    const seen = new Map();
+    for (const row of rows) {
+      const value = row[determinant];
+      if (value === null || value === undefined || value === '') continue;
+      
+      const dependentValue = row[dependent] instanceof Date ? row[dependent].toISOString() : row[dependent] ?? null;
+      const key = String(value);
+      if (!seen.has(key)) {
+        seen.set(key, dependentValue);
+      } else if (seen.get(key) !== dependentValue) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  isPreferredDimension(column, twin, columns) {
+    // Of a code and its name, the code is the key; otherwise the first column wins
+    const keyLike = (name) => /_(id|code|key|no|number)$/.test(_.snakeCase(name));
+    if (keyLike(column) !== keyLike(twin)) {
+      return keyLike(column);
+    }
+    return columns.indexOf(column) < columns.indexOf(twin);
+  }
+
+  assignDependents(dimensions, dependents, groups) {
+    // Each dependent column moves to the coarsest dimension that determines it: country_code goes to Country, not City
+    const owners = {};
+    const columns = _.uniq(dimensions.flatMap(dimension => [...dependents[dimension]]));
     for (const column of columns) {
-      const values = sample.map(row => row[column]).filter(val => val !== null && val !== undefined);
-      columnAnalysis[column] = this.analyzeColumn(column, values);
+      const determinants = dimensions.filter(dimension => (
+        dimension !== column && dependents[dimension].has(column) &&
+        // A twin that was merged away is an attribute, so it cannot own its partner
+        !(dimensions.includes(column) && dependents[column].has(dimension))
+      ));
+      if (determinants.length > 0) {
+        owners[column] = _.minBy(determinants, dimension => groups[dimension].distinct);
+      }
+    }
+    return owners;
+  }
+
+  containment(rows, column, keyValues) {
+    const values = new Set(rows
+      .map(row => row[column])
+      .filter(value => value !== null && value !== undefined && value !== '')
+      .map(String));
+    if (values.size === 0) return 0;
+    return [...values].filter(value => keyValues.has(value)).length / values.size;
+  }
+
+  entityNameForSource(metadata = {}) {
+    const source = metadata?.entityName || metadata?.table || metadata?.sourceName;
+    if (!source) return null;
+    
+    // employee-database -> Employee, order_items -> OrderItem
+    const words = _.snakeCase(source).split('_').filter(word => word && !GENERIC_WORDS.has(word) && !/^\d+$/.test(word));
+    if (words.length === 0) return null;
+    const last = words.pop();
+    return this.toLabel([...words, singular(last)].join('_'));
+  }
+
+  generateReferenceName(fk, entity, existingRelationships) {
+    if (fk.name) {
+      return fk.name;
+    }
+    
+    const columnMatch = fk.columns.length === 1 && fk.columns[0].match(/^(.+?)(?:_id|Id|ID)$/);
+    const stem = columnMatch ? columnMatch[1] : fk.referencedTable;
+    const name = `HAS_${_.snakeCase(stem).toUpperCase()}`;
+    
+    // Relationship types are global in Neo4j, so a second foreign key with the same stem is qualified
+    const taken = existingRelationships.some(rel => rel.name === name);
+    return taken ? `${_.snakeCase(entity.name).toUpperCase()}_${name}` : name;
+  }
+
+  toLabel(name) {
+    return _.upperFirst(_.camelCase(name)) || 'Entity';
+  }
+
+  combineDataQuality(analyses) {
+    const qualities = analyses.map(analysis => analysis.dataQuality).filter(Boolean);
+    if (qualities.length === 0) {
+      return { completeness: 0, consistency: 0, accuracy: 0, overall: 0 };
     }
     
     return {
-      columns,
-      columnAnalysis,
-      sampleSize,
-      totalRows: data.length,
-      dataQuality: this.assessDataQuality(data, columnAnalysis)
+      completeness: _.meanBy(qualities, 'completeness'),
+      consistency: _.meanBy(qualities, 'consistency'),
+      accuracy: _.meanBy(qualities, 'accuracy'),
+      overall: _.meanBy(qualities, 'overall')
     };
   }
 
-  analyzeColumn(columnName, values) {
-    const nonNullValues = values.filter(val => val !== null && val !== undefined && val !== '');
-    const nullCount = values.length - nonNullValues.length;
+  detectMultiValued(rows, analysis, metadata = {}) {
+    const settings = this.multiValue;
+    const overrides = { ...settings.columns, ...metadata?.multiValue };
+    const specs = [];
     
-    // Detect data type
-    const dataType = this.detectDataType(nonNullValues);
+    for (const column of analysis.columns) {
+      const override = overrides[column];
+      if (override === false || override?.mode === 'none') continue;
+      
+      const col = analysis.columnAnalysis[column];
+      let separator = override?.separator;
+      if (!separator) {
+        // Names and addresses are full of commas that do not separate anything
+        const detectable = settings.enabled && ['string', 'id'].includes(col.dataType) &&
+          !col.patterns.some(pattern => ['name', 'address'].includes(pattern));
+        separator = detectable ? this.detectSeparator(rows, column) : null;
+      }
+      if (!separator) continue;
+      
+      let mode = override?.mode || settings.mode;
+      if (mode === 'auto') {
+        // Items shared between rows are worth a node of their own; items unique to one row are not
+        const seen = new Set();
+        const repeated = rows.some(row => this.splitItems(row[column], separator).some(item => {
+          if (seen.has(item)) return true;
+          seen.add(item);
+          return false;
+        }));
+        mode = repeated ? 'nodes' : 'list';
+      }
+      specs.push({ column, separator, mode });
+    }
     
-    // Detect patterns
-    const patterns = this.detectPatterns(columnName, nonNullValues, dataType);
+    if (specs.length > 0) {
+      this.logger.info(`Multi-valued columns: ${specs.map(spec => `${spec.column} (${spec.mode}, "${spec.separator}")`).join(', ')}`);
+    }
+    return specs;
+  }
+
+  detectSeparator(rows, column) {
+    const { separators, minShare, maxItemLength } = this.multiValue;
+    const values = rows
+      .map(row => row[column])
+      .filter(value => typeof value === 'string' && value.trim() !== '');
+    if (values.length === 0) return null;
     
-    // Statistical analysis
-    const statistics = this.calculateStatistics(nonNullValues, dataType);
+    let best = null;
+    for (const separator of separators) {
+      const split = values.filter(value => value.includes(separator));
+      const share = split.length / values.length;
+      if (share < minShare || (best && share <= best.share)) continue;
+      
+      // Lists are made of short labels; sentences and "Last, First" pairs are not lists
+      const items = values.flatMap(value => this.splitItems(value, separator));
+      const short = items.every(item => item.length <= maxItemLength && item.split(/\s+/).length <= 4);
+      const numeric = items.every(item => !isNaN(Number(item)));
+      const pairs = split.every(value => this.splitItems(value, separator).length === 2);
+      if (short && !numeric && !pairs) {
+        best = { separator, share };
+      }
+    }
+    return best?.separator || null;
+  }
+
+  splitItems(value, separator) {
+    if (Array.isArray(value)) return value;
+    if (value === null || value === undefined || value === '') return [];
+    return _.uniq(String(value).split(separator).map(item => item.trim()).filter(Boolean));
+  }
+
+  applyMultiValued(rows, analysis, specs = []) {
+    if (specs.length === 0) return rows;
     
-    // Detect potential relationships
-    const potentialRelationships = this.detectPotentialRelationships(columnName, nonNullValues, dataType);
+    for (const { column, separator, mode } of specs) {
+      const col = analysis.columnAnalysis[column];
+      if (col) {
+        col.dataType = 'list';
+        col.multiValue = { separator, mode };
+      }
+    }
+    return rows.map(row => {
+      const split = { ...row };
+      for (const { column, separator } of specs) {
+        if (column in split) {
+          const items = this.splitItems(split[column], separator);
+          split[column] = items.length > 0 ? items : null;
+        }
+      }
+      return split;
+    });
+  }
+
+  linkMultiValued(schema, relationships, entity, specs = []) {
+    // skills -> (:Skill {name}) linked by HAS_SKILL, one node per distinct item
+    const linked = specs.filter(spec => spec.mode === 'nodes');
+    if (linked.length > 0 && !(entity.primaryKey?.length > 0)) {
+      // Links find their row's node by its key; a row number would also match nodes of earlier loads
+      this.logger.warn(`${entity.name} has no key, so ${linked.map(spec => spec.column).join(', ')} stay list properties instead of linked nodes`);
+      return;
+    }
+    
+    for (const { column } of linked) {
+      let name = this.toLabel(singular(_.snakeCase(column)));
+      if (schema.entities.some(candidate => candidate.name === name)) {
+        name = `${entity.label || entity.name}${name}`;
+      }
+      
+      schema.entities.push({
+        name,
+        label: name,
+        primaryKey: ['name'],
+        properties: [{ name: 'name', type: 'string', patterns: ['name'], nullable: false, unique: true, statistics: {} }]
+      });
+      
+      const relationship = {
+        type: 'multi_value',
+        name: this.generateReferenceName({ columns: [column], referencedTable: name }, entity, relationships),
+        sourceEntity: entity.name,
+        targetEntity: name,
+        sourceProperties: entity.primaryKey,
+        property: column,
+        targetProperties: ['name'],
+        confidence: 1,
+        description: `Each item of ${entity.name}.${column} is a ${name} node`
+      };
+      relationships.push(relationship);
+      if (schema.relationships !== relationships) {
+        schema.relationships.push(relationship);
+      }
+    }
+  }
+
+  async resolveEntities(entities, entityAnalysis, metadata = {}) {
+    // Streamed batches are structured one at a time, so there is no whole dataset to de-duplicate
+    if (!this.entityResolution.enabled || metadata?.streaming) {
+      return { entities, summary: null };
+    }
+    
+    const resolved = [];
+    const remaps = {};
+    const summary = [];
+    for (const entity of entities) {
+      const result = await this.resolveEntity(entity, entityAnalysis[entity.name], metadata);
+      if (!result) {
+        resolved.push(entity);
+        continue;
+      }
+      resolved.push({ ...entity, data: result.rows });
+      if (result.remap.size > 0) {
+        remaps[entity.name] = { primaryKey: entity.primaryKey, keys: result.remap };
+      }
+      summary.push(result.summary);
+    }
+    
+    // References to a merged-away record now point at the record it was merged into
+    const remapped = resolved.map(entity => ({ ...entity, data: this.remapReferences(entity, remaps) }));
+    return { entities: remapped, summary: summary.length > 0 ? summary : null };
+  }
+
+  async resolveEntity(entity, analysis, metadata) {
+    const settings = this.entityResolution;
+    const config = settings.entities?.[entity.name];
+    if (config === false || !analysis || entity.data.length === 0) return null;
+    
+    const primaryKey = entity.primaryKey || [];
+    const fields = config?.fields || this.comparableFields(analysis, primaryKey);
+    const blocking = (config?.blocking || this.defaultBlocking(fields))
+      .map(rule => typeof rule === 'string' ? { field: rule } : rule);
+    // Without an email, phone or name there is nothing that identifies a record, unless configured
+    if (Object.keys(fields).length === 0 || blocking.length === 0) return null;
+    
+    const records = this.recordKeys(entity.data, primaryKey).map((key, index) => ({ key, values: entity.data[index] }));
+    const existing = settings.againstGraph && primaryKey.length > 0
+      ? await this.findExistingRecords(entity, blocking, records, metadata)
+      : [];
+    
+    const decisions = await this.reviewQueue.decisions(entity.name);
+    const resolver = new EntityResolver({
+      fields,
+      blocking,
+      mergeThreshold: config?.mergeThreshold ?? settings.mergeThreshold,
+      reviewThreshold: config?.reviewThreshold ?? settings.reviewThreshold,
+      maxBlockSize: settings.maxBlockSize,
+      minFields: settings.minFields,
+      decide: keys => decisions.get(MatchReviewQueue.pairId(entity.name, keys)) || null
+    });
+    const { clusters, review, comparisons, skippedBlocks } = resolver.resolve(records, { existing });
+    
+    const rowsByKey = new Map(records.map(record => [record.key, record.values]));
+    const existingByKey = new Map(existing.map(record => [record.key, record.values]));
+    const mergedInto = new Map();
+    const remap = new Map();
+    for (const cluster of clusters) {
+      const merged = mergeRecords(cluster.members.map(key => rowsByKey.get(key)), config?.merge || settings.merge);
+      if (cluster.existing.length > 0) {
+        // A record already in the graph keeps its key, so the MERGE on load updates that node
+        Object.assign(merged, _.pick(existingByKey.get(cluster.existing[0]), primaryKey));
+      }
+      for (const key of cluster.members) {
+        mergedInto.set(key, { first: cluster.members[0], merged });
+        if (primaryKey.length > 0) {
+          remap.set(this.keyOf(rowsByKey.get(key), primaryKey), primaryKey.map(column => merged[column]));
+        }
+      }
+    }
+    
+    const rows = [];
+    for (const record of records) {
+      const target = mergedInto.get(record.key);
+      if (!target) {
+        rows.push(record.values);
+      } else if (target.first === record.key) {
+        rows.push(target.merged);
+      }
+    }
+    
+    if (review.length > 0) {
+      const valuesOf = key => _.pick(rowsByKey.get(key) || existingByKey.get(key), Object.keys(fields));
+      await this.reviewQueue.add(review.map(item => ({
+        entity: entity.name,
+        source: item.existing ? 'graph' : 'dataset',
+        keys: item.keys,
+        score: item.score,
+        fields: item.fields,
+        records: item.keys.map(key => ({ key, existing: existingByKey.has(key), values: valuesOf(key) }))
+      })));
+    }
+    if (skippedBlocks > 0) {
+      this.logger.warn(`${entity.name}: ${skippedBlocks} blocks larger than ${settings.maxBlockSize} records were not compared`);
+    }
+    this.logger.info(`${entity.name}: merged ${entity.data.length - rows.length} duplicate records in ${clusters.length} clusters, ${review.length} pairs queued for review`);
     
     return {
-      name: columnName,
+      rows,
+      remap,
+      summary: {
+        entity: entity.name,
+        fields,
+        blocking,
+        comparisons,
+        skippedBlocks,
+        merged: entity.data.length - rows.length,
+        clusters: clusters.map(cluster => ({
+          members: cluster.members,
+          existing: cluster.existing,
+          confidence: cluster.confidence
+        })),
+        review: review.length
+      }
+    };
+  }
+
+  comparableFields(analysis, primaryKey = []) {
+    // Identifying fields weigh most; keys and ids differ between duplicates by definition
+    const fields = {};
+    for (const col of Object.values(analysis.columnAnalysis)) {
+      if (primaryKey.includes(col.name) || col.patterns.includes('identifier') ||
+          ['list', 'boolean', 'unknown'].includes(col.dataType)) {
+        continue;
+      }
+      if (col.dataType === 'email' || col.patterns.includes('email')) {
+        fields[col.name] = { comparator: 'exact', weight: 3, identifying: true };
+      } else if (col.dataType === 'phone' || col.patterns.includes('phone')) {
+        fields[col.name] = { comparator: 'digits', weight: 2, identifying: true };
+      } else if (col.patterns.includes('name')) {
+        fields[col.name] = { comparator: 'name', weight: 2 };
+      } else if (NUMERIC_TYPES.includes(col.dataType) || col.dataType === 'date') {
+        fields[col.name] = { comparator: col.dataType === 'date' ? 'date' : 'number', weight: 1 };
+      } else if (!(col.statistics?.avgLength > 100)) {
+        fields[col.name] = { comparator: 'string', weight: 1 };
+      }
+    }
+    return fields;
+  }
+
+  defaultBlocking(fields) {
+    const methods = { exact: 'exact', digits: 'digits', name: 'soundex' };
+    return Object.entries(fields)
+      .filter(([, field]) => field.weight >= 2 && methods[field.comparator])
+      .map(([name, field]) => ({ field: name, method: methods[field.comparator] }));
+  }
+
+  recordKeys(rows, primaryKey) {
+    if (primaryKey.length > 0) {
+      return rows.map(row => this.keyOf(row, primaryKey));
+    }
+    // Rows without a key are known by their content; identical rows are told apart by their position among equals
+    const seen = new Map();
+    return rows.map(row => {
+      const hash = crypto.createHash('sha1').update(JSON.stringify(row)).digest('hex').slice(0, 16);
+      const occurrence = seen.get(hash) || 0;
+      seen.set(hash, occurrence + 1);
+      return occurrence === 0 ? hash : `${hash}#${occurrence}`;
+    });
+  }
+
+  keyOf(row, columns) {
+    return JSON.stringify(columns.map(column => String(row[column])));
+  }
+
+  async findExistingRecords(entity, blocking, records, metadata) {
+    if (!this.graphLookup) return [];
+    
+    const primaryKey = entity.primaryKey;
+    const datasetKeys = new Set(records.map(record => record.key));
+    const existing = new Map();
+    try {
+      // Only exact blocking keys can be looked up in the graph directly
+      for (const rule of blocking.filter(rule => (rule.method || 'exact') === 'exact')) {
+        const values = _.uniq(records.map(record => record.values[rule.field]).filter(value => value !== null && value !== undefined));
+        if (values.length === 0) continue;
+        
+        const nodes = await this.graphLookup(entity.label || this.toLabel(entity.name), rule.field, values, metadata);
+        for (const node of nodes) {
+          const key = this.keyOf(node, primaryKey);
+          // A node with the key of a record in this load is that record, not a duplicate of it
+          if (!datasetKeys.has(key)) {
+            existing.set(key, { key, values: node });
+          }
+        }
+      }
+    } catch (error) {
+      this.logger.warn(`Could not match ${entity.name} against the graph: ${error.message}`);
+      return [];
+    }
+    return [...existing.values()];
+  }
+
+  remapReferences(entity, remaps) {
+    const foreignKeys = (entity.foreignKeys || []).filter(fk => (
+      remaps[fk.referencedTable] && _.isEqual(fk.referencedColumns, remaps[fk.referencedTable].primaryKey)
+    ));
+    if (foreignKeys.length === 0) return entity.data;
+    
+    return entity.data.map(row => {
+      let remapped = row;
+      for (const fk of foreignKeys) {
+        const target = remaps[fk.referencedTable].keys.get(this.keyOf(row, fk.columns));
+        if (target) {
+          remapped = { ...remapped, ..._.zipObject(fk.columns, target) };
+        }
+      }
+      return remapped;
+    });
+  }
+
+  async structureBatch(batch, { analysis, schema, offset = 0, metadata = {} }) {
+    // Later batches of a streamed source reuse the analysis, schema and validator of the first batch
+    const multiValued = Object.values(analysis.columnAnalysis)
+      .filter(col => col.multiValue)
+      .map(col => ({ column: col.name, ...col.multiValue }));
+    const cleanedRows = this.applyMultiValued(await this.cleanData(batch, analysis), analysis, multiValued);
+    const validator = metadata.validation;
+    const cleanedData = validator instanceof RowValidator
+      ? await validator.validate(this.entityNameForSource(metadata) || 'MainEntity', cleanedRows, offset)
+      : cleanedRows;
+    return await this.privacy.apply(await this.structureData(cleanedData, schema, offset), schema.entities[0]?.pii, 'graph');
+  }
+
+  reviewTypes() {
+    // The types a property can be changed to in schema review
+    return ['string', ...TYPE_ORDER];
+  }
+
+  reviseStructure(result, { schema: edited = {}, relationships: editedRelationships } = {}) {
+    // Applies a reviewer's edits to a structuring result: entity labels and property types from the edited
+    // schema, matched by name, and the edited list of relationships. Returns the new result and what changed
+    const changes = [];
+    const conventions = this.localeContext(result.metadata);
+    const entities = result.schema.entities.map(entity => ({ ...entity }));
+    const analyses = {};
+    const retyped = {};
+    
+    for (const edit of edited.entities || []) {
+      const entity = entities.find(candidate => candidate.name === edit.name);
+      if (!entity) {
+        throw new Error(`Unknown entity in the reviewed schema: ${edit.name}`);
+      }
+      
+      const label = entity.label || entity.name;
+      if (edit.label && edit.label !== label) {
+        if (!IDENTIFIER.test(edit.label)) {
+          throw new Error(`Invalid label for ${entity.name}: ${edit.label}`);
+        }
+        changes.push({ change: 'label', entity: entity.name, from: label, to: edit.label });
+        entity.label = edit.label;
+      }
+      
+      const analysis = result.analysis.entities?.[entity.name] || result.analysis;
+      for (const propertyEdit of edit.properties || []) {
+        const prop = entity.properties.find(candidate => candidate.name === propertyEdit.name);
+        if (!prop) {
+          throw new Error(`Unknown property in the reviewed schema: ${entity.name}.${propertyEdit.name}`);
+        }
+        if (!propertyEdit.type || propertyEdit.type === prop.type) continue;
+        if (!this.reviewTypes().includes(propertyEdit.type)) {
+          throw new Error(`Unknown type for ${entity.name}.${prop.name}: ${propertyEdit.type}. Use one of ${this.reviewTypes().join(', ')}`);
+        }
+        // Masked values are hashes or tokens, which no other type can read
+        if (prop.pii && prop.pii.graph !== 'keep') {
+          throw new Error(`${entity.name}.${prop.name} is masked as personal data, so its type cannot change`);
+        }
+        
+        const col = this.retypeColumn(analysis.columnAnalysis[prop.name] || { name: prop.name }, propertyEdit.type, conventions);
+        retyped[entity.name] = { ...retyped[entity.name], [prop.name]: col };
+        analyses[entity.name] = { ...analyses[entity.name], [prop.name]: col };
+        entity.properties = entity.properties.map(candidate => candidate === prop
+          ? { ..._.omit(prop, ['temporal', 'unitProperty']), type: col.dataType, ...(col.temporal && { temporal: col.temporal }) }
+          : candidate);
+        changes.push({ change: 'type', entity: entity.name, property: prop.name, from: prop.type, to: col.dataType });
+      }
+    }
+    
+    const labels = entities.map(entity => entity.label || entity.name);
+    const shared = labels.find((label, index) => labels.indexOf(label) !== index);
+    if (shared) {
+      throw new Error(`Two entities cannot share the label ${shared}`);
+    }
+    
+    const relationships = editedRelationships
+      ? editedRelationships.map(rel => this.reviewRelationship(rel, entities, result.relationships))
+      : result.relationships;
+    const key = rel => JSON.stringify([rel.type, rel.sourceEntity ?? rel.source, rel.targetEntity ?? rel.target, rel.sourceProperties, rel.property]);
+    for (const rel of result.relationships) {
+      const kept = relationships.find(candidate => key(candidate) === key(rel));
+      if (!kept) {
+        changes.push({ change: 'dropped', relationship: rel.name || rel.type, from: rel.sourceEntity ?? rel.source, to: rel.targetEntity ?? rel.target });
+      } else if (kept.name !== rel.name) {
+        changes.push({ change: 'renamed', relationship: rel.name, to: kept.name });
+      }
+    }
+    for (const rel of relationships.filter(candidate => !result.relationships.some(original => key(original) === key(candidate)))) {
+      changes.push({ change: 'added', relationship: rel.name, from: rel.sourceEntity, to: rel.targetEntity });
+    }
+    
+    // Values of retyped properties are cleaned again as their new type; those that do not fit it are kept as they are
+    const convert = (rows, columns) => rows.map(row => ({
+      ...row,
+      ..._.mapValues(_.pick(columns, Object.keys(row)), col => this.retypeValue(row[col.name], col))
+    }));
+    const mainEntity = result.schema.entities[0]?.name;
+    const entityData = result.entityData && _.mapValues(result.entityData, (rows, name) => retyped[name] ? convert(rows, retyped[name]) : rows);
+    const structuredData = entityData
+      ? Object.values(entityData).flat()
+      : retyped[mainEntity] ? convert(result.structuredData, retyped[mainEntity]) : result.structuredData;
+    for (const change of changes.filter(candidate => candidate.change === 'type')) {
+      const col = retyped[change.entity][change.property];
+      const rows = entityData ? entityData[change.entity] : structuredData;
+      change.unconverted = rows.filter(row => !this.hasType(row[col.name], col)).length;
+    }
+    
+    const analysis = result.analysis.entities
+      ? {
+        ...result.analysis,
+        entities: _.mapValues(result.analysis.entities, (entityAnalysis, name) => analyses[name]
+          ? { ...entityAnalysis, columnAnalysis: { ...entityAnalysis.columnAnalysis, ...analyses[name] } }
+          : entityAnalysis)
+      }
+      : { ...result.analysis, columnAnalysis: { ...result.analysis.columnAnalysis, ...analyses[mainEntity] } };
+    
+    return {
+      changes,
+      result: {
+        ...result,
+        structuredData,
+        ...(entityData && { entityData }),
+        schema: { ...result.schema, entities, relationships },
+        relationships,
+        analysis,
+        metadata: { ...result.metadata, review: { reviewedAt: new Date().toISOString(), changes } }
+      }
+    };
+  }
+
+  retypeColumn(col, dataType, conventions) {
+    // The column analysis a property of the new type would have had, for cleaning its values again
+    const { locale, group, decimal, region, timezone } = conventions;
+    const values = (col.topValues || []).map(top => top.value);
+    return {
+      ..._.omit(col, ['numberFormat', 'units', 'unitColumn', 'dateOrder', 'temporal', 'timezone']),
       dataType,
-      patterns,
-      statistics,
-      potentialRelationships,
-      nullCount,
-      nullPercentage: (nullCount / values.length) * 100,
-      uniqueValues: new Set(nonNullValues).size,
-      sampleValues: nonNullValues.slice(0, 5)
+      ...(NUMERIC_TYPES.includes(dataType) && { numberFormat: col.numberFormat || { locale, group, decimal, region } }),
+      ...(dataType === 'date' && {
+        dateOrder: col.dateOrder ?? conventions.dateOrder,
+        // Without a time in the most common values, the column holds plain dates
+        temporal: col.temporal || (values.some(value => /\d:\d\d/.test(String(value))) ? 'datetime' : 'date'),
+        timezone: col.timezone || timezone
+      })
     };
   }
 
-  detectDataType(values) {
-    if (values.length === 0) return 'unknown';
+  retypeValue(value, col) {
+    const cleaned = this.cleanValue(value, col);
+    // IDs, URLs and phone numbers are text, even when they were read as numbers
+    return ['id', 'url', 'phone'].includes(col.dataType) && cleaned !== null && typeof cleaned !== 'object'
+      ? String(cleaned)
+      : cleaned;
+  }
+
+  hasType(value, col) {
+    if (value === null || value === undefined || Array.isArray(value)) return true;
+    if (NUMERIC_TYPES.includes(col.dataType)) return typeof value === 'number';
+    if (col.dataType === 'boolean') return typeof value === 'boolean';
+    if (col.dataType === 'date') return typeof value === 'string' && this.normalizeDate(value, col) !== null;
+    return typeof value === 'string';
+  }
+
+  reviewRelationship(rel, entities, proposed) {
+    // Entity references can be added in review; the other kinds come from how the rows were structured,
+    // so they can only be kept, renamed or dropped
+    if (rel.name && !IDENTIFIER.test(rel.name)) {
+      throw new Error(`Invalid relationship name: ${rel.name}`);
+    }
     
-    const sample = values.slice(0, 10);
+    if (rel.type !== 'entity_reference') {
+      const original = proposed.find(candidate => candidate.type === rel.type &&
+        ['source', 'target', 'sourceEntity', 'targetEntity', 'property'].every(field => candidate[field] === rel[field]));
+      if (!original) {
+        throw new Error(`Only entity references can be added in review, not ${rel.type || 'relationships without a type'}`);
+      }
+      return rel.name ? { ...original, name: rel.name } : original;
+    }
     
-    // Check for boolean
-    if (sample.every(val => ['true', 'false', '1', '0', 'yes', 'no'].includes(String(val).toLowerCase()))) {
-      return 'boolean';
+    const source = entities.find(entity => entity.name === rel.sourceEntity);
+    if (!source) {
+      throw new Error(`Unknown source entity for a relationship: ${rel.sourceEntity}`);
+    }
+    // The target is an entity of this job, by name or label, or a label of nodes already in the graph
+    const target = entities.find(entity => entity.name === rel.targetEntity || entity.label === rel.targetEntity);
+    if (!target && !IDENTIFIER.test(rel.targetEntity || '')) {
+      throw new Error(`Invalid target label for a relationship: ${rel.targetEntity}`);
     }
     
-    // Check for numbers
-    if (sample.every(val => !isNaN(Number(val)) && !isNaN(parseFloat(val)))) {
-      return 'number';
+    const sourceProperties = rel.sourceProperties || [];
+    const targetProperties = rel.targetProperties || [];
+    if (sourceProperties.length === 0 || sourceProperties.length !== targetProperties.length) {
+      throw new Error(`A reference from ${source.name} needs as many target properties as source properties`);
     }
+    // Properties of nodes already in the graph cannot be checked against the job, so they must be plain names
+    const invalid = target ? [] : targetProperties.filter(column => typeof column !== 'string' || !IDENTIFIER.test(column));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid target properties for a relationship: ${invalid.join(', ')}`);
+    }
+    const missing = [
+      ...sourceProperties.filter(column => !source.properties.some(prop => prop.name === column)).map(column => `${source.name}.${column}`),
+      ...(target ? targetProperties.filter(column => !target.properties.some(prop => prop.name === column)).map(column => `${target.name}.${column}`) : [])
+    ];
+    if (missing.length > 0) {
+      throw new Error(`Unknown properties in a relationship: ${missing.join(', ')}`);
+    }
+    
+    const targetEntity = target ? target.name : rel.targetEntity;
+    const original = proposed.find(candidate => candidate.type === 'entity_reference' &&
+      candidate.sourceEntity === source.name && candidate.targetEntity === targetEntity &&
+      _.isEqual(candidate.sourceProperties, sourceProperties) && _.isEqual(candidate.targetProperties, targetProperties));
+    return {
+      ...(original || {
+        confidence: 1,
+        declared: true,
+        description: `${source.name}.${sourceProperties.join(', ')} references ${targetEntity}.${targetProperties.join(', ')} (added in review)`
+      }),
+      type: 'entity_reference',
+      name: rel.name || original?.name ||
+        this.generateReferenceName({ columns: sourceProperties, referencedTable: target?.label || targetEntity }, source, proposed),
+      sourceEntity: source.name,
+      targetEntity,
+      sourceProperties,
+      targetProperties
+    };
+  }
+
+  createValidator(metadata = {}) {
+    // Rules from the config, overridden per entity by rules given with the job
+    const rules = { ...this.validation.rules, ...metadata?.validationRules };
+    if (Object.keys(rules).length === 0) return null;
     
-    // Check for dates
-    if (sample.every(val => this.isValidDate(val))) {
-      return 'date';
+    const reportId = `rejections_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+    return new RowValidator({
+      rules,
+      reportFile: path.join(this.validation.quarantineDir, `${reportId}.ndjson`),
+      sampleSize: this.validation.sampleSize
+    });
+  }
+
+  applyValidationAccuracy(quality, accuracy) {
+    // With validation rules, accuracy is the share of rows that passed them
+    if (!quality || accuracy === null || accuracy === undefined) return;
+    quality.accuracy = accuracy;
+    quality.overall = (quality.completeness + quality.consistency + quality.accuracy) / 3;
+  }
+
+  tagEntityPii(entities, piiTags) {
+    const referenced = entities.flatMap(entity => (entity.foreignKeys || []).flatMap(fk => (
+      fk.referencedColumns.map(column => ({ entity: fk.referencedTable, column }))
+    )));
+    for (const entity of entities) {
+      this.keepJoinable(piiTags[entity.name], [
+        ...(entity.primaryKey || []),
+        ...(entity.foreignKeys || []).flatMap(fk => fk.columns),
+        ...referenced.filter(reference => reference.entity === entity.name).map(reference => reference.column)
+      ]);
     }
     
-    // Check for emails
-    if (sample.every(val => this.isValidEmail(val))) {
-      return 'email';
+    // A reference is stored the way the column it points at is, or the two would no longer match
+    for (const entity of entities) {
+      const tags = piiTags[entity.name];
+      for (const fk of entity.foreignKeys || []) {
+        fk.columns.forEach((column, index) => {
+          const target = piiTags[fk.referencedTable]?.[fk.referencedColumns[index]];
+          if (target) {
+            tags[column] = { ...target, llm: tags[column]?.llm || target.llm, source: 'reference' };
+          } else if (tags[column]) {
+            tags[column] = { ...tags[column], graph: 'keep' };
+          }
+        });
+      }
     }
+  }
+
+  keepJoinable(tags, columns) {
+    // Keys and references have to stay joinable, so they are hashed rather than redacted or dropped
+    for (const column of columns) {
+      if (['redact', 'drop'].includes(tags[column]?.graph)) {
+        tags[column] = { ...tags[column], graph: 'hash' };
+      }
+    }
+  }
+
+  applyPiiTags(entity, tags) {
+    // The tags travel with the schema, so later batches of a stream are masked the same way
+    if (!entity || _.isEmpty(tags)) return;
+    entity.pii = tags;
+    entity.properties = (entity.properties || [])
+      .filter(prop => tags[prop.name]?.graph !== 'drop')
+      .map(prop => {
+        const tag = tags[prop.name];
+        if (!tag) return prop;
+        return {
+          ...prop,
+          // Masked values are strings, and redacted ones are all the same
+          type: tag.graph === 'keep' ? prop.type : 'string',
+          unique: tag.graph === 'redact' ? false : prop.unique,
+          // Text bounds are values from the column
+          statistics: _.omit(prop.statistics, ['min', 'max']),
+          pii: tag
+        };
+      });
+  }
+
+  llmOptions(piiTags) {
+    return { maskRows: rows => this.privacy.apply(rows, piiTags, 'llm') };
+  }
+
+  async analyzeDataStructure(data, columnTypes = {}, metadata = {}) {
+    this.logger.info(`Profiling ${data.length} rows`);
+    
+    const conventions = this.localeContext(metadata);
+    const profiler = this.createProfiler(conventions);
+    profiler.addBatch(data);
+    return this.buildAnalysis(profiler.finish(), columnTypes, conventions);
+  }
+
+  async profileBatches(batches, columnTypes = {}, metadata = {}) {
+    // A separate pass over a streamed source, so types are decided from every row before any is cleaned
+    this.logger.info('Profiling streamed source');
     
-    // Check for URLs
-    if (sample.every(val => this.isValidURL(val))) {
-      return 'url';
+    const conventions = this.localeContext(metadata);
+    const profiler = this.createProfiler(conventions);
+    for await (const batch of batches) {
+      profiler.addBatch(batch);
+      this.emit('progress', { agent: this.name, rowsProfiled: profiler.rowCount });
     }
     
-    // Check for phone numbers
-    if (sample.every(val => this.isValidPhone(val))) {
-      return 'phone';
+    this.logger.info(`Profiled ${profiler.rowCount} rows`);
+    return this.buildAnalysis(profiler.finish(), columnTypes, conventions);
+  }
+
+  localeContext(metadata = {}) {
+    // A job can name its own locale and time zone; otherwise the configured ones apply
+    return localeConventions(metadata?.locale || this.localization.locale, metadata?.timezone || this.localization.timezone);
+  }
+
+  createProfiler(conventions = this.localeContext()) {
+    // Date ranges are measured with the locale's field order first, the way the column is most likely read
+    const orders = [conventions.dateOrder, ...DATE_ORDERS.filter(order => order !== conventions.dateOrder)];
+    const toTime = (text) => {
+      for (const order of orders) {
+        const date = parseDate(text, { order, timezone: conventions.timezone });
+        if (date) return Date.parse(date);
+      }
+      return NaN;
+    };
+
+    return new DatasetProfiler({
+      classify: (value) => this.classifyValue(value, conventions),
+      toNumber: (value) => parseAmount(value, conventions)?.value ?? Number(value),
+      toTime,
+      topK: this.profiling.topK,
+      exactDistinctLimit: this.profiling.exactDistinctLimit,
+      quantileSampleSize: this.profiling.quantileSampleSize
+    });
+  }
+
+  buildAnalysis(profile, columnTypes = {}, conventions = this.localeContext()) {
+    const columnAnalysis = {};
+    for (const column of Object.values(profile.columns)) {
+      columnAnalysis[column.name] = this.analyzeColumn(column, columnTypes?.[column.name], conventions);
     }
+
+    // Currency symbols come off the amounts and are kept in a column of their own
+    for (const column of Object.values(columnAnalysis)) {
+      if (!column.unitColumn) continue;
+      if (profile.columns[column.unitColumn]) {
+        delete column.unitColumn;
+      } else {
+        columnAnalysis[column.unitColumn] = this.unitColumnAnalysis(column, profile.rowCount);
+      }
+    }
+
+    const warnings = Object.values(columnAnalysis).flatMap(column => (column.warnings || []).map(warning => `${column.name}: ${warning}`));
+    for (const warning of warnings) {
+      this.logger.warn(warning);
+    }
+    
+    return {
+      columns: Object.keys(columnAnalysis),
+      columnAnalysis,
+      sampleSize: profile.rowCount,
+      totalRows: profile.rowCount,
+      dataQuality: this.assessDataQuality(null, columnAnalysis),
+      warnings
+    };
+  }
+
+  analyzeColumn(profile, declaredType = null, conventions = this.localeContext()) {
+    // Typed sources (Parquet, Arrow) declare the column type, so it is not re-guessed from the values
+    const dataType = declaredType || this.detectDataType(profile, conventions);
     
-    // Check for IDs
-    if (sample.every(val => this.looksLikeID(val))) {
-      return 'id';
+    return {
+      name: profile.name,
+      dataType,
+      typeConfidence: this.typeConfidence(profile, dataType),
+      typeHistogram: profile.typeHistogram,
+      patterns: this.detectPatterns(profile.name, profile, dataType),
+      statistics: this.calculateStatistics(profile, dataType),
+      potentialRelationships: this.detectPotentialRelationships(profile.name, null, dataType),
+      nullCount: profile.nullCount,
+      nullPercentage: profile.nullPercentage,
+      uniqueValues: profile.distinct.count,
+      distinctExact: profile.distinct.exact,
+      topValues: profile.topValues.values,
+      topValuesExact: profile.topValues.exact,
+      sampleValues: profile.sampleValues,
+      ...this.columnFormat(profile, dataType, conventions)
+    };
+  }
+
+  columnFormat(profile, dataType, conventions) {
+    // How the values of a column are read when it is cleaned, and what about that is uncertain
+    const matches = profile.typeMatches;
+    const required = profile.count * this.profiling.typeConfidence;
+    const { locale, group, decimal, region, timezone } = conventions;
+
+    if (NUMERIC_TYPES.includes(dataType)) {
+      const format = { numberFormat: { locale, group, decimal, region } };
+      if (dataType !== 'currency') return format;
+      const units = _.mapKeys(_.pickBy(matches, (count, key) => key.startsWith('unit:')), (count, key) => key.slice(5));
+      return { ...format, units, unitColumn: `${profile.name}_currency` };
+    }
+
+    if (dataType === 'date') {
+      const { order, alternatives } = this.chooseDateOrder(profile, conventions) || { order: null, alternatives: [] };
+      return {
+        dateOrder: order,
+        temporal: matches['date:time'] ? 'datetime' : 'date',
+        timezone,
+        ...(alternatives.length > 0 && {
+          warnings: [`dates fit both ${[order, ...alternatives].join(' and ')}; read as ${order} for ${locale}`]
+        })
+      };
+    }
+
+    if (dataType === 'string') {
+      // Numbers written for another locale stay text, but say which locale would read them
+      const other = Object.keys(NUMBER_FORMATS).find(id => (matches[`format:${id}`] || 0) >= required);
+      if (other && profile.count > 0) {
+        return { warnings: [`values look like numbers written as ${other}, which ${locale} does not read; set the job's locale`] };
+      }
+    }
+    return {};
+  }
+
+  chooseDateOrder(profile, conventions = this.localeContext()) {
+    // The field order that reads enough of the column as dates; ISO and month-name dates read the same in every order
+    const matches = profile.typeMatches;
+    const required = profile.count * this.profiling.typeConfidence;
+    const fixed = (matches['date:ISO'] || 0) + (matches['date:TEXT'] || 0);
+    const fits = order => fixed + (matches[`date:${order}`] || 0);
+    if (fixed >= required) return { order: null, alternatives: [] };
+
+    const best = _.max(DATE_ORDERS.map(fits));
+    if (best < required) return null;
+    const top = DATE_ORDERS.filter(order => fits(order) === best);
+    // 03/04/2020 is 3 April or March 4: the locale settles a tie
+    const order = top.includes(conventions.dateOrder) ? conventions.dateOrder : top[0];
+    return { order, alternatives: top.filter(other => other !== order) };
+  }
+
+  unitColumnAnalysis(column, rowCount) {
+    // The analysis of a currency column's unit column, which the source does not have
+    const units = _.sortBy(Object.entries(column.units), ([, count]) => -count);
+    const count = _.sumBy(units, ([, unitCount]) => unitCount);
+    return {
+      name: column.unitColumn,
+      dataType: 'string',
+      typeConfidence: 1,
+      typeHistogram: { string: count },
+      patterns: ['unit'],
+      statistics: {},
+      potentialRelationships: [],
+      nullCount: rowCount - count,
+      nullPercentage: rowCount > 0 ? ((rowCount - count) / rowCount) * 100 : 0,
+      uniqueValues: units.length,
+      distinctExact: true,
+      topValues: units.map(([value, unitCount]) => ({ value, count: unitCount })),
+      topValuesExact: true,
+      sampleValues: units.slice(0, 5).map(([value]) => value),
+      unitOf: column.name
+    };
+  }
+
+  classifyValue(value, conventions = this.localeContext()) {
+    // Every type the value fits, in the order detectDataType prefers them, then details such as
+    // the currency or the date field orders, which the column settles once every value is seen
+    const text = String(value);
+    const types = [];
+    const amount = parseAmount(value, conventions);
+    const date = matchDate(value);
+    if (['true', 'false', '1', '0', 'yes', 'no'].includes(text.toLowerCase())) types.push('boolean');
+    if ((amount && !amount.currency && !amount.percent) ||
+        (conventions.decimal === '.' && !isNaN(Number(value)) && !isNaN(parseFloat(value)))) {
+      types.push('number');
+    }
+    if (amount && !amount.currency) types.push('percent');
+    if (amount && !amount.percent) types.push('currency');
+    if (date) types.push('date');
+    if (this.isValidEmail(value)) types.push('email');
+    if (this.isValidURL(value)) types.push('url');
+    if (this.isValidPhone(value)) types.push('phone');
+    if (this.looksLikeID(value)) types.push('id');
+
+    if (amount?.currency) {
+      types.push(`unit:${amount.currency}`);
+    } else if (!amount && typeof value === 'string' && /\d/.test(value)) {
+      types.push(...Object.keys(NUMBER_FORMATS).filter(id => parseAmount(value, NUMBER_FORMATS[id])).map(id => `format:${id}`));
     }
+    if (date) {
+      if (date.iso) types.push('date:ISO');
+      if (date.text) types.push('date:TEXT');
+      types.push(...date.orders.map(order => `date:${order}`));
+      if (date.time) types.push('date:time');
+    }
+    return types;
+  }
+
+  detectDataType(profile, conventions = this.localeContext()) {
+    if (profile.count === 0) return 'unknown';
+    if (profile.typeMatches.list === profile.count) return 'list';
     
-    return 'string';
+    // The first type that enough of the values fit; at the default of 1 that is every value.
+    // Dates also have to agree on one field order
+    const required = profile.count * this.profiling.typeConfidence;
+    return TYPE_ORDER.find(type => (
+      (profile.typeMatches[type] || 0) >= required && (type !== 'date' || this.chooseDateOrder(profile, conventions))
+    )) || 'string';
   }
 
-  detectPatterns(columnName, values, dataType) {
+  typeConfidence(profile, dataType) {
+    if (profile.count === 0) return 0;
+    const matches = dataType === 'string'
+      ? profile.count - (profile.typeMatches.list || 0)
+      : profile.typeMatches[dataType] || 0;
+    return matches / profile.count;
+  }
+
+  detectPatterns(columnName, profile, dataType) {
     const patterns = [];
     
     // Name-based patterns
@@ -193,46 +1776,39 @@ export class DataStructuringAgent extends BaseAgent {
     }
     
     // Value-based patterns
-    if (dataType === 'number') {
-      const nums = values.map(v => Number(v));
-      if (nums.every(n => Number.isInteger(n))) {
-        patterns.push('integer');
-      } else {
-        patterns.push('decimal');
-      }
+    if (NUMERIC_TYPES.includes(dataType) && profile.numeric) {
+      patterns.push(profile.numeric.integers ? 'integer' : 'decimal');
       
-      if (nums.every(n => n >= 0)) {
+      if (profile.numeric.nonNegative) {
         patterns.push('positive');
       }
     }
     
-    if (dataType === 'string') {
-      const lengths = values.map(v => String(v).length);
-      if (lengths.every(l => l === lengths[0])) {
-        patterns.push('fixed_length');
-      }
+    if (dataType === 'string' && profile.text && profile.text.minLength === profile.text.maxLength) {
+      patterns.push('fixed_length');
     }
     
     return patterns;
   }
 
-  calculateStatistics(values, dataType) {
+  calculateStatistics(profile, dataType) {
     const stats = {};
     
-    if (dataType === 'number') {
-      const nums = values.map(v => Number(v));
-      stats.min = Math.min(...nums);
-      stats.max = Math.max(...nums);
-      stats.mean = nums.reduce((a, b) => a + b, 0) / nums.length;
-      stats.median = this.calculateMedian(nums);
-      stats.stdDev = this.calculateStandardDeviation(nums, stats.mean);
+    if (NUMERIC_TYPES.includes(dataType) && profile.numeric) {
+      const { min, max, mean, stdDev, quantiles, quantilesExact } = profile.numeric;
+      Object.assign(stats, { min, max, mean, median: quantiles.p50, stdDev, quantiles, quantilesExact });
+    } else if (dataType === 'date' && profile.dates) {
+      stats.min = profile.dates.min;
+      stats.max = profile.dates.max;
+    } else if (profile.text) {
+      stats.min = profile.text.min;
+      stats.max = profile.text.max;
     }
     
-    if (dataType === 'string') {
-      const lengths = values.map(v => String(v).length);
-      stats.minLength = Math.min(...lengths);
-      stats.maxLength = Math.max(...lengths);
-      stats.avgLength = lengths.reduce((a, b) => a + b, 0) / lengths.length;
+    if (dataType === 'string' && profile.text) {
+      stats.minLength = profile.text.minLength;
+      stats.maxLength = profile.text.maxLength;
+      stats.avgLength = profile.text.avgLength;
     }
     
     return stats;
@@ -283,18 +1859,23 @@ export class DataStructuringAgent extends BaseAgent {
     let totalCompleteness = 0;
     let totalConsistency = 0;
     
+    if (columns.length === 0) {
+      return quality;
+    }
+    
     for (const column of columns) {
       const analysis = columnAnalysis[column];
       totalCompleteness += (100 - analysis.nullPercentage) / 100;
       
-      // Consistency based on data type uniformity
+      // Consistency is the share of values that fit the column type
       if (analysis.dataType !== 'unknown') {
-        totalConsistency += 0.8;
+        totalConsistency += analysis.typeConfidence;
       }
     }
     
     quality.completeness = (totalCompleteness / columns.length) * 100;
     quality.consistency = (totalConsistency / columns.length) * 100;
+    // Without validation rules there is nothing to check values against, so accuracy is estimated
     quality.accuracy = Math.min(quality.completeness, quality.consistency);
     quality.overall = (quality.completeness + quality.consistency + quality.accuracy) / 3;
     
@@ -310,6 +1891,9 @@ export class DataStructuringAgent extends BaseAgent {
       for (const [column, value] of Object.entries(row)) {
         const columnAnalysis = analysis.columnAnalysis[column];
         cleanedRow[column] = this.cleanValue(value, columnAnalysis);
+        if (columnAnalysis?.unitColumn) {
+          cleanedRow[columnAnalysis.unitColumn] = parseAmount(value, columnAnalysis.numberFormat)?.currency ?? null;
+        }
       }
       
       return cleanedRow;
@@ -321,15 +1905,28 @@ export class DataStructuringAgent extends BaseAgent {
       return null;
     }
     
+    // List properties (e.g. flattened JSON arrays) are stored as-is
+    if (!columnAnalysis || Array.isArray(value)) {
+      return value;
+    }
+    
     const { dataType, patterns } = columnAnalysis;
     
+    // Below a type confidence of 1, values that do not fit the column type are kept as they are
     switch (dataType) {
       case 'number':
-        return Number(value);
+      case 'currency':
+      case 'percent': {
+        const amount = parseAmount(value, columnAnalysis.numberFormat);
+        if (amount) return amount.value;
+        if (columnAnalysis.numberFormat?.decimal === ',') return value;
+        const number = Number(value);
+        return Number.isNaN(number) ? value : number;
+      }
       case 'boolean':
-        return this.normalizeBoolean(value);
+        return this.isBooleanToken(value) ? this.normalizeBoolean(value) : value;
       case 'date':
-        return this.normalizeDate(value);
+        return this.normalizeDate(value, columnAnalysis) ?? value;
       case 'email':
         return String(value).toLowerCase().trim();
       case 'string':
@@ -403,8 +2000,13 @@ export class DataStructuringAgent extends BaseAgent {
         type: col.dataType,
         patterns: col.patterns,
         nullable: col.nullPercentage > 0,
-        unique: col.uniqueValues === analysis.totalRows,
-        statistics: col.statistics
+        // Past the exact counting limit the distinct count is an estimate, so uniqueness is too
+        unique: col.distinctExact === false
+          ? col.nullCount === 0 && !col.topValues?.some(top => top.count > 1) && col.uniqueValues >= analysis.totalRows * 0.98
+          : col.uniqueValues === analysis.totalRows,
+        statistics: col.statistics,
+        ...(col.temporal && { temporal: col.temporal }),
+        ...(col.unitColumn && { unitProperty: col.unitColumn })
       }))
     };
     
@@ -413,32 +2015,31 @@ export class DataStructuringAgent extends BaseAgent {
     return schema;
   }
 
-  async structureData(data, schema) {
+  async structureData(data, schema, offset = 0) {
     this.logger.info('Structuring data according to schema');
     
     // For now, return the cleaned data with additional metadata
     return data.map((row, index) => ({
-      id: index + 1,
+      id: offset + index + 1,
       ...row,
       _metadata: {
-        rowIndex: index,
+        rowIndex: offset + index,
         processedAt: new Date().toISOString()
       }
     }));
   }
 
   // Helper methods
-  isValidDate(value) {
-    return moment(value, moment.ISO_8601, true).isValid() || 
-           moment(value).isValid();
-  }
-
   isValidEmail(value) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     return emailRegex.test(String(value));
   }
 
   isValidURL(value) {
+    // Without a scheme the URL constructor throws anyway, and throwing is slow
+    if (!/^[a-z][a-z\d+.-]*:/i.test(String(value))) {
+      return false;
+    }
     try {
       new URL(String(value));
       return true;
@@ -457,31 +2058,25 @@ export class DataStructuringAgent extends BaseAgent {
     return /^[A-Za-z0-9\-_]+$/.test(str) && str.length > 3;
   }
 
+  isBooleanToken(value) {
+    return ['true', 'false', '1', '0', 'yes', 'no', 'y', 'n'].includes(String(value).toLowerCase());
+  }
+
   normalizeBoolean(value) {
     const str = String(value).toLowerCase();
     return ['true', '1', 'yes', 'y'].includes(str);
   }
 
-  normalizeDate(value) {
-    return moment(value).toISOString();
-  }
-
-  calculateMedian(numbers) {
-    const sorted = [...numbers].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-  }
-
-  calculateStandardDeviation(numbers, mean) {
-    const variance = numbers.reduce((acc, num) => acc + Math.pow(num - mean, 2), 0) / numbers.length;
-    return Math.sqrt(variance);
+  normalizeDate(value, { dateOrder, temporal, timezone } = {}) {
+    // 'YYYY-MM-DD' for dates, an ISO date-time with the offset of its time zone otherwise; null when it is no date
+    return parseDate(value, { order: dateOrder, temporal, timezone: timezone || this.localization.timezone });
   }
 
-  async generateSchemaWithLLM(analysis, relationships, data) {
+  async generateSchemaWithLLM(analysis, relationships, data, piiTags = {}) {
     this.logger.info('Generating schema with LLM assistance');
     
     try {
-      const llmResponse = await this.llmService.analyzeDataWithLLM(data, 'schema_generation');
+      const llmResponse = await this.llmService.analyzeDataWithLLM(data, 'schema_generation', this.llmOptions(piiTags));
       
       // Parse LLM response and enhance the schema
       const enhancedSchema = await this.parseLLMSchemaResponse(llmResponse.content, analysis, relationships);
@@ -493,18 +2088,18 @@ export class DataStructuringAgent extends BaseAgent {
     }
   }
 
-  async generateLLMInsights(data, analysis, relationships, schema) {
+  async generateLLMInsights(data, analysis, relationships, schema, piiTags = {}) {
     this.logger.info('Generating LLM insights');
     
     try {
       const insights = {};
       
       // Data quality insights
-      const qualityResponse = await this.llmService.analyzeDataWithLLM(data, 'data_quality');
+      const qualityResponse = await this.llmService.analyzeDataWithLLM(data, 'data_quality', this.llmOptions(piiTags));
       insights.dataQuality = this.parseLLMResponse(qualityResponse.content);
       
       // Relationship insights
-      const relationshipResponse = await this.llmService.analyzeDataWithLLM(data, 'relationship_detection');
+      const relationshipResponse = await this.llmService.analyzeDataWithLLM(data, 'relationship_detection', this.llmOptions(piiTags));
       insights.relationships = this.parseLLMResponse(relationshipResponse.content);
       
       // Business insights
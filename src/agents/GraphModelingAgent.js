@@ -2,6 +2,8 @@ import { BaseAgent } from './BaseAgent.js';
 import { LLMService } from '../services/LLMService.js';
 import neo4j from 'neo4j-driver';
 import _ from 'lodash';
+import { flattenRecord } from '../utils/flatten.js';
+import { quoteCypherIdentifier } from '../utils/cypher.js';
 
 export class GraphModelingAgent extends BaseAgent {
   constructor(config = {}) {
@@ -13,6 +15,8 @@ export class GraphModelingAgent extends BaseAgent {
       password: config.neo4jPassword || process.env.NEO4J_PASSWORD || 'password'
     };
     this.llmService = new LLMService(config.llm || {});
+    // Set by the orchestrator so graph insights prompts mask personal data the way the job's policy says
+    this.privacy = null;
   }
 
   async initialize() {
@@ -38,7 +42,7 @@ export class GraphModelingAgent extends BaseAgent {
   async execute(data) {
     this.logger.info('Starting graph modeling process');
     
-    const { structuredData, schema, relationships, analysis } = data;
+    const { structuredData, entityData, schema, relationships, analysis, metadata } = data;
     
     if (!structuredData || structuredData.length === 0) {
       throw new Error('No structured data provided for graph modeling');
@@ -49,8 +53,8 @@ export class GraphModelingAgent extends BaseAgent {
       return await this.generateDemoGraphData(structuredData, schema, relationships, analysis);
     }
 
-    // Clear existing data (optional - can be configured)
-    if (this.config.clearExisting) {
+    // Clear existing data (optional - can be configured); incremental loads build on what is there
+    if (this.config.clearExisting && !metadata?.incremental) {
       await this.clearDatabase();
     }
 
@@ -58,8 +62,64 @@ export class GraphModelingAgent extends BaseAgent {
     const graphModel = await this.createGraphModel(schema, relationships, analysis);
     
     // Load data into Neo4j
-    const loadResult = await this.loadDataToNeo4j(structuredData, graphModel);
+    const loadResult = await this.loadDataToNeo4j(entityData || structuredData, graphModel);
     
+    return await this.summarizeGraph(structuredData, graphModel, loadResult);
+  }
+
+  async prepareGraph({ schema, relationships, analysis, metadata }) {
+    // Used by streamed jobs: the model and constraints are created once, before the first batch
+    if (this.demoMode) {
+      return { demoMode: true, schema, relationships, analysis };
+    }
+
+    if (this.config.clearExisting && !metadata?.incremental) {
+      await this.clearDatabase();
+    }
+
+    const graphModel = await this.createGraphModel(schema, relationships, analysis);
+    
+    // Uniqueness was only observed on the first batch, so those columns are indexed but not enforced;
+    // a declared key holds for every batch and keeps its constraint
+    for (const nodeType of graphModel.nodeTypes) {
+      nodeType.constraints = nodeType.constraints.filter(constraint => (
+        nodeType.key.length > 0 && _.isEqual(constraint.properties || [constraint.property], nodeType.key)
+      ));
+    }
+    
+    const session = this.driver.session();
+    try {
+      await this.createConstraintsAndIndexes(graphModel, session);
+    } finally {
+      await session.close();
+    }
+    
+    return graphModel;
+  }
+
+  async loadBatch(structuredData, graphModel) {
+    if (this.demoMode) {
+      return { nodeCount: structuredData.length, relationshipCount: 0 };
+    }
+
+    const session = this.driver.session();
+    
+    try {
+      const nodeCount = await this.loadNodes(structuredData, graphModel, session);
+      const relationshipCount = await this.loadRelationships(structuredData, graphModel, session);
+      return { nodeCount, relationshipCount };
+    } finally {
+      await session.close();
+    }
+  }
+
+  async summarizeGraph(sampleData, graphModel, loadResult) {
+    if (this.demoMode) {
+      const { schema, relationships, analysis } = graphModel;
+      const demoResult = await this.generateDemoGraphData(sampleData, schema, relationships, analysis);
+      return { ...demoResult, loadResult };
+    }
+
     // Analyze the created graph
     const graphAnalysis = await this.analyzeGraph();
     
@@ -67,7 +127,7 @@ export class GraphModelingAgent extends BaseAgent {
     const insights = await this.generateGraphInsights(graphAnalysis);
     
     // Generate LLM-powered graph insights
-    const llmInsights = await this.generateLLMGraphInsights(structuredData, graphAnalysis, insights);
+    const llmInsights = await this.generateLLMGraphInsights(sampleData, graphAnalysis, insights, graphModel.pii);
     
     const result = {
       graphModel,
@@ -93,34 +153,69 @@ export class GraphModelingAgent extends BaseAgent {
       nodeTypes: [],
       relationshipTypes: [],
       constraints: [],
-      indexes: []
+      indexes: [],
+      // column -> PII tag of every entity, for masking the rows that go into LLM prompts
+      pii: Object.assign({}, ...schema.entities.map(entity => entity.pii || {}))
     };
 
+    // Properties used to look up referenced nodes are indexed alongside identifiers
+    const referenceProperties = relationships
+      .filter(rel => rel.type === 'entity_reference')
+      .flatMap(rel => rel.sourceProperties.map(prop => `${rel.sourceEntity}.${prop}`));
+    // Multi-valued columns that became nodes are not also stored as list properties
+    const linkedProperties = relationships.filter(rel => rel.type === 'multi_value');
+
     // Create node types from schema entities
     for (const entity of schema.entities) {
+      const key = entity.primaryKey || [];
+      // Keys the structuring agent settled on become node keys; single keys then need no separate uniqueness constraint
+      const nodeKeys = (schema.constraints || [])
+        .filter(constraint => constraint.type === 'NODE_KEY' && constraint.entity === entity.name)
+        .map(constraint => constraint.properties);
+      const omitProperties = linkedProperties
+        .filter(rel => rel.sourceEntity === entity.name)
+        .map(rel => rel.property);
       const nodeType = {
-        name: entity.name,
-        properties: entity.properties.map(prop => ({
+        name: entity.label || entity.name,
+        entity: entity.name,
+        key,
+        omitProperties,
+        properties: entity.properties.filter(prop => !omitProperties.includes(prop.name)).map(prop => ({
           name: prop.name,
-          type: this.mapToNeo4jType(prop.type),
-          indexed: prop.patterns.includes('identifier') || prop.unique,
+          // Columns without a time of day are Neo4j dates; the rest are date-times with their offset
+          type: prop.temporal === 'date' ? 'Date' : this.mapToNeo4jType(prop.type),
+          indexed: prop.patterns.includes('identifier') || prop.unique ||
+            referenceProperties.includes(`${entity.name}.${prop.name}`),
           unique: prop.unique
         })),
-        constraints: entity.properties
-          .filter(prop => prop.unique)
-          .map(prop => ({
-            type: 'UNIQUE',
-            property: prop.name
-          }))
+        constraints: [
+          ...entity.properties
+            .filter(prop => prop.unique && !nodeKeys.some(nodeKey => _.isEqual(nodeKey, [prop.name])))
+            .map(prop => ({
+              type: 'UNIQUE',
+              property: prop.name
+            })),
+          ...nodeKeys.map(properties => ({ type: 'NODE_KEY', properties }))
+        ]
       };
       
+      if (key.length > 1 && !nodeKeys.some(nodeKey => _.isEqual(nodeKey, key))) {
+        nodeType.constraints.push({ type: 'UNIQUE', properties: key });
+      }
+      
       graphModel.nodeTypes.push(nodeType);
     }
 
     // Create relationship types
     for (const rel of relationships) {
+      if (rel.type === 'entity_reference' || rel.type === 'multi_value') {
+        graphModel.relationshipTypes.push(this.createReferenceType(rel, graphModel.nodeTypes));
+        continue;
+      }
+      
       const relationshipType = {
-        name: this.generateRelationshipName(rel.source, rel.target),
+        // Named in schema review, or after the columns it joins
+        name: rel.name || this.generateRelationshipName(rel.source, rel.target),
         source: rel.source,
         target: rel.target,
         type: rel.type,
@@ -140,6 +235,27 @@ export class GraphModelingAgent extends BaseAgent {
     return graphModel;
   }
 
+  createReferenceType(rel, nodeTypes) {
+    const sourceType = nodeTypes.find(nodeType => nodeType.entity === rel.sourceEntity);
+    const targetType = nodeTypes.find(nodeType => nodeType.entity === rel.targetEntity);
+    
+    return {
+      name: rel.name,
+      type: rel.type,
+      sourceEntity: rel.sourceEntity,
+      targetEntity: rel.targetEntity,
+      sourceLabel: sourceType?.name || rel.sourceEntity,
+      targetLabel: targetType?.name || rel.targetEntity,
+      sourceProperties: rel.sourceProperties,
+      targetProperties: rel.targetProperties,
+      property: rel.property,
+      properties: {
+        confidence: rel.confidence,
+        description: rel.description
+      }
+    };
+  }
+
   async loadDataToNeo4j(data, graphModel) {
     this.logger.info('Loading data into Neo4j');
     
@@ -168,21 +284,30 @@ export class GraphModelingAgent extends BaseAgent {
     
     for (const nodeType of graphModel.nodeTypes) {
       for (const constraint of nodeType.constraints) {
+        const properties = constraint.properties || [constraint.property];
         try {
-          const cypher = `CREATE CONSTRAINT ${nodeType.name.toLowerCase()}_${constraint.property}_unique 
-                         FOR (n:${nodeType.name}) REQUIRE n.${constraint.property} IS UNIQUE`;
-          await session.run(cypher);
-          this.logger.info(`Created constraint: ${constraint.property} unique for ${nodeType.name}`);
+          await session.run(this.constraintCypher(nodeType.name, properties, constraint.type));
+          this.logger.info(`Created constraint: ${properties.join(', ')} ${constraint.type === 'NODE_KEY' ? 'node key' : 'unique'} for ${nodeType.name}`);
         } catch (error) {
-          this.logger.warn(`Constraint creation failed (may already exist): ${error.message}`);
+          // Node keys need Neo4j Enterprise Edition; elsewhere the key is kept unique instead
+          if (constraint.type === 'NODE_KEY' && /enterprise/i.test(error.message)) {
+            try {
+              await session.run(this.constraintCypher(nodeType.name, properties, 'UNIQUE'));
+              this.logger.info(`Created constraint: ${properties.join(', ')} unique for ${nodeType.name} (node keys need Enterprise Edition)`);
+            } catch (uniqueError) {
+              this.logger.warn(`Constraint creation failed (may already exist): ${uniqueError.message}`);
+            }
+          } else {
+            this.logger.warn(`Constraint creation failed (may already exist): ${error.message}`);
+          }
         }
       }
       
       for (const property of nodeType.properties) {
         if (property.indexed) {
           try {
-            const cypher = `CREATE INDEX ${nodeType.name.toLowerCase()}_${property.name}_index 
-                           FOR (n:${nodeType.name}) ON (n.${property.name})`;
+            const cypher = `CREATE INDEX ${quoteCypherIdentifier(this.schemaObjectName(nodeType.name, [property.name], 'index'))} 
+                           FOR (n:${quoteCypherIdentifier(nodeType.name)}) ON (n.${quoteCypherIdentifier(property.name)})`;
             await session.run(cypher);
             this.logger.info(`Created index: ${property.name} for ${nodeType.name}`);
           } catch (error) {
@@ -193,47 +318,121 @@ export class GraphModelingAgent extends BaseAgent {
     }
   }
 
+  constraintCypher(label, properties, type) {
+    const name = this.schemaObjectName(label, properties, type === 'NODE_KEY' ? 'key' : 'unique');
+    return `CREATE CONSTRAINT ${quoteCypherIdentifier(name)} 
+            FOR (n:${quoteCypherIdentifier(label)}) REQUIRE (${properties.map(prop => `n.${quoteCypherIdentifier(prop)}`).join(', ')}) IS ${type === 'NODE_KEY' ? 'NODE KEY' : 'UNIQUE'}`;
+  }
+
+  schemaObjectName(label, properties, suffix) {
+    // Columns like "order date" or "e-mail" are folded to underscores so the names stay simple to refer to
+    return [label, ...properties, suffix].join('_').toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+  }
+
+  getEntityRows(data, graphModel, entityName) {
+    // Single-entity datasets arrive as a plain array of rows for the main entity
+    if (Array.isArray(data)) {
+      return graphModel.nodeTypes[0].entity === entityName ? data : [];
+    }
+    return data[entityName] || [];
+  }
+
   async loadNodes(data, graphModel, session) {
     this.logger.info('Loading nodes into Neo4j');
     
-    const nodeType = graphModel.nodeTypes[0]; // Main entity
-    const batchSize = 1000;
+    const batchSize = this.config.batchSize || 1000;
     let totalNodes = 0;
 
-    for (let i = 0; i < data.length; i += batchSize) {
-      const batch = data.slice(i, i + batchSize);
-      
-      const cypher = `
-        UNWIND $batch AS row
-        CREATE (n:${nodeType.name})
-        SET n += row
-        RETURN count(n) as created
-      `;
+    for (const nodeType of graphModel.nodeTypes) {
+      const rows = this.getEntityRows(data, graphModel, nodeType.entity);
       
-      const result = await session.run(cypher, { batch });
-      const created = result.records[0].get('created').toNumber();
-      totalNodes += created;
+      // Nodes with a declared key are merged so that re-imports update instead of duplicating
+      const createClause = nodeType.key?.length > 0
+        ? `MERGE (n:${quoteCypherIdentifier(nodeType.name)} {${nodeType.key.map(prop => `${quoteCypherIdentifier(prop)}: row.${quoteCypherIdentifier(prop)}`).join(', ')}})`
+        : `CREATE (n:${quoteCypherIdentifier(nodeType.name)})`;
       
-      this.logger.info(`Loaded batch ${Math.floor(i / batchSize) + 1}: ${created} nodes`);
+      for (let i = 0; i < rows.length; i += batchSize) {
+        const batch = rows.slice(i, i + batchSize).map(row => _.omit(this.toNodeProperties(row, nodeType), nodeType.omitProperties || []));
+        
+        const cypher = `
+          UNWIND $batch AS row
+          ${createClause}
+          SET n += row
+          RETURN count(n) as created
+        `;
+        
+        const result = await session.run(cypher, { batch });
+        const created = result.records[0].get('created').toNumber();
+        totalNodes += created;
+        
+        this.logger.info(`Loaded ${nodeType.name} batch ${Math.floor(i / batchSize) + 1}: ${created} nodes`);
+      }
     }
 
     return totalNodes;
   }
 
+  toNodeProperties(row, nodeType = null) {
+    // Neo4j properties cannot hold maps or lists of maps, so nested values are flattened or serialized
+    const { flat, children } = flattenRecord(row);
+    const properties = { ...flat, ..._.mapValues(children, items => JSON.stringify(items)) };
+    const types = Object.fromEntries((nodeType?.properties || []).map(prop => [prop.name, prop.type]));
+    
+    return _.mapValues(properties, (value, name) => {
+      const text = value instanceof Date ? value.toISOString() : value;
+      return ['Date', 'DateTime'].includes(types[name]) && typeof text === 'string' ? this.toTemporal(text, types[name]) : text;
+    });
+  }
+
+  toTemporal(text, type) {
+    // Dates are stored as Neo4j temporal values so they compare and sort as time rather than as text;
+    // cleaned date-times always carry their offset, which the DateTime keeps
+    if (type === 'Date') {
+      const date = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+      return date ? new neo4j.types.Date(Number(date[1]), Number(date[2]), Number(date[3])) : text;
+    }
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,9}))?(Z|[+-]\d{2}:\d{2})$/);
+    if (!match) return text;
+    const [, year, month, day, hour, minute, second, fraction = '0', zone] = match;
+    const offset = zone === 'Z' ? 0 : (zone[0] === '-' ? -1 : 1) * (Number(zone.slice(1, 3)) * 3600 + Number(zone.slice(4)) * 60);
+    return new neo4j.types.DateTime(
+      Number(year), Number(month), Number(day), Number(hour), Number(minute), Number(second), Number(fraction.padEnd(9, '0')), offset
+    );
+  }
+
   async loadRelationships(data, graphModel, session) {
     this.logger.info('Loading relationships into Neo4j');
     
     let totalRelationships = 0;
     
     for (const relType of graphModel.relationshipTypes) {
+      if (relType.type === 'entity_reference') {
+        const rows = this.getEntityRows(data, graphModel, relType.sourceEntity);
+        totalRelationships += await this.createReferenceRelationships(rows, relType, session);
+        continue;
+      }
+      
+      if (relType.type === 'multi_value') {
+        const rows = this.getEntityRows(data, graphModel, relType.sourceEntity);
+        totalRelationships += await this.createMultiValueRelationships(rows, relType, session);
+        continue;
+      }
+      
+      if (!Array.isArray(data)) {
+        // Column-pair relationships only apply within the single main entity
+        continue;
+      }
+      
+      // The main entity keeps its label when schema review renamed it
+      const label = graphModel.nodeTypes[0].name;
       if (relType.type === 'foreign_key') {
-        const relationships = await this.createForeignKeyRelationships(data, relType, session);
+        const relationships = await this.createForeignKeyRelationships(data, relType, session, label);
         totalRelationships += relationships;
       } else if (relType.type === 'hierarchical') {
-        const relationships = await this.createHierarchicalRelationships(data, relType, session);
+        const relationships = await this.createHierarchicalRelationships(data, relType, session, label);
         totalRelationships += relationships;
       } else if (relType.type === 'temporal') {
-        const relationships = await this.createTemporalRelationships(data, relType, session);
+        const relationships = await this.createTemporalRelationships(data, relType, session, label);
         totalRelationships += relationships;
       }
     }
@@ -241,49 +440,142 @@ export class GraphModelingAgent extends BaseAgent {
     return totalRelationships;
   }
 
-  async createForeignKeyRelationships(data, relType, session) {
+  async createForeignKeyRelationships(data, relType, session, label = 'MainEntity') {
     this.logger.info(`Creating foreign key relationships: ${relType.name}`);
     
-    // Find matching values between source and target columns
-    const sourceValues = new Set(data.map(row => row[relType.source]).filter(v => v !== null));
-    const targetValues = new Set(data.map(row => row[relType.target]).filter(v => v !== null));
-    const commonValues = [...sourceValues].filter(v => targetValues.has(v));
+    // Values of either column in these rows are looked up across the whole label, so a row is linked to
+    // the nodes of earlier batches and loads as well; MERGE keeps pairs seen again from being linked twice
+    const values = _.uniq(data.flatMap(row => [row[relType.source], row[relType.target]]))
+      .filter(value => value !== null && value !== undefined);
     
-    if (commonValues.length === 0) {
+    if (values.length === 0) {
       return 0;
     }
 
     const cypher = `
       UNWIND $values AS value
-      MATCH (source:MainEntity {${relType.source}: value})
-      MATCH (target:MainEntity {${relType.target}: value})
+      MATCH (source:${quoteCypherIdentifier(label)} {${quoteCypherIdentifier(relType.source)}: value})
+      MATCH (target:${quoteCypherIdentifier(label)} {${quoteCypherIdentifier(relType.target)}: value})
       WHERE source <> target
-      CREATE (source)-[r:${relType.name}]->(target)
+      MERGE (source)-[r:${quoteCypherIdentifier(relType.name)}]->(target)
       SET r.confidence = $confidence,
           r.description = $description
       RETURN count(r) as created
     `;
     
-    const result = await session.run(cypher, {
-      values: commonValues,
-      confidence: relType.properties.confidence,
-      description: relType.properties.description
-    });
+    const batchSize = this.config.batchSize || 1000;
+    let created = 0;
     
-    return result.records[0].get('created').toNumber();
+    for (let i = 0; i < values.length; i += batchSize) {
+      const result = await session.run(cypher, {
+        values: values.slice(i, i + batchSize),
+        confidence: relType.properties.confidence,
+        description: relType.properties.description
+      });
+      created += result.records[0].get('created').toNumber();
+    }
+    
+    return created;
   }
 
-  async createHierarchicalRelationships(data, relType, session) {
+  async createReferenceRelationships(rows, relType, session) {
+    this.logger.info(`Creating reference relationships: ${relType.name}`);
+    
+    const { sourceProperties, targetProperties } = relType;
+    if (sourceProperties.length === 0 || sourceProperties.length !== targetProperties.length) {
+      this.logger.warn(`Skipping ${relType.name}: reference columns are not fully declared`);
+      return 0;
+    }
+    
+    // Each distinct key value is matched once, however many rows share it
+    const keys = _.uniqBy(
+      rows
+        .map(row => sourceProperties.map(prop => row[prop]))
+        .filter(key => key.every(value => value !== null && value !== undefined)),
+      key => JSON.stringify(key)
+    );
+    
+    const sourceMatch = sourceProperties.map((prop, i) => `source.${quoteCypherIdentifier(prop)} = key[${i}]`).join(' AND ');
+    const targetMatch = targetProperties.map((prop, i) => `target.${quoteCypherIdentifier(prop)} = key[${i}]`).join(' AND ');
+    const cypher = `
+      UNWIND $keys AS key
+      MATCH (source:${quoteCypherIdentifier(relType.sourceLabel)}) WHERE ${sourceMatch}
+      MATCH (target:${quoteCypherIdentifier(relType.targetLabel)}) WHERE ${targetMatch}
+      MERGE (source)-[r:${quoteCypherIdentifier(relType.name)}]->(target)
+      SET r.confidence = $confidence,
+          r.description = $description
+      RETURN count(r) as created
+    `;
+    
+    const batchSize = this.config.batchSize || 1000;
+    let created = 0;
+    
+    for (let i = 0; i < keys.length; i += batchSize) {
+      const result = await session.run(cypher, {
+        keys: keys.slice(i, i + batchSize),
+        confidence: relType.properties.confidence,
+        description: relType.properties.description
+      });
+      created += result.records[0].get('created').toNumber();
+    }
+    
+    return created;
+  }
+
+  async createMultiValueRelationships(rows, relType, session) {
+    this.logger.info(`Creating multi-value relationships: ${relType.name}`);
+    
+    const { sourceProperties, targetProperties, property } = relType;
+    // One pair per row and item; the item nodes are merged, so rows that share an item share its node
+    const pairs = _.uniqBy(
+      rows.flatMap(row => {
+        const key = sourceProperties.map(prop => row[prop]);
+        if (!Array.isArray(row[property]) || key.some(value => value === null || value === undefined)) {
+          return [];
+        }
+        return row[property].map(item => ({ key, item: String(item) }));
+      }),
+      pair => JSON.stringify(pair)
+    );
+    
+    const sourceMatch = sourceProperties.map((prop, i) => `source.${quoteCypherIdentifier(prop)} = pair.key[${i}]`).join(' AND ');
+    const cypher = `
+      UNWIND $pairs AS pair
+      MATCH (source:${quoteCypherIdentifier(relType.sourceLabel)}) WHERE ${sourceMatch}
+      MERGE (target:${quoteCypherIdentifier(relType.targetLabel)} {${quoteCypherIdentifier(targetProperties[0])}: pair.item})
+      MERGE (source)-[r:${quoteCypherIdentifier(relType.name)}]->(target)
+      SET r.confidence = $confidence,
+          r.description = $description
+      RETURN count(r) as created
+    `;
+    
+    const batchSize = this.config.batchSize || 1000;
+    let created = 0;
+    
+    for (let i = 0; i < pairs.length; i += batchSize) {
+      const result = await session.run(cypher, {
+        pairs: pairs.slice(i, i + batchSize),
+        confidence: relType.properties.confidence,
+        description: relType.properties.description
+      });
+      created += result.records[0].get('created').toNumber();
+    }
+    
+    return created;
+  }
+
+  async createHierarchicalRelationships(data, relType, session, label = 'MainEntity') {
     this.logger.info(`Creating hierarchical relationships: ${relType.name}`);
     
     // This is a simplified implementation
     // In a real scenario, you'd analyze the data to find parent-child relationships
+    // Streamed jobs run this after every batch, so pairs linked before are merged rather than created again
     const cypher = `
-      MATCH (parent:MainEntity)
-      MATCH (child:MainEntity)
-      WHERE parent.${relType.source} = child.${relType.target}
+      MATCH (parent:${quoteCypherIdentifier(label)})
+      MATCH (child:${quoteCypherIdentifier(label)})
+      WHERE parent.${quoteCypherIdentifier(relType.source)} = child.${quoteCypherIdentifier(relType.target)}
       AND parent <> child
-      CREATE (parent)-[r:${relType.name}]->(child)
+      MERGE (parent)-[r:${quoteCypherIdentifier(relType.name)}]->(child)
       SET r.confidence = $confidence,
           r.description = $description
       RETURN count(r) as created
@@ -297,16 +589,17 @@ export class GraphModelingAgent extends BaseAgent {
     return result.records[0].get('created').toNumber();
   }
 
-  async createTemporalRelationships(data, relType, session) {
+  async createTemporalRelationships(data, relType, session, label = 'MainEntity') {
     this.logger.info(`Creating temporal relationships: ${relType.name}`);
     
     // Create temporal relationships based on date/time columns
+    // Streamed jobs run this after every batch, so pairs linked before are merged rather than created again
     const cypher = `
-      MATCH (earlier:MainEntity)
-      MATCH (later:MainEntity)
-      WHERE earlier.${relType.source} < later.${relType.target}
+      MATCH (earlier:${quoteCypherIdentifier(label)})
+      MATCH (later:${quoteCypherIdentifier(label)})
+      WHERE earlier.${quoteCypherIdentifier(relType.source)} < later.${quoteCypherIdentifier(relType.target)}
       AND earlier <> later
-      CREATE (earlier)-[r:${relType.name}]->(later)
+      MERGE (earlier)-[r:${quoteCypherIdentifier(relType.name)}]->(later)
       SET r.confidence = $confidence,
           r.description = $description
       RETURN count(r) as created
@@ -505,17 +798,99 @@ export class GraphModelingAgent extends BaseAgent {
     const typeMapping = {
       'string': 'String',
       'number': 'Float',
+      'currency': 'Float',
+      'percent': 'Float',
       'boolean': 'Boolean',
       'date': 'DateTime',
       'email': 'String',
       'url': 'String',
       'phone': 'String',
-      'id': 'String'
+      'id': 'String',
+      'list': 'List'
     };
     
     return typeMapping[dataType] || 'String';
   }
 
+  async findNodes(label, property, values, metadata = {}) {
+    // Nodes already in the graph that a new record may duplicate; none when the graph is about to be cleared
+    if (this.demoMode || (this.config.clearExisting && !metadata?.incremental)) {
+      return [];
+    }
+    
+    const session = this.driver.session();
+    const batchSize = this.config.batchSize || 1000;
+    const nodes = [];
+    
+    try {
+      for (let i = 0; i < values.length; i += batchSize) {
+        const result = await session.run(
+          `MATCH (n:${quoteCypherIdentifier(label)}) WHERE n.${quoteCypherIdentifier(property)} IN $values RETURN properties(n) AS properties`,
+          { values: values.slice(i, i + batchSize).map(value => value instanceof Date ? value.toISOString() : value) }
+        );
+        for (const record of result.records) {
+          nodes.push(_.mapValues(record.get('properties'), value => neo4j.isInt(value) ? value.toNumber() : value));
+        }
+      }
+      return nodes;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async findKeyProperties(metadata = {}) {
+    // Single properties that identify the nodes of a label (uniqueness constraints and node keys), with the type of their values
+    if (this.demoMode || (this.config.clearExisting && !metadata?.incremental)) {
+      return [];
+    }
+    
+    const session = this.driver.session();
+    
+    try {
+      const result = await session.run(`
+        SHOW CONSTRAINTS YIELD type, entityType, labelsOrTypes, properties
+        WHERE entityType = 'NODE' AND type IN ['UNIQUENESS', 'NODE_PROPERTY_UNIQUENESS', 'NODE_KEY'] AND size(properties) = 1
+        RETURN labelsOrTypes[0] AS label, properties[0] AS property
+      `);
+      const keys = [];
+      for (const record of result.records) {
+        const label = record.get('label');
+        const property = record.get('property');
+        const sample = await session.run(
+          `MATCH (n:${quoteCypherIdentifier(label)}) WHERE n.${quoteCypherIdentifier(property)} IS NOT NULL RETURN n.${quoteCypherIdentifier(property)} AS value LIMIT 1`
+        );
+        if (sample.records.length === 0) continue;
+        const value = sample.records[0].get('value');
+        keys.push({ label, property, valueType: neo4j.isInt(value) ? 'number' : typeof value });
+      }
+      return keys;
+    } finally {
+      await session.close();
+    }
+  }
+
+  async findKeyValues(label, property, values) {
+    // The values that a node of the label has as its property
+    if (this.demoMode) {
+      return [];
+    }
+    
+    const session = this.driver.session();
+    
+    try {
+      const result = await session.run(
+        `MATCH (n:${quoteCypherIdentifier(label)}) WHERE n.${quoteCypherIdentifier(property)} IN $values RETURN DISTINCT n.${quoteCypherIdentifier(property)} AS value`,
+        { values }
+      );
+      return result.records.map(record => {
+        const value = record.get('value');
+        return neo4j.isInt(value) ? value.toNumber() : value;
+      });
+    } finally {
+      await session.close();
+    }
+  }
+
   async clearDatabase() {
     this.logger.info('Clearing existing data from Neo4j');
     
@@ -601,11 +976,12 @@ export class GraphModelingAgent extends BaseAgent {
     };
   }
 
-  async generateLLMGraphInsights(data, graphAnalysis, insights) {
+  async generateLLMGraphInsights(data, graphAnalysis, insights, piiTags = {}) {
     this.logger.info('Generating LLM-powered graph insights');
     
     try {
-      const llmResponse = await this.llmService.analyzeDataWithLLM(data, 'graph_insights');
+      const options = this.privacy ? { maskRows: rows => this.privacy.apply(rows, piiTags, 'llm') } : {};
+      const llmResponse = await this.llmService.analyzeDataWithLLM(data, 'graph_insights', options);
       
       return {
         llmAnalysis: this.parseLLMResponse(llmResponse.content),
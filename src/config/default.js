@@ -30,9 +30,36 @@ export const defaultConfig = {
       'text/csv',
       'application/vnd.ms-excel',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/json'
+      'application/json',
+      'application/x-ndjson',
+      'application/jsonl',
+      'application/vnd.apache.parquet',
+      'application/vnd.apache.arrow.file',
+      'application/vnd.apache.arrow.stream',
+      'application/gzip',
+      'application/x-gzip',
+      'application/zip',
+      'application/x-zip-compressed',
+      'application/x-tar'
     ],
-    allowedExtensions: ['.csv', '.xlsx', '.xls', '.json']
+    allowedExtensions: [
+      '.csv', '.xlsx', '.xls', '.json', '.ndjson', '.jsonl', '.parquet', '.arrow', '.feather',
+      '.gz', '.zip', '.tar', '.tgz'
+    ]
+  },
+
+  // Watched Folders: new or changed files matching the glob start a job
+  watch: {
+    folders: process.env.WATCH_FOLDER
+      ? [{
+          path: process.env.WATCH_FOLDER,
+          glob: process.env.WATCH_GLOB || '**/*.{csv,xlsx,xls,json,ndjson,jsonl,parquet,arrow,gz,zip}',
+          archiveDir: process.env.WATCH_ARCHIVE_DIR,
+          options: {}
+        }]
+      : [],
+    stateFile: process.env.WATCH_STATE_FILE || './data/watch-state.json',
+    stabilityThreshold: 2000 // ms a file size must stay unchanged before it counts as written
   },
 
   // Agent Configuration
@@ -40,11 +67,101 @@ export const defaultConfig = {
     dataLoader: {
       batchSize: 1000,
       timeout: 30000, // 30 seconds
-      retryAttempts: 3,
-      retryDelay: 1000 // 1 second
+      retryAttempts: 3, // retries of transient connection, lock and throttling errors
+      retryDelay: 1000, // 1 second, doubled on every retry with random jitter
+      maxRetryDelay: 30000,
+      timeouts: {
+        database: 30000, // longest wait for a connection or the next batch of rows
+        s3: 300000 // per object download
+      },
+      watermarkFile: './data/watermarks.json', // high-water marks of incremental SQL loads
+      previewRows: 20, // rows returned by /api/preview unless a limit is given
+      maxPreviewRows: 1000,
+      api: {
+        // 429/502/503/504 responses and dropped connections are retried retryAttempts times from retryDelay on;
+        // set maxRetries or retryDelay here to retry APIs differently
+        maxRetryDelay: 60000, // longest wait, also when Retry-After asks for more
+        maxPages: 10000
+      },
+      s3: {
+        endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+        region: process.env.S3_REGION || 'us-east-1',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      }
     },
     dataStructuring: {
-      sampleSize: 100,
+      profiling: {
+        typeConfidence: 1, // share of values that must fit a type for the column to get it
+        topK: 10,
+        exactDistinctLimit: 10000, // distinct values counted exactly before switching to estimates
+        quantileSampleSize: 10000,
+        streamPass: true // profile re-readable streamed sources in full before loading them
+      },
+      normalization: {
+        enabled: true, // split flat tables into the entities their repeated values stand for
+        minRows: 10,
+        maxDistinctRatio: 0.5, // at most this many distinct values per row for a column to count as repeated
+        minSupport: 0.1, // share of rows that must repeat a value before dependencies on it are trusted
+        minContainment: 0.9 // share of manager/parent values that must match a row key
+      },
+      validation: {
+        // Per entity ('*' for all): { columns: { email: { required: true, pattern: '^\\S+@\\S+$' }, salary: { min: 0 },
+        // status: { enum: ['active', 'left'] }, id: { unique: true }, end_date: { min: { ref: 'start_date' } } },
+        // expressions: [{ expression: '.salary < 500000 || .position == "CEO"' }] }
+        rules: {},
+        quarantineDir: './data/quarantine', // rejected rows and their reasons, one NDJSON file per job
+        sampleSize: 20 // rejections included in the job result
+      },
+      pii: {
+        enabled: true, // tag columns holding emails, phones, national IDs, card numbers, names and addresses
+        minShare: 0.8, // share of a column's values that must look like a category for it to be tagged
+        // Actions per category: 'keep', 'hash', 'tokenize', 'redact' or 'drop'
+        graph: { email: 'keep', phone: 'keep', name: 'keep', address: 'keep', national_id: 'hash', credit_card: 'redact' },
+        llm: { email: 'redact', phone: 'redact', name: 'redact', address: 'redact', national_id: 'redact', credit_card: 'redact' },
+        columns: {}, // 'Entity.column' or 'column': false, or { category, graph, llm }
+        hashSecret: process.env.PII_HASH_SECRET, // without it, hashed phone numbers can be recovered by hashing every number
+        tokenFile: './data/pii-tokens.json' // maps tokens back to the values they stand for; keep it private
+      },
+      localization: {
+        locale: process.env.DATA_LOCALE || 'en-US', // separators of numbers and the field order of ambiguous dates; jobs can override it
+        timezone: process.env.DATA_TIMEZONE || 'UTC' // dates without an offset are times in this zone (IANA name or '+02:00')
+      },
+      dependencies: {
+        enabled: true, // find candidate keys and functional dependencies in each entity's rows
+        maxKeySize: 3, // most columns in a composite key
+        maxDeterminantSize: 2, // most columns on the left of a dependency
+        maxError: 0.02, // share of rows a dependency may be violated by
+        minSupport: 0.1, // share of rows that must repeat a determinant's values before a dependency counts
+        maxColumns: 20, // columns beyond this are left out, as the work grows with every column
+        maxRows: 10000, // larger entities are mined on an evenly spaced sample, and keys found there are only reported
+        minKeyRows: 50 // smaller entities only get keys that include an ID-like column, as other columns are unique by chance
+      },
+      graphReferences: {
+        enabled: true, // check columns against key properties of nodes loaded by earlier jobs
+        minContainment: 0.9, // share of a column's distinct values that must be keys of the label
+        maxValues: 1000, // distinct values per column sent to Neo4j for the check
+        samples: 5 // matched values listed with each suggestion
+      },
+      entityResolution: {
+        enabled: true, // merge records that describe the same person or thing before they become nodes
+        mergeThreshold: 0.9, // pairs scoring at least this are merged
+        reviewThreshold: 0.7, // pairs between the two thresholds wait in the review queue
+        maxBlockSize: 200, // blocks with more records than this are skipped rather than compared pairwise
+        minFields: 2, // fields both records must have before they can match
+        againstGraph: true, // also match against nodes already in Neo4j (entities with a key only)
+        reviewFile: './data/match-review.json',
+        merge: { survivor: 'mostComplete', fields: {} }, // fields: { column: 'first' | 'longest' | 'max' | 'min' | 'union' }
+        entities: {} // per entity: false, or { fields, blocking, merge, mergeThreshold, reviewThreshold }
+      },
+      multiValue: {
+        enabled: true, // split delimited cells such as "Python, SQL" into lists
+        separators: [',', ';', '|'],
+        minShare: 0.5, // share of a column's values that must contain the separator
+        maxItemLength: 50,
+        mode: 'auto', // 'list' property, linked 'nodes', or 'auto': nodes when items repeat across rows
+        columns: {} // per-column overrides, e.g. { skills: { separator: ';', mode: 'nodes' }, notes: false }
+      },
       minConfidence: 0.5,
       enableRelationshipDetection: true,
       enableDataQualityAssessment: true
@@ -97,7 +214,11 @@ export const defaultConfig = {
     maxConcurrentJobs: 5,
     jobTimeout: 300000, // 5 minutes
     maxRetries: 3,
-    retryDelay: 5000 // 5 seconds
+    retryDelay: 5000, // 5 seconds
+    review: {
+      enabled: process.env.SCHEMA_REVIEW === 'true', // pause jobs after structuring until their schema is approved; jobs can override it
+      timeout: 24 * 60 * 60 * 1000 // jobs still waiting after this fail
+    }
   },
 
   // Security Configuration
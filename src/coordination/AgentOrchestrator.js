@@ -3,6 +3,7 @@ import { DataLoaderAgent } from '../agents/DataLoaderAgent.js';
 import { DataStructuringAgent } from '../agents/DataStructuringAgent.js';
 import { GraphModelingAgent } from '../agents/GraphModelingAgent.js';
 import winston from 'winston';
+import _ from 'lodash';
 
 export class AgentOrchestrator extends EventEmitter {
   constructor(config = {}) {
@@ -12,6 +13,13 @@ export class AgentOrchestrator extends EventEmitter {
     this.pipeline = [];
     this.currentJob = null;
     this.jobHistory = [];
+    // Jobs paused after structuring until their schema is approved: jobId -> { result, resolve, reject, timer }
+    this.pendingReviews = new Map();
+    this.review = {
+      enabled: false,
+      timeout: 24 * 60 * 60 * 1000,
+      ...config.review
+    };
     
     this.logger = winston.createLogger({
       level: 'info',
@@ -36,6 +44,16 @@ export class AgentOrchestrator extends EventEmitter {
     this.agents.dataLoader = new DataLoaderAgent(this.config.dataLoader || {});
     this.agents.dataStructuring = new DataStructuringAgent(this.config.dataStructuring || {});
     this.agents.graphModeling = new GraphModelingAgent(this.config.graphModeling || {});
+    // Entity resolution also matches new records against nodes loaded by earlier jobs
+    this.agents.dataStructuring.graphLookup = (label, property, values, metadata) =>
+      this.agents.graphModeling.findNodes(label, property, values, metadata);
+    // New columns are checked against the keys of nodes loaded by earlier jobs
+    this.agents.dataStructuring.graphCatalog = {
+      keys: (metadata) => this.agents.graphModeling.findKeyProperties(metadata),
+      match: (label, property, values) => this.agents.graphModeling.findKeyValues(label, property, values)
+    };
+    // One policy for both, so tokens stay the same and the token file has a single writer
+    this.agents.graphModeling.privacy = this.agents.dataStructuring.privacy;
     
     // Set up agent event listeners
     this.setupAgentListeners();
@@ -77,18 +95,27 @@ export class AgentOrchestrator extends EventEmitter {
         this.logger.error(`Agent ${agentName} encountered error:`, data.error);
         this.emit('agentError', { agent: agentName, ...data });
       });
+      
+      agent.on('progress', (data) => {
+        this.emit('agentProgress', { agent: agentName, ...data });
+      });
+      
+      agent.on('retry', (data) => {
+        this.emit('agentRetry', { agent: agentName, ...data });
+      });
     }
   }
 
-  async processData(jobConfig) {
+  async processData(jobConfig, jobId = this.generateJobId()) {
     this.logger.info('Starting data processing job');
     
     const job = {
-      id: this.generateJobId(),
+      id: jobId,
       config: jobConfig,
       status: 'started',
       startTime: new Date(),
       steps: [],
+      progress: null,
       result: null,
       error: null
     };
@@ -105,20 +132,34 @@ export class AgentOrchestrator extends EventEmitter {
       job.steps[job.steps.length - 1].status = 'completed';
       job.steps[job.steps.length - 1].endTime = new Date();
       job.steps[job.steps.length - 1].result = loadResult;
+      // Streamed loads keep appending to this list as later batches are read
+      job.steps[job.steps.length - 1].attempts = loadResult.metadata?.attempts;
       
       this.emit('stepCompleted', { jobId: job.id, step: 'dataLoading', result: loadResult });
       
+      if (loadResult.metadata?.streaming) {
+        return await this.processStream(job, loadResult);
+      }
+      
+      if (loadResult.metadata?.incremental && loadResult.data.length === 0) {
+        return this.completeUnchanged(job, loadResult);
+      }
+      
       // Step 2: Structure data
       this.logger.info('Step 2: Structuring data');
       job.steps.push({ name: 'dataStructuring', status: 'started', startTime: new Date() });
       
-      const structureResult = await this.agents.dataStructuring.process(loadResult);
+      let structureResult = await this.agents.dataStructuring.process(loadResult);
       job.steps[job.steps.length - 1].status = 'completed';
       job.steps[job.steps.length - 1].endTime = new Date();
       job.steps[job.steps.length - 1].result = structureResult;
       
       this.emit('stepCompleted', { jobId: job.id, step: 'dataStructuring', result: structureResult });
       
+      if (this.needsReview(jobConfig)) {
+        structureResult = await this.awaitReview(job, structureResult);
+      }
+      
       // Step 3: Create graph model
       this.logger.info('Step 3: Creating graph model');
       job.steps.push({ name: 'graphModeling', status: 'started', startTime: new Date() });
@@ -130,6 +171,8 @@ export class AgentOrchestrator extends EventEmitter {
       
       this.emit('stepCompleted', { jobId: job.id, step: 'graphModeling', result: graphResult });
       
+      await this.agents.dataLoader.commitWatermark(loadResult.metadata?.incremental);
+      
       // Job completed successfully
       job.status = 'completed';
       job.endTime = new Date();
@@ -154,10 +197,13 @@ export class AgentOrchestrator extends EventEmitter {
       // Mark current step as failed
       if (job.steps.length > 0) {
         const currentStep = job.steps[job.steps.length - 1];
-        if (currentStep.status === 'started') {
+        if (['started', 'waiting'].includes(currentStep.status)) {
           currentStep.status = 'failed';
           currentStep.endTime = new Date();
           currentStep.error = error.message;
+          if (error.attempts) {
+            currentStep.attempts = error.attempts;
+          }
         }
       }
       
@@ -166,17 +212,229 @@ export class AgentOrchestrator extends EventEmitter {
     }
   }
 
+  needsReview(jobConfig) {
+    return jobConfig.dataSource?.options?.review ?? this.review.enabled;
+  }
+
+  awaitReview(job, structureResult) {
+    // The job waits here until resumeJob() approves or rejects the proposed schema
+    this.logger.info(`Job ${job.id} is waiting for schema review`);
+    const step = { name: 'schemaReview', status: 'waiting', startTime: new Date() };
+    job.steps.push(step);
+    job.status = 'awaiting_review';
+    job.review = { status: 'pending', requestedAt: step.startTime };
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingReviews.delete(job.id);
+        job.review.status = 'expired';
+        reject(new Error(`Schema review was not completed within ${Math.round(this.review.timeout / 60000)} minutes`));
+      }, this.review.timeout);
+      
+      this.pendingReviews.set(job.id, { result: structureResult, resolve, reject, timer });
+      this.emit('jobAwaitingReview', { jobId: job.id });
+    }).then(reviewed => {
+      step.status = 'completed';
+      step.endTime = new Date();
+      job.status = 'started';
+      return reviewed;
+    });
+  }
+
+  getPendingReviews() {
+    return [...this.pendingReviews.entries()].map(([jobId, { result }]) => ({
+      jobId,
+      requestedAt: this.jobHistory.find(job => job.id === jobId)?.review.requestedAt,
+      source: result.metadata?.sourceName || result.metadata?.table || result.metadata?.source,
+      entities: result.schema.entities.map(entity => entity.label || entity.name),
+      rowCount: result.metadata?.structuredRowCount
+    }));
+  }
+
+  getReview(jobId) {
+    // The proposed schema and relationships of a job waiting for review; null when none is waiting
+    const pending = this.pendingReviews.get(jobId);
+    if (!pending) return null;
+    
+    const { schema, relationships, metadata } = pending.result;
+    return {
+      jobId,
+      requestedAt: this.jobHistory.find(job => job.id === jobId)?.review.requestedAt,
+      schema: _.pick(schema, ['entities', 'constraints']),
+      relationships,
+      types: this.agents.dataStructuring.reviewTypes(),
+      metadata: _.pick(metadata, ['sourceName', 'normalization', 'dependencies', 'graphReferences', 'entityResolution', 'originalRowCount', 'structuredRowCount'])
+    };
+  }
+
+  resumeJob(jobId, { decision = 'approve', schema, relationships } = {}) {
+    // Approving applies the edits and loads the graph; rejecting fails the job. null when the job is not waiting
+    const pending = this.pendingReviews.get(jobId);
+    if (!pending) return null;
+    if (!['approve', 'reject'].includes(decision)) {
+      throw new Error(`Unknown review decision: ${decision}. Use approve or reject`);
+    }
+    
+    const job = this.jobHistory.find(candidate => candidate.id === jobId);
+    // Edits are checked before the job moves on, so a bad edit leaves it waiting
+    const revision = decision === 'approve'
+      ? this.agents.dataStructuring.reviseStructure(pending.result, { schema, relationships })
+      : null;
+    
+    clearTimeout(pending.timer);
+    this.pendingReviews.delete(jobId);
+    job.review = { ...job.review, status: decision === 'approve' ? 'approved' : 'rejected', decidedAt: new Date(), changes: revision?.changes || [] };
+    this.logger.info(`Schema of job ${jobId} ${job.review.status}` + (revision ? ` with ${revision.changes.length} changes` : ''));
+    
+    if (revision) {
+      pending.resolve(revision.result);
+    } else {
+      pending.reject(new Error('Schema rejected in review'));
+    }
+    return { jobId, ...job.review };
+  }
+
+  async processStream(job, loadResult) {
+    // Batches flow through structuring and graph loading one at a time, so memory stays
+    // bounded by the batch size instead of the file size
+    this.logger.info('Step 2-3: Structuring and loading streamed batches');
+    
+    const structuringStep = { name: 'dataStructuring', status: 'started', startTime: new Date() };
+    const graphStep = { name: 'graphModeling', status: 'started', startTime: new Date() };
+    job.steps.push(structuringStep, graphStep);
+    job.progress = { rowsProcessed: 0, batchesProcessed: 0 };
+    
+    const { dataStructuring, graphModeling } = this.agents;
+    const loadTotals = { nodeCount: 0, relationshipCount: 0 };
+    let structureResult = null;
+    let graphModel = null;
+    let sampleData = [];
+    
+    dataStructuring.setStatus('processing');
+    graphModeling.setStatus('processing');
+    
+    try {
+      // Sources that can be read twice are profiled in full first; others are typed from their first batch
+      const profile = loadResult.metadata.replayable && dataStructuring.profiling.streamPass
+        ? await dataStructuring.profileBatches(loadResult.batches(), loadResult.metadata.columnTypes, loadResult.metadata)
+        : null;
+      
+      for await (const batch of loadResult.batches()) {
+        let structuredBatch;
+        
+        if (!structureResult) {
+          // The first batch drives analysis, schema generation and graph model creation
+          structureResult = await dataStructuring.execute({ data: batch, metadata: loadResult.metadata, analysis: profile });
+          if (this.needsReview(job.config)) {
+            // Nothing is written before the review; the source stays open until the job resumes
+            structureResult = await this.awaitReview(job, structureResult);
+          }
+          structuredBatch = structureResult.structuredData;
+          sampleData = structuredBatch.slice(0, 100);
+          graphModel = await graphModeling.prepareGraph(structureResult);
+        } else {
+          structuredBatch = await dataStructuring.structureBatch(batch, {
+            analysis: structureResult.analysis,
+            schema: structureResult.schema,
+            offset: job.progress.rowsProcessed,
+            metadata: structureResult.metadata
+          });
+        }
+        
+        const batchResult = await graphModeling.loadBatch(structuredBatch, graphModel);
+        loadTotals.nodeCount += batchResult.nodeCount;
+        loadTotals.relationshipCount += batchResult.relationshipCount;
+        
+        job.progress.rowsProcessed += batch.length;
+        job.progress.batchesProcessed += 1;
+        this.emit('jobProgress', { jobId: job.id, ...job.progress });
+      }
+      
+      if (!structureResult && loadResult.metadata?.incremental) {
+        job.steps.splice(job.steps.indexOf(structuringStep), 2);
+        dataStructuring.setStatus('idle');
+        graphModeling.setStatus('idle');
+        return this.completeUnchanged(job, loadResult);
+      }
+      
+      if (!structureResult) {
+        throw new Error('No data provided for structuring');
+      }
+      
+      structuringStep.status = 'completed';
+      structuringStep.endTime = new Date();
+      dataStructuring.setStatus('completed');
+      
+      const graphResult = await graphModeling.summarizeGraph(sampleData, graphModel, loadTotals);
+      graphStep.status = 'completed';
+      graphStep.endTime = new Date();
+      graphModeling.setStatus('completed');
+      
+      await this.agents.dataLoader.commitWatermark(loadResult.metadata?.incremental);
+      
+      // Only the first batch is kept in the result; the full dataset never lives in memory
+      const { originalData, structuredData, ...structureSummary } = structureResult;
+      job.status = 'completed';
+      job.endTime = new Date();
+      job.result = {
+        dataLoading: { metadata: { ...loadResult.metadata, rowCount: job.progress.rowsProcessed } },
+        dataStructuring: {
+          ...structureSummary,
+          structuredData: sampleData,
+          metadata: { ...structureSummary.metadata, structuredRowCount: job.progress.rowsProcessed }
+        },
+        graphModeling: graphResult
+      };
+      
+      this.emit('stepCompleted', { jobId: job.id, step: 'dataStructuring', result: job.result.dataStructuring });
+      this.emit('stepCompleted', { jobId: job.id, step: 'graphModeling', result: graphResult });
+      
+      this.logger.info(`Job ${job.id} completed successfully (${job.progress.rowsProcessed} rows streamed)`);
+      this.emit('jobCompleted', { jobId: job.id, result: job.result });
+      
+      return job.result;
+    } catch (error) {
+      dataStructuring.setStatus('error');
+      graphModeling.setStatus('error');
+      
+      for (const step of [structuringStep, graphStep]) {
+        if (step.status === 'started') {
+          step.status = 'failed';
+          step.endTime = new Date();
+          step.error = error.message;
+        }
+      }
+      
+      throw error;
+    }
+  }
+
+  completeUnchanged(job, loadResult) {
+    // Nothing new since the last watermark: there is nothing to structure or load
+    const { batches, ...dataLoading } = loadResult;
+    job.status = 'completed';
+    job.endTime = new Date();
+    job.result = { dataLoading, unchanged: true };
+    
+    this.logger.info(`Job ${job.id} completed: no new rows since the last incremental load`);
+    this.emit('jobCompleted', { jobId: job.id, result: job.result });
+    
+    return job.result;
+  }
+
   async processDataAsync(jobConfig) {
+    const jobId = this.generateJobId();
+    
     // Process data in background and emit events
     setImmediate(async () => {
       try {
-        await this.processData(jobConfig);
+        await this.processData(jobConfig, jobId);
       } catch (error) {
         this.logger.error('Async processing failed:', error);
       }
     });
     
-    return this.currentJob?.id;
+    return jobId;
   }
 
   getJobStatus(jobId) {
@@ -195,12 +453,26 @@ export class AgentOrchestrator extends EventEmitter {
         status: step.status,
         startTime: step.startTime,
         endTime: step.endTime,
-        duration: step.endTime ? step.endTime - step.startTime : null
+        duration: step.endTime ? step.endTime - step.startTime : null,
+        attempts: step.attempts
       })),
+      progress: job.progress,
+      review: job.review,
+      validation: job.result?.dataStructuring?.metadata?.validation,
       error: job.error
     };
   }
 
+  getRejectionReport(jobId) {
+    const job = this.jobHistory.find(j => j.id === jobId);
+    if (!job) {
+      throw new Error(`Job ${jobId} not found`);
+    }
+    
+    const validation = job.result?.dataStructuring?.metadata?.validation;
+    return validation ? validation.toJSON() : null;
+  }
+
   getAgentStatus() {
     const status = {};
     for (const [agentName, agent] of Object.entries(this.agents)) {
@@ -223,6 +495,13 @@ export class AgentOrchestrator extends EventEmitter {
   async stop() {
     this.logger.info('Stopping Agent Orchestrator');
     
+    // Jobs still waiting for review fail rather than hold the process open
+    for (const [jobId, pending] of this.pendingReviews) {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('Stopped while waiting for schema review'));
+      this.pendingReviews.delete(jobId);
+    }
+    
     // Close all agents
     for (const [agentName, agent] of Object.entries(this.agents)) {
       if (agent.close) {
@@ -238,32 +517,63 @@ export class AgentOrchestrator extends EventEmitter {
   }
 
   // Utility methods for different data source types
-  createLocalFileJob(filePath, fileType) {
+  createLocalFileJob(filePath, fileType, options = {}) {
     return {
       dataSource: {
         source: 'local',
         path: filePath,
-        type: fileType
+        type: fileType,
+        options
       }
     };
   }
 
-  createUploadJob(filePath, fileType) {
+  createUploadJob(filePath, fileType, options = {}) {
     return {
       dataSource: {
         source: 'upload',
         path: filePath,
-        type: fileType
+        type: fileType,
+        options
       }
     };
   }
 
-  createODBCJob(connectionString, query = null) {
+  createODBCJob(connection, query = null, params = [], options = {}) {
     return {
       dataSource: {
         source: 'odbc',
-        connectionString,
-        query
+        // Either a connection string or a structured connection object
+        ...(typeof connection === 'string' ? { connectionString: connection } : { connection }),
+        query,
+        params,
+        options
+      }
+    };
+  }
+
+  createAPIJob(url, { auth, pagination, request, options = {} } = {}) {
+    return {
+      dataSource: {
+        source: 'api',
+        url,
+        auth,
+        pagination,
+        request,
+        options
+      }
+    };
+  }
+
+  createS3Job(bucket, { prefix, glob, connection, options = {} } = {}) {
+    return {
+      dataSource: {
+        source: 's3',
+        bucket,
+        prefix,
+        glob,
+        connection,
+        options
       }
     };
   }
@@ -0,0 +1,248 @@
+import { EventEmitter } from 'events';
+import chokidar from 'chokidar';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import winston from 'winston';
+import { matchesGlob } from '../utils/glob.js';
+import { withFileLock, writeJSONFile } from '../utils/jsonFile.js';
+
+export class FolderWatcher extends EventEmitter {
+  constructor(orchestrator, config = {}) {
+    super();
+    this.orchestrator = orchestrator;
+    this.folders = config.folders || [];
+    this.stateFile = config.stateFile || './data/watch-state.json';
+    this.stabilityThreshold = config.stabilityThreshold || 2000;
+    this.pollInterval = config.pollInterval || 100;
+    this.watchers = [];
+    this.processed = new Map();
+    this.pending = new Set();
+    // Files whose job is paused for schema review, with the job id, content hash and the job's promise
+    this.reviewing = new Map();
+    this.queue = Promise.resolve();
+
+    this.logger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.label({ label: 'FolderWatcher' }),
+        winston.format.printf(({ timestamp, label, level, message }) => {
+          return `${timestamp} [${label}] ${level}: ${message}`;
+        })
+      ),
+      transports: [
+        new winston.transports.Console(),
+        new winston.transports.File({ filename: 'logs/watcher.log' })
+      ]
+    });
+  }
+
+  async start() {
+    await this.loadState();
+
+    for (const folder of this.folders) {
+      await this.watchFolder(folder);
+    }
+
+    this.logger.info(`Watching ${this.watchers.length} folders`);
+  }
+
+  async watchFolder(folder) {
+    if (!folder.path) {
+      throw new Error('Watched folder requires a path');
+    }
+
+    const root = path.resolve(folder.path);
+    const archiveDir = folder.archiveDir ? path.resolve(folder.archiveDir) : null;
+    await fs.mkdir(root, { recursive: true });
+    if (archiveDir) {
+      await fs.mkdir(archiveDir, { recursive: true });
+    }
+
+    const watcher = chokidar.watch(root, {
+      ignoreInitial: folder.processExisting === false,
+      // Events only fire once the file size has stopped changing, so half-copied files are not picked up
+      awaitWriteFinish: {
+        stabilityThreshold: folder.stabilityThreshold || this.stabilityThreshold,
+        pollInterval: this.pollInterval
+      },
+      depth: folder.recursive === false ? 0 : undefined,
+      ignored: (filePath) => Boolean(archiveDir) && (filePath === archiveDir || filePath.startsWith(archiveDir + path.sep))
+    });
+
+    const context = { folder, root, archiveDir, glob: folder.glob || '**/*' };
+    const onFile = (filePath) => this.enqueue(filePath, context);
+    watcher.on('add', onFile);
+    watcher.on('change', onFile);
+    watcher.on('error', (error) => this.logger.error(`Watcher error in ${root}: ${error.message}`));
+
+    await new Promise(resolve => watcher.once('ready', resolve));
+    this.watchers.push({ ...context, watcher });
+    this.logger.info(`Watching ${root} for ${context.glob}${archiveDir ? `, archiving to ${archiveDir}` : ''}`);
+  }
+
+  enqueue(filePath, context) {
+    const relativePath = path.relative(context.root, filePath).split(path.sep).join('/');
+    if (!matchesGlob(relativePath, context.glob) || this.pending.has(filePath) || this.reviewing.has(filePath)) {
+      return;
+    }
+
+    // Files are processed one at a time in arrival order; a job paused for schema review lets the next one start
+    this.pending.add(filePath);
+    this.queue = this.queue
+      .then(() => this.processFile(filePath, relativePath, context))
+      .catch(error => this.logger.error(`Failed to process ${filePath}: ${error.message}`))
+      .finally(() => this.pending.delete(filePath));
+  }
+
+  async processFile(filePath, relativePath, context) {
+    let hash;
+    try {
+      hash = await this.hashFile(filePath);
+    } catch (error) {
+      // The file was moved or deleted before its turn came
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    if (this.processed.has(hash)) {
+      this.logger.info(`Skipping ${filePath}: same content already processed as ${this.processed.get(hash).file}`);
+      this.emit('fileSkipped', { file: filePath, hash });
+      return;
+    }
+    const [inReview] = [...this.reviewing].find(([, reviewing]) => reviewing.hash === hash) || [];
+    if (inReview) {
+      this.logger.info(`Skipping ${filePath}: same content is waiting for schema review as ${inReview}`);
+      this.emit('fileSkipped', { file: filePath, hash });
+      return;
+    }
+
+    const jobId = this.orchestrator.generateJobId();
+    this.logger.info(`Starting job ${jobId} for ${filePath}`);
+    this.emit('jobStarted', { jobId, file: filePath });
+
+    const finished = this.runJob(filePath, relativePath, context, hash, jobId);
+    if (!await this.untilPaused(jobId, finished)) {
+      return await finished;
+    }
+
+    // Review can take hours, so the file is archived or recorded when its job ends rather than holding up the queue
+    this.logger.info(`Job ${jobId} for ${filePath} is waiting for schema review; moving on to the next file`);
+    this.reviewing.set(filePath, { jobId, hash, finished });
+    finished
+      .catch(error => this.logger.error(`Failed to process ${filePath}: ${error.message}`))
+      .finally(() => this.reviewing.delete(filePath));
+  }
+
+  untilPaused(jobId, finished) {
+    // true once the job pauses for schema review, false when it ends without pausing
+    return new Promise(resolve => {
+      const settle = (paused) => {
+        this.orchestrator.off('jobAwaitingReview', onPause);
+        resolve(paused);
+      };
+      const onPause = (event) => {
+        if (event.jobId === jobId) settle(true);
+      };
+      this.orchestrator.on('jobAwaitingReview', onPause);
+      finished.then(() => settle(false), () => settle(false));
+    });
+  }
+
+  async runJob(filePath, relativePath, { folder, archiveDir }, hash, jobId) {
+    try {
+      const jobConfig = this.orchestrator.createLocalFileJob(filePath, folder.fileType, folder.options || {});
+      await this.orchestrator.processData(jobConfig, jobId);
+    } catch (error) {
+      // Failed files are not recorded, so fixing and re-saving the file retries it
+      this.logger.error(`Job ${jobId} for ${filePath} failed: ${error.message}`);
+      this.emit('jobFailed', { jobId, file: filePath, error: error.message });
+      return;
+    }
+
+    const archivedTo = archiveDir ? await this.archiveFile(filePath, relativePath, archiveDir) : null;
+    this.processed.set(hash, {
+      file: filePath,
+      archivedTo,
+      jobId,
+      processedAt: new Date().toISOString()
+    });
+    await this.saveState();
+
+    this.emit('jobCompleted', { jobId, file: filePath, archivedTo });
+  }
+
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  async archiveFile(filePath, relativePath, archiveDir) {
+    let target = path.join(archiveDir, relativePath);
+    if (await this.exists(target)) {
+      const { dir, name, ext } = path.parse(target);
+      target = path.join(dir, `${name}_${Date.now()}${ext}`);
+    }
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.rename(filePath, target);
+    } catch (error) {
+      // Archive folders on another volume cannot be renamed into
+      if (error.code !== 'EXDEV') throw error;
+      await fs.copyFile(filePath, target);
+      await fs.unlink(filePath);
+    }
+
+    this.logger.info(`Archived ${filePath} to ${target}`);
+    return target;
+  }
+
+  async exists(filePath) {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async loadState() {
+    try {
+      const state = JSON.parse(await fs.readFile(this.stateFile, 'utf8'));
+      this.processed = new Map(Object.entries(state.processed || {}));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Could not read watch state ${this.stateFile}: ${error.message}`);
+      }
+      this.processed = new Map();
+    }
+  }
+
+  async saveState() {
+    // Jobs that waited for review finish alongside the queue, so saves can overlap
+    await withFileLock(this.stateFile, () => writeJSONFile(this.stateFile, { processed: Object.fromEntries(this.processed) }));
+  }
+
+  getStatus() {
+    return {
+      folders: this.watchers.map(({ root, glob, archiveDir }) => ({ path: root, glob, archiveDir })),
+      pending: [...this.pending],
+      reviewing: [...this.reviewing].map(([file, { jobId }]) => ({ file, jobId })),
+      processedCount: this.processed.size
+    };
+  }
+
+  async stop() {
+    await Promise.all(this.watchers.map(({ watcher }) => watcher.close()));
+    this.watchers = [];
+    // Let the job that is already running finish; jobs waiting for review fail when the orchestrator stops
+    await this.queue;
+    this.logger.info('Folder watcher stopped');
+  }
+}
@@ -5,6 +5,7 @@ import {
   DatabaseOutlined, 
   NodeIndexOutlined, 
   BarChartOutlined,
+  AuditOutlined,
   SettingOutlined 
 } from '@ant-design/icons';
 
@@ -14,6 +15,7 @@ import Dashboard from './pages/Dashboard';
 import DataConnectors from './pages/DataConnectors';
 import WorkflowViewer from './pages/WorkflowViewer';
 import Analytics from './pages/Analytics';
+import SchemaReview from './pages/SchemaReview';
 import Settings from './pages/Settings';
 
 import './App.css';
@@ -65,6 +67,11 @@ function App() {
       icon: <BarChartOutlined />,
       label: 'Analytics'
     },
+    {
+      key: 'review',
+      icon: <AuditOutlined />,
+      label: 'Schema Review'
+    },
     {
       key: 'settings',
       icon: <SettingOutlined />,
@@ -82,6 +89,8 @@ function App() {
         return <WorkflowViewer />;
       case 'analytics':
         return <Analytics />;
+      case 'review':
+        return <SchemaReview />;
       case 'settings':
         return <Settings />;
       default:
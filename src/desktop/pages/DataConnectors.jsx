@@ -24,7 +24,8 @@ import {
   LinkOutlined,
   DeleteOutlined,
   EditOutlined,
-  PlayCircleOutlined
+  PlayCircleOutlined,
+  EyeOutlined
 } from '@ant-design/icons';
 
 const { Title, Text } = Typography;
@@ -36,12 +37,13 @@ const DataConnectors = () => {
   const [isModalVisible, setIsModalVisible] = useState(false);
   const [modalType, setModalType] = useState('file');
   const [form] = Form.useForm();
+  const [preview, setPreview] = useState(null);
 
   const connectorTypes = [
     {
       key: 'file',
       title: 'File Upload',
-      description: 'Upload CSV, Excel, or JSON files',
+      description: 'Upload CSV, Excel, JSON, Parquet or Arrow files',
       icon: <FileTextOutlined style={{ fontSize: 32, color: '#1890ff' }} />,
       color: '#1890ff'
     },
@@ -124,6 +126,15 @@ const DataConnectors = () => {
           >
             Test
           </Button>
+          {(record.type === 'database' || record.filePath) && (
+            <Button 
+              type="link" 
+              icon={<EyeOutlined />}
+              onClick={() => handlePreview(record)}
+            >
+              Preview
+            </Button>
+          )}
           <Button 
             type="link" 
             icon={<EditOutlined />}
@@ -213,7 +224,7 @@ const DataConnectors = () => {
               type: modalType,
               status: 'connected',
               lastUsed: 'Just now',
-              filePath: result.filePath,
+              jobId: result.jobId,
               fileName: file.name,
               fileSize: file.size
             };
@@ -230,6 +241,67 @@ const DataConnectors = () => {
         }
       }
       
+      if (modalType === 'api') {
+        try {
+          const response = await fetch('http://localhost:3000/api/process/api', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              url: values.endpoint,
+              auth: {
+                type: values.authType || 'none',
+                key: values.apiKey,
+                token: values.token,
+                username: values.username,
+                password: values.password
+              },
+              pagination: {
+                type: values.paginationType || 'none',
+                cursorPath: values.cursorPath
+              },
+              options: values.recordPath ? { recordPath: values.recordPath } : {}
+            })
+          });
+          
+          if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Request failed');
+          }
+          message.success('API import started!');
+        } catch (error) {
+          message.error('Failed to start API import: ' + error.message);
+          return;
+        }
+      }
+      
+      if (modalType === 'cloud' && ['aws', 's3'].includes(values.cloudProvider)) {
+        try {
+          const response = await fetch('http://localhost:3000/api/process/s3', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              bucket: values.bucket,
+              prefix: values.prefix,
+              glob: values.glob,
+              connection: {
+                endpoint: values.endpoint,
+                accessKeyId: values.accessKey,
+                secretAccessKey: values.secretKey
+              }
+            })
+          });
+          
+          if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || 'Request failed');
+          }
+          message.success('Bucket import started!');
+        } catch (error) {
+          message.error('Failed to start bucket import: ' + error.message);
+          return;
+        }
+      }
+      
       // Create new connector for non-file types
       const newConnector = {
         id: Date.now(),
@@ -248,11 +320,207 @@ const DataConnectors = () => {
     }
   };
 
-  const handleTestConnection = (connector) => {
-    message.loading('Testing connection...', 2);
-    setTimeout(() => {
-      message.success('Connection test successful!');
-    }, 2000);
+  const postJSON = async (url, body) => {
+    const response = await fetch(`http://localhost:3000${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+    return result;
+  };
+
+  const buildConnection = (connector) => {
+    if (connector.connectionString) {
+      return { connectionString: connector.connectionString };
+    }
+    // The form fields are sent as a structured connection, so passwords need no URL escaping
+    return {
+      connection: {
+        type: connector.dbType,
+        host: connector.host,
+        port: connector.port,
+        database: connector.database,
+        user: connector.username,
+        password: connector.password,
+        sslmode: connector.sslMode
+      }
+    };
+  };
+
+  const updateConnectorStatus = (id, status) => {
+    setConnectors(prev => prev.map(c => (c.id === id ? { ...c, status, lastUsed: 'Just now' } : c)));
+  };
+
+  const handleTestConnection = async (connector) => {
+    const hide = message.loading('Testing connection...', 0);
+    try {
+      if (connector.type === 'database') {
+        const result = await postJSON('/api/introspect', { ...buildConnection(connector), rowCounts: false });
+        message.success(`Connected to ${result.type}: ${result.tables.length} tables`);
+      } else if (connector.filePath) {
+        const result = await postJSON('/api/preview', { source: 'local', filePath: connector.filePath, limit: 1 });
+        message.success(`File is readable: ${result.columns.length} columns`);
+      } else {
+        message.info('Connection tests are available for databases and files');
+        return;
+      }
+      updateConnectorStatus(connector.id, 'connected');
+    } catch (error) {
+      updateConnectorStatus(connector.id, 'error');
+      message.error('Connection test failed: ' + error.message);
+    } finally {
+      hide();
+    }
+  };
+
+  const handlePreview = async (connector) => {
+    setPreview({ title: connector.name, connector, loading: true });
+    try {
+      if (connector.type === 'database') {
+        const schema = await postJSON('/api/introspect', buildConnection(connector));
+        setPreview({ title: connector.name, connector, schema });
+      } else {
+        const result = await postJSON('/api/preview', { source: 'local', filePath: connector.filePath });
+        setPreview({ title: connector.name, connector, result });
+      }
+    } catch (error) {
+      message.error('Preview failed: ' + error.message);
+      setPreview(null);
+    }
+  };
+
+  const handlePreviewTable = async (table) => {
+    const { connector, schema } = preview;
+    setPreview(prev => ({ ...prev, table, result: null, loading: true }));
+    try {
+      const result = await postJSON('/api/preview', {
+        source: 'odbc',
+        ...buildConnection(connector),
+        table,
+        schema: schema.schema
+      });
+      setPreview(prev => ({ ...prev, result, loading: false }));
+    } catch (error) {
+      message.error('Preview failed: ' + error.message);
+      setPreview(prev => ({ ...prev, loading: false }));
+    }
+  };
+
+  const handleFilePreview = async () => {
+    const file = form.getFieldValue('file')?.file;
+    if (!file) {
+      message.warning('Choose a file to preview first');
+      return;
+    }
+
+    // Only a sample is read; nothing is processed until the connector is created
+    const formData = new FormData();
+    formData.append('file', file);
+    setPreview({ title: file.name, loading: true });
+    try {
+      const response = await fetch('http://localhost:3000/api/preview/upload', {
+        method: 'POST',
+        body: formData
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Preview failed');
+      }
+      setPreview({ title: file.name, result });
+    } catch (error) {
+      message.error('Preview failed: ' + error.message);
+      setPreview(null);
+    }
+  };
+
+  const formatPreviewValue = (value) => {
+    if (value === null || value === undefined) {
+      return <Text type="secondary">null</Text>;
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  const renderPreviewRows = ({ rows, columns: previewColumns, columnTypes }) => (
+    <Table
+      size="small"
+      scroll={{ x: true }}
+      pagination={false}
+      rowKey="__previewRow"
+      dataSource={rows.map((row, index) => ({ ...row, __previewRow: index }))}
+      columns={previewColumns.map(column => ({
+        title: columnTypes?.[column] ? `${column} (${columnTypes[column]})` : column,
+        dataIndex: [column],
+        key: column,
+        render: formatPreviewValue
+      }))}
+    />
+  );
+
+  const renderPreviewContent = () => {
+    if (!preview) {
+      return null;
+    }
+
+    const { schema, result, table } = preview;
+    return (
+      <>
+        {schema && (
+          <Table
+            size="small"
+            pagination={false}
+            rowKey="name"
+            dataSource={schema.tables}
+            columns={[
+              {
+                title: 'Table',
+                dataIndex: 'name',
+                key: 'name',
+                render: (name) => (
+                  <Button type="link" onClick={() => handlePreviewTable(name)}>{name}</Button>
+                )
+              },
+              {
+                title: 'Columns',
+                dataIndex: 'columns',
+                key: 'columns',
+                render: (tableColumns) => tableColumns.map(c => `${c.name} ${c.type}`).join(', ')
+              },
+              {
+                title: 'Primary Key',
+                dataIndex: 'primaryKey',
+                key: 'primaryKey',
+                render: (key) => key.join(', ')
+              },
+              {
+                title: 'Foreign Keys',
+                dataIndex: 'foreignKeys',
+                key: 'foreignKeys',
+                render: (foreignKeys) => foreignKeys.map(fk => (
+                  <Tag key={fk.columns.join(',')}>{fk.columns.join(', ')} → {fk.referencedTable}</Tag>
+                ))
+              },
+              {
+                title: 'Rows',
+                dataIndex: 'rowCount',
+                key: 'rowCount'
+              }
+            ]}
+          />
+        )}
+        {schema && table && <Divider orientation="left">{table}</Divider>}
+        {result && result.entities?.length > 0 && result.entities.map(entity => (
+          <div key={entity.name}>
+            <Divider orientation="left">{entity.name}</Divider>
+            {renderPreviewRows(entity)}
+          </div>
+        ))}
+        {result && !(result.entities?.length > 0) && renderPreviewRows(result)}
+      </>
+    );
   };
 
   const handleEditConnector = (connector) => {
@@ -293,7 +561,7 @@ const DataConnectors = () => {
               <Dragger
                 name="file"
                 multiple={false}
-                accept=".csv,.xlsx,.xls,.json"
+                accept=".csv,.xlsx,.xls,.json,.ndjson,.jsonl,.parquet,.arrow,.feather,.gz,.zip,.tar,.tgz"
                 beforeUpload={(file) => {
                   // Store the file for later upload
                   form.setFieldValue('file', { file });
@@ -314,10 +582,14 @@ const DataConnectors = () => {
                   Click or drag file to this area to upload
                 </p>
                 <p className="ant-upload-hint">
-                  Support for CSV, Excel, and JSON files
+                  Support for CSV, Excel, JSON, NDJSON, Parquet and Arrow files, also inside gzip, zip or tar archives
                 </p>
               </Dragger>
             </Form.Item>
+            
+            <Button icon={<EyeOutlined />} onClick={handleFilePreview}>
+              Preview
+            </Button>
           </Form>
         );
 
@@ -341,48 +613,70 @@ const DataConnectors = () => {
                 <Option value="mysql">MySQL</Option>
                 <Option value="postgresql">PostgreSQL</Option>
                 <Option value="sqlite">SQLite</Option>
-                <Option value="mssql">SQL Server</Option>
               </Select>
             </Form.Item>
             
-            <Form.Item
-              name="host"
-              label="Host"
-              rules={[{ required: true, message: 'Please enter host' }]}
-            >
-              <Input placeholder="localhost" />
-            </Form.Item>
-            
-            <Form.Item
-              name="port"
-              label="Port"
-              rules={[{ required: true, message: 'Please enter port' }]}
-            >
-              <Input placeholder="3306" />
-            </Form.Item>
-            
-            <Form.Item
-              name="database"
-              label="Database Name"
-              rules={[{ required: true, message: 'Please enter database name' }]}
-            >
-              <Input placeholder="mydatabase" />
-            </Form.Item>
-            
-            <Form.Item
-              name="username"
-              label="Username"
-              rules={[{ required: true, message: 'Please enter username' }]}
-            >
-              <Input placeholder="username" />
-            </Form.Item>
-            
-            <Form.Item
-              name="password"
-              label="Password"
-              rules={[{ required: true, message: 'Please enter password' }]}
-            >
-              <Input.Password placeholder="password" />
+            <Form.Item noStyle shouldUpdate={(prev, next) => prev.dbType !== next.dbType}>
+              {({ getFieldValue }) => (getFieldValue('dbType') === 'sqlite' ? (
+                <Form.Item
+                  name="database"
+                  label="Database File"
+                  rules={[{ required: true, message: 'Please enter the database file path' }]}
+                >
+                  <Input placeholder="/data/app.sqlite" />
+                </Form.Item>
+              ) : (
+                <>
+                  <Form.Item
+                    name="host"
+                    label="Host"
+                    rules={[{ required: true, message: 'Please enter host' }]}
+                  >
+                    <Input placeholder="localhost" />
+                  </Form.Item>
+                  
+                  <Form.Item
+                    name="port"
+                    label="Port"
+                  >
+                    <Input placeholder={getFieldValue('dbType') === 'postgresql' ? '5432' : '3306'} />
+                  </Form.Item>
+                  
+                  <Form.Item
+                    name="database"
+                    label="Database Name"
+                    rules={[{ required: true, message: 'Please enter database name' }]}
+                  >
+                    <Input placeholder="mydatabase" />
+                  </Form.Item>
+                  
+                  <Form.Item
+                    name="username"
+                    label="Username"
+                    rules={[{ required: true, message: 'Please enter username' }]}
+                  >
+                    <Input placeholder="username" />
+                  </Form.Item>
+                  
+                  <Form.Item
+                    name="password"
+                    label="Password"
+                  >
+                    <Input.Password placeholder="password" />
+                  </Form.Item>
+                  
+                  <Form.Item
+                    name="sslMode"
+                    label="SSL"
+                  >
+                    <Select placeholder="Disabled">
+                      <Option value="disable">Disabled</Option>
+                      <Option value="require">Required (no certificate check)</Option>
+                      <Option value="verify-full">Required, verify certificate</Option>
+                    </Select>
+                  </Form.Item>
+                </>
+              ))}
             </Form.Item>
           </Form>
         );
@@ -418,11 +712,63 @@ const DataConnectors = () => {
               </Select>
             </Form.Item>
             
+            <Form.Item noStyle shouldUpdate={(prev, next) => prev.authType !== next.authType}>
+              {({ getFieldValue }) => {
+                switch (getFieldValue('authType')) {
+                  case 'apiKey':
+                    return (
+                      <Form.Item name="apiKey" label="API Key">
+                        <Input placeholder="Your API key" />
+                      </Form.Item>
+                    );
+                  case 'bearer':
+                    return (
+                      <Form.Item name="token" label="Bearer Token">
+                        <Input.Password placeholder="Token" />
+                      </Form.Item>
+                    );
+                  case 'basic':
+                    return (
+                      <>
+                        <Form.Item name="username" label="Username">
+                          <Input placeholder="username" />
+                        </Form.Item>
+                        <Form.Item name="password" label="Password">
+                          <Input.Password placeholder="password" />
+                        </Form.Item>
+                      </>
+                    );
+                  default:
+                    return null;
+                }
+              }}
+            </Form.Item>
+            
+            <Form.Item
+              name="recordPath"
+              label="Records (JSONPath)"
+            >
+              <Input placeholder="e.g., $.data.items[*]" />
+            </Form.Item>
+            
             <Form.Item
-              name="apiKey"
-              label="API Key"
+              name="paginationType"
+              label="Pagination"
             >
-              <Input placeholder="Your API key" />
+              <Select placeholder="Select pagination type">
+                <Option value="none">None</Option>
+                <Option value="cursor">Cursor</Option>
+                <Option value="offset">Offset / Limit</Option>
+                <Option value="link">Link Header</Option>
+              </Select>
+            </Form.Item>
+            
+            <Form.Item noStyle shouldUpdate={(prev, next) => prev.paginationType !== next.paginationType}>
+              {({ getFieldValue }) => getFieldValue('paginationType') === 'cursor' && (
+                <Form.Item name="cursorPath" label="Next Cursor (JSONPath)">
+                  <Input placeholder="e.g., $.meta.next_cursor" />
+                </Form.Item>
+              )}
             </Form.Item>
           </Form>
         );
@@ -445,6 +791,7 @@ const DataConnectors = () => {
             >
               <Select placeholder="Select cloud provider">
                 <Option value="aws">AWS S3</Option>
+                <Option value="s3">S3-Compatible (MinIO, Ceph, ...)</Option>
                 <Option value="gcp">Google Cloud Storage</Option>
                 <Option value="azure">Azure Blob Storage</Option>
                 <Option value="dropbox">Dropbox</Option>
@@ -474,6 +821,32 @@ const DataConnectors = () => {
             >
               <Input.Password placeholder="Secret key" />
             </Form.Item>
+            
+            <Form.Item noStyle shouldUpdate={(prev, next) => prev.cloudProvider !== next.cloudProvider}>
+              {({ getFieldValue }) => getFieldValue('cloudProvider') === 's3' && (
+                <Form.Item
+                  name="endpoint"
+                  label="Endpoint URL"
+                  rules={[{ required: true, message: 'Please enter endpoint URL' }]}
+                >
+                  <Input placeholder="http://localhost:9000" />
+                </Form.Item>
+              )}
+            </Form.Item>
+            
+            <Form.Item
+              name="prefix"
+              label="Prefix"
+            >
+              <Input placeholder="e.g., exports/2024/" />
+            </Form.Item>
+            
+            <Form.Item
+              name="glob"
+              label="Object Pattern"
+            >
+              <Input placeholder="e.g., exports/**/*.{csv,parquet}" />
+            </Form.Item>
           </Form>
         );
 
@@ -560,6 +933,18 @@ const DataConnectors = () => {
       >
         {renderModalContent()}
       </Modal>
+
+      {/* Preview */}
+      <Modal
+        title={`Preview: ${preview?.title || ''}`}
+        open={Boolean(preview)}
+        onCancel={() => setPreview(null)}
+        footer={null}
+        width={1000}
+      >
+        {preview?.loading && !preview?.schema ? <Text type="secondary">Loading...</Text> : renderPreviewContent()}
+        {preview?.loading && preview?.schema && <Text type="secondary">Loading...</Text>}
+      </Modal>
     </div>
   );
 };
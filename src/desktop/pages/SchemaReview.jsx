@@ -0,0 +1,406 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Row,
+  Col,
+  Card,
+  Button,
+  Modal,
+  Form,
+  Input,
+  Select,
+  message,
+  Table,
+  Tag,
+  Space,
+  Typography,
+  Empty
+} from 'antd';
+import {
+  PlusOutlined,
+  DeleteOutlined,
+  ReloadOutlined,
+  CheckOutlined,
+  CloseOutlined
+} from '@ant-design/icons';
+
+const { Title, Text } = Typography;
+const { Option } = Select;
+
+const SchemaReview = () => {
+  const [pending, setPending] = useState([]);
+  const [review, setReview] = useState(null);
+  const [labels, setLabels] = useState({});
+  const [types, setTypes] = useState({});
+  const [relationships, setRelationships] = useState([]);
+  const [isModalVisible, setIsModalVisible] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [form] = Form.useForm();
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(`http://localhost:3000${url}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+    return result;
+  };
+
+  const loadPending = async () => {
+    try {
+      setPending(await request('/api/review/schemas'));
+    } catch (error) {
+      message.error('Failed to load jobs waiting for review: ' + error.message);
+    }
+  };
+
+  useEffect(() => {
+    loadPending();
+    // Jobs pause for review while the page is open, so the list is refreshed
+    const timer = setInterval(loadPending, 10000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const openReview = async (jobId) => {
+    try {
+      const proposal = await request(`/api/review/schemas/${jobId}`);
+      setReview(proposal);
+      setLabels(Object.fromEntries(proposal.schema.entities.map(entity => [entity.name, entity.label || entity.name])));
+      setTypes(Object.fromEntries(proposal.schema.entities.map(entity => [
+        entity.name,
+        Object.fromEntries(entity.properties.map(prop => [prop.name, prop.type]))
+      ])));
+      setRelationships(proposal.relationships.map((rel, index) => ({ ...rel, key: index })));
+    } catch (error) {
+      message.error('Failed to load the proposed schema: ' + error.message);
+      loadPending();
+    }
+  };
+
+  const handleSubmit = async (decision) => {
+    setSubmitting(true);
+    try {
+      const body = { decision };
+      if (decision === 'approve') {
+        body.schema = {
+          entities: review.schema.entities.map(entity => ({
+            name: entity.name,
+            label: labels[entity.name],
+            properties: entity.properties.map(prop => ({ name: prop.name, type: types[entity.name][prop.name] }))
+          }))
+        };
+        body.relationships = relationships.map(({ key, ...rel }) => rel);
+      }
+      const result = await request(`/api/review/schemas/${review.jobId}`, { method: 'POST', body: JSON.stringify(body) });
+      message.success(decision === 'approve'
+        ? `Job resumed with ${result.changes.length} changes`
+        : 'Job stopped; nothing was written to the graph');
+      setReview(null);
+      loadPending();
+    } catch (error) {
+      // The job keeps waiting, so the edits can be fixed and sent again
+      message.error('Review failed: ' + error.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAddRelationship = async () => {
+    try {
+      const values = await form.validateFields();
+      setRelationships(prev => [...prev, {
+        key: Date.now(),
+        type: 'entity_reference',
+        name: values.name || undefined,
+        sourceEntity: values.sourceEntity,
+        targetEntity: values.targetEntity,
+        sourceProperties: [values.sourceProperty],
+        targetProperties: [values.targetProperty]
+      }]);
+      form.resetFields();
+      setIsModalVisible(false);
+    } catch (error) {
+      // Form validation shows its own messages
+    }
+  };
+
+  const describeEnd = (rel, side) => {
+    const entity = side === 'source' ? rel.sourceEntity : rel.targetEntity;
+    // A multi-valued column links through its items, so it is named instead of the row key
+    const properties = side === 'source' ? (rel.property ? [rel.property] : rel.sourceProperties) : rel.targetProperties;
+    if (!entity) {
+      // Column-pair relationships join two columns of the same table
+      return rel[side];
+    }
+    return `${labels[entity] || entity}${properties?.[0] ? `.${properties.join(', ')}` : ''}`;
+  };
+
+  const pendingColumns = [
+    {
+      title: 'Job',
+      dataIndex: 'jobId',
+      key: 'jobId'
+    },
+    {
+      title: 'Source',
+      dataIndex: 'source',
+      key: 'source'
+    },
+    {
+      title: 'Entities',
+      dataIndex: 'entities',
+      key: 'entities',
+      render: (entities) => entities.map(entity => <Tag key={entity}>{entity}</Tag>)
+    },
+    {
+      title: 'Rows',
+      dataIndex: 'rowCount',
+      key: 'rowCount'
+    },
+    {
+      title: 'Waiting Since',
+      dataIndex: 'requestedAt',
+      key: 'requestedAt',
+      render: (requestedAt) => new Date(requestedAt).toLocaleString()
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, record) => (
+        <Button type="link" onClick={() => openReview(record.jobId)}>
+          Review
+        </Button>
+      )
+    }
+  ];
+
+  const propertyColumns = (entity) => [
+    {
+      title: 'Property',
+      dataIndex: 'name',
+      key: 'name',
+      render: (name, prop) => (
+        <Space>
+          <span>{name}</span>
+          {entity.primaryKey?.includes(name) && <Tag color="gold">key</Tag>}
+          {prop.pii && <Tag color="red">{prop.pii.category}</Tag>}
+        </Space>
+      )
+    },
+    {
+      title: 'Type',
+      key: 'type',
+      render: (_, prop) => (
+        <Select
+          value={types[entity.name][prop.name]}
+          style={{ width: 140 }}
+          // Masked values are hashes or tokens, so their type stays as it is
+          disabled={prop.pii && prop.pii.graph !== 'keep'}
+          onChange={(type) => setTypes(prev => ({ ...prev, [entity.name]: { ...prev[entity.name], [prop.name]: type } }))}
+        >
+          {review.types.map(type => <Option key={type} value={type}>{type}</Option>)}
+        </Select>
+      )
+    },
+    {
+      title: 'Nullable',
+      dataIndex: 'nullable',
+      key: 'nullable',
+      render: (nullable) => (nullable ? 'yes' : 'no')
+    }
+  ];
+
+  const relationshipColumns = [
+    {
+      title: 'Name',
+      key: 'name',
+      render: (_, rel) => (
+        <Input
+          value={rel.name}
+          placeholder="named automatically"
+          style={{ width: 200 }}
+          onChange={(event) => {
+            const name = event.target.value;
+            setRelationships(prev => prev.map(candidate => (candidate.key === rel.key ? { ...candidate, name } : candidate)));
+          }}
+        />
+      )
+    },
+    {
+      title: 'Kind',
+      dataIndex: 'type',
+      key: 'type',
+      render: (type) => <Tag color={type === 'entity_reference' ? 'blue' : 'default'}>{type}</Tag>
+    },
+    {
+      title: 'From',
+      key: 'from',
+      render: (_, rel) => describeEnd(rel, 'source')
+    },
+    {
+      title: 'To',
+      key: 'to',
+      render: (_, rel) => describeEnd(rel, 'target')
+    },
+    {
+      title: 'Actions',
+      key: 'actions',
+      render: (_, rel) => (
+        <Button
+          type="link"
+          danger
+          icon={<DeleteOutlined />}
+          onClick={() => setRelationships(prev => prev.filter(candidate => candidate.key !== rel.key))}
+        >
+          Drop
+        </Button>
+      )
+    }
+  ];
+
+  const sourceEntity = Form.useWatch('sourceEntity', form);
+
+  return (
+    <div>
+      <Row gutter={[24, 24]}>
+        <Col span={24}>
+          <Card>
+            <Title level={3}>Schema Review</Title>
+            <Text type="secondary">
+              Check and correct the proposed schema of a paused job before it is written to Neo4j
+            </Text>
+          </Card>
+        </Col>
+
+        <Col span={24}>
+          <Card
+            title="Jobs Waiting for Review"
+            extra={
+              <Button icon={<ReloadOutlined />} onClick={loadPending}>
+                Refresh
+              </Button>
+            }
+          >
+            <Table
+              columns={pendingColumns}
+              dataSource={pending}
+              rowKey="jobId"
+              pagination={false}
+              locale={{ emptyText: <Empty description="No jobs are waiting. Start a job with review enabled to pause it here." /> }}
+            />
+          </Card>
+        </Col>
+
+        {review && (
+          <>
+            {review.schema.entities.map(entity => (
+              <Col span={24} key={entity.name}>
+                <Card
+                  title={
+                    <Space>
+                      <Text>Label</Text>
+                      <Input
+                        value={labels[entity.name]}
+                        style={{ width: 240 }}
+                        onChange={(event) => {
+                          const label = event.target.value;
+                          setLabels(prev => ({ ...prev, [entity.name]: label }));
+                        }}
+                      />
+                      <Text type="secondary">{entity.name}</Text>
+                    </Space>
+                  }
+                >
+                  <Table
+                    columns={propertyColumns(entity)}
+                    dataSource={entity.properties}
+                    rowKey="name"
+                    size="small"
+                    pagination={false}
+                  />
+                </Card>
+              </Col>
+            ))}
+
+            <Col span={24}>
+              <Card
+                title="Relationships"
+                extra={
+                  <Button icon={<PlusOutlined />} onClick={() => setIsModalVisible(true)}>
+                    Add Relationship
+                  </Button>
+                }
+              >
+                <Table
+                  columns={relationshipColumns}
+                  dataSource={relationships}
+                  rowKey="key"
+                  size="small"
+                  pagination={false}
+                />
+              </Card>
+            </Col>
+
+            <Col span={24}>
+              <Space>
+                <Button type="primary" icon={<CheckOutlined />} loading={submitting} onClick={() => handleSubmit('approve')}>
+                  Resume Job
+                </Button>
+                <Button danger icon={<CloseOutlined />} loading={submitting} onClick={() => handleSubmit('reject')}>
+                  Reject
+                </Button>
+                <Button onClick={() => openReview(review.jobId)}>
+                  Discard Edits
+                </Button>
+              </Space>
+            </Col>
+          </>
+        )}
+      </Row>
+
+      <Modal
+        title="Add Relationship"
+        open={isModalVisible}
+        onOk={handleAddRelationship}
+        onCancel={() => setIsModalVisible(false)}
+        okText="Add"
+        cancelText="Cancel"
+      >
+        <Form form={form} layout="vertical">
+          <Form.Item name="sourceEntity" label="From Entity" rules={[{ required: true, message: 'Choose the entity that holds the reference' }]}>
+            <Select placeholder="e.g., Order">
+              {review?.schema.entities.map(entity => (
+                <Option key={entity.name} value={entity.name}>{labels[entity.name]}</Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item name="sourceProperty" label="Column" rules={[{ required: true, message: 'Choose the referencing column' }]}>
+            <Select placeholder="e.g., customer_id">
+              {review?.schema.entities.find(entity => entity.name === sourceEntity)?.properties.map(prop => (
+                <Option key={prop.name} value={prop.name}>{prop.name}</Option>
+              ))}
+            </Select>
+          </Form.Item>
+          <Form.Item
+            name="targetEntity"
+            label="To Entity or Label"
+            extra="An entity of this job, or a label of nodes already in the graph"
+            rules={[{ required: true, message: 'Enter the referenced entity or label' }]}
+          >
+            <Input placeholder="e.g., Customer" />
+          </Form.Item>
+          <Form.Item name="targetProperty" label="Referenced Property" rules={[{ required: true, message: 'Enter the referenced property' }]}>
+            <Input placeholder="e.g., customer_id" />
+          </Form.Item>
+          <Form.Item name="name" label="Relationship Type">
+            <Input placeholder="e.g., PLACED_BY (named automatically when empty)" />
+          </Form.Item>
+        </Form>
+      </Modal>
+    </div>
+  );
+};
+
+export default SchemaReview;
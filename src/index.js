@@ -2,10 +2,15 @@ import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
 import path from 'path';
+import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import { AgentOrchestrator } from './coordination/AgentOrchestrator.js';
+import { FolderWatcher } from './coordination/FolderWatcher.js';
 import { DashboardServer } from './dashboard/DashboardServer.js';
+import { defaultConfig } from './config/default.js';
+import { resolveConnection, describeConnection } from './utils/connection.js';
+import { rejectionsToCsv } from './services/RowValidator.js';
 import winston from 'winston';
 
 // Load environment variables
@@ -19,6 +24,7 @@ class MultiAgentDataSystem {
     this.app = express();
     this.orchestrator = null;
     this.dashboard = null;
+    this.folderWatcher = null;
     this.uploadDir = process.env.UPLOAD_DIR || './uploads';
     
     this.logger = winston.createLogger({
@@ -49,17 +55,14 @@ class MultiAgentDataSystem {
         fileSize: this.parseFileSize(process.env.MAX_FILE_SIZE || '50MB')
       },
       fileFilter: (req, file, cb) => {
-        const allowedTypes = [
-          'text/csv',
-          'application/vnd.ms-excel',
-          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-          'application/json'
-        ];
+        const { allowedMimeTypes, allowedExtensions } = defaultConfig.upload;
+        const extension = path.extname(file.originalname).toLowerCase();
         
-        if (allowedTypes.includes(file.mimetype)) {
+        // Browsers report no reliable mimetype for NDJSON, Parquet or Arrow, so the extension is enough
+        if (allowedMimeTypes.includes(file.mimetype) || allowedExtensions.includes(extension)) {
           cb(null, true);
         } else {
-          cb(new Error('Invalid file type. Only CSV, Excel, and JSON files are allowed.'));
+          cb(new Error('Invalid file type. Only CSV, Excel, JSON, NDJSON, Parquet and Arrow files (optionally gzip, zip or tar packed) are allowed.'));
         }
       }
     });
@@ -88,8 +91,19 @@ class MultiAgentDataSystem {
           return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        let options;
+        try {
+          options = this.parseJobOptions(req.body);
+        } catch (error) {
+          await fs.rm(req.file.path, { force: true });
+          return res.status(400).json({ error: error.message });
+        }
+
         const fileType = this.getFileType(req.file.originalname);
-        const jobConfig = this.orchestrator.createUploadJob(req.file.path, fileType);
+        const jobConfig = this.orchestrator.createUploadJob(req.file.path, fileType, {
+          sourceName: req.file.originalname,
+          ...options
+        });
         
         // Process the file
         const jobId = await this.orchestrator.processDataAsync(jobConfig);
@@ -109,13 +123,13 @@ class MultiAgentDataSystem {
     // Process local file endpoint
     this.app.post('/api/process/local', async (req, res) => {
       try {
-        const { filePath, fileType } = req.body;
+        const { filePath, fileType, options } = req.body;
         
         if (!filePath) {
           return res.status(400).json({ error: 'File path is required' });
         }
 
-        const jobConfig = this.orchestrator.createLocalFileJob(filePath, fileType);
+        const jobConfig = this.orchestrator.createLocalFileJob(filePath, fileType, options);
         const jobId = await this.orchestrator.processDataAsync(jobConfig);
         
         res.json({ 
@@ -133,19 +147,45 @@ class MultiAgentDataSystem {
     // Process ODBC connection endpoint
     this.app.post('/api/process/odbc', async (req, res) => {
       try {
-        const { connectionString, query } = req.body;
+        const { connectionString, connection, query, params = [], options } = req.body;
         
-        if (!connectionString) {
-          return res.status(400).json({ error: 'Connection string is required' });
+        if (!connectionString && !connection) {
+          return res.status(400).json({ error: 'Connection string or connection is required' });
         }
 
-        const jobConfig = this.orchestrator.createODBCJob(connectionString, query);
+        try {
+          resolveConnection(connectionString ?? connection);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        if (!Array.isArray(params)) {
+          return res.status(400).json({ error: 'Query params must be an array' });
+        }
+
+        if (query) {
+          try {
+            this.orchestrator.agents.dataLoader.assertReadOnlyQuery(query);
+          } catch (error) {
+            return res.status(400).json({ error: error.message });
+          }
+        }
+
+        const incremental = options?.incremental;
+        if (incremental && (!incremental.column || (!query && !incremental.table))) {
+          return res.status(400).json({ error: 'Incremental loads require a watermark column and a query or table' });
+        }
+        if (incremental && query && !incremental.key) {
+          return res.status(400).json({ error: 'Incremental loads from a query require a key that identifies a row' });
+        }
+
+        const jobConfig = this.orchestrator.createODBCJob(connectionString ?? connection, query, params, options);
         const jobId = await this.orchestrator.processDataAsync(jobConfig);
         
         res.json({ 
           message: 'ODBC processing started',
           jobId,
-          connectionString: this.maskConnectionString(connectionString)
+          connectionString: this.maskConnectionString(connectionString ?? connection)
         });
       } catch (error) {
         this.logger.error('ODBC processing failed:', error);
@@ -153,6 +193,212 @@ class MultiAgentDataSystem {
       }
     });
 
+    // Process REST API endpoint
+    this.app.post('/api/process/api', async (req, res) => {
+      try {
+        const { url, auth, pagination, request, options } = req.body;
+        
+        if (!url) {
+          return res.status(400).json({ error: 'API url is required' });
+        }
+
+        try {
+          new URL(url);
+        } catch {
+          return res.status(400).json({ error: `Invalid API url: ${url}` });
+        }
+
+        const jobConfig = this.orchestrator.createAPIJob(url, { auth, pagination, request, options });
+        const jobId = await this.orchestrator.processDataAsync(jobConfig);
+        
+        res.json({ 
+          message: 'API processing started',
+          jobId,
+          url
+        });
+      } catch (error) {
+        this.logger.error('API processing failed:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Process S3-compatible bucket
+    this.app.post('/api/process/s3', async (req, res) => {
+      try {
+        const { bucket, prefix, glob, connection, options } = req.body;
+        
+        if (!bucket) {
+          return res.status(400).json({ error: 'Bucket is required' });
+        }
+
+        const jobConfig = this.orchestrator.createS3Job(bucket, { prefix, glob, connection, options });
+        const jobId = await this.orchestrator.processDataAsync(jobConfig);
+        
+        res.json({ 
+          message: 'S3 processing started',
+          jobId,
+          bucket,
+          prefix,
+          glob
+        });
+      } catch (error) {
+        this.logger.error('S3 processing failed:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Watched folders
+    this.app.get('/api/watch/status', (req, res) => {
+      res.json(this.folderWatcher ? this.folderWatcher.getStatus() : { folders: [], pending: [], reviewing: [], processedCount: 0 });
+    });
+
+    // Incremental load watermarks
+    this.app.get('/api/watermarks', async (req, res) => {
+      try {
+        res.json(await this.orchestrator.agents.dataLoader.watermarks.list());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/watermarks/:sourceId', async (req, res) => {
+      try {
+        // The next load of this source reads every row again
+        const removed = await this.orchestrator.agents.dataLoader.watermarks.delete(req.params.sourceId);
+        if (!removed) {
+          return res.status(404).json({ error: `No watermark for ${req.params.sourceId}` });
+        }
+        res.json({ message: 'Watermark reset', sourceId: req.params.sourceId });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Record pairs that entity resolution could not decide on
+    this.app.get('/api/review/matches', async (req, res) => {
+      try {
+        const { status = 'pending', entity } = req.query;
+        res.json(await this.orchestrator.agents.dataStructuring.reviewQueue.list({
+          status: status === 'all' ? undefined : status,
+          entity
+        }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/review/matches/:id', async (req, res) => {
+      try {
+        // The decision is applied the next time either record is loaded
+        const entry = await this.orchestrator.agents.dataStructuring.reviewQueue.decide(req.params.id, req.body.decision);
+        if (!entry) {
+          return res.status(404).json({ error: `No review item ${req.params.id}` });
+        }
+        res.json(entry);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Jobs paused after structuring, waiting for their schema to be approved
+    this.app.get('/api/review/schemas', (req, res) => {
+      try {
+        res.json(this.orchestrator.getPendingReviews());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/review/schemas/:jobId', (req, res) => {
+      const review = this.orchestrator.getReview(req.params.jobId);
+      if (!review) {
+        return res.status(404).json({ error: `Job ${req.params.jobId} is not waiting for schema review` });
+      }
+      res.json(review);
+    });
+
+    this.app.post('/api/review/schemas/:jobId', (req, res) => {
+      try {
+        // { decision: 'approve' | 'reject', schema: { entities: [{ name, label, properties: [{ name, type }] }] }, relationships }
+        const review = this.orchestrator.resumeJob(req.params.jobId, req.body);
+        if (!review) {
+          return res.status(404).json({ error: `Job ${req.params.jobId} is not waiting for schema review` });
+        }
+        res.json(review);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    // Look at a source before starting a job
+    this.app.post('/api/introspect', async (req, res) => {
+      try {
+        const { connectionString, connection, schema, rowCounts } = req.body;
+        
+        if (!connectionString && !connection) {
+          return res.status(400).json({ error: 'Connection string or connection is required' });
+        }
+
+        try {
+          resolveConnection(connectionString ?? connection);
+        } catch (error) {
+          return res.status(400).json({ error: error.message });
+        }
+
+        const description = await this.orchestrator.agents.dataLoader.describeDatabase(connectionString ?? connection, { schema, rowCounts });
+        res.json({ ...description, connectionString: this.maskConnectionString(connectionString ?? connection) });
+      } catch (error) {
+        this.logger.error('Schema introspection failed:', error);
+        res.status(502).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/preview', async (req, res) => {
+      try {
+        const { source, filePath, fileType, connectionString, connection, table, schema, query, params = [], limit, options } = req.body;
+        
+        if (source === 'local' && !filePath) {
+          return res.status(400).json({ error: 'File path is required' });
+        }
+        if (source === 'odbc' && !connectionString && !connection) {
+          return res.status(400).json({ error: 'Connection string or connection is required' });
+        }
+        if (!['local', 'odbc'].includes(source)) {
+          return res.status(400).json({ error: 'Preview source must be local or odbc' });
+        }
+
+        const preview = await this.orchestrator.agents.dataLoader.preview({
+          source, path: filePath, type: fileType, connectionString, connection, table, schema, query, params, options
+        }, limit);
+        res.json(preview);
+      } catch (error) {
+        this.logger.error('Preview failed:', error);
+        res.status(400).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/preview/upload', this.upload.single('file'), async (req, res) => {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded' });
+      }
+
+      try {
+        const preview = await this.orchestrator.agents.dataLoader.preview({
+          source: 'upload',
+          path: req.file.path,
+          type: this.getFileType(req.file.originalname),
+          options: this.parseJobOptions(req.body)
+        }, req.body.limit);
+        res.json({ ...preview, fileName: req.file.originalname });
+      } catch (error) {
+        this.logger.error('Upload preview failed:', error);
+        res.status(400).json({ error: error.message });
+      } finally {
+        // Previewed files are not kept; the real upload sends the file again
+        await fs.rm(req.file.path, { force: true });
+      }
+    });
+
     // Get job status
     this.app.get('/api/job/:jobId/status', (req, res) => {
       try {
@@ -164,6 +410,26 @@ class MultiAgentDataSystem {
       }
     });
 
+    // Download the rows a job rejected, with the rules they broke
+    this.app.get('/api/job/:jobId/rejections', async (req, res) => {
+      try {
+        const report = this.orchestrator.getRejectionReport(req.params.jobId);
+        if (!report?.reportFile) {
+          return res.status(404).json({ error: 'No rows were rejected by this job' });
+        }
+        
+        if (req.query.format === 'csv') {
+          const lines = (await fs.readFile(report.reportFile, 'utf8')).split('\n');
+          res.attachment(`${req.params.jobId}-rejections.csv`);
+          res.type('text/csv').send(rejectionsToCsv(lines));
+        } else {
+          res.download(path.resolve(report.reportFile), `${req.params.jobId}-rejections.ndjson`);
+        }
+      } catch (error) {
+        res.status(404).json({ error: error.message });
+      }
+    });
+
     // Get job history
     this.app.get('/api/jobs/history', (req, res) => {
       try {
@@ -269,11 +535,15 @@ class MultiAgentDataSystem {
         const jobConfigs = jobs.map(job => {
           switch (job.type) {
             case 'local':
-              return this.orchestrator.createLocalFileJob(job.filePath, job.fileType);
+              return this.orchestrator.createLocalFileJob(job.filePath, job.fileType, job.options);
             case 'upload':
-              return this.orchestrator.createUploadJob(job.filePath, job.fileType);
+              return this.orchestrator.createUploadJob(job.filePath, job.fileType, job.options);
             case 'odbc':
-              return this.orchestrator.createODBCJob(job.connectionString, job.query);
+              return this.orchestrator.createODBCJob(job.connectionString ?? job.connection, job.query, job.params, job.options);
+            case 'api':
+              return this.orchestrator.createAPIJob(job.url, job);
+            case 's3':
+              return this.orchestrator.createS3Job(job.bucket, job);
             default:
               throw new Error(`Unknown job type: ${job.type}`);
           }
@@ -306,10 +576,15 @@ class MultiAgentDataSystem {
       // Initialize orchestrator
       this.orchestrator = new AgentOrchestrator({
         dataLoader: {
+          ...defaultConfig.agents.dataLoader,
           uploadDir: this.uploadDir
         },
-        dataStructuring: {},
+        dataStructuring: {
+          ...defaultConfig.agents.dataStructuring
+        },
+        review: defaultConfig.jobs.review,
         graphModeling: {
+          ...defaultConfig.agents.graphModeling,
           neo4jUri: process.env.NEO4J_URI,
           neo4jUser: process.env.NEO4J_USER,
           neo4jPassword: process.env.NEO4J_PASSWORD,
@@ -332,6 +607,19 @@ class MultiAgentDataSystem {
         }
       });
 
+      this.orchestrator.on('jobAwaitingReview', (data) => {
+        this.logger.info(`Job ${data.jobId} is waiting for schema review`);
+        if (this.dashboard) {
+          this.dashboard.broadcastAgentUpdate('system', 'awaiting_review', data);
+        }
+      });
+
+      this.orchestrator.on('jobProgress', (data) => {
+        if (this.dashboard) {
+          this.dashboard.broadcastAgentUpdate('system', 'progress', data);
+        }
+      });
+
       this.orchestrator.on('agentStatusChange', (data) => {
         if (this.dashboard) {
           this.dashboard.broadcastAgentUpdate(data.agent, data.status, data);
@@ -340,6 +628,11 @@ class MultiAgentDataSystem {
 
       await this.orchestrator.initialize();
       
+      if (defaultConfig.watch.folders.length > 0) {
+        this.folderWatcher = new FolderWatcher(this.orchestrator, defaultConfig.watch);
+        await this.folderWatcher.start();
+      }
+      
       // Initialize dashboard
       this.dashboard = new DashboardServer({
         port: parseInt(process.env.PORT) + 1 || 3001
@@ -369,6 +662,10 @@ class MultiAgentDataSystem {
   async stop() {
     this.logger.info('Stopping Multi-Agent Data System');
     
+    if (this.folderWatcher) {
+      await this.folderWatcher.stop();
+    }
+    
     if (this.orchestrator) {
       await this.orchestrator.stop();
     }
@@ -384,6 +681,17 @@ class MultiAgentDataSystem {
   getFileType(filename) {
     const ext = path.extname(filename).toLowerCase();
     switch (ext) {
+      case '.gz':
+      case '.gzip': {
+        // The loader unpacks gzip by content; the type names what is inside
+        const innerType = this.getFileType(filename.slice(0, -ext.length));
+        return innerType === 'unknown' ? 'gzip' : innerType;
+      }
+      case '.zip':
+        return 'zip';
+      case '.tar':
+      case '.tgz':
+        return 'tar';
       case '.csv':
         return 'csv';
       case '.xlsx':
@@ -391,11 +699,93 @@ class MultiAgentDataSystem {
         return 'excel';
       case '.json':
         return 'json';
+      case '.ndjson':
+      case '.jsonl':
+        return 'ndjson';
+      case '.parquet':
+        return 'parquet';
+      case '.arrow':
+      case '.feather':
+        return 'arrow';
       default:
         return 'unknown';
     }
   }
 
+  parseJobOptions(body = {}) {
+    // Multipart form fields arrive as strings
+    const options = {};
+    if (body.streaming !== undefined) {
+      options.streaming = body.streaming === true || body.streaming === 'true';
+    }
+    if (body.batchSize) {
+      options.batchSize = parseInt(body.batchSize);
+    }
+    if (body.sheets) {
+      options.sheets = body.sheets === '*' ? '*' : body.sheets.split(',').map(name => name.trim());
+    }
+    if (body.headerRow !== undefined && body.headerRow !== '') {
+      options.headerRow = parseInt(body.headerRow);
+    }
+    if (body.recordPath) {
+      options.recordPath = body.recordPath;
+    }
+    if (body.flattenSeparator) {
+      options.flattenSeparator = body.flattenSeparator;
+    }
+    if (body.validation) {
+      // { "Employee": { "columns": { "email": { "required": true } }, "expressions": [...] } }
+      options.validation = this.parseJSONField(body, 'validation');
+    }
+    if (body.multiValue) {
+      // { "skills": { "separator": ";", "mode": "nodes" }, "notes": false }
+      options.multiValue = this.parseJSONField(body, 'multiValue');
+    }
+    if (body.pii) {
+      // { "graph": { "email": "hash" }, "llm": { "name": "drop" }, "columns": { "notes": { "category": "name" } } }
+      options.pii = this.parseJSONField(body, 'pii');
+    }
+    if (body.review !== undefined && body.review !== '') {
+      // Pause after structuring so the schema can be edited before anything is written to Neo4j
+      options.review = body.review === true || body.review === 'true';
+    }
+    if (body.locale) {
+      // How numbers and dates are written in the file, e.g. "de-DE"; dates without an offset are in the time zone
+      options.locale = body.locale;
+    }
+    if (body.timezone) {
+      options.timezone = body.timezone;
+    }
+    
+    // CSV dialect overrides; anything left out is sniffed from the file
+    const csvOptions = {};
+    if (body.delimiter) {
+      csvOptions.delimiter = ['\\t', 'tab'].includes(body.delimiter) ? '\t' : body.delimiter;
+    }
+    if (body.quote) {
+      csvOptions.quote = body.quote;
+    }
+    if (body.encoding) {
+      csvOptions.encoding = body.encoding;
+    }
+    if (body.header !== undefined && body.header !== '') {
+      csvOptions.header = body.header === true || body.header === 'true';
+    }
+    if (Object.keys(csvOptions).length > 0) {
+      options.csv = csvOptions;
+    }
+    return options;
+  }
+
+  parseJSONField(body, field) {
+    if (typeof body[field] !== 'string') return body[field];
+    try {
+      return JSON.parse(body[field]);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${field}: ${error.message}`);
+    }
+  }
+
   parseFileSize(sizeStr) {
     const units = { B: 1, KB: 1024, MB: 1024 * 1024, GB: 1024 * 1024 * 1024 };
     const match = sizeStr.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)$/i);
@@ -406,9 +796,9 @@ class MultiAgentDataSystem {
     return size * units[unit];
   }
 
-  maskConnectionString(connectionString) {
-    // Mask sensitive information in connection strings
-    return connectionString.replace(/(password|pwd)=[^;]+/gi, 'password=***');
+  maskConnectionString(connection) {
+    // Only the parsed form is echoed back, so passwords in URLs and ODBC strings never leave the server
+    return describeConnection(resolveConnection(connection));
   }
 }
 
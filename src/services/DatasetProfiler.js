@@ -0,0 +1,298 @@
+// Single-pass column profiles over a whole dataset. Memory per column is bounded:
+// values are counted exactly up to a limit and by sketches after that, so millions
+// of rows can be profiled batch by batch as they stream past.
+
+const QUANTILES = { p5: 0.05, p25: 0.25, p50: 0.5, p75: 0.75, p95: 0.95 };
+const HLL_PRECISION = 14;
+const CLASSIFY_CACHE_SIZE = 10000;
+// Amounts and percentages are numbers too, once their unit is taken off
+const NUMERIC_TYPES = ['number', 'currency', 'percent'];
+
+export class DatasetProfiler {
+  constructor({
+    classify, toNumber = Number, toTime = text => Date.parse(text), topK = 10, exactDistinctLimit = 10000, quantileSampleSize = 10000
+  } = {}) {
+    if (typeof classify !== 'function') {
+      throw new Error('DatasetProfiler requires a classify function');
+    }
+    this.options = { classify, toNumber, toTime, topK, exactDistinctLimit, quantileSampleSize };
+    this.columns = new Map();
+    this.rowCount = 0;
+  }
+
+  addBatch(rows) {
+    for (const row of rows) {
+      this.addRow(row);
+    }
+  }
+
+  addRow(row) {
+    this.rowCount++;
+    for (const column of Object.keys(row)) {
+      let profile = this.columns.get(column);
+      if (!profile) {
+        profile = new ColumnProfile(this.options);
+        this.columns.set(column, profile);
+      }
+      profile.add(row[column]);
+    }
+  }
+
+  finish() {
+    const columns = {};
+    for (const [name, profile] of this.columns) {
+      // Rows that lack the column altogether count as nulls too
+      columns[name] = { name, ...profile.summarize(this.rowCount) };
+    }
+    return { rowCount: this.rowCount, columns };
+  }
+}
+
+class ColumnProfile {
+  constructor(options) {
+    this.options = options;
+    this.count = 0;
+    this.typeMatches = {};
+    this.typeHistogram = {};
+    this.classified = new Map();
+    this.counts = new Map();
+    this.exact = true;
+    this.hll = new HyperLogLog(HLL_PRECISION);
+    this.sampleValues = [];
+    this.text = { min: null, max: null, minLength: Infinity, maxLength: 0, totalLength: 0 };
+    this.numeric = new NumericSummary(options.quantileSampleSize);
+    this.dates = { min: null, max: null };
+  }
+
+  add(value) {
+    if (value === null || value === undefined || value === '') return;
+    this.count++;
+
+    const key = distinctKey(value);
+    if (this.sampleValues.length < 5) {
+      this.sampleValues.push(value);
+    }
+    this.hll.add(key);
+    this.countValue(key);
+
+    const types = Array.isArray(value) ? ['list'] : this.typesOf(value, key);
+    // Keys such as 'unit:USD' describe a value further; they are not types of their own
+    const primary = types.find(type => !type.includes(':')) || 'string';
+    this.typeHistogram[primary] = (this.typeHistogram[primary] || 0) + 1;
+    for (const type of types) {
+      this.typeMatches[type] = (this.typeMatches[type] || 0) + 1;
+    }
+
+    const text = typeof value === 'string' ? value : String(key);
+    if (this.text.min === null || text < this.text.min) this.text.min = text;
+    if (this.text.max === null || text > this.text.max) this.text.max = text;
+    this.text.minLength = Math.min(this.text.minLength, text.length);
+    this.text.maxLength = Math.max(this.text.maxLength, text.length);
+    this.text.totalLength += text.length;
+
+    if (types.some(type => NUMERIC_TYPES.includes(type))) {
+      const number = this.options.toNumber(value);
+      if (!Number.isNaN(number)) this.numeric.add(number);
+    }
+    if (types.includes('date')) {
+      const time = value instanceof Date ? value.getTime() : this.options.toTime(text);
+      if (!Number.isNaN(time)) {
+        if (this.dates.min === null || time < this.dates.min) this.dates.min = time;
+        if (this.dates.max === null || time > this.dates.max) this.dates.max = time;
+      }
+    }
+  }
+
+  typesOf(value, key) {
+    // Columns repeat values a lot, and the date check in particular is slow
+    const cached = this.classified.get(key);
+    if (cached) return cached;
+
+    const types = this.options.classify(value);
+    if (this.classified.size < CLASSIFY_CACHE_SIZE) {
+      this.classified.set(key, types);
+    }
+    return types;
+  }
+
+  countValue(key) {
+    if (this.exact) {
+      this.counts.set(key, (this.counts.get(key) || 0) + 1);
+      if (this.counts.size > this.options.exactDistinctLimit) {
+        this.switchToSketch();
+      }
+      return;
+    }
+
+    // Misra-Gries: a value seen more than n/(capacity+1) times is always kept
+    if (this.counts.has(key)) {
+      this.counts.set(key, this.counts.get(key) + 1);
+    } else if (this.counts.size < this.capacity) {
+      this.counts.set(key, 1);
+    } else {
+      for (const [counted, count] of this.counts) {
+        if (count === 1) {
+          this.counts.delete(counted);
+        } else {
+          this.counts.set(counted, count - 1);
+        }
+      }
+    }
+  }
+
+  switchToSketch() {
+    this.exact = false;
+    this.capacity = this.options.topK * 10;
+    const top = [...this.counts].sort((a, b) => b[1] - a[1]).slice(0, this.capacity);
+    this.counts = new Map(top);
+  }
+
+  summarize(rowCount) {
+    const nullCount = rowCount - this.count;
+    const distinctCount = this.exact ? this.counts.size : Math.min(this.hll.estimate(), this.count);
+    const topValues = [...this.counts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.options.topK)
+      .map(([value, count]) => ({ value, count }));
+
+    return {
+      count: this.count,
+      nullCount,
+      nullPercentage: rowCount > 0 ? (nullCount / rowCount) * 100 : 0,
+      typeMatches: this.typeMatches,
+      typeHistogram: this.typeHistogram,
+      distinct: { count: distinctCount, exact: this.exact },
+      // Once the exact counts are dropped, counts are lower bounds
+      topValues: { values: topValues, exact: this.exact },
+      sampleValues: this.sampleValues,
+      text: this.count > 0
+        ? { ...this.text, avgLength: this.text.totalLength / this.count }
+        : null,
+      numeric: this.numeric.summarize(),
+      dates: this.dates.min !== null
+        ? { min: new Date(this.dates.min).toISOString(), max: new Date(this.dates.max).toISOString() }
+        : null
+    };
+  }
+}
+
+class NumericSummary {
+  constructor(sampleSize) {
+    this.sampleSize = sampleSize;
+    this.count = 0;
+    this.mean = 0;
+    this.m2 = 0;
+    this.min = Infinity;
+    this.max = -Infinity;
+    this.integers = true;
+    this.nonNegative = true;
+    this.sample = [];
+  }
+
+  add(number) {
+    // Welford's update keeps the variance stable over millions of values
+    this.count++;
+    const delta = number - this.mean;
+    this.mean += delta / this.count;
+    this.m2 += delta * (number - this.mean);
+
+    if (number < this.min) this.min = number;
+    if (number > this.max) this.max = number;
+    if (!Number.isInteger(number)) this.integers = false;
+    if (number < 0) this.nonNegative = false;
+
+    // Reservoir sample for the quantiles
+    if (this.sample.length < this.sampleSize) {
+      this.sample.push(number);
+    } else {
+      const slot = Math.floor(Math.random() * this.count);
+      if (slot < this.sampleSize) {
+        this.sample[slot] = number;
+      }
+    }
+  }
+
+  summarize() {
+    if (this.count === 0) return null;
+
+    const sorted = Float64Array.from(this.sample).sort();
+    const quantiles = {};
+    for (const [name, q] of Object.entries(QUANTILES)) {
+      quantiles[name] = quantile(sorted, q);
+    }
+
+    return {
+      count: this.count,
+      min: this.min,
+      max: this.max,
+      mean: this.mean,
+      stdDev: Math.sqrt(this.m2 / this.count),
+      quantiles,
+      quantilesExact: this.count <= this.sampleSize,
+      integers: this.integers,
+      nonNegative: this.nonNegative
+    };
+  }
+}
+
+class HyperLogLog {
+  constructor(precision) {
+    this.precision = precision;
+    this.registers = new Uint8Array(1 << precision);
+  }
+
+  add(key) {
+    const hash = hash32(String(key));
+    const index = hash >>> (32 - this.precision);
+    const rest = (hash << this.precision) >>> 0;
+    const rank = rest === 0 ? 32 - this.precision + 1 : Math.clz32(rest) + 1;
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+  }
+
+  estimate() {
+    const m = this.registers.length;
+    let sum = 0;
+    let zeros = 0;
+    for (const register of this.registers) {
+      sum += 2 ** -register;
+      if (register === 0) zeros++;
+    }
+
+    const estimate = (0.7213 / (1 + 1.079 / m)) * m * m / sum;
+    // Small cardinalities are counted more precisely from the empty registers
+    if (estimate <= 2.5 * m && zeros > 0) {
+      return Math.round(m * Math.log(m / zeros));
+    }
+    return Math.round(estimate);
+  }
+}
+
+function distinctKey(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+function hash32(text) {
+  // FNV-1a, then the murmur3 finalizer so every bit of the result is well mixed
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
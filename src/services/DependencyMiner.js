@@ -0,0 +1,157 @@
+// Finds the column combinations that identify a row (minimal unique column sets) and the
+// approximate functional dependencies between columns. Both are worked out level by level
+// on partitions of the rows: a column set is unique when every group of its partition has
+// one row, and X -> A holds with error e when changing a share e of the rows would make
+// every group of X agree on A (the g3 measure). In a few rows most text columns are unique
+// by chance, so below minKeyRows rows only keys with an identifier column are reported.
+export class DependencyMiner {
+  constructor({ maxKeySize = 3, maxDeterminantSize = 2, maxError = 0.02, minSupport = 0.1, maxColumns = 20, maxRows = 10000, minKeyRows = 50 } = {}) {
+    this.maxKeySize = maxKeySize;
+    this.maxDeterminantSize = maxDeterminantSize;
+    this.maxError = maxError;
+    this.minSupport = minSupport;
+    this.maxColumns = maxColumns;
+    this.maxRows = maxRows;
+    this.minKeyRows = minKeyRows;
+  }
+
+  discover(rows, columns, { keyColumns = columns, identifierColumns = [] } = {}) {
+    // { keys: [[column, ...]], dependencies: [{ determinant, dependent, error }], rows, exact }; exact is false for a sample
+    const sample = this.sample(rows);
+    const result = { keys: [], dependencies: [], rows: sample.length, exact: sample.length === rows.length };
+    const checked = columns.slice(0, this.maxColumns);
+    if (sample.length < 2 || checked.length === 0) return result;
+
+    const partitions = new Map(checked.map(column => [column, encode(sample, column)]));
+    // A key column has a value in every row
+    const candidates = checked.filter(column => keyColumns.includes(column) && partitions.get(column).nulls === 0);
+    const keys = this.findKeys(partitions, candidates, sample.length);
+    result.dependencies = this.findDependencies(partitions, checked, keys, sample.length);
+    result.keys = sample.length >= this.minKeyRows
+      ? keys
+      : keys.filter(key => key.some(column => identifierColumns.includes(column)));
+    return result;
+  }
+
+  sample(rows) {
+    // Evenly spaced rows, so a file sorted by one column is not judged by its first stretch
+    if (rows.length <= this.maxRows) return rows;
+    const step = rows.length / this.maxRows;
+    return Array.from({ length: this.maxRows }, (_, i) => rows[Math.floor(i * step)]);
+  }
+
+  findKeys(partitions, candidates, rowCount) {
+    const keys = [];
+    let level = new Map(candidates.map(column => [column, { columns: [column], partition: partitions.get(column) }]));
+
+    for (let size = 1; size <= this.maxKeySize && level.size > 0; size++) {
+      const unique = [...level.values()].filter(({ partition }) => partition.distinct === rowCount);
+      keys.push(...unique.map(({ columns }) => columns));
+      if (size === this.maxKeySize) break;
+
+      const next = new Map();
+      for (const { columns, partition } of level.values()) {
+        if (partition.distinct === rowCount) continue;
+
+        // Columns are added in candidate order, so each set is built once; supersets of a key are not minimal
+        for (const column of candidates.slice(candidates.indexOf(columns[columns.length - 1]) + 1)) {
+          const extended = [...columns, column];
+          if (keys.some(key => key.every(keyColumn => extended.includes(keyColumn)))) continue;
+          const other = partitions.get(column);
+          if (partition.distinct * other.distinct < rowCount) continue;
+          next.set(extended.join('\u0000'), { columns: extended, partition: combine(partition, other) });
+        }
+      }
+      level = next;
+    }
+    return keys;
+  }
+
+  findDependencies(partitions, columns, keys, rowCount) {
+    const dependencies = [];
+    // Constant columns follow from anything, so they say nothing
+    const dependents = columns.filter(column => partitions.get(column).distinct > 1);
+    let level = columns.map(column => ({ columns: [column], partition: partitions.get(column) }));
+
+    for (let size = 1; size <= this.maxDeterminantSize && level.length > 0; size++) {
+      const next = [];
+      for (const { columns: determinant, partition } of level) {
+        // A key determines every column; without repeated values there is no evidence either way
+        if (keys.some(key => key.every(column => determinant.includes(column)))) continue;
+        if (rowCount - partition.distinct < Math.max(2, rowCount * this.minSupport)) continue;
+
+        for (const dependent of dependents) {
+          if (determinant.includes(dependent)) continue;
+          // Only minimal determinants: zip -> city makes (zip, street) -> city redundant
+          if (dependencies.some(found => found.dependent === dependent && found.determinant.every(column => determinant.includes(column)))) {
+            continue;
+          }
+          const error = g3(partition, partitions.get(dependent), rowCount);
+          if (error <= this.maxError) {
+            dependencies.push({ determinant, dependent, error });
+          }
+        }
+
+        if (size < this.maxDeterminantSize) {
+          for (const column of columns.slice(columns.indexOf(determinant[determinant.length - 1]) + 1)) {
+            next.push({ columns: [...determinant, column], partition: combine(partition, partitions.get(column)) });
+          }
+        }
+      }
+      level = next;
+    }
+    return dependencies;
+  }
+}
+
+function encode(rows, column) {
+  // One group number per row; rows without a value share a group of their own
+  const groups = new Map();
+  const codes = new Int32Array(rows.length);
+  let nulls = 0;
+  rows.forEach((row, index) => {
+    const value = row[column];
+    let key;
+    if (value === null || value === undefined || value === '') {
+      nulls++;
+      key = '\u0000';
+    } else {
+      key = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : `${typeof value}:${value}`;
+    }
+    if (!groups.has(key)) groups.set(key, groups.size);
+    codes[index] = groups.get(key);
+  });
+  return { codes, distinct: groups.size, nulls };
+}
+
+function combine(a, b) {
+  // The partition of two column sets together: rows are in one group when they agree on both
+  const groups = new Map();
+  const codes = new Int32Array(a.codes.length);
+  for (let i = 0; i < codes.length; i++) {
+    const key = a.codes[i] * b.distinct + b.codes[i];
+    let code = groups.get(key);
+    if (code === undefined) {
+      code = groups.size;
+      groups.set(key, code);
+    }
+    codes[i] = code;
+  }
+  return { codes, distinct: groups.size, nulls: 0 };
+}
+
+function g3(determinant, dependent, rowCount) {
+  // The share of rows to remove so that each determinant group has a single dependent value
+  const pairs = new Map();
+  const best = new Int32Array(determinant.distinct);
+  for (let i = 0; i < rowCount; i++) {
+    const group = determinant.codes[i];
+    const key = group * dependent.distinct + dependent.codes[i];
+    const count = (pairs.get(key) || 0) + 1;
+    pairs.set(key, count);
+    if (count > best[group]) best[group] = count;
+  }
+  let kept = 0;
+  for (const count of best) kept += count;
+  return (rowCount - kept) / rowCount;
+}
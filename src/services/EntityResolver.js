@@ -0,0 +1,206 @@
+import { normalizeText, soundex, compareValues } from '../utils/similarity.js';
+
+// Finds records that describe the same real-world thing. Records are only compared
+// within blocks that share a blocking key, pairs are scored field by field, and
+// confident pairs are joined into clusters while uncertain ones are set aside for review.
+export class EntityResolver {
+  constructor({
+    fields, blocking, mergeThreshold = 0.9, reviewThreshold = 0.7, maxBlockSize = 200, minFields = 2, decide = () => null
+  }) {
+    if (!fields || Object.keys(fields).length === 0) {
+      throw new Error('EntityResolver requires fields to compare');
+    }
+    if (!blocking || blocking.length === 0) {
+      throw new Error('EntityResolver requires at least one blocking key');
+    }
+    this.fields = fields;
+    this.blocking = blocking;
+    this.mergeThreshold = mergeThreshold;
+    this.reviewThreshold = reviewThreshold;
+    this.maxBlockSize = maxBlockSize;
+    this.minFields = minFields;
+    // Earlier review decisions: 'merge', 'distinct' or null for a pair of record keys
+    this.decide = decide;
+  }
+
+  blockingKeys(values) {
+    const keys = [];
+    this.blocking.forEach((rule, index) => {
+      const value = values[rule.field];
+      if (value === null || value === undefined || value === '') return;
+
+      let key;
+      switch (rule.method || 'exact') {
+        case 'exact':
+          key = normalizeText(value);
+          break;
+        case 'digits':
+          key = String(value).replace(/\D/g, '').slice(-(rule.length || 9));
+          break;
+        case 'soundex':
+          // Surnames carry the most signal, so the last word of a name is the block
+          key = soundex(normalizeText(value).split(' ').pop());
+          break;
+        case 'prefix':
+          key = normalizeText(value).slice(0, rule.length || 4);
+          break;
+        default:
+          throw new Error(`Unknown blocking method: ${rule.method}`);
+      }
+      if (key) keys.push(`${index}:${key}`);
+    });
+    return keys;
+  }
+
+  score(a, b) {
+    const fieldScores = {};
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [field, { comparator, weight = 1 }] of Object.entries(this.fields)) {
+      const aValue = a[field];
+      const bValue = b[field];
+      if (aValue === null || aValue === undefined || aValue === '' || bValue === null || bValue === undefined || bValue === '') {
+        continue;
+      }
+      const similarity = compareValues(aValue, bValue, comparator);
+      fieldScores[field] = Math.round(similarity * 1000) / 1000;
+      weighted += similarity * weight;
+      totalWeight += weight;
+    }
+
+    // Agreement on a single field (the same city, say) is not evidence of the same record
+    const compared = Object.keys(fieldScores).length;
+    const score = compared >= Math.min(this.minFields, Object.keys(this.fields).length) ? weighted / totalWeight : 0;
+    // Where records carry an identifier (email, phone), similar names alone are not enough to merge them
+    const identifying = Object.keys(this.fields).filter(field => this.fields[field].identifying);
+    const identified = identifying.length === 0 || identifying.some(field => fieldScores[field] >= 0.9);
+    return { score: Math.round(score * 1000) / 1000, fields: fieldScores, identified };
+  }
+
+  resolve(records, { existing = [] } = {}) {
+    // records and existing are { key, values }; existing records are only compared with new ones
+    const all = [...records, ...existing.map(record => ({ ...record, existing: true }))];
+    const blocks = new Map();
+    all.forEach((record, index) => {
+      for (const key of this.blockingKeys(record.values)) {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(index);
+      }
+    });
+
+    const pairs = new Map();
+    let skippedBlocks = 0;
+    for (const members of blocks.values()) {
+      if (members.length < 2) continue;
+      // Oversized blocks (a blocking key that is the same for half the rows) would compare everything with everything
+      if (members.length > this.maxBlockSize) {
+        skippedBlocks++;
+        continue;
+      }
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const a = all[members[i]];
+          const b = all[members[j]];
+          if ((a.existing && b.existing) || a.key === b.key) continue;
+          const pairKey = `${members[i]}:${members[j]}`;
+          if (!pairs.has(pairKey)) {
+            pairs.set(pairKey, this.comparePair(a, b));
+          }
+        }
+      }
+    }
+
+    const parent = all.map((record, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const links = [];
+    const review = [];
+    for (const [pairKey, pair] of pairs) {
+      const [i, j] = pairKey.split(':').map(Number);
+      if (pair.decision === 'distinct') continue;
+      if (pair.decision === 'merge' || (pair.score >= this.mergeThreshold && pair.identified)) {
+        links.push({ i, j, score: pair.decision === 'merge' ? 1 : pair.score });
+        parent[find(i)] = find(j);
+      } else if (pair.score >= this.reviewThreshold) {
+        review.push({ i, j, pair });
+      }
+    }
+
+    const clusters = new Map();
+    all.forEach((record, index) => {
+      const root = find(index);
+      if (!clusters.has(root)) clusters.set(root, { members: [], existing: [], confidence: 1 });
+      const cluster = clusters.get(root);
+      (record.existing ? cluster.existing : cluster.members).push(record.key);
+    });
+    // A cluster is only as certain as its weakest link
+    for (const { i, score } of links) {
+      const cluster = clusters.get(find(i));
+      cluster.confidence = Math.min(cluster.confidence, score);
+    }
+
+    return {
+      clusters: [...clusters.values()].filter(cluster => cluster.members.length + cluster.existing.length > 1 && cluster.members.length > 0),
+      // Pairs that ended up in one cluster through other links need no review
+      review: review
+        .filter(({ i, j }) => find(i) !== find(j))
+        .map(({ i, j, pair }) => ({
+          keys: [all[i].key, all[j].key],
+          existing: Boolean(all[i].existing || all[j].existing),
+          score: pair.score,
+          fields: pair.fields
+        })),
+      comparisons: pairs.size,
+      skippedBlocks
+    };
+  }
+
+  comparePair(a, b) {
+    return { ...this.score(a.values, b.values), decision: this.decide([a.key, b.key]) };
+  }
+}
+
+export function mergeRecords(rows, rules = {}) {
+  // The most complete row survives; every field takes its value by the field's rule, 'first' by default
+  const ordered = rules.survivor === 'first'
+    ? rows
+    : [...rows].sort((a, b) => filledCount(b) - filledCount(a));
+  const merged = { ...ordered[0] };
+  const columns = new Set(rows.flatMap(row => Object.keys(row)));
+
+  for (const column of columns) {
+    const values = ordered.map(row => row[column]).filter(value => value !== null && value !== undefined && value !== '');
+    if (values.length === 0) continue;
+
+    switch (rules.fields?.[column] || 'first') {
+      case 'first':
+        merged[column] = values[0];
+        break;
+      case 'longest':
+        merged[column] = values.reduce((longest, value) => String(value).length > String(longest).length ? value : longest);
+        break;
+      case 'max':
+        merged[column] = values.reduce((max, value) => value > max ? value : max);
+        break;
+      case 'min':
+        merged[column] = values.reduce((min, value) => value < min ? value : min);
+        break;
+      case 'union':
+        merged[column] = [...new Set(values.flatMap(value => Array.isArray(value) ? value : [value]))];
+        break;
+      default:
+        throw new Error(`Unknown merge rule for ${column}: ${rules.fields[column]}`);
+    }
+  }
+  return merged;
+}
+
+function filledCount(row) {
+  return Object.values(row).filter(value => value !== null && value !== undefined && value !== '').length;
+}
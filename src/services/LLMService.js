@@ -141,12 +141,15 @@ export class LLMService {
   }
 
   async analyzeDataWithLLM(data, analysisType, options = {}) {
-    const prompt = this.buildAnalysisPrompt(data, analysisType);
-    return await this.generateResponse(prompt, options);
+    // maskRows replaces personal data in the sample rows before they leave for the provider
+    const { maskRows, ...generateOptions } = options;
+    const sample = (data || []).slice(0, 5);
+    const prompt = this.buildAnalysisPrompt(data, analysisType, maskRows ? await maskRows(sample) : sample);
+    return await this.generateResponse(prompt, generateOptions);
   }
 
-  buildAnalysisPrompt(data, analysisType) {
-    const dataSummary = this.summarizeData(data);
+  buildAnalysisPrompt(data, analysisType, sample) {
+    const dataSummary = this.summarizeData(data, sample);
     
     switch (analysisType) {
       case 'data_quality':
@@ -212,12 +215,11 @@ Please provide a detailed analysis covering data quality, patterns, relationship
     }
   }
 
-  summarizeData(data) {
+  summarizeData(data, sample = data?.slice(0, 5)) {
     if (!data || data.length === 0) {
       return 'No data provided for analysis.';
     }
 
-    const sample = data.slice(0, 5);
     const columns = Object.keys(sample[0] || {});
     
     return `
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { withFileLock, readJSONFile, writeJSONFile } from '../utils/jsonFile.js';
+
+// Record pairs that entity resolution was unsure about, kept in a JSON file until
+// someone decides them. A decision is remembered and applied whenever the same two
+// records meet again, so decided pairs are never queued twice.
+export class MatchReviewQueue {
+  constructor(filePath = './data/match-review.json') {
+    this.filePath = filePath;
+  }
+
+  static pairId(entity, keys) {
+    return crypto.createHash('sha256').update([entity, ...[...keys].sort()].join('\n')).digest('hex').slice(0, 16);
+  }
+
+  async add(items) {
+    // Jobs and reviewers change the file at the same time, so each change rereads it under a lock
+    return await withFileLock(this.filePath, async () => {
+      const entries = await this.readAll();
+      let added = 0;
+      for (const item of items) {
+        const id = MatchReviewQueue.pairId(item.entity, item.keys);
+        if (entries[id]) continue;
+        entries[id] = { ...item, status: 'pending', createdAt: new Date().toISOString() };
+        added++;
+      }
+      if (added > 0) {
+        await this.writeAll(entries);
+      }
+      return added;
+    });
+  }
+
+  async list({ status, entity } = {}) {
+    const entries = await this.readAll();
+    return Object.entries(entries)
+      .map(([id, entry]) => ({ id, ...entry }))
+      .filter(entry => (!status || entry.status === status) && (!entity || entry.entity === entity));
+  }
+
+  async decide(id, decision) {
+    if (!['merge', 'distinct'].includes(decision)) {
+      throw new Error(`Unknown review decision: ${decision}. Use 'merge' or 'distinct'`);
+    }
+    return await withFileLock(this.filePath, async () => {
+      const entries = await this.readAll();
+      if (!entries[id]) return null;
+      entries[id] = { ...entries[id], status: decision, decidedAt: new Date().toISOString() };
+      await this.writeAll(entries);
+      return { id, ...entries[id] };
+    });
+  }
+
+  async decisions(entity) {
+    // pairId -> 'merge' | 'distinct' for every decided pair of the entity
+    const entries = await this.readAll();
+    const decided = new Map();
+    for (const [id, entry] of Object.entries(entries)) {
+      if (entry.entity === entity && entry.status !== 'pending') {
+        decided.set(id, entry.status);
+      }
+    }
+    return decided;
+  }
+
+  async readAll() {
+    return await readJSONFile(this.filePath);
+  }
+
+  async writeAll(entries) {
+    await writeJSONFile(this.filePath, entries);
+  }
+}
@@ -0,0 +1,82 @@
+import { S3Client, ListObjectsV2Command, GetObjectCommand } from '@aws-sdk/client-s3';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { globToRegExp } from '../utils/glob.js';
+
+export class ObjectStorageClient {
+  constructor(config = {}) {
+    // Any S3-compatible endpoint (MinIO, Ceph, R2, ...) can be set; leaving it out targets AWS itself
+    this.config = {
+      endpoint: config.endpoint || process.env.S3_ENDPOINT,
+      region: config.region || process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1',
+      accessKeyId: config.accessKeyId || process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: config.forcePathStyle,
+      maxAttempts: config.maxAttempts
+    };
+
+    const clientConfig = {
+      region: this.config.region,
+      // Self-hosted endpoints rarely have wildcard DNS for virtual-hosted buckets
+      forcePathStyle: this.config.forcePathStyle ?? Boolean(this.config.endpoint)
+    };
+    if (this.config.endpoint) {
+      clientConfig.endpoint = this.config.endpoint;
+    }
+    if (this.config.maxAttempts) {
+      clientConfig.maxAttempts = this.config.maxAttempts;
+    }
+    if (this.config.accessKeyId && this.config.secretAccessKey) {
+      clientConfig.credentials = {
+        accessKeyId: this.config.accessKeyId,
+        secretAccessKey: this.config.secretAccessKey
+      };
+    }
+
+    this.client = new S3Client(clientConfig);
+  }
+
+  async listObjects(bucket, { prefix = '', glob = null } = {}) {
+    const pattern = glob ? globToRegExp(glob) : null;
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        // Zero-byte keys ending in "/" are folder markers
+        if (object.Key.endsWith('/')) continue;
+        if (pattern && !pattern.test(object.Key)) continue;
+
+        objects.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+          etag: object.ETag
+        });
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  async downloadObject(bucket, key, targetPath, { signal } = {}) {
+    const response = await this.client.send(new GetObjectCommand({ Bucket: bucket, Key: key }), { abortSignal: signal });
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await pipeline(response.Body, createWriteStream(targetPath), { signal });
+    return targetPath;
+  }
+
+  destroy() {
+    this.client.destroy();
+  }
+}
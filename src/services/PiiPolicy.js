@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import { classifyPiiColumn, PII_CATEGORIES } from '../utils/pii.js';
+import { withFileLock, readJSONFile, writeJSONFile } from '../utils/jsonFile.js';
+
+const ACTIONS = ['keep', 'hash', 'tokenize', 'redact', 'drop'];
+const CLASSIFY_ROWS = 1000;
+
+// What happens to personal data on its way into Neo4j and into LLM prompts. Columns
+// are tagged with a PII category, and each target has its own action per category,
+// so a column can be kept in the graph and still be redacted in prompts.
+export class PiiPolicy {
+  constructor({ enabled = true, minShare = 0.8, graph = {}, llm = {}, columns = {}, hashSecret, tokenFile = './data/pii-tokens.json' } = {}) {
+    this.enabled = enabled;
+    this.minShare = minShare;
+    this.actions = {
+      graph: PiiPolicy.checkActions({
+        email: 'keep', phone: 'keep', name: 'keep', address: 'keep', national_id: 'hash', credit_card: 'redact', ...graph
+      }),
+      llm: PiiPolicy.checkActions({ ...Object.fromEntries(PII_CATEGORIES.map(category => [category, 'redact'])), ...llm })
+    };
+    this.columns = columns;
+    this.hashSecret = hashSecret || '';
+    this.tokenFile = tokenFile;
+    // hash of a value -> token, loaded from the token file on first use
+    this.tokens = null;
+    this.tokensLoading = null;
+    this.tokensChanged = false;
+  }
+
+  static checkActions(actions = {}) {
+    for (const [category, action] of Object.entries(actions)) {
+      if (!ACTIONS.includes(action)) {
+        throw new Error(`Unknown PII action for ${category}: ${action}. Use one of ${ACTIONS.join(', ')}`);
+      }
+    }
+    return actions;
+  }
+
+  tag(entity, rows, overrides = {}) {
+    // column -> { category, confidence, source, graph, llm } for every column holding personal data
+    if (!this.enabled || rows.length === 0) return {};
+
+    const columns = { ...this.columns, ...overrides.columns };
+    const actions = {
+      graph: { ...this.actions.graph, ...PiiPolicy.checkActions(overrides.graph) },
+      llm: { ...this.actions.llm, ...PiiPolicy.checkActions(overrides.llm) }
+    };
+    const sample = rows.slice(0, CLASSIFY_ROWS);
+    const names = new Set(sample.flatMap(row => Object.keys(row)));
+
+    const tags = {};
+    for (const column of names) {
+      // 'Entity.column' settings win over settings for the column name alone; false means not personal data
+      const setting = columns[`${entity}.${column}`] ?? columns[column];
+      if (setting === false) continue;
+
+      const detected = setting?.category
+        ? { category: setting.category, confidence: 1, source: 'config' }
+        : classifyPiiColumn(column, sample.map(row => row[column]), { minShare: this.minShare });
+      if (!detected) continue;
+
+      tags[column] = {
+        ...detected,
+        graph: setting?.graph || actions.graph[detected.category] || 'keep',
+        llm: setting?.llm || actions.llm[detected.category] || 'redact'
+      };
+      PiiPolicy.checkActions({ [column]: tags[column].graph, [`${column} (llm)`]: tags[column].llm });
+    }
+    return tags;
+  }
+
+  async apply(rows, tags, target) {
+    // Copies of the rows with every tagged column treated as the target ('graph' or 'llm') asks
+    const masked = Object.entries(tags || {}).filter(([, tag]) => tag[target] && tag[target] !== 'keep');
+    if (!this.enabled || masked.length === 0) return rows;
+
+    if (masked.some(([, tag]) => tag[target] === 'tokenize')) {
+      await this.loadTokens();
+    }
+
+    const result = rows.map(row => {
+      const copy = { ...row };
+      for (const [column, tag] of masked) {
+        if (!(column in copy)) continue;
+        const action = tag[target];
+        if (action === 'drop') {
+          delete copy[column];
+        } else {
+          const value = copy[column];
+          copy[column] = Array.isArray(value)
+            ? value.map(item => this.maskValue(item, action, tag.category))
+            : this.maskValue(value, action, tag.category);
+        }
+      }
+      return copy;
+    });
+
+    if (this.tokensChanged) {
+      await this.saveTokens();
+    }
+    return result;
+  }
+
+  maskValue(value, action, category) {
+    if (value === null || value === undefined || value === '') return value;
+    switch (action) {
+      case 'keep':
+        return value;
+      case 'hash':
+        return this.hash(value, category);
+      case 'tokenize':
+        return this.tokenize(value, category);
+      case 'redact':
+        return `[REDACTED ${category.toUpperCase()}]`;
+      default:
+        throw new Error(`Unknown PII action: ${action}`);
+    }
+  }
+
+  hash(value, category) {
+    // Keyed, so hashes of guessable values (phone numbers) cannot be reversed by hashing every candidate;
+    // the same value always hashes the same, so hashed keys and references still join
+    return crypto.createHmac('sha256', this.hashSecret).update(normalize(value, category)).digest('hex').slice(0, 32);
+  }
+
+  tokenize(value, category) {
+    // A random stand-in, the same for every occurrence of a value; the token file maps it back
+    const digest = this.hash(value, category);
+    let entry = this.tokens.get(digest);
+    if (!entry) {
+      entry = { token: `tok_${crypto.randomBytes(8).toString('hex')}`, value: value instanceof Date ? value.toISOString() : value, category };
+      this.tokens.set(digest, entry);
+      this.tokensChanged = true;
+    }
+    return entry.token;
+  }
+
+  async loadTokens() {
+    // Jobs that start together share one read, so neither replaces tokens the other has handed out
+    this.tokensLoading = this.tokensLoading || this.readTokens().then(tokens => {
+      this.tokens = tokens;
+    }).catch(error => {
+      this.tokensLoading = null;
+      throw error;
+    });
+    await this.tokensLoading;
+  }
+
+  async readTokens() {
+    const entries = await readJSONFile(this.tokenFile);
+    return new Map(Object.values(entries).map(entry => [this.hash(entry.value, entry.category), entry]));
+  }
+
+  async saveTokens() {
+    // A lost token would give its value a new token next time and break joins on it, so saves run one at
+    // a time and keep tokens another policy on the same file has saved since this one read it
+    await withFileLock(this.tokenFile, async () => {
+      for (const [digest, entry] of await this.readTokens()) {
+        if (!this.tokens.has(digest)) this.tokens.set(digest, entry);
+      }
+      this.tokensChanged = false;
+      await writeJSONFile(this.tokenFile, Object.fromEntries([...this.tokens.values()].map(entry => [entry.token, entry])));
+    });
+  }
+}
+
+function normalize(value, category) {
+  // "(555) 123-4567" and "555.123.4567" are one phone number, "Bob@X.com" and "bob@x.com" one email
+  const text = value instanceof Date ? value.toISOString() : String(value).trim();
+  switch (category) {
+    case 'email':
+      return text.toLowerCase();
+    case 'phone':
+    case 'credit_card':
+    case 'national_id':
+      return text.replace(/[^0-9A-Za-z]/g, '').toUpperCase();
+    default:
+      return text;
+  }
+}
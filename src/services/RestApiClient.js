@@ -0,0 +1,210 @@
+import axios from 'axios';
+import { queryJSONPath, selectRecords } from '../utils/jsonPath.js';
+import { isTransientError, backoffDelay } from '../utils/retry.js';
+
+const RETRY_STATUSES = [429, 502, 503, 504];
+
+export class RestApiClient {
+  constructor(config = {}, logger = console) {
+    this.config = {
+      timeout: config.timeout || 30000,
+      maxRetries: config.maxRetries ?? 5,
+      retryDelay: config.retryDelay || 1000,
+      maxRetryDelay: config.maxRetryDelay || 60000,
+      maxPages: config.maxPages || 10000
+    };
+    this.logger = logger;
+    this.http = axios.create({ timeout: this.config.timeout });
+  }
+
+  async *fetchPages(url, { auth = {}, pagination = {}, request = {}, recordPath = '$', retries = this.config.maxRetries, onAttempt } = {}) {
+    const type = pagination.type || 'none';
+    const limit = pagination.limit || 100;
+    let nextUrl = url;
+    let params = { ...request.query };
+    let offset = pagination.start || 0;
+
+    if (type === 'offset') {
+      params[pagination.offsetParam || 'offset'] = offset;
+      params[pagination.limitParam || 'limit'] = limit;
+    }
+
+    for (let page = 1; nextUrl; page++) {
+      if (page > this.config.maxPages) {
+        this.logger.warn(`Stopped after ${this.config.maxPages} pages: ${url}`);
+        return;
+      }
+
+      const response = await this.request(nextUrl, { auth, request, params, retries, onAttempt });
+      const records = selectRecords(response.data, recordPath);
+      yield { page, records, status: response.status };
+
+      switch (type) {
+        case 'cursor': {
+          // The cursor may be a token for the next request or the full URL of the next page
+          const [cursor] = queryJSONPath(response.data, pagination.cursorPath || '$.next');
+          if (cursor === undefined || cursor === null || cursor === '' || records.length === 0) {
+            return;
+          }
+          if (/^https?:\/\//i.test(String(cursor))) {
+            nextUrl = String(cursor);
+            params = {};
+          } else {
+            params = { ...params, [pagination.cursorParam || 'cursor']: cursor };
+          }
+          break;
+        }
+        case 'offset':
+          // A short page is the last one
+          if (records.length < limit) {
+            return;
+          }
+          offset += records.length;
+          params = { ...params, [pagination.offsetParam || 'offset']: offset };
+          break;
+        case 'link': {
+          const next = this.parseLinkHeader(response.headers.link).next;
+          nextUrl = next ? new URL(next, nextUrl).href : null;
+          params = {};
+          break;
+        }
+        case 'none':
+          return;
+        default:
+          throw new Error(`Unsupported pagination type: ${type}`);
+      }
+
+      await this.waitForRateLimit(response.headers);
+    }
+  }
+
+  async request(url, { auth, request, params, retries = this.config.maxRetries, onAttempt }, attempt = 0) {
+    const config = {
+      url,
+      method: request.method || 'GET',
+      headers: { Accept: 'application/json', ...request.headers },
+      params: { ...params },
+      data: request.body,
+      validateStatus: () => true
+    };
+    this.applyAuth(config, auth);
+
+    const startTime = new Date();
+    let response;
+    let failure;
+    let code;
+    try {
+      response = await this.http.request(config);
+      if (RETRY_STATUSES.includes(response.status)) {
+        failure = `API returned ${response.status}`;
+        code = response.status;
+      }
+    } catch (error) {
+      // Dropped connections and timeouts are retried like an overloaded server
+      if (!isTransientError(error)) throw error;
+      failure = error.message;
+      code = error.code;
+    }
+
+    if (failure) {
+      const retrying = attempt < retries;
+      const delay = retrying ? this.getRetryDelay(response?.headers || {}, attempt) : null;
+      onAttempt?.({
+        operation: `${config.method} ${url}`,
+        attempt: attempt + 1,
+        status: 'failed',
+        startTime,
+        duration: Date.now() - startTime,
+        error: failure,
+        code,
+        retryIn: delay
+      });
+
+      if (!retrying) {
+        throw new Error(`API request still failing after ${attempt} retries (${failure}): ${url}`);
+      }
+
+      if (!onAttempt) {
+        this.logger.warn(`${failure}, retrying in ${delay}ms: ${url}`);
+      }
+      await this.sleep(delay);
+      return await this.request(url, { auth, request, params, retries, onAttempt }, attempt + 1);
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new Error(`API request failed with status ${response.status}: ${url}`);
+    }
+
+    return response;
+  }
+
+  applyAuth(config, auth = {}) {
+    switch (auth.type || 'none') {
+      case 'bearer':
+        config.headers.Authorization = `Bearer ${auth.token}`;
+        break;
+      case 'apiKey':
+        if (auth.in === 'query') {
+          config.params[auth.name || 'api_key'] = auth.key;
+        } else {
+          config.headers[auth.name || 'X-API-Key'] = auth.key;
+        }
+        break;
+      case 'basic':
+        config.auth = { username: auth.username, password: auth.password };
+        break;
+      case 'none':
+        break;
+      default:
+        throw new Error(`Unsupported API auth type: ${auth.type}`);
+    }
+  }
+
+  getRetryDelay(headers, attempt) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      // Retry-After is either a number of seconds or an HTTP date
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), this.config.maxRetryDelay);
+      }
+    }
+
+    return backoffDelay(attempt + 1, { delay: this.config.retryDelay, maxDelay: this.config.maxRetryDelay });
+  }
+
+  async waitForRateLimit(headers) {
+    // Pause before the next page when the server says the current window is used up
+    if (headers['x-ratelimit-remaining'] !== '0' || !headers['x-ratelimit-reset']) {
+      return;
+    }
+
+    const reset = Number(headers['x-ratelimit-reset']);
+    // The reset header is either an epoch timestamp or a number of seconds to wait
+    const delay = reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000;
+    if (delay > 0) {
+      this.logger.info(`API rate limit reached, waiting ${Math.min(delay, this.config.maxRetryDelay)}ms`);
+      await this.sleep(Math.min(delay, this.config.maxRetryDelay));
+    }
+  }
+
+  parseLinkHeader(header) {
+    const links = {};
+    if (!header) return links;
+
+    for (const part of header.split(',')) {
+      const match = part.match(/<([^>]+)>\s*;\s*rel="?([^";]+)"?/);
+      if (match) {
+        for (const rel of match[2].trim().split(/\s+/)) {
+          links[rel] = match[1];
+        }
+      }
+    }
+    return links;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
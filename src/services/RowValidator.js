@@ -0,0 +1,247 @@
+import Joi from 'joi';
+import fs from 'fs/promises';
+import path from 'path';
+import _ from 'lodash';
+
+// Declarative row validation. Rules are given per entity ('*' for every entity) as
+// column rules (required, pattern, min/max, enum, unique) and cross-field expressions
+// in joi's formula syntax, where .column refers to a column of the row and dates are
+// milliseconds since 1970. Rows that fail are kept out of the graph and appended, with
+// their reasons, to a quarantine file.
+const RULE_TYPES = {
+  'any.required': 'required',
+  'string.base': 'type',
+  'number.base': 'type',
+  'date.base': 'type',
+  'string.pattern.base': 'pattern',
+  'string.min': 'range',
+  'string.max': 'range',
+  'number.min': 'range',
+  'number.max': 'range',
+  'date.min': 'range',
+  'date.max': 'range',
+  'any.only': 'enum',
+  'object.assert': 'expression'
+};
+// Cleaned dates and date-times; date-times always carry an offset
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+export class RowValidator {
+  constructor({ rules = {}, reportFile, sampleSize = 20 } = {}) {
+    this.rules = rules;
+    this.reportFile = reportFile;
+    this.sampleSize = sampleSize;
+    this.schemas = new Map();
+    this.seen = new Map();
+    this.summary = { checked: 0, rejected: 0, byRule: {}, byColumn: {}, entities: {}, sample: [] };
+  }
+
+  hasRules(entity) {
+    return Boolean(this.rules[entity] || this.rules['*']);
+  }
+
+  async validate(entity, rows, offset = 0) {
+    const compiled = this.compile(entity, rows);
+    if (!compiled) return rows;
+
+    const valid = [];
+    const rejected = [];
+    rows.forEach((row, index) => {
+      const errors = this.check(entity, compiled, row);
+      if (errors.length === 0) {
+        valid.push(row);
+      } else {
+        rejected.push({ entity, row: offset + index + 1, errors, record: row });
+      }
+    });
+
+    this.record(entity, rows.length, rejected);
+    if (rejected.length > 0 && this.reportFile) {
+      await fs.mkdir(path.dirname(this.reportFile), { recursive: true });
+      await fs.appendFile(this.reportFile, rejected.map(rejection => JSON.stringify(rejection)).join('\n') + '\n');
+    }
+    return valid;
+  }
+
+  compile(entity, rows) {
+    if (this.schemas.has(entity)) return this.schemas.get(entity);
+
+    // Shared rules only cover the columns an entity has; rules named for the entity cover all of theirs
+    const present = new Set(rows.flatMap(row => Object.keys(row)));
+    const shared = this.rules['*'] || {};
+    const own = this.rules[entity] || {};
+    const columns = {
+      ...Object.fromEntries(Object.entries(shared.columns || {}).filter(([column]) => present.has(column))),
+      ...own.columns
+    };
+    const expressions = [
+      ...(shared.expressions || []).filter(({ expression }) => (
+        [...expression.matchAll(/\.([A-Za-z_]\w*)/g)].every(([, column]) => present.has(column))
+      )),
+      ...(own.expressions || [])
+    ];
+    if (Object.keys(columns).length === 0 && expressions.length === 0) {
+      this.schemas.set(entity, null);
+      return null;
+    }
+
+    const keys = {};
+    const messages = {};
+    const unique = [];
+    const textColumns = new Set();
+    for (const [column, rule] of Object.entries(columns)) {
+      try {
+        keys[column] = this.columnSchema(rule);
+      } catch (error) {
+        throw new Error(`Invalid validation rule for ${entity}.${column}: ${error.message}`);
+      }
+      if (rule.message) messages[column] = rule.message;
+      if (rule.unique) unique.push(column);
+      if (rule.pattern || rule.minLength !== undefined || rule.maxLength !== undefined) textColumns.add(column);
+    }
+
+    const schema = Joi.object(keys).unknown(true);
+    let expressionSchema = expressions.length > 0 ? Joi.object().unknown(true) : null;
+    for (const { expression, message } of expressions) {
+      const source = expression.trim().startsWith('{') ? expression : `{${expression}}`;
+      try {
+        expressionSchema = expressionSchema.assert(Joi.x(source), Joi.valid(true), message || expression);
+      } catch (error) {
+        throw new Error(`Invalid validation expression for ${entity} (${expression}): ${error.message}`);
+      }
+    }
+
+    const compiled = { schema, expressionSchema, messages, unique, textColumns };
+    this.schemas.set(entity, compiled);
+    return compiled;
+  }
+
+  columnSchema(rule) {
+    const isRef = value => value && typeof value === 'object' && value.ref;
+    const bound = value => isRef(value) ? Joi.ref(value.ref) : value;
+
+    let schema;
+    if (rule.pattern || rule.minLength !== undefined || rule.maxLength !== undefined) {
+      schema = Joi.string();
+      if (rule.pattern) schema = schema.pattern(new RegExp(rule.pattern, rule.flags));
+      if (rule.minLength !== undefined) schema = schema.min(rule.minLength);
+      if (rule.maxLength !== undefined) schema = schema.max(rule.maxLength);
+    } else if (rule.min !== undefined || rule.max !== undefined) {
+      // Numbers bound numbers; anything else (ISO dates, references to date columns) bounds dates
+      const numeric = [rule.min, rule.max].every(value => value === undefined || typeof value === 'number');
+      schema = numeric ? Joi.number() : Joi.date();
+      if (rule.min !== undefined) schema = schema.min(bound(rule.min));
+      if (rule.max !== undefined) schema = schema.max(bound(rule.max));
+    } else {
+      schema = Joi.any();
+    }
+
+    if (rule.enum) {
+      schema = schema.valid(...rule.enum);
+    }
+    return rule.required ? schema.required() : schema;
+  }
+
+  check(entity, { schema, expressionSchema, messages, unique, textColumns }, row) {
+    // Empty cells count as missing; patterns and lengths apply to the text of a value, whatever type it was cleaned to
+    const input = _.omitBy(row, value => value === null || value === '');
+    for (const column of textColumns) {
+      const value = input[column];
+      if (value instanceof Date) {
+        input[column] = value.toISOString();
+      } else if (typeof value === 'number' || typeof value === 'boolean') {
+        input[column] = String(value);
+      }
+    }
+
+    const details = [...(schema.validate(input, { abortEarly: false }).error?.details || [])];
+    if (expressionSchema) {
+      // Formulas compare text as text, so "2020-01-01T10:00+02:00" would sort after "2020-01-01T09:00Z"
+      const timed = _.mapValues(input, value => toTime(value) ?? value);
+      details.push(...(expressionSchema.validate(timed, { abortEarly: false }).error?.details || []));
+    }
+    const errors = details.map(detail => {
+      const column = detail.path[0] ?? null;
+      return {
+        column,
+        rule: RULE_TYPES[detail.type] || detail.type,
+        message: (column && messages[column]) || (detail.type === 'object.assert' ? detail.context.message : detail.message),
+        value: column ? row[column] ?? null : undefined
+      };
+    });
+
+    for (const column of unique) {
+      const value = row[column];
+      if (value === null || value === undefined || value === '') continue;
+      const key = `${entity}\u0000${column}`;
+      if (!this.seen.has(key)) this.seen.set(key, new Set());
+      const seen = this.seen.get(key);
+      const text = value instanceof Date ? value.toISOString() : String(value);
+      if (seen.has(text)) {
+        errors.push({ column, rule: 'unique', message: messages[column] || `"${column}" duplicates an earlier row`, value });
+      } else {
+        seen.add(text);
+      }
+    }
+    return errors;
+  }
+
+  record(entity, checked, rejected) {
+    const { summary } = this;
+    summary.checked += checked;
+    summary.rejected += rejected.length;
+    summary.entities[entity] = summary.entities[entity] || { checked: 0, rejected: 0 };
+    summary.entities[entity].checked += checked;
+    summary.entities[entity].rejected += rejected.length;
+
+    for (const rejection of rejected) {
+      for (const { column, rule } of rejection.errors) {
+        summary.byRule[rule] = (summary.byRule[rule] || 0) + 1;
+        const name = column ? `${entity}.${column}` : entity;
+        summary.byColumn[name] = (summary.byColumn[name] || 0) + 1;
+      }
+      if (summary.sample.length < this.sampleSize) {
+        summary.sample.push(rejection);
+      }
+    }
+  }
+
+  accuracy(entity) {
+    // The share of rows that passed every rule; null when no rule applied
+    const counts = entity ? this.summary.entities[entity] : this.summary;
+    return counts?.checked > 0 ? ((counts.checked - counts.rejected) / counts.checked) * 100 : null;
+  }
+
+  toJSON() {
+    return {
+      ...this.summary,
+      reportFile: this.summary.rejected > 0 ? this.reportFile : null
+    };
+  }
+}
+
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+export function rejectionsToCsv(lines) {
+  // One line per failed rule, so a row that broke two rules appears twice
+  const escape = value => {
+    const text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const output = ['entity,row,column,rule,message,value,record'];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    const rejection = JSON.parse(line);
+    for (const error of rejection.errors) {
+      output.push([
+        rejection.entity, rejection.row, error.column, error.rule, error.message, error.value, rejection.record
+      ].map(escape).join(','));
+    }
+  }
+  return output.join('\n') + '\n';
+}
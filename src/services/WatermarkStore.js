@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+import { withFileLock, readJSONFile, writeJSONFile } from '../utils/jsonFile.js';
+
+// High-water marks for incremental loads, kept per source in a JSON file so they
+// survive restarts. Dates are stored as ISO strings and revived on read. Every source
+// shares the file, so each change rereads it under a lock before writing it back.
+export class WatermarkStore {
+  constructor(filePath = './data/watermarks.json') {
+    this.filePath = filePath;
+  }
+
+  static sourceId(parts) {
+    // Connection strings carry credentials, so only a digest of them is stored
+    return crypto.createHash('sha256').update(parts.map(part => String(part ?? '')).join('\n')).digest('hex').slice(0, 16);
+  }
+
+  async get(sourceId) {
+    const entry = (await this.readAll())[sourceId];
+    return entry ? { ...entry, value: this.decode(entry) } : null;
+  }
+
+  async set(sourceId, { column, value, rowCount }) {
+    await withFileLock(this.filePath, async () => {
+      const entries = await this.readAll();
+      entries[sourceId] = {
+        column,
+        ...this.encode(value),
+        rowCount,
+        updatedAt: new Date().toISOString()
+      };
+      await writeJSONFile(this.filePath, entries);
+    });
+  }
+
+  async delete(sourceId) {
+    return await withFileLock(this.filePath, async () => {
+      const entries = await this.readAll();
+      if (!(sourceId in entries)) return false;
+      delete entries[sourceId];
+      await writeJSONFile(this.filePath, entries);
+      return true;
+    });
+  }
+
+  async list() {
+    const entries = await this.readAll();
+    return Object.entries(entries).map(([sourceId, entry]) => ({ sourceId, ...entry }));
+  }
+
+  async readAll() {
+    return await readJSONFile(this.filePath);
+  }
+
+  encode(value) {
+    if (value instanceof Date) return { value: value.toISOString(), type: 'date' };
+    if (typeof value === 'number') return { value, type: 'number' };
+    return { value: String(value), type: 'string' };
+  }
+
+  decode({ value, type }) {
+    if (type === 'date') return new Date(value);
+    return value;
+  }
+}
@@ -0,0 +1,107 @@
+// Compressed and archive inputs are recognised by their magic bytes, so a
+// renamed upload (multer drops the extension) is still unpacked correctly
+
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import * as tar from 'tar';
+import yauzl from 'yauzl';
+
+export async function detectCompression(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(512), 0, 512, 0);
+    const header = buffer.subarray(0, bytesRead);
+
+    if (header[0] === 0x1F && header[1] === 0x8B) {
+      return 'gzip';
+    }
+    if (header[0] === 0x50 && header[1] === 0x4B && header[2] === 0x03 && header[3] === 0x04) {
+      return 'zip';
+    }
+    if (header.subarray(257, 262).toString('latin1') === 'ustar') {
+      return 'tar';
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+export async function createTempDir() {
+  return await fs.mkdtemp(path.join(os.tmpdir(), 'multiagent-archive-'));
+}
+
+export async function gunzipFile(sourcePath, targetPath) {
+  await pipeline(createReadStream(sourcePath), zlib.createGunzip(), createWriteStream(targetPath));
+  return targetPath;
+}
+
+export async function extractTar(archivePath, targetDir) {
+  // node-tar strips absolute paths and '..' segments and handles .tar.gz itself
+  await tar.x({ file: archivePath, cwd: targetDir, strict: true });
+  return await listFiles(targetDir);
+}
+
+export async function extractZip(archivePath, targetDir) {
+  const zipFile = await new Promise((resolve, reject) => {
+    // Names are decoded per entry, as yauzl would otherwise fail the whole archive on one unsafe name
+    yauzl.open(archivePath, { lazyEntries: true, decodeStrings: false }, (error, opened) => (error ? reject(error) : resolve(opened)));
+  });
+
+  const files = [];
+  try {
+    await new Promise((resolve, reject) => {
+      zipFile.on('error', reject);
+      zipFile.on('end', resolve);
+      zipFile.on('entry', (entry) => {
+        extractZipEntry(zipFile, entry, targetDir)
+          .then((filePath) => {
+            if (filePath) files.push(filePath);
+            zipFile.readEntry();
+          })
+          .catch(reject);
+      });
+      zipFile.readEntry();
+    });
+  } finally {
+    zipFile.close();
+  }
+
+  return files.sort();
+}
+
+async function extractZipEntry(zipFile, entry, targetDir) {
+  const fileName = yauzl.getFileNameLowLevel(entry.generalPurposeBitFlag, entry.fileNameRaw, entry.extraFields, false);
+  if (fileName.endsWith('/')) {
+    return null;
+  }
+
+  // Entries with absolute or '..' paths, or that would otherwise land outside the target directory, are skipped
+  const targetPath = path.resolve(targetDir, fileName);
+  if (yauzl.validateFileName(fileName) !== null || !targetPath.startsWith(path.resolve(targetDir) + path.sep)) {
+    return null;
+  }
+
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  const readStream = await new Promise((resolve, reject) => {
+    zipFile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+  await pipeline(readStream, createWriteStream(targetPath));
+  return targetPath;
+}
+
+export async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true, recursive: true });
+  return entries
+    .filter(entry => entry.isFile())
+    .map(entry => path.join(entry.parentPath ?? entry.path, entry.name))
+    .sort();
+}
+
+export async function removeTempDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
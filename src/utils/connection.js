@@ -0,0 +1,249 @@
+// Database connections given as URLs (mysql://, postgresql://, sqlite:), ODBC
+// key=value strings, bare SQLite file paths or structured objects, normalized to
+// { type, host, port, database, user, password, ssl, schema }
+
+import { fileURLToPath } from 'url';
+
+const TYPE_ALIASES = {
+  sqlite: 'sqlite',
+  sqlite3: 'sqlite',
+  mysql: 'mysql',
+  mariadb: 'mysql',
+  postgres: 'postgresql',
+  postgresql: 'postgresql',
+  pg: 'postgresql'
+};
+
+const DEFAULT_PORTS = { mysql: 3306, postgresql: 5432 };
+
+// ODBC keywords vary by driver; each group maps onto one connection field
+const ODBC_KEYS = {
+  driver: 'driver',
+  server: 'host',
+  host: 'host',
+  hostname: 'host',
+  'data source': 'host',
+  port: 'port',
+  database: 'database',
+  db: 'database',
+  dbname: 'database',
+  'initial catalog': 'database',
+  uid: 'user',
+  user: 'user',
+  'user id': 'user',
+  username: 'user',
+  pwd: 'password',
+  password: 'password',
+  sslmode: 'sslmode',
+  ssl: 'ssl',
+  schema: 'schema',
+  currentschema: 'schema'
+};
+
+export function resolveConnection(input) {
+  if (!input) {
+    throw new Error('A connection string or connection object is required');
+  }
+  return typeof input === 'string' ? parseConnectionString(input) : normalizeConnection(input);
+}
+
+export function parseConnectionString(connectionString) {
+  const value = connectionString.trim();
+
+  if (/^(sqlite3?|file):/i.test(value)) {
+    return normalizeConnection({ type: 'sqlite', database: parseSQLiteURL(value) });
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    return parseURL(value);
+  }
+  if (/^[^=;]+=/.test(value)) {
+    return parseODBC(value);
+  }
+  // Anything else is taken as the path of a SQLite database file
+  return normalizeConnection({ type: 'sqlite', database: value });
+}
+
+export function normalizeConnection(connection) {
+  const type = TYPE_ALIASES[String(connection.type || connection.dbType || '').toLowerCase()];
+  if (!type) {
+    throw new Error(`Unsupported database type: ${connection.type || connection.dbType || 'unknown'}`);
+  }
+
+  if (type === 'sqlite') {
+    const database = connection.database || connection.filename || connection.path;
+    if (!database) {
+      throw new Error('SQLite connections require a database file');
+    }
+    return { type, database };
+  }
+
+  // The schema ends up in a server option string, so only plain identifiers are accepted
+  if (connection.schema && !/^[A-Za-z_][\w$]*$/.test(connection.schema)) {
+    throw new Error(`Invalid schema name: ${connection.schema}`);
+  }
+
+  const port = connection.port ? Number(connection.port) : DEFAULT_PORTS[type];
+  if (!Number.isInteger(port) || port <= 0) {
+    throw new Error(`Invalid port: ${connection.port}`);
+  }
+
+  return {
+    type,
+    host: connection.host || 'localhost',
+    port,
+    database: connection.database || undefined,
+    user: connection.user || connection.username || undefined,
+    password: connection.password ?? undefined,
+    ssl: normalizeSSL(connection.ssl, connection.sslmode),
+    schema: connection.schema || undefined
+  };
+}
+
+export function toMySQLConfig(connection) {
+  return {
+    host: connection.host,
+    port: connection.port,
+    user: connection.user,
+    password: connection.password,
+    database: connection.database,
+    ssl: connection.ssl || undefined
+  };
+}
+
+export function toPostgresConfig(connection) {
+  return {
+    host: connection.host,
+    port: connection.port,
+    user: connection.user,
+    password: connection.password,
+    database: connection.database,
+    ssl: connection.ssl,
+    // Unqualified table names in queries resolve against the chosen schema first
+    options: connection.schema ? `-c search_path=${connection.schema},public` : undefined
+  };
+}
+
+export function describeConnection(connection) {
+  // Safe to log: the password is never included
+  if (connection.type === 'sqlite') {
+    return `sqlite:${connection.database}`;
+  }
+  const user = connection.user ? `${encodeURIComponent(connection.user)}@` : '';
+  return `${connection.type}://${user}${connection.host}:${connection.port}/${connection.database || ''}`;
+}
+
+function parseURL(value) {
+  const url = new URL(value);
+  const params = Object.fromEntries(url.searchParams);
+
+  return normalizeConnection({
+    type: url.protocol.slice(0, -1),
+    host: decodeURIComponent(url.hostname),
+    port: url.port,
+    database: decodeURIComponent(url.pathname.replace(/^\//, '')),
+    user: decodeURIComponent(url.username),
+    password: url.password ? decodeURIComponent(url.password) : undefined,
+    ssl: params.ssl,
+    sslmode: params.sslmode,
+    schema: params.schema || params.currentSchema
+  });
+}
+
+function parseSQLiteURL(value) {
+  if (/^file:/i.test(value)) {
+    return fileURLToPath(value.split('?')[0]);
+  }
+  // sqlite:///abs/path.db, sqlite://./relative.db, sqlite:relative.db and sqlite::memory:
+  return value.replace(/^sqlite3?:(\/\/)?/i, '').split('?')[0];
+}
+
+function parseODBC(value) {
+  const fields = {};
+  for (const [key, fieldValue] of splitODBC(value)) {
+    const field = ODBC_KEYS[key.toLowerCase()];
+    if (field) {
+      fields[field] = fieldValue;
+    }
+  }
+
+  if (fields.host?.includes(',')) {
+    // SERVER=host,port
+    [fields.host, fields.port] = fields.host.split(',').map(part => part.trim());
+  }
+
+  const type = detectDriverType(fields.driver);
+  if (!type) {
+    throw new Error(`Unsupported ODBC driver: ${fields.driver || 'none given'}`);
+  }
+  return normalizeConnection({ ...fields, type });
+}
+
+function splitODBC(value) {
+  // Values in braces may contain ';' and '=', and '}}' stands for a literal '}'
+  const pairs = [];
+  let i = 0;
+
+  while (i < value.length) {
+    const equals = value.indexOf('=', i);
+    if (equals === -1) break;
+    const key = value.slice(i, equals).trim();
+    let fieldValue = '';
+    i = equals + 1;
+
+    if (value[i] === '{') {
+      i++;
+      while (i < value.length) {
+        if (value[i] === '}' && value[i + 1] === '}') {
+          fieldValue += '}';
+          i += 2;
+        } else if (value[i] === '}') {
+          i++;
+          break;
+        } else {
+          fieldValue += value[i++];
+        }
+      }
+      const end = value.indexOf(';', i);
+      i = end === -1 ? value.length : end + 1;
+    } else {
+      const end = value.indexOf(';', i);
+      fieldValue = value.slice(i, end === -1 ? value.length : end).trim();
+      i = end === -1 ? value.length : end + 1;
+    }
+
+    if (key) pairs.push([key, fieldValue]);
+  }
+
+  return pairs;
+}
+
+function detectDriverType(driver = '') {
+  if (/sqlite/i.test(driver)) return 'sqlite';
+  if (/mysql|mariadb/i.test(driver)) return 'mysql';
+  if (/postgre/i.test(driver)) return 'postgresql';
+  return null;
+}
+
+function normalizeSSL(ssl, sslmode) {
+  if (ssl && typeof ssl === 'object') {
+    return ssl;
+  }
+
+  // libpq sslmode names: only the verify modes check the server certificate
+  switch (String(sslmode || '').toLowerCase()) {
+    case 'disable':
+    case 'allow':
+    case 'prefer':
+      return false;
+    case 'require':
+      return { rejectUnauthorized: false };
+    case 'verify-ca':
+    case 'verify-full':
+      return { rejectUnauthorized: true };
+  }
+
+  if (ssl === true || ssl === 'true' || ssl === '1') {
+    return { rejectUnauthorized: true };
+  }
+  return false;
+}
@@ -0,0 +1,188 @@
+// CSV dialect sniffing: encoding (BOM, UTF-16, UTF-8 vs Latin-1), delimiter,
+// quote character and whether the first row is a header
+
+import { Transform } from 'stream';
+import _ from 'lodash';
+
+const DELIMITERS = [',', ';', '\t', '|'];
+const QUOTES = ['"', "'"];
+const SAMPLE_RECORDS = 50;
+
+export function detectEncoding(sample) {
+  if (sample[0] === 0xEF && sample[1] === 0xBB && sample[2] === 0xBF) {
+    return { encoding: 'utf-8', bom: true };
+  }
+  if (sample[0] === 0xFF && sample[1] === 0xFE) {
+    return { encoding: 'utf-16le', bom: true };
+  }
+  if (sample[0] === 0xFE && sample[1] === 0xFF) {
+    return { encoding: 'utf-16be', bom: true };
+  }
+
+  // UTF-16 without a BOM shows up as a zero byte in every other position
+  const length = Math.min(sample.length, 1024) & ~1;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  if (length > 0 && oddZeros > length / 4 && evenZeros === 0) {
+    return { encoding: 'utf-16le', bom: false };
+  }
+  if (length > 0 && evenZeros > length / 4 && oddZeros === 0) {
+    return { encoding: 'utf-16be', bom: false };
+  }
+
+  try {
+    // Streaming mode tolerates a multi-byte character cut off at the end of the sample
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch {
+    return { encoding: 'latin1', bom: false };
+  }
+}
+
+export function splitRecords(text, delimiter, quote, limit = SAMPLE_RECORDS) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length && records.length < limit; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i++;
+      } else if (char === quote) {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === quote && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // A trailing record is only complete if the sample did not stop inside it
+  if (records.length < limit && !quoted && (field !== '' || record.length > 0)) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(fields => fields.length > 1 || fields[0] !== '');
+}
+
+export function detectDelimiter(text, quote = '"') {
+  let best = { delimiter: ',', score: 0 };
+
+  for (const delimiter of DELIMITERS) {
+    const counts = splitRecords(text, delimiter, quote).map(fields => fields.length);
+    if (counts.length === 0) continue;
+
+    // The delimiter that splits most rows into the same number of (several) fields wins
+    const mode = Number(Object.entries(_.countBy(counts)).sort((a, b) => b[1] - a[1])[0][0]);
+    const consistent = counts.filter(count => count === mode).length / counts.length;
+    const score = mode > 1 ? consistent * mode : 0;
+    if (score > best.score) {
+      best = { delimiter, score };
+    }
+  }
+
+  return best.delimiter;
+}
+
+export function detectQuote(text) {
+  let best = { quote: '"', count: 0 };
+
+  for (const quote of QUOTES) {
+    // Count quotes that open or close a field rather than apostrophes inside words
+    const escaped = quote === '"' ? '"' : "'";
+    const pattern = new RegExp(`(^|[,;\\t|])${escaped}|${escaped}([,;\\t|]|$)`, 'gm');
+    const count = (text.match(pattern) || []).length;
+    if (count > best.count) {
+      best = { quote, count };
+    }
+  }
+
+  return best.quote;
+}
+
+export function detectHeader(records) {
+  if (records.length < 2) {
+    return true;
+  }
+
+  const [first, ...rest] = records;
+  const names = first.map(value => value.trim());
+  if (names.some(name => name === '') || new Set(names).size !== names.length) {
+    return false;
+  }
+
+  // Each column votes: a header cell looks unlike the values below it
+  let votes = 0;
+  names.forEach((name, column) => {
+    const values = rest.map(fields => (fields[column] ?? '').trim()).filter(value => value !== '');
+    if (values.length === 0) return;
+
+    if (values.every(isNumeric)) {
+      votes += isNumeric(name) ? -1 : 1;
+      return;
+    }
+
+    const lengths = new Set(values.map(value => value.length));
+    if (lengths.size === 1) {
+      votes += lengths.has(name.length) ? -1 : 1;
+    }
+  });
+
+  // Ties keep the previous behaviour of treating the first row as the header
+  return votes >= 0;
+}
+
+export function sniffCSV(sample, overrides = {}) {
+  const { encoding, bom } = overrides.encoding
+    ? { encoding: overrides.encoding, bom: detectEncoding(sample).bom }
+    : detectEncoding(sample);
+
+  const text = new TextDecoder(encoding).decode(sample, { stream: true });
+  const quote = overrides.quote || detectQuote(text);
+  const delimiter = overrides.delimiter || detectDelimiter(text, quote);
+  const header = overrides.header !== undefined
+    ? Boolean(overrides.header)
+    : detectHeader(splitRecords(text, delimiter, quote));
+  const columnCount = splitRecords(text, delimiter, quote, 1)[0]?.length || 0;
+
+  return { encoding, bom, delimiter, quote, header, columnCount };
+}
+
+export function createDecodeStream(encoding) {
+  // TextDecoder drops the BOM and re-emits everything as UTF-8 for csv-parser
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      callback(null, Buffer.from(decoder.decode(chunk, { stream: true }), 'utf8'));
+    },
+    flush(callback) {
+      callback(null, Buffer.from(decoder.decode(), 'utf8'));
+    }
+  });
+}
+
+function isNumeric(value) {
+  return value !== '' && !isNaN(Number(value.replace(/[\s,]/g, '')));
+}
+
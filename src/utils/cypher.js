@@ -0,0 +1,6 @@
+// Labels, relationship types and property names come from file headers and table names, so they
+// are always quoted; a backtick inside a name is doubled, as Cypher escapes it that way
+
+export function quoteCypherIdentifier(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
@@ -0,0 +1,40 @@
+// Nested JSON values cannot be stored as Neo4j properties: maps are flattened into
+// prefixed keys and arrays of objects are split out so they can become child entities
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+export function flattenRecord(record, { separator = '_', prefix = '' } = {}) {
+  const flat = {};
+  const children = {};
+
+  for (const [key, value] of Object.entries(record)) {
+    const path = prefix ? `${prefix}${separator}${key}` : key;
+
+    if (isPlainObject(value)) {
+      const nested = flattenRecord(value, { separator, prefix: path });
+      Object.assign(flat, nested.flat);
+      Object.assign(children, nested.children);
+    } else if (Array.isArray(value) && value.some(isPlainObject)) {
+      children[path] = value.filter(isPlainObject);
+    } else if (Array.isArray(value)) {
+      flat[path] = toListProperty(value);
+    } else {
+      flat[path] = value;
+    }
+  }
+
+  return { flat, children };
+}
+
+export function toListProperty(values) {
+  const items = values.filter(value => value !== null && value !== undefined);
+
+  // Neo4j lists must be homogeneous
+  const types = new Set(items.map(value => typeof value));
+  if (types.size > 1 || items.some(Array.isArray)) {
+    return items.map(value => (typeof value === 'object' ? JSON.stringify(value) : String(value)));
+  }
+  return items;
+}
@@ -0,0 +1,46 @@
+// Glob patterns for object keys and file paths: * and ? stay within one
+// path segment, ** spans segments and {a,b} matches alternatives
+
+export function globToRegExp(pattern) {
+  let source = '';
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches zero directories
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      const end = pattern.indexOf('}', i);
+      if (end === -1) {
+        source += '\\{';
+        continue;
+      }
+      const alternatives = pattern.slice(i + 1, end).split(',').map(escapeRegExp);
+      source += `(?:${alternatives.join('|')})`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+export function matchesGlob(value, pattern) {
+  return globToRegExp(pattern).test(value);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// JSON state files that concurrent jobs read, change and write back. Changes to one file
+// run one at a time within the process, and every write goes to a temporary file that is
+// renamed over the old one, so a crash mid-write leaves the previous version in place.
+
+const locks = new Map();
+
+export function withFileLock(filePath, task) {
+  // Runs task once every earlier task on the same file has finished, whether it failed or not
+  const key = path.resolve(filePath);
+  const previous = locks.get(key) || Promise.resolve();
+  const run = previous.then(() => task(), () => task());
+  const tail = run.catch(() => {});
+  locks.set(key, tail);
+  tail.then(() => {
+    if (locks.get(key) === tail) locks.delete(key);
+  });
+  return run;
+}
+
+export async function readJSONFile(filePath, fallback = {}) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+export async function writeJSONFile(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const temporary = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(temporary, JSON.stringify(data, null, 2));
+    await fs.rename(temporary, filePath);
+  } catch (error) {
+    await fs.rm(temporary, { force: true });
+    throw error;
+  }
+}
@@ -0,0 +1,86 @@
+// Minimal JSONPath support for locating records inside a document:
+// $, .key, ['key'], [n], [*], .* and ..key (recursive descent)
+
+export function parseJSONPath(path) {
+  const expression = String(path).trim();
+  if (!expression.startsWith('$')) {
+    throw new Error(`Invalid JSONPath "${path}": must start with $`);
+  }
+
+  const tokens = [];
+  const pattern = /(\.\.)?(?:\.?([A-Za-z_$][\w$-]*)|\.?\*|\[\s*(\*|-?\d+|'[^']*'|"[^"]*")\s*\])/y;
+  let index = 1;
+
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match || match[0].length === 0) {
+      throw new Error(`Invalid JSONPath "${path}" at position ${index}`);
+    }
+
+    const [token, recursive, name, bracket] = match;
+    let selector;
+    if (name !== undefined) {
+      selector = { type: 'key', key: name };
+    } else if (bracket === undefined || bracket === '*') {
+      selector = { type: 'wildcard' };
+    } else if (/^-?\d+$/.test(bracket)) {
+      selector = { type: 'index', index: parseInt(bracket) };
+    } else {
+      selector = { type: 'key', key: bracket.slice(1, -1) };
+    }
+
+    tokens.push({ ...selector, recursive: Boolean(recursive) });
+    index += token.length;
+  }
+
+  return tokens;
+}
+
+function descendants(value) {
+  const nodes = [value];
+  const children = Array.isArray(value) ? value : (value && typeof value === 'object' ? Object.values(value) : []);
+  for (const child of children) {
+    nodes.push(...descendants(child));
+  }
+  return nodes;
+}
+
+function applySelector(value, selector) {
+  if (value === null || typeof value !== 'object') {
+    return [];
+  }
+
+  switch (selector.type) {
+    case 'wildcard':
+      return Array.isArray(value) ? value : Object.values(value);
+    case 'index': {
+      if (!Array.isArray(value)) return [];
+      const item = value[selector.index < 0 ? value.length + selector.index : selector.index];
+      return item === undefined ? [] : [item];
+    }
+    default:
+      return Object.prototype.hasOwnProperty.call(value, selector.key) ? [value[selector.key]] : [];
+  }
+}
+
+export function queryJSONPath(document, path) {
+  let nodes = [document];
+
+  for (const selector of parseJSONPath(path)) {
+    const scope = selector.recursive ? nodes.flatMap(descendants) : nodes;
+    nodes = scope.flatMap(node => applySelector(node, selector));
+  }
+
+  return nodes;
+}
+
+export function selectRecords(document, path = '$') {
+  const matches = queryJSONPath(document, path);
+
+  // A path that stops at an array ("$.items") means the items themselves, same as "$.items[*]"
+  if (matches.length === 1 && Array.isArray(matches[0])) {
+    return matches[0];
+  }
+  return matches;
+}
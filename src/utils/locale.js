@@ -0,0 +1,259 @@
+import moment from 'moment';
+
+// Locale-aware reading of numbers, amounts and dates. A job's locale decides the
+// decimal and group separators and, when a date column fits more than one field
+// order, which one wins; time zones are explicit, so a date-time always has an offset.
+
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD', 'R$': 'BRL', 'zł': 'PLN', 'kr': 'SEK', 'Fr.': 'CHF',
+  '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW', '₽': 'RUB',
+  '₺': 'TRY', '₪': 'ILS', '₫': 'VND', '฿': 'THB', '₴': 'UAH', '₦': 'NGN'
+};
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'CHF', 'CAD', 'AUD', 'NZD', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK',
+  'HUF', 'BRL', 'MXN', 'ZAR', 'KRW', 'RUB', 'TRY', 'ILS', 'SGD', 'HKD'
+];
+// "$" and "kr" are the currency of the locale's region where that is not the US or Sweden
+const REGIONAL_CURRENCIES = {
+  '$': { CA: 'CAD', AU: 'AUD', NZ: 'NZD', MX: 'MXN', SG: 'SGD', HK: 'HKD' },
+  'kr': { NO: 'NOK', DK: 'DKK', IS: 'ISK' }
+};
+const CURRENCY = `(${[...Object.keys(CURRENCY_SYMBOLS).map(escapeRegExp), ...CURRENCY_CODES].join('|')})`;
+const CURRENCY_PREFIX = new RegExp(`^${CURRENCY}\\s?`);
+const CURRENCY_SUFFIX = new RegExp(`\\s?${CURRENCY}$`);
+
+// Separator conventions a column can be checked against when the locale's own does not fit it
+export const NUMBER_FORMATS = {
+  '1,234.5': { group: ',', decimal: '.' },
+  '1.234,5': { group: '.', decimal: ',' },
+  '1 234,5': { group: ' ', decimal: ',' },
+  '1 234.5': { group: ' ', decimal: '.' },
+  "1'234.5": { group: "'", decimal: '.' }
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}/;
+const ZONED = /(Z|[+-]\d{2}:?\d{2})$/i;
+const NUMERIC_DATE = /^(\d{1,4})([/.-])(\d{1,2})\2(\d{1,4})(?:(?:\s+|T)(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?\s*([ap]m)?)?$/i;
+const MONTH_NAME = /\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\b/i;
+const TEXT_DATE_FORMATS = ['D MMM YYYY', 'D MMMM YYYY', 'MMM D, YYYY', 'MMMM D, YYYY', 'MMM D YYYY', 'MMMM D YYYY', 'D-MMM-YYYY', 'ddd, D MMM YYYY']
+  .flatMap(format => [format, format.replace('D', 'DD')])
+  .flatMap(format => ['', ' H:mm', ' HH:mm', ' H:mm:ss', ' HH:mm:ss', ' h:mm A', ' hh:mm A', ' h:mm:ss A'].map(time => format + time));
+export const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+// Number patterns per pair of separators, built on first use
+const DIGIT_PATTERNS = new Map();
+
+export function localeConventions(locale, timezone) {
+  // Separators, the field order of numeric dates and the currency region for a locale; unknown locales and zones throw
+  let parts;
+  try {
+    [locale] = Intl.getCanonicalLocales(locale);
+    parts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+  } catch {
+    throw new Error(`Unknown locale: ${locale}`);
+  }
+  zoneOffset(timezone, Date.now());
+
+  const dateParts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date(Date.UTC(2020, 10, 22)));
+  return {
+    locale,
+    timezone,
+    group: normalizeSeparator(parts.find(part => part.type === 'group')?.value ?? ','),
+    decimal: parts.find(part => part.type === 'decimal')?.value ?? '.',
+    dateOrder: dateParts.filter(part => ['day', 'month', 'year'].includes(part.type)).map(part => part.type[0].toUpperCase()).join(''),
+    region: new Intl.Locale(locale).maximize().region
+  };
+}
+
+export function parseAmount(value, { group, decimal, region } = NUMBER_FORMATS['1,234.5']) {
+  // "$95,000" -> { value: 95000, currency: 'USD' }, "12%" -> { value: 0.12, percent: true }; null when not a number
+  if (typeof value === 'number') return Number.isFinite(value) ? { value, currency: null, percent: false } : null;
+  if (typeof value !== 'string') return null;
+
+  let text = normalizeSeparator(value.trim()).replace(/\u2212/g, '-');
+  let negative = false;
+  let currency = null;
+  let percent = false;
+  const takeSign = () => {
+    if (/^[-+]/.test(text)) {
+      negative = negative !== (text[0] === '-');
+      text = text.slice(1).trim();
+    }
+  };
+
+  // Accounting negatives: (1,234.00)
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  if (text.endsWith('%')) {
+    percent = true;
+    text = text.slice(0, -1).trim();
+  }
+  takeSign();
+  const prefix = text.match(CURRENCY_PREFIX);
+  const suffix = prefix ? null : text.match(CURRENCY_SUFFIX);
+  if (prefix || suffix) {
+    const symbol = (prefix || suffix)[1];
+    currency = REGIONAL_CURRENCIES[symbol]?.[region] || CURRENCY_SYMBOLS[symbol] || symbol;
+    text = prefix ? text.slice(prefix[0].length) : text.slice(0, -suffix[0].length);
+    text = text.trim();
+    takeSign();
+  }
+  if (currency && percent) return null;
+
+  const number = parseDigits(text, group, decimal);
+  if (number === null) return null;
+  const signed = negative ? -number : number;
+  return { value: percent ? signed / 100 : signed, currency, percent };
+}
+
+function digitPatterns(group, decimal) {
+  const key = `${group}${decimal}`;
+  if (!DIGIT_PATTERNS.has(key)) {
+    const g = escapeRegExp(group);
+    const d = escapeRegExp(decimal);
+    DIGIT_PATTERNS.set(key, {
+      // Groups of three, or the Indian lakh grouping (12,34,567); anything else is not a grouped number
+      grouped: new RegExp(`^(\\d{1,3}(?:${g}\\d{3})+|\\d{1,2}(?:${g}\\d{2})+${g}\\d{3}|\\d+)?(?:${d}(\\d+))?$`),
+      // Scientific notation is written the same way everywhere apart from the decimal separator
+      scientific: new RegExp(`^\\d+(?:${d}\\d+)?e[+-]?\\d+$`, 'i')
+    });
+  }
+  return DIGIT_PATTERNS.get(key);
+}
+
+function parseDigits(text, group, decimal) {
+  const { grouped, scientific } = digitPatterns(group, decimal);
+  const match = text.match(grouped);
+  if (match && (match[1] || match[2])) {
+    return Number(`${(match[1] || '0').split(group).join('')}.${match[2] || '0'}`);
+  }
+  return scientific.test(text) ? Number(text.replace(decimal, '.')) : null;
+}
+
+export function matchDate(value) {
+  // What a value could be as a date: { iso, orders, text, time, zoned }, or null for anything else
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : { iso: true, orders: [], text: false, time: true, zoned: true };
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+
+  if (ISO_DATE.test(text)) {
+    if (!moment.utc(text, moment.ISO_8601, true).isValid()) return null;
+    return { iso: true, orders: [], text: false, time: text.length > 10, zoned: text.length > 10 && ZONED.test(text) };
+  }
+
+  const numeric = text.match(NUMERIC_DATE);
+  if (numeric) {
+    const orders = DATE_ORDERS.filter(order => numericDateFields(numeric, order));
+    return orders.length > 0 ? { iso: false, orders, text: false, time: numeric[5] !== undefined, zoned: false } : null;
+  }
+
+  if (MONTH_NAME.test(text) && /\d{4}/.test(text) && moment.utc(text, TEXT_DATE_FORMATS, 'en', true).isValid()) {
+    return { iso: false, orders: [], text: true, time: /\d:\d/.test(text), zoned: false };
+  }
+  return null;
+}
+
+export function parseDate(value, { order, temporal = 'datetime', timezone = 'UTC' } = {}) {
+  // 'YYYY-MM-DD' for dates; 'YYYY-MM-DDTHH:mm:ss.SSS+hh:mm' for date-times, in the time zone
+  // the value names or, when it names none, the given one. null when the value is not a date
+  let wall;
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return formatInstant(value.getTime(), zoneOffset(timezone, value.getTime()), temporal);
+  }
+  const text = String(value).trim();
+
+  if (ISO_DATE.test(text)) {
+    if (text.length > 10 && ZONED.test(text)) {
+      const zoned = moment.parseZone(text, moment.ISO_8601, true);
+      if (!zoned.isValid()) return null;
+      return temporal === 'date' ? zoned.format('YYYY-MM-DD') : zoned.format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+    }
+    const local = moment.utc(text, moment.ISO_8601, true);
+    if (!local.isValid()) return null;
+    wall = local.valueOf();
+  } else {
+    const numeric = text.match(NUMERIC_DATE);
+    if (numeric) {
+      const fields = order && numericDateFields(numeric, order);
+      if (!fields) return null;
+      wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, fields.millisecond);
+    } else {
+      const named = moment.utc(text, TEXT_DATE_FORMATS, 'en', true);
+      if (!named.isValid()) return null;
+      wall = named.valueOf();
+    }
+  }
+
+  if (temporal === 'date') {
+    return new Date(wall).toISOString().slice(0, 10);
+  }
+  // A wall-clock time means that time where the data was recorded, so the offset is the zone's at that moment
+  const offset = zoneOffset(timezone, wall - zoneOffset(timezone, wall) * 60000);
+  return formatInstant(wall - offset * 60000, offset, temporal);
+}
+
+export function zoneOffset(timezone, epochMs) {
+  // Minutes east of UTC for 'UTC', '+02:00' or an IANA zone such as 'Europe/Berlin'
+  if (!timezone || /^(utc|gmt|z)$/i.test(timezone)) return 0;
+  const fixed = String(timezone).match(/^([+-])(\d{2}):?(\d{2})$/);
+  if (fixed) {
+    return (fixed[1] === '-' ? -1 : 1) * (Number(fixed[2]) * 60 + Number(fixed[3]));
+  }
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(epochMs));
+  } catch {
+    throw new Error(`Unknown time zone: ${timezone}`);
+  }
+  const field = type => Number(parts.find(part => part.type === type).value);
+  const wall = Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute'), field('second'));
+  return Math.round((wall - Math.floor(epochMs / 1000) * 1000) / 60000);
+}
+
+function numericDateFields(match, order) {
+  const [, first, , middle, last, hour, minute, second, millisecond, meridiem] = match;
+  const positions = { DMY: [last, middle, first], MDY: [last, first, middle], YMD: [first, middle, last] }[order];
+  const [yearText, monthText, dayText] = positions;
+  // Only the year may have three or four digits, and it has two or four
+  if (![2, 4].includes(yearText.length) || monthText.length > 2 || dayText.length > 2) return null;
+
+  // Two-digit years: 00-68 are 2000-2068, as moment reads them
+  const year = yearText.length === 2 ? Number(yearText) + (Number(yearText) <= 68 ? 2000 : 1900) : Number(yearText);
+  const month = Number(monthText);
+  const day = Number(dayText);
+  if (month < 1 || month > 12 || day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+
+  let hours = Number(hour || 0);
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (/pm/i.test(meridiem) ? 12 : 0);
+  }
+  if (hours > 23 || Number(minute || 0) > 59 || Number(second || 0) > 59) return null;
+  return {
+    year, month, day,
+    hour: hours, minute: Number(minute || 0), second: Number(second || 0), millisecond: Number((millisecond || '0').padEnd(3, '0'))
+  };
+}
+
+function formatInstant(epochMs, offset, temporal) {
+  const local = moment.utc(epochMs).utcOffset(offset);
+  return temporal === 'date' ? local.format('YYYY-MM-DD') : local.format('YYYY-MM-DDTHH:mm:ss.SSSZ');
+}
+
+function normalizeSeparator(text) {
+  // No-break and thin spaces group digits in French and Nordic locales, a right quote in Swiss ones
+  return text.replace(/[\u00a0\u202f\u2009]/g, ' ').replace(/\u2019/g, "'");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
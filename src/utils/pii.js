@@ -0,0 +1,98 @@
+// Recognizes personal data in column values: emails, phone numbers, national ID
+// numbers, card numbers, person names and street addresses. Values decide where
+// they can; column names decide for names and back up the value checks.
+
+export const PII_CATEGORIES = ['email', 'phone', 'national_id', 'credit_card', 'name', 'address'];
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE = /^\+?[\d\s().-]{7,20}$/;
+// US social security numbers and UK national insurance numbers; other schemes are found by column name
+const SSN = /^(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}$/;
+const NINO = /^(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]$/i;
+const STREET = /^\d+[a-z]?\s+(\S+\s+)*(st|street|ave|avenue|rd|road|blvd|boulevard|ln|lane|dr|drive|way|ct|court|pl|place|sq|square|ter|terrace|hwy|highway|pkwy|parkway)\.?(\s|,|$)/i;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const PERSON_NAME = /^[\p{Lu}][\p{L}'’-]*\.?(\s+[\p{Lu}][\p{L}'’-]*\.?){1,3}$/u;
+
+const COLUMN_HINTS = {
+  email: /(^|_)e?mail(_address)?$/,
+  phone: /(^|_)(phone|mobile|cell|telephone|tel|fax)(_(number|no|num))?$/,
+  national_id: /(^|_)(ssn|sin|nino|ni_number|national_(id|insurance)(_number)?|social_security(_number)?|tax_id|tin|passport(_(number|no))?|personnummer|bsn|aadhaar)$/,
+  credit_card: /(^|_)(credit_card|card|cc|pan)(_(number|no|num))?$/,
+  name: /^(first|last|middle|given|family|full|maiden|nick|display|contact|customer|employee|person|patient|user|student|member|client|owner)_?name$|^(surname|forename)$/,
+  address: /(^|_)(address|street|street_address|address_line_?\d|home_address|mailing_address|postal_address)$/
+};
+
+export function luhnValid(digits) {
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let digit = digits.charCodeAt(i) - 48;
+    if (digit < 0 || digit > 9) return false;
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+export function isCreditCard(value) {
+  const text = String(value).trim();
+  if (!/^[\d\s-]+$/.test(text)) return false;
+  const digits = text.replace(/\D/g, '');
+  // Visa, Mastercard, Amex, Discover and the other networks all start with 2 to 6
+  return digits.length >= 13 && digits.length <= 19 && /^[2-6]/.test(digits) && luhnValid(digits);
+}
+
+export function detectPiiValue(value) {
+  // The categories a single value looks like; names and most national IDs need the column name as well
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') return [];
+  const text = value instanceof Date ? '' : String(value).trim();
+  const categories = [];
+  if (EMAIL.test(text)) categories.push('email');
+  if (isCreditCard(text)) categories.push('credit_card');
+  if (SSN.test(text) || NINO.test(text)) categories.push('national_id');
+  // Formatted digits only: bare numbers and dates are too often something else
+  if (typeof value === 'string' && PHONE.test(text) && /[\s().+-]/.test(text) && !ISO_DATE.test(text) &&
+      text.replace(/\D/g, '').length >= 7 && categories.length === 0) {
+    categories.push('phone');
+  }
+  if (STREET.test(text)) categories.push('address');
+  if (PERSON_NAME.test(text)) categories.push('name');
+  return categories;
+}
+
+export function classifyPiiColumn(column, values, { minShare = 0.8 } = {}) {
+  // { category, confidence, source } for a column that holds personal data, otherwise null
+  const present = values.filter(value => value !== null && value !== undefined && value !== '');
+  if (present.length === 0) return null;
+
+  const name = column.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[\s-]+/g, '_').toLowerCase();
+  const hinted = PII_CATEGORIES.filter(category => COLUMN_HINTS[category].test(name));
+
+  const counts = {};
+  for (const value of present.flatMap(value => Array.isArray(value) ? value : [value])) {
+    for (const category of detectPiiValue(value)) {
+      counts[category] = (counts[category] || 0) + 1;
+    }
+  }
+  const share = category => (counts[category] || 0) / present.length;
+
+  // Values that look like names are common (cities, products), so names also need a name-like column
+  const byValue = ['email', 'credit_card', 'national_id', 'phone', 'address']
+    .filter(category => share(category) >= minShare)
+    .sort((a, b) => share(b) - share(a))[0];
+  if (byValue) {
+    return { category: byValue, confidence: share(byValue), source: hinted.includes(byValue) ? 'name+values' : 'values' };
+  }
+  if (hinted.length > 0) {
+    const [category] = hinted;
+    return { category, confidence: Math.max(share(category), 0.5), source: 'name' };
+  }
+  if (name === 'name' && share('name') >= minShare) {
+    return { category: 'name', confidence: share('name'), source: 'values' };
+  }
+  return null;
+}
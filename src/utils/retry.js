@@ -0,0 +1,81 @@
+// Retries with exponential backoff and jitter, and timeouts that run a cleanup
+// callback so the stuck operation is aborted rather than left running
+
+const TRANSIENT_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH',
+  'SQLITE_BUSY', 'SQLITE_LOCKED',
+  'PROTOCOL_CONNECTION_LOST', 'ER_LOCK_DEADLOCK', 'ER_LOCK_WAIT_TIMEOUT', 'ER_CON_COUNT_ERROR'
+]);
+
+export function isTransientError(error) {
+  if (!error) return false;
+  if (TRANSIENT_CODES.has(error.code) || error.name === 'TimeoutError') return true;
+
+  // PostgreSQL SQLSTATEs: connection exceptions (08), insufficient resources (53),
+  // server shutdown (57P01-03), serialization failures and deadlocks
+  if (typeof error.code === 'string' && /^(08|53)\w{3}$|^57P0[1-3]$|^40001$|^40P01$/.test(error.code)) return true;
+
+  const status = error.response?.status ?? error.$metadata?.httpStatusCode;
+  return status === 429 || status === 502 || status === 503 || status === 504;
+}
+
+export function backoffDelay(attempt, { delay = 1000, maxDelay = 30000, jitter = true } = {}) {
+  const ceiling = Math.min(delay * 2 ** (attempt - 1), maxDelay);
+  // Half the delay is fixed and half random, so clients that failed together do not retry together
+  return jitter ? Math.round(ceiling / 2 + Math.random() * (ceiling / 2)) : ceiling;
+}
+
+export async function retry(operation, {
+  retries = 3, delay = 1000, maxDelay = 30000, jitter = true,
+  shouldRetry = isTransientError, onAttempt = () => {}, label = 'operation'
+} = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const startTime = new Date();
+    try {
+      const result = await operation(attempt);
+      onAttempt({ operation: label, attempt, status: 'succeeded', startTime, duration: Date.now() - startTime });
+      return result;
+    } catch (error) {
+      const retryIn = attempt <= retries && shouldRetry(error)
+        ? backoffDelay(attempt, { delay, maxDelay, jitter })
+        : null;
+      onAttempt({
+        operation: label,
+        attempt,
+        status: 'failed',
+        startTime,
+        duration: Date.now() - startTime,
+        error: error.message,
+        code: error.code,
+        retryIn
+      });
+
+      if (retryIn === null) throw error;
+      await sleep(retryIn);
+    }
+  }
+}
+
+export async function withTimeout(promise, ms, message, onTimeout) {
+  if (!ms) return await promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message || `Timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      onTimeout?.();
+      reject(error);
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
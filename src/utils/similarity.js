@@ -0,0 +1,189 @@
+// String similarity for matching records that describe the same thing: normalized
+// text, Jaro-Winkler, Soundex and person names that tolerate nicknames and initials
+
+const NICKNAMES = {
+  robert: ['bob', 'bobby', 'rob', 'robbie', 'bert'],
+  william: ['bill', 'billy', 'will', 'willy', 'liam'],
+  james: ['jim', 'jimmy', 'jamie'],
+  john: ['jack', 'johnny', 'jon'],
+  michael: ['mike', 'mikey', 'mick'],
+  richard: ['dick', 'rick', 'ricky', 'rich'],
+  thomas: ['tom', 'tommy'],
+  david: ['dave', 'davy'],
+  daniel: ['dan', 'danny'],
+  joseph: ['joe', 'joey'],
+  christopher: ['chris', 'kit'],
+  samuel: ['sam', 'sammy'],
+  alexander: ['alex', 'sandy'],
+  anthony: ['tony'],
+  steven: ['steve', 'stephen'],
+  edward: ['ed', 'eddie', 'ted', 'ned'],
+  andrew: ['andy', 'drew'],
+  nicholas: ['nick', 'nicky'],
+  matthew: ['matt'],
+  gregory: ['greg'],
+  jeffrey: ['jeff'],
+  lawrence: ['larry'],
+  benjamin: ['ben', 'benny'],
+  charles: ['charlie', 'chuck'],
+  henry: ['hank', 'harry'],
+  nathan: ['nate'],
+  peter: ['pete'],
+  ronald: ['ron', 'ronnie'],
+  timothy: ['tim', 'timmy'],
+  elizabeth: ['liz', 'lizzie', 'beth', 'betty', 'eliza'],
+  katherine: ['kate', 'katie', 'kathy', 'cathy', 'catherine'],
+  jennifer: ['jen', 'jenny'],
+  margaret: ['maggie', 'peggy', 'meg'],
+  susan: ['sue', 'susie'],
+  victoria: ['vicky', 'tori'],
+  abigail: ['abby'],
+  rebecca: ['becky'],
+  deborah: ['debbie', 'deb'],
+  jessica: ['jess'],
+  amanda: ['mandy'],
+  patricia: ['patty', 'trish']
+};
+
+const CANONICAL_NAMES = new Map(
+  Object.entries(NICKNAMES).flatMap(([name, nicknames]) => nicknames.map(nickname => [nickname, name]))
+);
+
+export function normalizeText(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - window);
+    const end = Math.min(i + window + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (!bMatches[j] && a[i] === b[j]) {
+        aMatches[i] = bMatches[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+export function soundex(word) {
+  const letters = normalizeText(word).replace(/[^a-z]/g, '');
+  if (!letters) return '';
+
+  const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+  let result = letters[0].toUpperCase();
+  let previous = codes[letters[0]];
+  for (const letter of letters.slice(1)) {
+    const code = codes[letter];
+    if (code && code !== previous) {
+      result += code;
+    }
+    // h and w do not separate letters with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') {
+      previous = code;
+    }
+  }
+  return result.padEnd(4, '0').slice(0, 4);
+}
+
+export function canonicalName(token) {
+  return CANONICAL_NAMES.get(token) || token;
+}
+
+export function nameSimilarity(a, b) {
+  const aTokens = normalizeText(a).split(' ').filter(Boolean).map(canonicalName);
+  const bTokens = normalizeText(b).split(' ').filter(Boolean).map(canonicalName);
+  if (aTokens.length === 0 || bTokens.length === 0) return 0;
+
+  // "Johnson, Bob" and "Robert Johnson" are the same name: tokens are paired by best match, not position
+  const [shorter, longer] = aTokens.length <= bTokens.length ? [aTokens, bTokens] : [bTokens, aTokens];
+  const remaining = [...longer];
+  let total = 0;
+  for (const token of shorter) {
+    let best = 0;
+    let bestIndex = -1;
+    remaining.forEach((candidate, index) => {
+      // An initial matches any name that starts with it, but not as well as the full name would
+      const score = token.length === 1 || candidate.length === 1
+        ? (token[0] === candidate[0] ? 0.9 : 0)
+        : jaroWinkler(token, candidate);
+      if (score > best) {
+        best = score;
+        bestIndex = index;
+      }
+    });
+    if (bestIndex >= 0) remaining.splice(bestIndex, 1);
+    total += best;
+  }
+
+  // A missing middle name costs a little; a missing surname costs more
+  return (total / shorter.length) * (0.9 + 0.1 * shorter.length / longer.length);
+}
+
+export function compareValues(a, b, comparator = 'string') {
+  switch (comparator) {
+    case 'exact':
+      return normalizeText(a) === normalizeText(b) ? 1 : 0;
+    case 'digits': {
+      const aDigits = String(a).replace(/\D/g, '');
+      const bDigits = String(b).replace(/\D/g, '');
+      // Phone numbers with and without a country code end the same way
+      return aDigits.length >= 7 && bDigits.length >= 7 && (aDigits.endsWith(bDigits) || bDigits.endsWith(aDigits)) ? 1 : 0;
+    }
+    case 'name':
+      return nameSimilarity(a, b) * numbersAgree(a, b);
+    case 'number': {
+      const aNumber = Number(a);
+      const bNumber = Number(b);
+      if (Number.isNaN(aNumber) || Number.isNaN(bNumber)) return 0;
+      const scale = Math.max(Math.abs(aNumber), Math.abs(bNumber));
+      return scale === 0 ? 1 : Math.max(0, 1 - Math.abs(aNumber - bNumber) / scale);
+    }
+    case 'date': {
+      const aTime = new Date(a).getTime();
+      const bTime = new Date(b).getTime();
+      if (Number.isNaN(aTime) || Number.isNaN(bTime)) return 0;
+      return Math.floor(aTime / 86400000) === Math.floor(bTime / 86400000) ? 1 : 0;
+    }
+    case 'string':
+      return jaroWinkler(normalizeText(a), normalizeText(b)) * numbersAgree(a, b);
+    default:
+      throw new Error(`Unknown comparator: ${comparator}`);
+  }
+}
+
+function numbersAgree(a, b) {
+  // "12 Main St" and "14 Main St" look alike but are different places; differing numbers halve the similarity
+  const aNumbers = String(a).match(/\d+/g)?.join(' ') ?? '';
+  const bNumbers = String(b).match(/\d+/g)?.join(' ') ?? '';
+  return aNumbers === bNumbers ? 1 : 0.5;
+}
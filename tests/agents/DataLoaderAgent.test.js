@@ -0,0 +1,193 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import * as tar from 'tar';
+import { DataLoaderAgent } from '../../src/agents/DataLoaderAgent.js';
+import { createZip } from '../helpers/zip.js';
+
+const demoDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../demo-data');
+
+describe('DataLoaderAgent.assertReadOnlyQuery', () => {
+  const agent = new DataLoaderAgent({});
+  const check = query => () => agent.assertReadOnlyQuery(query);
+
+  test('accepts SELECTs whose names look like write keywords', () => {
+    expect(check('SELECT last_update, call_count, copy_no AS "into", lock FROM rename_log')).not.toThrow();
+    expect(check('WITH recent AS (SELECT * FROM orders) SELECT update_count FROM recent;')).not.toThrow();
+  });
+
+  test('ignores semicolons and keywords inside comments and literals', () => {
+    expect(check("SELECT 'a;b' AS note -- ; DROP TABLE t\nFROM t /* ; */")).not.toThrow();
+  });
+
+  test('rejects other statements and more than one statement', () => {
+    expect(check('DELETE FROM orders')).toThrow('only SELECT queries are allowed');
+    expect(check('SELECT 1; DROP TABLE orders')).toThrow('only a single statement is allowed');
+  });
+
+  test('rejects INTO, which writes files or tables past a read-only transaction', () => {
+    expect(check("SELECT * FROM users INTO OUTFILE '/var/lib/mysql-files/u.csv'")).toThrow('INTO OUTFILE is not allowed');
+    expect(check("SELECT '<?php' INTO DUMPFILE '/var/www/x.php'")).toThrow('INTO DUMPFILE is not allowed');
+    expect(check('SELECT COUNT(*) INTO @total FROM users')).toThrow('INTO is not allowed');
+    expect(check('SELECT * INTO archived_users FROM users')).toThrow('INTO is not allowed');
+    expect(check('WITH old AS (SELECT * FROM users)\nSELECT *\nINTO\n  users_copy FROM old')).toThrow('INTO is not allowed');
+    expect(check("SELECT 'into outfile' AS note, \"into\" FROM t -- INTO OUTFILE")).not.toThrow();
+  });
+
+  test('rejects row locks', () => {
+    expect(check('SELECT * FROM orders FOR UPDATE')).toThrow('FOR UPDATE is not allowed');
+    expect(check('SELECT * FROM orders LOCK IN SHARE MODE')).toThrow('LOCK IN SHARE MODE is not allowed');
+  });
+});
+
+describe('DataLoaderAgent incremental loads', () => {
+  let tempDir;
+  let database;
+  let agent;
+
+  const run = (db, sql) => new Promise((resolve, reject) => db.exec(sql, error => (error ? reject(error) : resolve())));
+
+  beforeAll(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'incremental-'));
+    database = path.join(tempDir, 'shop.db');
+    const db = new sqlite3.Database(database);
+    // Two orders written in the same instant share their timestamp
+    await run(db, `
+      CREATE TABLE orders (order_id INTEGER PRIMARY KEY, total REAL, updated_at TEXT);
+      CREATE TABLE events (name TEXT, updated_at TEXT);
+      INSERT INTO orders VALUES (1, 9.5, '2024-05-01T10:00:00Z'), (2, 12, '2024-05-01T10:00:00Z'), (3, 4, '2024-05-02T08:00:00Z');
+      INSERT INTO events VALUES ('created', '2024-05-01T10:00:00Z');
+    `);
+    await new Promise(resolve => db.close(resolve));
+    agent = new DataLoaderAgent({ watermarkFile: path.join(tempDir, 'watermarks.json') });
+    agent.logger.silent = true;
+  });
+
+  afterAll(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+  test('keys rows by the primary key of the table when no key is given', async () => {
+    const result = await agent.loadFromODBC(`sqlite:${database}`, {
+      options: { incremental: { table: 'orders', column: 'updated_at' } }
+    });
+    expect(result.data.map(row => row.order_id)).toEqual([1, 2, 3]);
+    expect(result.metadata.primaryKey).toEqual(['order_id']);
+    expect(result.metadata.incremental).toMatchObject({ key: ['order_id'], inclusive: true, next: '2024-05-02T08:00:00Z' });
+  });
+
+  test('keeps a declared key', async () => {
+    const result = await agent.loadFromODBC(`sqlite:${database}`, {
+      options: { incremental: { table: 'orders', column: 'order_id', key: 'order_id' } }
+    });
+    expect(result.metadata.incremental).toMatchObject({ key: ['order_id'], inclusive: false });
+  });
+
+  test('needs a key for queries and for tables without a primary key', async () => {
+    await expect(agent.loadFromODBC(`sqlite:${database}`, {
+      query: 'SELECT * FROM orders',
+      options: { incremental: { column: 'updated_at' } }
+    })).rejects.toThrow('Incremental loads from a query need a key');
+    await expect(agent.loadFromODBC(`sqlite:${database}`, {
+      options: { incremental: { table: 'events', column: 'updated_at' } }
+    })).rejects.toThrow('Incremental loads from events need a key, as the table has no primary key');
+  });
+});
+
+describe('DataLoaderAgent compressed files and archives', () => {
+  let dir;
+  let agent;
+  let employees;
+  beforeAll(async () => {
+    employees = await fs.readFile(path.join(demoDir, 'employee-database.csv'));
+  });
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'loader-archives-'));
+    agent = new DataLoaderAgent({ uploadDir: dir });
+    agent.logger.silent = true;
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const write = async (name, content) => {
+    const file = path.join(dir, name);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    return file;
+  };
+  const extractedDirs = async () => (await fs.readdir(os.tmpdir())).filter(name => name.startsWith('multiagent-archive-'));
+
+  test('loads a gzip file as the format inside, also when an upload lost its extension', async () => {
+    const before = await extractedDirs();
+    for (const name of ['employees.csv.gz', 'upload-7f3a']) {
+      const result = await agent.loadFromLocal(await write(name, zlib.gzipSync(employees)), 'csv', {});
+      expect(result.data).toHaveLength(20);
+      expect(result.data[0]).toMatchObject({ id: '1', name: 'John Smith' });
+      expect(result.metadata).toMatchObject({ type: 'csv', rowCount: 20, compression: 'gzip' });
+    }
+    expect(await extractedDirs()).toEqual(before);
+  });
+
+  test('streams a gzip file and removes the unpacked copy once the batches are read', async () => {
+    const before = await extractedDirs();
+    const result = await agent.loadFromLocal(await write('employees.csv.gz', zlib.gzipSync(employees)), 'csv', { streaming: true, batchSize: 8 });
+    expect(result.metadata).toMatchObject({ streaming: true, replayable: false, compression: 'gzip' });
+
+    const sizes = [];
+    for await (const batch of result.batches()) sizes.push(batch.length);
+    expect(sizes).toEqual([8, 8, 4]);
+    expect(await extractedDirs()).toEqual(before);
+  });
+
+  test('loads a zip archive with one file as that file', async () => {
+    const result = await agent.loadFromLocal(await write('drop.zip', createZip([['employees.csv', employees]])), null, {});
+    expect(result.data).toHaveLength(20);
+    expect(result.metadata.archive).toEqual({ format: 'zip', files: ['employees.csv'] });
+  });
+
+  test('loads every supported file of a zip archive as an entity and skips the rest', async () => {
+    const archive = await write('drop.zip', createZip([
+      ['__MACOSX/._employees.csv', 'resource fork'],
+      ['../escaped.csv', 'id\n1\n'],
+      ['/tmp/absolute.csv', 'id\n1\n'],
+      ['hr/employees.csv', employees],
+      ['sales.json', await fs.readFile(path.join(demoDir, 'sales-data.json'))],
+      ['notes.txt', 'not data']
+    ]));
+
+    const result = await agent.loadFromLocal(archive, null, {});
+    expect(result.entities.map(entity => [entity.name, entity.data.length, entity.metadata.file])).toEqual([
+      ['employees', 20, 'hr/employees.csv'],
+      ['sales', 10, 'sales.json']
+    ]);
+    expect(result.metadata).toMatchObject({
+      type: 'archive',
+      archive: { format: 'zip', files: ['hr/employees.csv', 'sales.json'] },
+      entities: ['employees', 'sales'],
+      rowCount: 30
+    });
+    await expect(fs.access(path.join(os.tmpdir(), 'escaped.csv'))).rejects.toThrow();
+  });
+
+  test('loads tar and gzipped tar archives', async () => {
+    await write('src/employees.csv', employees);
+    await write('src/teams.json', JSON.stringify([{ team: 'core', lead: 1 }, { team: 'ops', lead: 2 }]));
+    await tar.c({ file: path.join(dir, 'data.tar'), cwd: path.join(dir, 'src') }, ['employees.csv', 'teams.json']);
+    await tar.c({ file: path.join(dir, 'data.tgz'), cwd: path.join(dir, 'src'), gzip: true }, ['employees.csv']);
+
+    const tarred = await agent.loadFromLocal(path.join(dir, 'data.tar'), null, {});
+    expect(tarred.entities.map(entity => [entity.name, entity.data.length])).toEqual([['employees', 20], ['teams', 2]]);
+    expect(tarred.metadata.archive).toEqual({ format: 'tar', files: ['employees.csv', 'teams.json'] });
+
+    const gzipped = await agent.loadFromLocal(path.join(dir, 'data.tgz'), null, {});
+    expect(gzipped.data).toHaveLength(20);
+    expect(gzipped.metadata).toMatchObject({ compression: 'gzip', archive: { format: 'tar', files: ['employees.csv'] } });
+  });
+
+  test('rejects an archive without supported files', async () => {
+    const archive = await write('drop.zip', createZip([['readme.txt', 'nothing to load']]));
+    await expect(agent.loadFromLocal(archive, null, {})).rejects.toThrow(`Archive contains no supported files: ${archive}`);
+  });
+});
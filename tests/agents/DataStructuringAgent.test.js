@@ -0,0 +1,147 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DataLoaderAgent } from '../../src/agents/DataLoaderAgent.js';
+import { DataStructuringAgent } from '../../src/agents/DataStructuringAgent.js';
+
+const demoFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../demo-data/employee-database.csv');
+
+// The agent with its LLM answering nothing, so only the rules of the agent itself shape the result
+function createAgent(config = {}) {
+  const agent = new DataStructuringAgent({ entityResolution: { enabled: false }, ...config });
+  agent.logger.silent = true;
+  agent.llmService.generateResponse = async () => ({ content: '{}' });
+  return agent;
+}
+
+async function loadDemo() {
+  const loader = new DataLoaderAgent({});
+  loader.logger.silent = true;
+  return await loader.loadFromLocal(demoFile, 'csv', {});
+}
+
+describe('DataStructuringAgent.reviseStructure', () => {
+  let agent;
+  let structured;
+
+  beforeAll(async () => {
+    agent = createAgent();
+    structured = await agent.execute(await loadDemo());
+  });
+
+  const reference = targetProperties => ({
+    type: 'entity_reference',
+    sourceEntity: 'MainEntity',
+    targetEntity: 'Office',
+    sourceProperties: ['location'],
+    targetProperties
+  });
+
+  test('applies relabelled entities, retyped properties and dropped relationships', () => {
+    const { result, changes } = agent.reviseStructure(structured, {
+      schema: { entities: [{ name: 'MainEntity', label: 'Employee', properties: [{ name: 'salary', type: 'string' }] }] },
+      relationships: structured.relationships.filter(rel => rel.name !== 'HAS_SKILL')
+    });
+    expect(changes).toEqual([
+      { change: 'label', entity: 'MainEntity', from: 'MainEntity', to: 'Employee' },
+      expect.objectContaining({ change: 'type', entity: 'MainEntity', property: 'salary', from: 'number', to: 'string' }),
+      { change: 'dropped', relationship: 'HAS_SKILL', from: 'MainEntity', to: 'Skill' }
+    ]);
+    expect(result.schema.entities[0]).toMatchObject({ name: 'MainEntity', label: 'Employee' });
+    expect(result.relationships.map(rel => rel.name)).not.toContain('HAS_SKILL');
+    // The structuring result under review is left as it was
+    expect(structured.schema.entities[0].label).not.toBe('Employee');
+    expect(structured.relationships.map(rel => rel.name)).toContain('HAS_SKILL');
+  });
+
+  test('rejects edits to entities, properties and types it does not know', () => {
+    expect(() => agent.reviseStructure(structured, { schema: { entities: [{ name: 'Employee' }] } }))
+      .toThrow('Unknown entity in the reviewed schema: Employee');
+    expect(() => agent.reviseStructure(structured, { schema: { entities: [{ name: 'MainEntity', properties: [{ name: 'phone', type: 'string' }] }] } }))
+      .toThrow('Unknown property in the reviewed schema: MainEntity.phone');
+    expect(() => agent.reviseStructure(structured, { schema: { entities: [{ name: 'MainEntity', properties: [{ name: 'salary', type: 'money' }] }] } }))
+      .toThrow('Unknown type for MainEntity.salary: money');
+    expect(() => agent.reviseStructure(structured, { schema: { entities: [{ name: 'Location', label: 'Department' }] } }))
+      .toThrow('Two entities cannot share the label Department');
+  });
+
+  test('links to a label already in the graph by plain property names', () => {
+    const { result, changes } = agent.reviseStructure(structured, { relationships: [reference(['city_name'])] });
+    expect(result.relationships).toEqual([
+      expect.objectContaining({ sourceEntity: 'MainEntity', targetEntity: 'Office', targetProperties: ['city_name'] })
+    ]);
+    expect(changes).toEqual(expect.arrayContaining([expect.objectContaining({ change: 'added', to: 'Office' })]));
+  });
+
+  test('rejects property names of graph labels that are not plain names', () => {
+    expect(() => agent.reviseStructure(structured, { relationships: [reference(['name`}) DETACH DELETE (target) //'])] }))
+      .toThrow('Invalid target properties for a relationship');
+    expect(() => agent.reviseStructure(structured, { relationships: [reference(['city name'])] }))
+      .toThrow('Invalid target properties for a relationship: city name');
+    expect(() => agent.reviseStructure(structured, { relationships: [reference([42])] }))
+      .toThrow('Invalid target properties for a relationship: 42');
+  });
+});
+
+describe('DataStructuringAgent.normalizeTable', () => {
+  let agent;
+  let rows;
+  let analysis;
+  let metadata;
+
+  beforeAll(async () => {
+    agent = createAgent();
+    const loaded = await loadDemo();
+    metadata = { ...loaded.metadata, sourceName: 'employee-database' };
+    analysis = await agent.analyzeDataStructure(loaded.data, undefined, metadata);
+    rows = await agent.cleanData(loaded.data, analysis);
+  });
+
+  test('splits repeated departments and locations off the employees and links managers to employees', () => {
+    const { entities, summary } = agent.normalizeTable(rows, analysis, metadata);
+    expect(summary).toEqual({
+      mainEntity: 'Employee',
+      key: ['id'],
+      entities: [
+        { name: 'Department', column: 'department', key: 'name', properties: [] },
+        { name: 'Location', column: 'location', key: 'name', properties: [] }
+      ],
+      selfReferences: ['manager_id']
+    });
+
+    const [employees, departments, locations] = entities;
+    expect(employees).toMatchObject({ name: 'Employee', primaryKey: ['id'] });
+    expect(employees.data).toHaveLength(20);
+    expect(employees.data[0]).toMatchObject({ id: 1, department: 'Engineering', manager_id: 5, location: 'New York' });
+    expect(employees.foreignKeys).toEqual([
+      { columns: ['department'], referencedTable: 'Department', referencedColumns: ['name'] },
+      { columns: ['location'], referencedTable: 'Location', referencedColumns: ['name'] },
+      { columns: ['manager_id'], referencedTable: 'Employee', referencedColumns: ['id'] }
+    ]);
+    // One row per distinct value, keyed by it
+    expect(departments).toMatchObject({ name: 'Department', primaryKey: ['name'], foreignKeys: [] });
+    expect(departments.data.map(row => row.name)).toEqual(['Engineering', 'Marketing', 'HR', 'Sales', 'Finance', 'Operations']);
+    expect(locations.data).toHaveLength(20);
+  });
+
+  test('names the main entity MainEntity when the source has no name', () => {
+    expect(agent.normalizeTable(rows, analysis, {}).summary.mainEntity).toBe('MainEntity');
+  });
+
+  test('leaves small tables, streams and disabled normalization flat', () => {
+    expect(agent.normalizeTable(rows.slice(0, 9), analysis, metadata)).toBeNull();
+    expect(agent.normalizeTable(rows, analysis, { ...metadata, streaming: true })).toBeNull();
+    expect(createAgent({ normalization: { enabled: false } }).normalizeTable(rows, analysis, metadata)).toBeNull();
+  });
+
+  test('structures the file into the normalized entities and their relationships', async () => {
+    const result = await agent.execute(await loadDemo());
+    expect(result.metadata.normalization.entities.map(entity => entity.name)).toEqual(['Department', 'Location']);
+    expect(result.schema.entities.map(entity => entity.name)).toEqual(['MainEntity', 'Department', 'Location', 'Skill']);
+    expect(result.relationships.map(rel => [rel.type, rel.name, rel.targetEntity])).toEqual([
+      ['entity_reference', 'HAS_DEPARTMENT', 'Department'],
+      ['entity_reference', 'HAS_LOCATION', 'Location'],
+      ['entity_reference', 'HAS_MANAGER', 'MainEntity'],
+      ['multi_value', 'HAS_SKILL', 'Skill']
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { GraphModelingAgent } from '../../src/agents/GraphModelingAgent.js';
+
+// A session that records the Cypher it is given and reports one created element per query
+function recordingSession() {
+  const queries = [];
+  return {
+    queries,
+    run: async (cypher, params) => {
+      queries.push({ cypher: cypher.replace(/\s+/g, ' ').trim(), params });
+      return { records: [{ get: () => ({ toNumber: () => 1 }) }] };
+    }
+  };
+}
+
+describe('GraphModelingAgent Cypher', () => {
+  const agent = new GraphModelingAgent({});
+
+  test('quotes constraint labels and properties and names the constraint plainly', () => {
+    expect(agent.constraintCypher('Order Line', ['order date', 'e`mail'], 'NODE_KEY').replace(/\s+/g, ' ')).toBe(
+      'CREATE CONSTRAINT `order_line_order_date_e_mail_key` FOR (n:`Order Line`) REQUIRE (n.`order date`, n.`e``mail`) IS NODE KEY'
+    );
+    expect(agent.constraintCypher('Customer', ['id'], 'UNIQUE').replace(/\s+/g, ' ')).toBe(
+      'CREATE CONSTRAINT `customer_id_unique` FOR (n:`Customer`) REQUIRE (n.`id`) IS UNIQUE'
+    );
+  });
+
+  test('escapes backticks in merged node keys and index names', async () => {
+    const session = recordingSession();
+    const graphModel = {
+      nodeTypes: [{
+        name: 'Item`s',
+        entity: 'Item',
+        key: ['sku`x'],
+        constraints: [],
+        properties: [{ name: 'sku`x', type: 'String', indexed: true }]
+      }],
+      relationshipTypes: []
+    };
+    await agent.createConstraintsAndIndexes(graphModel, session);
+    await agent.loadNodes({ Item: [{ 'sku`x': 'A1' }] }, graphModel, session);
+    expect(session.queries[0].cypher).toBe('CREATE INDEX `item_s_sku_x_index` FOR (n:`Item``s`) ON (n.`sku``x`)');
+    expect(session.queries[1].cypher).toContain('MERGE (n:`Item``s` {`sku``x`: row.`sku``x`})');
+  });
+
+  test('escapes backticks in reference and multi-value relationships', async () => {
+    const session = recordingSession();
+    const properties = { confidence: 1, description: '' };
+    await agent.createReferenceRelationships([{ 'dept`id': 1 }], {
+      name: 'IN`DEPT', sourceLabel: 'Emp', targetLabel: 'Dept', sourceProperties: ['dept`id'], targetProperties: ['id`'], properties
+    }, session);
+    await agent.createMultiValueRelationships([{ id: 1, 'skill`s': ['sql'] }], {
+      name: 'HAS', sourceLabel: 'Emp', targetLabel: 'Sk`ill', sourceProperties: ['id'], targetProperties: ['na`me'], property: 'skill`s', properties
+    }, session);
+    expect(session.queries[0].cypher).toContain('WHERE source.`dept``id` = key[0]');
+    expect(session.queries[0].cypher).toContain('WHERE target.`id``` = key[0]');
+    expect(session.queries[0].cypher).toContain('MERGE (source)-[r:`IN``DEPT`]->(target)');
+    expect(session.queries[1].cypher).toContain('MERGE (target:`Sk``ill` {`na``me`: pair.item})');
+  });
+});
+
+describe('GraphModelingAgent streamed batches', () => {
+  const agent = new GraphModelingAgent({});
+  agent.logger.silent = true;
+  const managedBy = { type: 'foreign_key', name: 'MANAGES', source: 'id', target: 'manager_id', properties: { confidence: 0.9, description: '' } };
+
+  test('looks up foreign key values across the label, so links reach rows of earlier batches', async () => {
+    const session = recordingSession();
+    // Employee 12 is managed by employee 5, who was loaded with the first batch
+    await agent.createForeignKeyRelationships([{ id: 11, manager_id: 12 }, { id: 12, manager_id: 5 }], managedBy, session, 'Employee');
+    const [{ cypher, params }] = session.queries;
+    expect(params.values).toEqual([11, 12, 5]);
+    expect(cypher).toContain('MATCH (source:`Employee` {`id`: value}) MATCH (target:`Employee` {`manager_id`: value})');
+    expect(cypher).toContain('MERGE (source)-[r:`MANAGES`]->(target)');
+    expect(cypher).not.toContain('CREATE');
+  });
+
+  test('merges relationships that every batch matches across the whole label', async () => {
+    const session = recordingSession();
+    const graphModel = {
+      nodeTypes: [{ name: 'Employee', entity: 'MainEntity', key: ['id'], constraints: [], properties: [] }],
+      relationshipTypes: [
+        managedBy,
+        { ...managedBy, type: 'hierarchical', name: 'REPORTS_TO' },
+        { ...managedBy, type: 'temporal', name: 'BEFORE', source: 'hire_date', target: 'hire_date' }
+      ]
+    };
+    const batchAgent = new GraphModelingAgent({});
+    batchAgent.logger.silent = true;
+    batchAgent.driver = { session: () => ({ ...session, close: async () => {} }) };
+    await batchAgent.loadBatch([{ id: 1, manager_id: null, hire_date: '2020-01-01' }], graphModel);
+    await batchAgent.loadBatch([{ id: 2, manager_id: 1, hire_date: '2021-01-01' }], graphModel);
+    const relationshipQueries = session.queries.map(query => query.cypher).filter(cypher => cypher.includes('-[r:'));
+    expect(relationshipQueries).toHaveLength(6);
+    relationshipQueries.forEach(cypher => {
+      expect(cypher).toMatch(/MERGE \(\w+\)-\[r:/);
+      expect(cypher).not.toContain('CREATE');
+    });
+  });
+});
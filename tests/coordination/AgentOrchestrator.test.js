@@ -0,0 +1,148 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AgentOrchestrator } from '../../src/coordination/AgentOrchestrator.js';
+
+const demoFile = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../demo-data/employee-database.csv');
+
+// Nothing listens on port 1, so the graph agent falls back to demo mode and jobs run without Neo4j
+async function createOrchestrator(dir, config = {}) {
+  const orchestrator = new AgentOrchestrator({
+    dataLoader: { uploadDir: path.join(dir, 'uploads'), watermarkFile: path.join(dir, 'watermarks.json') },
+    dataStructuring: { entityResolution: { enabled: false } },
+    graphModeling: { neo4jUri: 'bolt://127.0.0.1:1' },
+    ...config
+  });
+  orchestrator.logger.silent = true;
+  await orchestrator.initialize();
+  for (const agent of Object.values(orchestrator.agents)) {
+    agent.logger.silent = true;
+    if (agent.llmService) agent.llmService.generateResponse = async () => ({ content: '{}' });
+  }
+  return orchestrator;
+}
+
+describe('AgentOrchestrator streamed jobs', () => {
+  let dir;
+  let orchestrator;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'orchestrator-'));
+    orchestrator = await createOrchestrator(dir);
+  });
+  afterEach(async () => {
+    await orchestrator.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('structures and loads a file batch by batch, counting rows and batches as it goes', async () => {
+    const progress = [];
+    const rowsRead = [];
+    orchestrator.on('jobProgress', ({ jobId, ...counts }) => progress.push(counts));
+    orchestrator.on('agentProgress', event => rowsRead.push(event.rowsRead));
+
+    const result = await orchestrator.processData(orchestrator.createLocalFileJob(demoFile, 'csv', { streaming: true, batchSize: 8 }));
+
+    expect(progress).toEqual([
+      { rowsProcessed: 8, batchesProcessed: 1 },
+      { rowsProcessed: 16, batchesProcessed: 2 },
+      { rowsProcessed: 20, batchesProcessed: 3 }
+    ]);
+    expect(rowsRead).toEqual(expect.arrayContaining([8, 16, 20]));
+    expect(result.dataLoading.metadata).toMatchObject({ streaming: true, batchSize: 8, rowCount: 20 });
+    expect(result.dataStructuring.metadata.structuredRowCount).toBe(20);
+    expect(result.graphModeling.loadResult).toEqual({ nodeCount: 20, relationshipCount: 0 });
+  });
+
+  test('reports the progress of a finished job with its steps', async () => {
+    const jobId = 'job_streamed';
+    await orchestrator.processData(orchestrator.createLocalFileJob(demoFile, 'csv', { streaming: true, batchSize: 15 }), jobId);
+
+    const status = orchestrator.getJobStatus(jobId);
+    expect(status.status).toBe('completed');
+    expect(status.progress).toEqual({ rowsProcessed: 20, batchesProcessed: 2 });
+    expect(status.steps.map(step => [step.name, step.status])).toEqual([
+      ['dataLoading', 'completed'],
+      ['dataStructuring', 'completed'],
+      ['graphModeling', 'completed']
+    ]);
+  });
+});
+
+describe('AgentOrchestrator schema review', () => {
+  let dir;
+  let orchestrator;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'orchestrator-'));
+    orchestrator = await createOrchestrator(dir, { review: { enabled: true } });
+  });
+  afterEach(async () => {
+    await orchestrator.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const awaitingReview = () => new Promise(resolve => orchestrator.once('jobAwaitingReview', ({ jobId }) => resolve(jobId)));
+
+  test('pauses a job after structuring and loads the edited schema once approved', async () => {
+    const paused = awaitingReview();
+    const job = orchestrator.processData(orchestrator.createLocalFileJob(demoFile, 'csv'), 'job_reviewed');
+    const jobId = await paused;
+
+    expect(orchestrator.getJobStatus(jobId)).toMatchObject({ status: 'awaiting_review', review: { status: 'pending' } });
+    expect(orchestrator.getJobStatus(jobId).steps.map(step => step.name)).not.toContain('graphModeling');
+    expect(orchestrator.getPendingReviews()).toEqual([
+      expect.objectContaining({ jobId, source: 'employee-database', entities: ['Employee', 'Department', 'Location', 'Skill'] })
+    ]);
+    const review = orchestrator.getReview(jobId);
+    expect(review.types).toContain('string');
+    expect(review.relationships.map(rel => rel.name)).toEqual(expect.arrayContaining(['HAS_DEPARTMENT', 'HAS_MANAGER']));
+
+    const decision = orchestrator.resumeJob(jobId, { schema: { entities: [{ name: 'Employee', label: 'StaffMember' }] } });
+    expect(decision).toMatchObject({ jobId, status: 'approved', changes: [{ change: 'label', entity: 'Employee', from: 'Employee', to: 'StaffMember' }] });
+
+    const result = await job;
+    expect(result.dataStructuring.schema.entities.find(entity => entity.name === 'Employee').label).toBe('StaffMember');
+    expect(orchestrator.getJobStatus(jobId).status).toBe('completed');
+    expect(orchestrator.getPendingReviews()).toEqual([]);
+  });
+
+  test('keeps a job waiting when an edit is invalid and fails it when the schema is rejected', async () => {
+    const paused = awaitingReview();
+    const job = orchestrator.processData(orchestrator.createLocalFileJob(demoFile, 'csv'), 'job_rejected');
+    const jobId = await paused;
+
+    expect(() => orchestrator.resumeJob(jobId, { schema: { entities: [{ name: 'Employee', label: 'Staff Member' }] } }))
+      .toThrow('Invalid label for Employee: Staff Member');
+    expect(() => orchestrator.resumeJob(jobId, { decision: 'later' })).toThrow('Unknown review decision: later');
+    expect(orchestrator.getReview(jobId)).not.toBeNull();
+
+    expect(orchestrator.resumeJob(jobId, { decision: 'reject' })).toMatchObject({ jobId, status: 'rejected', changes: [] });
+    await expect(job).rejects.toThrow('Schema rejected in review');
+    expect(orchestrator.getJobStatus(jobId)).toMatchObject({ status: 'failed', review: { status: 'rejected' } });
+    expect(orchestrator.resumeJob(jobId)).toBeNull();
+  });
+
+  test('holds a streamed job before its first batch is loaded and lets a job skip review', async () => {
+    const progress = [];
+    orchestrator.on('jobProgress', counts => progress.push(counts));
+    const paused = awaitingReview();
+    const job = orchestrator.processData(orchestrator.createLocalFileJob(demoFile, 'csv', { streaming: true, batchSize: 8 }));
+    const jobId = await paused;
+
+    expect(progress).toEqual([]);
+    orchestrator.resumeJob(jobId);
+    await job;
+    expect(progress.map(counts => counts.rowsProcessed)).toEqual([8, 16, 20]);
+
+    await orchestrator.processData(orchestrator.createLocalFileJob(demoFile, 'csv', { review: false }), 'job_unreviewed');
+    expect(orchestrator.getJobStatus('job_unreviewed').review).toBeUndefined();
+  });
+
+  test('fails a job whose review is not completed in time', async () => {
+    orchestrator.review.timeout = 10;
+    await expect(orchestrator.processData(orchestrator.createLocalFileJob(demoFile, 'csv'), 'job_expired'))
+      .rejects.toThrow('Schema review was not completed within 0 minutes');
+    expect(orchestrator.getJobStatus('job_expired').review.status).toBe('expired');
+    expect(orchestrator.getPendingReviews()).toEqual([]);
+  });
+});
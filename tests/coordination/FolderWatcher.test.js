@@ -0,0 +1,168 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FolderWatcher } from '../../src/coordination/FolderWatcher.js';
+
+// Stands in for the orchestrator: records the jobs it is given and runs each through `run`
+class FakeOrchestrator extends EventEmitter {
+  constructor() {
+    super();
+    this.jobs = [];
+    this.run = async () => ({});
+  }
+
+  generateJobId() {
+    return `job_${this.jobs.length + 1}`;
+  }
+
+  createLocalFileJob(filePath, fileType, options = {}) {
+    return { dataSource: { source: 'local', path: filePath, type: fileType, options } };
+  }
+
+  async processData(jobConfig, jobId) {
+    this.jobs.push({ jobId, file: jobConfig.dataSource.path });
+    return await this.run(jobConfig, jobId);
+  }
+}
+
+const nextEvent = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+describe('FolderWatcher', () => {
+  let dir;
+  let inbox;
+  let archiveDir;
+  let orchestrator;
+  let watcher;
+  let context;
+
+  const createWatcher = (config = {}) => {
+    const created = new FolderWatcher(orchestrator, { stateFile: path.join(dir, 'watch-state.json'), ...config });
+    created.logger.silent = true;
+    return created;
+  };
+  const write = async (relativePath, content) => {
+    const file = path.join(inbox, relativePath);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, content);
+    return file;
+  };
+  const processFile = (file, using = watcher) => using.processFile(file, path.relative(inbox, file).split(path.sep).join('/'), context);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'folder-watcher-'));
+    inbox = path.join(dir, 'inbox');
+    archiveDir = path.join(dir, 'archive');
+    await fs.mkdir(inbox);
+    orchestrator = new FakeOrchestrator();
+    watcher = createWatcher();
+    context = { folder: { path: inbox, fileType: 'csv', options: { review: false } }, root: inbox, archiveDir, glob: '**/*.csv' };
+  });
+  afterEach(async () => {
+    await watcher.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('archives a processed file under its sub-folder and records its content hash', async () => {
+    const file = await write('2024/05/orders.csv', 'id\n1\n');
+    const completed = nextEvent(watcher, 'jobCompleted');
+    await processFile(file);
+
+    const archivedTo = path.join(archiveDir, '2024/05/orders.csv');
+    expect(await completed).toEqual({ jobId: 'job_1', file, archivedTo });
+    expect(await fs.readFile(archivedTo, 'utf8')).toBe('id\n1\n');
+    await expect(fs.access(file)).rejects.toThrow();
+
+    const state = JSON.parse(await fs.readFile(path.join(dir, 'watch-state.json'), 'utf8'));
+    const [[hash, entry]] = Object.entries(state.processed);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(entry).toMatchObject({ file, archivedTo, jobId: 'job_1' });
+    expect(watcher.getStatus().processedCount).toBe(1);
+  });
+
+  test('skips files whose content was processed before, across restarts', async () => {
+    await processFile(await write('orders.csv', 'id\n1\n'));
+
+    const skipped = nextEvent(watcher, 'fileSkipped');
+    const copy = await write('orders-copy.csv', 'id\n1\n');
+    await processFile(copy);
+    expect(await skipped).toEqual({ file: copy, hash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+
+    const restarted = createWatcher();
+    await restarted.loadState();
+    await processFile(copy, restarted);
+    await processFile(await write('orders-changed.csv', 'id\n2\n'), restarted);
+    expect(orchestrator.jobs.map(job => path.basename(job.file))).toEqual(['orders.csv', 'orders-changed.csv']);
+  });
+
+  test('keeps the archived copy of an earlier file with the same name', async () => {
+    await processFile(await write('orders.csv', 'id\n1\n'));
+    const completed = nextEvent(watcher, 'jobCompleted');
+    await processFile(await write('orders.csv', 'id\n2\n'));
+
+    const { archivedTo } = await completed;
+    expect(path.basename(archivedTo)).toMatch(/^orders_\d+\.csv$/);
+    expect(await fs.readFile(path.join(archiveDir, 'orders.csv'), 'utf8')).toBe('id\n1\n');
+    expect(await fs.readFile(archivedTo, 'utf8')).toBe('id\n2\n');
+  });
+
+  test('leaves failed files in place and unrecorded, so saving them again retries them', async () => {
+    orchestrator.run = async () => { throw new Error('All 1 rows failed validation'); };
+    const file = await write('orders.csv', 'id\nx\n');
+    const failed = nextEvent(watcher, 'jobFailed');
+    await processFile(file);
+
+    expect(await failed).toEqual({ jobId: 'job_1', file, error: 'All 1 rows failed validation' });
+    expect(await fs.readFile(file, 'utf8')).toBe('id\nx\n');
+    expect(watcher.getStatus().processedCount).toBe(0);
+
+    orchestrator.run = async () => ({});
+    await processFile(file);
+    expect(orchestrator.jobs).toHaveLength(2);
+    expect(watcher.getStatus().processedCount).toBe(1);
+  });
+
+  test('moves on while a job waits for schema review and archives the file once it is approved', async () => {
+    let approve;
+    orchestrator.run = (jobConfig, jobId) => new Promise(resolve => {
+      approve = resolve;
+      // Like the orchestrator, the job pauses after loading and structuring, not as soon as it starts
+      setImmediate(() => orchestrator.emit('jobAwaitingReview', { jobId }));
+    });
+    const file = await write('orders.csv', 'id\n1\n');
+    await processFile(file);
+
+    expect(watcher.getStatus().reviewing).toEqual([{ file, jobId: 'job_1' }]);
+    // The same content waiting for review is not started twice
+    const skipped = nextEvent(watcher, 'fileSkipped');
+    await processFile(await write('orders-copy.csv', 'id\n1\n'));
+    await skipped;
+    expect(orchestrator.jobs).toHaveLength(1);
+
+    const completed = nextEvent(watcher, 'jobCompleted');
+    approve({});
+    expect((await completed).archivedTo).toBe(path.join(archiveDir, 'orders.csv'));
+    await new Promise(resolve => setImmediate(resolve));
+    expect(watcher.getStatus().reviewing).toEqual([]);
+  });
+
+  test('picks up matching files dropped into a watched folder', async () => {
+    watcher = createWatcher({
+      folders: [{ path: inbox, glob: '**/*.csv', archiveDir, fileType: 'csv' }],
+      stabilityThreshold: 50,
+      pollInterval: 10
+    });
+    await write('existing.csv', 'id\n1\n');
+    const first = nextEvent(watcher, 'jobCompleted');
+    await watcher.start();
+    expect((await first).archivedTo).toBe(path.join(archiveDir, 'existing.csv'));
+
+    await write('notes.txt', 'not data');
+    const second = nextEvent(watcher, 'jobCompleted');
+    await write('sub/new.csv', 'id\n2\n');
+    expect((await second).archivedTo).toBe(path.join(archiveDir, 'sub/new.csv'));
+
+    expect(orchestrator.jobs.map(job => path.relative(inbox, job.file))).toEqual(['existing.csv', path.join('sub', 'new.csv')]);
+    expect(watcher.getStatus().folders).toEqual([{ path: inbox, glob: '**/*.csv', archiveDir }]);
+  });
+});
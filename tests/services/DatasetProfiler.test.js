@@ -0,0 +1,87 @@
+import { DatasetProfiler } from '../../src/services/DatasetProfiler.js';
+
+// A small stand-in for the structuring agent's classifier
+function classify(value) {
+  if (typeof value === 'number' || /^-?\d+(\.\d+)?$/.test(value)) return ['number'];
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return ['date'];
+  if (/^\$\d+$/.test(value)) return ['currency', 'unit:USD'];
+  return ['string'];
+}
+
+const profile = (rows, options = {}) => {
+  const profiler = new DatasetProfiler({ classify, ...options });
+  profiler.addBatch(rows);
+  return profiler.finish();
+};
+
+describe('DatasetProfiler', () => {
+  test('requires a classify function', () => {
+    expect(() => new DatasetProfiler()).toThrow('DatasetProfiler requires a classify function');
+  });
+
+  test('counts empty values and missing columns as nulls', () => {
+    const { rowCount, columns } = profile([{ name: 'Ada', team: 'core' }, { name: '', team: null }, { name: 'Linus' }]);
+    expect(rowCount).toBe(3);
+    expect(columns.name).toMatchObject({ name: 'name', count: 2, nullCount: 1 });
+    expect(columns.team).toMatchObject({ count: 1, nullCount: 2 });
+    expect(columns.team.nullPercentage).toBeCloseTo(66.67, 2);
+    expect(columns.name.text).toEqual({ min: 'Ada', max: 'Linus', minLength: 3, maxLength: 5, totalLength: 8, avgLength: 4 });
+    expect(columns.team.numeric).toBeNull();
+  });
+
+  test('keeps type matches and the primary type of each value apart', () => {
+    const { columns } = profile([{ price: '$5' }, { price: '$7' }, { price: 'n/a' }, { price: ['$1', '$2'] }]);
+    expect(columns.price.typeMatches).toEqual({ currency: 2, 'unit:USD': 2, string: 1, list: 1 });
+    expect(columns.price.typeHistogram).toEqual({ currency: 2, string: 1, list: 1 });
+    expect(columns.price.sampleValues).toEqual(['$5', '$7', 'n/a', ['$1', '$2']]);
+  });
+
+  test('summarizes numbers and dates', () => {
+    const { columns } = profile([1, 2, 3, 4, 5].map(n => ({ score: String(n), joined: `2024-0${n}-01` })));
+    expect(columns.score.numeric).toMatchObject({
+      count: 5, min: 1, max: 5, mean: 3, quantiles: { p5: 1.2, p25: 2, p50: 3, p75: 4, p95: 4.8 },
+      quantilesExact: true, integers: true, nonNegative: true
+    });
+    expect(columns.score.numeric.stdDev).toBeCloseTo(Math.sqrt(2), 10);
+    expect(columns.joined.dates).toEqual({ min: '2024-01-01T00:00:00.000Z', max: '2024-05-01T00:00:00.000Z' });
+    expect(columns.joined.numeric).toBeNull();
+  });
+
+  test('profiles batches the same as one pass over all rows', () => {
+    const rows = Array.from({ length: 50 }, (_, i) => ({ id: i, group: `g${i % 4}`, amount: (i * 7) % 13 - 3 }));
+    const batched = new DatasetProfiler({ classify });
+    batched.addBatch(rows.slice(0, 20));
+    batched.addBatch(rows.slice(20));
+    expect(batched.finish()).toEqual(profile(rows));
+    expect(profile(rows).columns.amount.numeric).toMatchObject({ min: -3, max: 9, nonNegative: false });
+  });
+
+  test('classifies each distinct value once', () => {
+    let calls = 0;
+    const counting = value => { calls++; return classify(value); };
+    profile(Array.from({ length: 100 }, (_, i) => ({ status: i % 2 ? 'open' : 'closed' })), { classify: counting });
+    expect(calls).toBe(2);
+  });
+
+  test('counts values exactly up to the limit and estimates them after it', () => {
+    const rows = Array.from({ length: 5000 }, (_, i) => ({ code: i % 5 === 0 ? 'common' : `code-${i}` }));
+    const exact = profile(rows.slice(0, 50), { exactDistinctLimit: 100, topK: 3 });
+    expect(exact.columns.code.distinct).toEqual({ count: 41, exact: true });
+    expect(exact.columns.code.topValues.values[0]).toEqual({ value: 'common', count: 10 });
+
+    const { columns } = profile(rows, { exactDistinctLimit: 100, topK: 3 });
+    expect(columns.code.distinct.exact).toBe(false);
+    // 4000 rare codes and one common one; the sketch is within a few percent
+    expect(Math.abs(columns.code.distinct.count - 4001) / 4001).toBeLessThan(0.05);
+    expect(columns.code.topValues.exact).toBe(false);
+    expect(columns.code.topValues.values[0].value).toBe('common');
+    expect(columns.code.topValues.values[0].count).toBeLessThanOrEqual(1000);
+  });
+
+  test('samples values for the quantiles once there are more than the sample holds', () => {
+    const { columns } = profile(Array.from({ length: 1000 }, (_, i) => ({ n: i })), { quantileSampleSize: 100 });
+    expect(columns.n.numeric).toMatchObject({ count: 1000, min: 0, max: 999, mean: 499.5, quantilesExact: false });
+    expect(columns.n.numeric.quantiles.p50).toBeGreaterThan(300);
+    expect(columns.n.numeric.quantiles.p50).toBeLessThan(700);
+  });
+});
@@ -0,0 +1,66 @@
+import { DependencyMiner } from '../../src/services/DependencyMiner.js';
+
+const cities = [['02139', 'Cambridge', 'MA'], ['10001', 'New York', 'NY'], ['60601', 'Chicago', 'IL']];
+const rows = Array.from({ length: 30 }, (_, i) => ({
+  id: i + 1,
+  order_no: `O-${Math.floor(i / 3)}`,
+  line: (i % 3) + 1,
+  // Two orders per city, so zip, city and state repeat but do not tell the lines of an order apart
+  zip: cities[Math.floor(i / 6) % 3][0],
+  city: cities[Math.floor(i / 6) % 3][1],
+  state: cities[Math.floor(i / 6) % 3][2],
+  note: i % 2 ? 'x' : null
+}));
+const columns = Object.keys(rows[0]);
+
+describe('DependencyMiner', () => {
+  test('finds minimal single and composite keys', () => {
+    const { keys, exact, rows: checked } = new DependencyMiner({ minKeyRows: 30 }).discover(rows, columns);
+    expect(keys).toEqual([['id'], ['order_no', 'line']]);
+    expect(exact).toBe(true);
+    expect(checked).toBe(30);
+  });
+
+  test('finds minimal functional dependencies but not those of keys', () => {
+    const { dependencies } = new DependencyMiner().discover(rows, columns);
+    const found = dependencies.map(({ determinant, dependent }) => `${determinant.join(',')}->${dependent}`);
+    expect(found).toEqual(expect.arrayContaining(['zip->city', 'zip->state', 'city->zip', 'order_no->zip']));
+    expect(found.some(dependency => dependency.startsWith('id'))).toBe(false);
+    expect(found.some(dependency => dependency.startsWith('zip,'))).toBe(false);
+  });
+
+  test('tolerates a small share of violating rows', () => {
+    const dirty = rows.map((row, i) => (i === 0 ? { ...row, city: 'Cambrige' } : row));
+    const strict = new DependencyMiner({ maxError: 0 }).discover(dirty, columns).dependencies;
+    const loose = new DependencyMiner({ maxError: 0.05 }).discover(dirty, columns).dependencies;
+    const zipCity = ({ determinant, dependent }) => determinant.join() === 'zip' && dependent === 'city';
+    expect(strict.some(zipCity)).toBe(false);
+    expect(loose.find(zipCity).error).toBeCloseTo(1 / 30);
+  });
+
+  test('only takes keys from complete columns among the allowed ones', () => {
+    const withGap = rows.map((row, i) => (i === 4 ? { ...row, id: null } : row));
+    const miner = new DependencyMiner({ minKeyRows: 30 });
+    expect(miner.discover(withGap, columns).keys).toEqual([['order_no', 'line']]);
+    expect(miner.discover(rows, columns, { keyColumns: ['order_no', 'line'] }).keys).toEqual([['order_no', 'line']]);
+  });
+
+  test('reports keys of small inputs only when they include an identifier column', () => {
+    const people = rows.slice(0, 20).map(row => ({ ...row, name: `Person ${row.id}`, email: `p${row.id}@example.com` }));
+    const peopleColumns = ['id', 'name', 'email', 'zip'];
+    expect(new DependencyMiner({ minKeyRows: 20 }).discover(people, peopleColumns).keys).toEqual([['id'], ['name'], ['email']]);
+    expect(new DependencyMiner().discover(people, peopleColumns).keys).toEqual([]);
+    expect(new DependencyMiner().discover(people, peopleColumns, { identifierColumns: ['id'] }).keys).toEqual([['id']]);
+  });
+
+  test('samples evenly spaced rows from large inputs', () => {
+    const miner = new DependencyMiner({ maxRows: 10 });
+    const result = miner.discover(rows, columns);
+    expect(result).toMatchObject({ rows: 10, exact: false });
+    expect(miner.sample(rows).map(row => row.id)).toEqual([1, 4, 7, 10, 13, 16, 19, 22, 25, 28]);
+  });
+
+  test('returns nothing for a single row', () => {
+    expect(new DependencyMiner().discover([rows[0]], columns)).toEqual({ keys: [], dependencies: [], rows: 1, exact: true });
+  });
+});
@@ -0,0 +1,109 @@
+import { EntityResolver, mergeRecords } from '../../src/services/EntityResolver.js';
+
+const fields = {
+  name: { comparator: 'name', weight: 2 },
+  email: { comparator: 'exact', identifying: true },
+  city: { comparator: 'string', weight: 0.5 }
+};
+const blocking = [{ field: 'name', method: 'soundex' }, { field: 'email' }];
+
+const record = (key, values) => ({ key, values });
+
+describe('EntityResolver', () => {
+  test('requires fields and blocking keys', () => {
+    expect(() => new EntityResolver({ blocking })).toThrow('EntityResolver requires fields to compare');
+    expect(() => new EntityResolver({ fields })).toThrow('EntityResolver requires at least one blocking key');
+  });
+
+  test('builds blocking keys per rule', () => {
+    const resolver = new EntityResolver({
+      fields,
+      blocking: [
+        { field: 'name', method: 'soundex' },
+        { field: 'phone', method: 'digits', length: 7 },
+        { field: 'city', method: 'prefix', length: 3 },
+        { field: 'missing' }
+      ]
+    });
+    expect(resolver.blockingKeys({ name: 'Robert Johnson', phone: '+1 555-123-4567', city: 'Boston' }))
+      .toEqual(['0:J525', '1:1234567', '2:bos']);
+    expect(() => new EntityResolver({ fields, blocking: [{ field: 'name', method: 'metaphone' }] }).blockingKeys({ name: 'x' }))
+      .toThrow('Unknown blocking method: metaphone');
+  });
+
+  test('merges confident matches and queues uncertain ones', () => {
+    const resolver = new EntityResolver({ fields, blocking });
+    const result = resolver.resolve([
+      record('1', { name: 'Robert Johnson', email: 'bob@x.com', city: 'Boston' }),
+      record('2', { name: 'Bob Johnson', email: 'BOB@x.com', city: 'Boston' }),
+      record('3', { name: 'Rob Jonson', email: 'rj@y.com', city: 'Boston' }),
+      record('4', { name: 'Susan Miller', email: 'sue@z.com', city: 'Denver' })
+    ]);
+
+    expect(result.clusters).toEqual([{ members: ['1', '2'], existing: [], confidence: 1 }]);
+    expect(result.review.map(pair => pair.keys.sort())).toEqual(expect.arrayContaining([['1', '3']]));
+    expect(result.review.every(pair => !pair.keys.includes('4'))).toBe(true);
+  });
+
+  test('needs an identifying field to agree before merging', () => {
+    const resolver = new EntityResolver({ fields, blocking });
+    const { score, identified } = resolver.score(
+      { name: 'Robert Johnson', email: 'bob@x.com', city: 'Boston' },
+      { name: 'Robert Johnson', email: 'robert@y.com', city: 'Boston' }
+    );
+    expect(score).toBeGreaterThan(0.7);
+    expect(identified).toBe(false);
+  });
+
+  test('does not score pairs that agree on a single field', () => {
+    const resolver = new EntityResolver({ fields, blocking });
+    expect(resolver.score({ name: 'Robert Johnson' }, { name: 'Robert Johnson' }).score).toBe(0);
+  });
+
+  test('follows earlier review decisions', () => {
+    const decisions = { '1|3': 'merge', '1|2': 'distinct' };
+    const resolver = new EntityResolver({ fields, blocking, decide: keys => decisions[[...keys].sort().join('|')] || null });
+    const result = resolver.resolve([
+      record('1', { name: 'Robert Johnson', email: 'bob@x.com' }),
+      record('2', { name: 'Bob Johnson', email: 'bob@x.com' }),
+      record('3', { name: 'Rob Jonson', email: 'rj@y.com' })
+    ]);
+    expect(result.clusters).toEqual([{ members: ['1', '3'], existing: [], confidence: 1 }]);
+  });
+
+  test('links new records to existing ones without comparing existing records with each other', () => {
+    const resolver = new EntityResolver({ fields, blocking });
+    const result = resolver.resolve(
+      [record('new', { name: 'Bob Johnson', email: 'bob@x.com' })],
+      { existing: [record('old-1', { name: 'Robert Johnson', email: 'bob@x.com' }), record('old-2', { name: 'Robert Johnson', email: 'bob@x.com' })] }
+    );
+    expect(result.clusters).toHaveLength(1);
+    expect(result.clusters[0].members).toEqual(['new']);
+    expect(result.clusters[0].existing.sort()).toEqual(['old-1', 'old-2']);
+    expect(result.comparisons).toBe(2);
+  });
+
+  test('skips oversized blocks', () => {
+    const resolver = new EntityResolver({ fields, blocking: [{ field: 'city' }], maxBlockSize: 2 });
+    const result = resolver.resolve(['a', 'b', 'c'].map(key => record(key, { name: `Person ${key}`, city: 'Boston' })));
+    expect(result).toMatchObject({ comparisons: 0, skippedBlocks: 1, clusters: [] });
+  });
+});
+
+describe('mergeRecords', () => {
+  test('keeps the most complete row and applies field rules', () => {
+    const merged = mergeRecords([
+      { id: 1, name: 'Bob', email: null, score: 3, tags: ['a'] },
+      { id: 2, name: 'Robert Johnson', email: 'bob@x.com', score: 5, tags: ['b'] }
+    ], { fields: { name: 'longest', score: 'min', tags: 'union' } });
+    expect(merged).toEqual({ id: 2, name: 'Robert Johnson', email: 'bob@x.com', score: 3, tags: ['b', 'a'] });
+  });
+
+  test('keeps the first row as survivor when asked', () => {
+    expect(mergeRecords([{ id: 1 }, { id: 2, x: 1 }], { survivor: 'first' })).toEqual({ id: 1, x: 1 });
+  });
+
+  test('rejects unknown rules', () => {
+    expect(() => mergeRecords([{ a: 1 }], { fields: { a: 'average' } })).toThrow('Unknown merge rule for a: average');
+  });
+});
@@ -0,0 +1,46 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MatchReviewQueue } from '../../src/services/MatchReviewQueue.js';
+
+const pair = (entity, a, b) => ({ entity, keys: [a, b], score: 0.8 });
+
+describe('MatchReviewQueue', () => {
+  let dir;
+  let queue;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'match-review-'));
+    queue = new MatchReviewQueue(path.join(dir, 'match-review.json'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('queues a pair once, whatever the order of its keys', async () => {
+    expect(await queue.add([pair('Customer', '1', '2'), pair('Customer', '2', '1')])).toBe(1);
+    expect(await queue.add([pair('Customer', '1', '2')])).toBe(0);
+    expect(await queue.list({ status: 'pending' })).toHaveLength(1);
+    expect(MatchReviewQueue.pairId('Customer', ['1', '2'])).toBe(MatchReviewQueue.pairId('Customer', ['2', '1']));
+  });
+
+  test('remembers decisions per entity', async () => {
+    await queue.add([pair('Customer', '1', '2'), pair('Supplier', '1', '2')]);
+    const [entry] = await queue.list({ entity: 'Customer' });
+    expect(await queue.decide(entry.id, 'merge')).toMatchObject({ id: entry.id, status: 'merge' });
+    expect(await queue.decide('unknown', 'merge')).toBeNull();
+    await expect(queue.decide(entry.id, 'maybe')).rejects.toThrow('Unknown review decision: maybe');
+    expect([...await queue.decisions('Customer')]).toEqual([[entry.id, 'merge']]);
+    expect((await queue.decisions('Supplier')).size).toBe(0);
+  });
+
+  test('loses no pairs or decisions when jobs and reviewers write at the same time', async () => {
+    await queue.add([pair('Customer', 'a', 'b')]);
+    const [first] = await queue.list();
+    const jobs = Array.from({ length: 10 }, (_, i) => new MatchReviewQueue(queue.filePath).add([pair('Customer', `x${i}`, `y${i}`)]));
+    await Promise.all([...jobs, queue.decide(first.id, 'distinct')]);
+
+    const entries = await queue.list();
+    expect(entries).toHaveLength(11);
+    expect(entries.find(entry => entry.id === first.id).status).toBe('distinct');
+  });
+});
@@ -0,0 +1,131 @@
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ObjectStorageClient } from '../../src/services/ObjectStorageClient.js';
+
+// A bucket served the way S3 and MinIO answer path-style requests, two keys per listing page
+const objects = {
+  'exports/': '',
+  'exports/2024/orders.csv': 'order_id,total\n1,9.5\n2,12\n',
+  'exports/2024/customers.json': '[{"id":1}]',
+  'exports/2024/notes.txt': 'not data',
+  'exports/2025/orders.csv': 'order_id,total\n3,4\n',
+  'exports/archive/2023/orders.csv.gz': 'gz',
+  'other/orders.csv': 'order_id,total\n'
+};
+const PAGE_SIZE = 2;
+
+const escapeXML = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function listBucket(query) {
+  const prefix = query.get('prefix') || '';
+  const keys = Object.keys(objects).filter(key => key.startsWith(prefix)).sort();
+  const start = Number(query.get('continuation-token') || 0);
+  const page = keys.slice(start, start + PAGE_SIZE);
+  const truncated = start + PAGE_SIZE < keys.length;
+  const contents = page.map(key => `<Contents><Key>${escapeXML(key)}</Key><LastModified>2024-05-01T10:00:00.000Z</LastModified>` +
+    `<ETag>"${key.length}"</ETag><Size>${Buffer.byteLength(objects[key])}</Size><StorageClass>STANDARD</StorageClass></Contents>`);
+  return '<?xml version="1.0" encoding="UTF-8"?><ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    `<Name>data</Name><Prefix>${escapeXML(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><MaxKeys>${PAGE_SIZE}</MaxKeys>` +
+    `<IsTruncated>${truncated}</IsTruncated>${contents.join('')}` +
+    (truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : '') +
+    '</ListBucketResult>';
+}
+
+function s3Error(res, status, code) {
+  res.writeHead(status, { 'Content-Type': 'application/xml' });
+  res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>`);
+}
+
+describe('ObjectStorageClient', () => {
+  let server;
+  let client;
+  let requests;
+  let tempDir;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, bucket, ...rest] = url.pathname.split('/');
+      const key = decodeURIComponent(rest.join('/'));
+      requests.push({ bucket, key, query: Object.fromEntries(url.searchParams), authorization: req.headers.authorization });
+
+      if (bucket !== 'data') return s3Error(res, 404, 'NoSuchBucket');
+      if (!key) {
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        return res.end(listBucket(url.searchParams));
+      }
+      if (!(key in objects)) return s3Error(res, 404, 'NoSuchKey');
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': Buffer.byteLength(objects[key]) });
+      res.end(objects[key]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new ObjectStorageClient({
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      accessKeyId: 'test',
+      secretAccessKey: 'test-secret',
+      maxAttempts: 1
+    });
+  });
+
+  afterAll(async () => {
+    client.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    requests = [];
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 's3-'));
+  });
+
+  afterEach(() => fs.rm(tempDir, { recursive: true, force: true }));
+
+  test('lists every page of a prefix and leaves out folder markers', async () => {
+    const listed = await client.listObjects('data', { prefix: 'exports/' });
+    expect(listed.map(object => object.key)).toEqual([
+      'exports/2024/customers.json',
+      'exports/2024/notes.txt',
+      'exports/2024/orders.csv',
+      'exports/2025/orders.csv',
+      'exports/archive/2023/orders.csv.gz'
+    ]);
+    expect(listed[2]).toEqual({
+      key: 'exports/2024/orders.csv',
+      size: 26,
+      lastModified: new Date('2024-05-01T10:00:00.000Z'),
+      etag: '"23"'
+    });
+    // Six keys at two per page, each page asked for with the token of the one before
+    expect(requests.map(request => request.query['continuation-token'])).toEqual([undefined, '2', '4']);
+    expect(requests.every(request => request.bucket === 'data' && request.query.prefix === 'exports/')).toBe(true);
+    expect(requests[0].authorization).toMatch(/^AWS4-HMAC-SHA256 Credential=test\//);
+  });
+
+  test('selects keys with a glob', async () => {
+    const keys = async glob => (await client.listObjects('data', { prefix: 'exports/', glob })).map(object => object.key);
+    expect(await keys('exports/*/orders.csv')).toEqual(['exports/2024/orders.csv', 'exports/2025/orders.csv']);
+    expect(await keys('exports/**/*.{csv,csv.gz}')).toEqual([
+      'exports/2024/orders.csv', 'exports/2025/orders.csv', 'exports/archive/2023/orders.csv.gz'
+    ]);
+    expect(await keys('exports/2024/*.json')).toEqual(['exports/2024/customers.json']);
+  });
+
+  test('lists the whole bucket without a prefix', async () => {
+    const listed = await client.listObjects('data');
+    expect(listed.map(object => object.key)).toContain('other/orders.csv');
+    expect(requests[0].query.prefix).toBeUndefined();
+  });
+
+  test('downloads an object into a new folder', async () => {
+    const target = path.join(tempDir, 'exports', '2024', 'orders.csv');
+    await expect(client.downloadObject('data', 'exports/2024/orders.csv', target)).resolves.toBe(target);
+    expect(await fs.readFile(target, 'utf8')).toBe(objects['exports/2024/orders.csv']);
+  });
+
+  test('reports missing buckets and keys', async () => {
+    await expect(client.listObjects('missing')).rejects.toMatchObject({ name: 'NoSuchBucket' });
+    await expect(client.downloadObject('data', 'exports/none.csv', path.join(tempDir, 'none.csv')))
+      .rejects.toMatchObject({ name: 'NoSuchKey' });
+  });
+});
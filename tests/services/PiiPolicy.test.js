@@ -0,0 +1,60 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PiiPolicy } from '../../src/services/PiiPolicy.js';
+
+describe('PiiPolicy', () => {
+  let dir;
+  let tokenFile;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pii-policy-'));
+    tokenFile = path.join(dir, 'pii-tokens.json');
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const tokenized = { email: { category: 'email', graph: 'tokenize', llm: 'redact' } };
+  const rows = values => values.map(email => ({ email }));
+
+  test('masks tagged columns per target', async () => {
+    const policy = new PiiPolicy({ tokenFile, hashSecret: 'secret' });
+    const tags = {
+      ssn: { category: 'national_id', graph: 'hash', llm: 'redact' },
+      card: { category: 'credit_card', graph: 'drop', llm: 'redact' },
+      phone: { category: 'phone', graph: 'keep', llm: 'redact' }
+    };
+    const [graph] = await policy.apply([{ ssn: '123-45-6789', card: '4111111111111111', phone: '555-0100' }], tags, 'graph');
+    expect(graph).toEqual({ ssn: policy.hash('123456789', 'national_id'), phone: '555-0100' });
+    expect(graph.ssn).toMatch(/^[0-9a-f]{32}$/);
+
+    const [llm] = await policy.apply([{ ssn: '123-45-6789', phone: '555-0100' }], tags, 'llm');
+    expect(llm).toEqual({ ssn: '[REDACTED NATIONAL_ID]', phone: '[REDACTED PHONE]' });
+  });
+
+  test('gives a value the same token in every job and run', async () => {
+    const policy = new PiiPolicy({ tokenFile });
+    const [first, second] = await Promise.all([
+      policy.apply(rows(['a@x.com', 'b@x.com']), tokenized, 'graph'),
+      policy.apply(rows(['A@X.com', 'c@x.com']), tokenized, 'graph')
+    ]);
+    expect(first[0].email).toMatch(/^tok_[0-9a-f]{16}$/);
+    expect(second[0].email).toBe(first[0].email);
+
+    const restarted = new PiiPolicy({ tokenFile });
+    const again = await restarted.apply(rows(['a@x.com', 'b@x.com', 'c@x.com']), tokenized, 'graph');
+    expect(again.map(row => row.email)).toEqual([first[0].email, first[1].email, second[1].email]);
+  });
+
+  test('keeps tokens saved by another policy on the same file', async () => {
+    const policies = Array.from({ length: 5 }, () => new PiiPolicy({ tokenFile }));
+    await Promise.all(policies.map((policy, i) => policy.apply(rows([`user${i}@x.com`]), tokenized, 'graph')));
+    const saved = JSON.parse(await fs.readFile(tokenFile, 'utf8'));
+    expect(Object.values(saved).map(entry => entry.value).sort()).toEqual(policies.map((_, i) => `user${i}@x.com`));
+    expect(await fs.readdir(dir)).toEqual(['pii-tokens.json']);
+  });
+
+  test('rejects unknown actions', () => {
+    expect(() => new PiiPolicy({ graph: { email: 'encrypt' } })).toThrow('Unknown PII action for email: encrypt');
+  });
+});
@@ -0,0 +1,191 @@
+import http from 'http';
+import { RestApiClient } from '../../src/services/RestApiClient.js';
+
+const quiet = { info() {}, warn() {} };
+
+describe('RestApiClient', () => {
+  let server;
+  let baseUrl;
+  let handler;
+  let requests;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const url = new URL(req.url, baseUrl);
+      requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+      const { status = 200, headers = {}, body } = handler(url, req);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(body === undefined ? '' : JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    handler = () => ({ body: [] });
+  });
+
+  // The client with its waits recorded instead of slept
+  const createClient = (config) => {
+    const client = new RestApiClient({ retryDelay: 100, ...config }, quiet);
+    client.waits = [];
+    client.sleep = async (ms) => { client.waits.push(ms); };
+    return client;
+  };
+
+  const fetchAll = async (client, path, options) => {
+    const pages = [];
+    for await (const page of client.fetchPages(`${baseUrl}${path}`, options)) {
+      pages.push(page);
+    }
+    return pages;
+  };
+
+  describe('auth', () => {
+    test('sends a bearer token', async () => {
+      await fetchAll(createClient(), '/items', { auth: { type: 'bearer', token: 'secret' } });
+      expect(requests[0].headers.authorization).toBe('Bearer secret');
+    });
+
+    test('sends an API key as a header or a query parameter', async () => {
+      await fetchAll(createClient(), '/items', { auth: { type: 'apiKey', key: 'k1' } });
+      await fetchAll(createClient(), '/items', { auth: { type: 'apiKey', key: 'k2', name: 'token', in: 'query' } });
+      expect(requests[0].headers['x-api-key']).toBe('k1');
+      expect(requests[1].query).toEqual({ token: 'k2' });
+    });
+
+    test('sends basic credentials', async () => {
+      await fetchAll(createClient(), '/items', { auth: { type: 'basic', username: 'ann', password: 'pw' } });
+      expect(requests[0].headers.authorization).toBe(`Basic ${Buffer.from('ann:pw').toString('base64')}`);
+    });
+
+    test('rejects unknown auth types', async () => {
+      await expect(fetchAll(createClient(), '/items', { auth: { type: 'oauth' } })).rejects.toThrow('Unsupported API auth type: oauth');
+    });
+  });
+
+  describe('pagination', () => {
+    test('follows a cursor until it runs out', async () => {
+      handler = (url) => {
+        const cursor = url.searchParams.get('cursor');
+        return cursor === 'b'
+          ? { body: { data: [{ id: 3 }], meta: { next: null } } }
+          : { body: { data: [{ id: cursor ? 2 : 1 }], meta: { next: cursor ? 'b' : 'a' } } };
+      };
+      const pages = await fetchAll(createClient(), '/items', {
+        pagination: { type: 'cursor', cursorPath: '$.meta.next' },
+        recordPath: '$.data'
+      });
+      expect(pages.map(page => page.records)).toEqual([[{ id: 1 }], [{ id: 2 }], [{ id: 3 }]]);
+      expect(requests.map(request => request.query.cursor)).toEqual([undefined, 'a', 'b']);
+    });
+
+    test('moves the offset on until a short page', async () => {
+      handler = (url) => {
+        const offset = Number(url.searchParams.get('skip'));
+        return { body: Array.from({ length: offset < 4 ? 2 : 1 }, (_, i) => ({ id: offset + i })) };
+      };
+      const pages = await fetchAll(createClient(), '/items', {
+        pagination: { type: 'offset', limit: 2, offsetParam: 'skip', limitParam: 'take' }
+      });
+      expect(pages.flatMap(page => page.records).map(record => record.id)).toEqual([0, 1, 2, 3, 4]);
+      expect(requests.map(request => request.query)).toEqual([
+        { skip: '0', take: '2' }, { skip: '2', take: '2' }, { skip: '4', take: '2' }
+      ]);
+    });
+
+    test('follows relative and absolute Link headers', async () => {
+      handler = (url) => {
+        switch (url.pathname) {
+          case '/items':
+            return { headers: { Link: '</items/2>; rel="next", </items/9>; rel="last"' }, body: [{ id: 1 }] };
+          case '/items/2':
+            return { headers: { Link: `<${baseUrl}/items/3>; rel="next"` }, body: [{ id: 2 }] };
+          default:
+            return { body: [{ id: 3 }] };
+        }
+      };
+      const pages = await fetchAll(createClient(), '/items', { pagination: { type: 'link' } });
+      expect(pages.map(page => page.page)).toEqual([1, 2, 3]);
+      expect(requests.map(request => request.path)).toEqual(['/items', '/items/2', '/items/3']);
+    });
+
+    test('stops at the page limit', async () => {
+      handler = () => ({ body: { items: [{ id: 1 }], next: 'again' } });
+      const pages = await fetchAll(createClient({ maxPages: 3 }), '/items', {
+        pagination: { type: 'cursor' },
+        recordPath: '$.items'
+      });
+      expect(pages).toHaveLength(3);
+    });
+  });
+
+  describe('retries and rate limits', () => {
+    test('waits as long as Retry-After asks before retrying', async () => {
+      let calls = 0;
+      handler = () => (++calls === 1 ? { status: 429, headers: { 'Retry-After': '2' } } : { body: [{ id: 1 }] });
+      const client = createClient();
+      const attempts = [];
+      const pages = await fetchAll(client, '/items', { onAttempt: attempt => attempts.push(attempt) });
+      expect(pages[0].records).toEqual([{ id: 1 }]);
+      expect(client.waits).toEqual([2000]);
+      expect(attempts).toMatchObject([{ attempt: 1, status: 'failed', code: 429, retryIn: 2000 }]);
+    });
+
+    test('backs off exponentially without Retry-After and gives up after the retries', async () => {
+      handler = () => ({ status: 503 });
+      const client = createClient({ maxRetries: 3, maxRetryDelay: 250 });
+      await expect(fetchAll(client, '/items')).rejects.toThrow('API request still failing after 3 retries (API returned 503)');
+      expect(requests).toHaveLength(4);
+      expect(client.waits).toHaveLength(3);
+      // Jitter keeps each wait between half and all of 100, 200 and then the 250 ceiling
+      client.waits.forEach((wait, i) => {
+        const ceiling = Math.min(100 * 2 ** i, 250);
+        expect(wait).toBeGreaterThanOrEqual(ceiling / 2);
+        expect(wait).toBeLessThanOrEqual(ceiling);
+      });
+    });
+
+    test('lets a job retry more or less often than the client', async () => {
+      handler = () => ({ status: 502 });
+      await expect(fetchAll(createClient({ maxRetries: 5 }), '/items', { retries: 1 })).rejects.toThrow('after 1 retries');
+      expect(requests).toHaveLength(2);
+    });
+
+    test('fails at once on other errors', async () => {
+      handler = () => ({ status: 404, body: { error: 'missing' } });
+      await expect(fetchAll(createClient(), '/items')).rejects.toThrow('API request failed with status 404');
+      expect(requests).toHaveLength(1);
+    });
+
+    test('waits for the rate limit window before the next page', async () => {
+      handler = (url) => (url.pathname === '/items'
+        ? { headers: { Link: '</items/2>; rel="next"', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': '3' }, body: [{ id: 1 }] }
+        : { headers: { 'X-RateLimit-Remaining': '5', 'X-RateLimit-Reset': '60' }, body: [{ id: 2 }] });
+      const client = createClient();
+      const pages = await fetchAll(client, '/items', { pagination: { type: 'link' } });
+      expect(pages).toHaveLength(2);
+      expect(client.waits).toEqual([3000]);
+    });
+
+    test('caps waits asked for by the server', async () => {
+      let calls = 0;
+      const resetAt = Math.floor(Date.now() / 1000) + 3600;
+      handler = () => {
+        calls++;
+        if (calls === 1) return { status: 503, headers: { 'Retry-After': '600' } };
+        // The reset may also be given as the epoch second the window opens again
+        return calls === 2
+          ? { headers: { 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset': String(resetAt) }, body: { items: [{ id: 1 }], next: 'x' } }
+          : { body: { items: [{ id: 2 }], next: null } };
+      };
+      const client = createClient({ maxRetryDelay: 5000 });
+      const pages = await fetchAll(client, '/items', { pagination: { type: 'cursor' }, recordPath: '$.items' });
+      expect(pages).toHaveLength(2);
+      expect(client.waits).toEqual([5000, 5000]);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RowValidator, rejectionsToCsv } from '../../src/services/RowValidator.js';
+
+describe('RowValidator', () => {
+  test('passes every row through when no rule applies', async () => {
+    const validator = new RowValidator({ rules: { Order: { columns: { id: { required: true } } } } });
+    const rows = [{ name: 'x' }];
+    expect(validator.hasRules('Customer')).toBe(false);
+    expect(await validator.validate('Customer', rows)).toBe(rows);
+    expect(validator.accuracy()).toBeNull();
+  });
+
+  test('rejects rows that break column rules and says why', async () => {
+    const validator = new RowValidator({
+      rules: {
+        Employee: {
+          columns: {
+            id: { required: true, unique: true },
+            email: { pattern: '^[^@]+@[^@]+$', message: 'email is malformed' },
+            salary: { min: 0, max: 500000 },
+            level: { enum: ['junior', 'senior'] }
+          }
+        }
+      }
+    });
+    const rows = [
+      { id: 1, email: 'a@x.com', salary: 100, level: 'junior' },
+      { id: null, email: 'b@x.com', salary: 100, level: 'senior' },
+      { id: 3, email: 'not-an-email', salary: -5, level: 'junior' },
+      { id: 1, email: 'd@x.com', salary: 100, level: 'chief' }
+    ];
+
+    const valid = await validator.validate('Employee', rows, 10);
+    expect(valid).toEqual([rows[0]]);
+
+    const { sample, byRule, byColumn } = validator.toJSON();
+    expect(sample.map(rejection => rejection.row)).toEqual([12, 13, 14]);
+    expect(sample[0].errors).toEqual([expect.objectContaining({ column: 'id', rule: 'required', value: null })]);
+    expect(sample[1].errors.map(error => [error.column, error.rule, error.message])).toEqual([
+      ['email', 'pattern', 'email is malformed'],
+      ['salary', 'range', expect.any(String)]
+    ]);
+    expect(sample[2].errors.map(error => error.rule).sort()).toEqual(['enum', 'unique']);
+    expect(byRule).toEqual({ required: 1, pattern: 1, range: 1, enum: 1, unique: 1 });
+    expect(byColumn['Employee.id']).toBe(2);
+    expect(validator.accuracy('Employee')).toBe(25);
+  });
+
+  test('applies patterns to the text of cleaned numbers', async () => {
+    const validator = new RowValidator({ rules: { '*': { columns: { zip: { pattern: '^\\d{5}$' } } } } });
+    expect(await validator.validate('Address', [{ zip: 12345 }, { zip: 123 }])).toEqual([{ zip: 12345 }]);
+  });
+
+  test('applies shared rules only to entities that have the columns', async () => {
+    const validator = new RowValidator({
+      rules: { '*': { columns: { email: { required: true } }, expressions: [{ expression: '.quantity > 0' }] } }
+    });
+    expect(await validator.validate('Department', [{ name: 'Sales' }])).toEqual([{ name: 'Sales' }]);
+    expect(await validator.validate('Line', [{ quantity: 2 }, { quantity: 0 }])).toEqual([{ quantity: 2 }]);
+    expect(validator.toJSON().sample[0].errors[0]).toMatchObject({ column: null, rule: 'expression', message: '.quantity > 0' });
+  });
+
+  test('checks cross-field date rules as points in time', async () => {
+    const rows = [
+      { start_date: '2020-01-01', end_date: '2021-01-01' },
+      { start_date: '2021-03-01', end_date: '2021-02-01' },
+      // 08:00 UTC starts before 09:00 UTC even though the text sorts the other way
+      { start_date: '2020-01-01T10:00:00.000+02:00', end_date: '2020-01-01T09:00:00.000+00:00' },
+      { start_date: new Date('2020-05-01'), end_date: new Date('2020-05-01') }
+    ];
+
+    const expression = new RowValidator({ rules: { Contract: { expressions: [{ expression: '.end_date >= .start_date' }] } } });
+    expect(await expression.validate('Contract', rows)).toEqual([rows[0], rows[2], rows[3]]);
+
+    const reference = new RowValidator({ rules: { Contract: { columns: { end_date: { min: { ref: 'start_date' } } } } } });
+    expect(await reference.validate('Contract', rows)).toEqual([rows[0], rows[2], rows[3]]);
+    expect(reference.toJSON().sample[0].errors[0]).toMatchObject({ column: 'end_date', rule: 'range' });
+
+    const duration = new RowValidator({
+      rules: { Contract: { expressions: [{ expression: '.end_date - .start_date <= 86400000 * 30', message: 'longer than 30 days' }] } }
+    });
+    expect(await duration.validate('Contract', rows)).toEqual([rows[1], rows[2], rows[3]]);
+  });
+
+  test('compares text in expressions as text', async () => {
+    const validator = new RowValidator({ rules: { '*': { expressions: [{ expression: '.salary < 500000 || .position == "CEO"' }] } } });
+    const rows = [{ salary: 900000, position: 'CEO' }, { salary: 900000, position: 'CTO' }, { salary: 100, position: 'CTO' }];
+    expect(await validator.validate('Employee', rows)).toEqual([rows[0], rows[2]]);
+  });
+
+  test('reports invalid rules with the entity and column', async () => {
+    const bad = new RowValidator({ rules: { Order: { columns: { code: { pattern: '([' } } } } });
+    await expect(bad.validate('Order', [{ code: 'x' }])).rejects.toThrow('Invalid validation rule for Order.code');
+    const badExpression = new RowValidator({ rules: { Order: { expressions: [{ expression: '.a >>> ' }] } } });
+    await expect(badExpression.validate('Order', [{ a: 1 }])).rejects.toThrow('Invalid validation expression for Order');
+  });
+
+  test('appends rejected rows to the quarantine file', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'row-validator-'));
+    const reportFile = path.join(dir, 'nested', 'rejected.ndjson');
+    try {
+      const validator = new RowValidator({ rules: { T: { columns: { a: { required: true } } } }, reportFile });
+      await validator.validate('T', [{ a: 1 }, { b: 2 }]);
+      await validator.validate('T', [{ b: 3 }], 2);
+
+      const lines = (await fs.readFile(reportFile, 'utf8')).split('\n');
+      expect(lines.filter(Boolean).map(line => JSON.parse(line).row)).toEqual([2, 3]);
+      expect(validator.toJSON().reportFile).toBe(reportFile);
+
+      const csv = rejectionsToCsv(lines).trim().split('\n');
+      expect(csv[0]).toBe('entity,row,column,rule,message,value,record');
+      expect(csv[1]).toBe('T,2,a,required,"""a"" is required",,"{""b"":2}"');
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
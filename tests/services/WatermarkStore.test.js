@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WatermarkStore } from '../../src/services/WatermarkStore.js';
+
+describe('WatermarkStore', () => {
+  let dir;
+  let store;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watermarks-'));
+    store = new WatermarkStore(path.join(dir, 'watermarks.json'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('keeps dates, numbers and strings with their type', async () => {
+    await store.set('a', { column: 'updated_at', value: new Date('2024-01-02T03:04:05Z'), rowCount: 10 });
+    await store.set('b', { column: 'id', value: 42, rowCount: 5 });
+    await store.set('c', { column: 'code', value: 'X9', rowCount: 1 });
+
+    expect((await store.get('a')).value).toEqual(new Date('2024-01-02T03:04:05Z'));
+    expect(await store.get('b')).toMatchObject({ column: 'id', value: 42, type: 'number', rowCount: 5 });
+    expect((await store.get('c')).value).toBe('X9');
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  test('keeps the watermarks of sources saved at the same time', async () => {
+    // Separate stores on one file, as jobs running side by side would have
+    const stores = Array.from({ length: 10 }, () => new WatermarkStore(store.filePath));
+    await Promise.all(stores.map((other, i) => other.set(`source${i}`, { column: 'id', value: i, rowCount: i })));
+    expect((await store.list()).map(entry => entry.sourceId).sort()).toEqual(stores.map((_, i) => `source${i}`).sort());
+  });
+
+  test('deletes a single source', async () => {
+    await store.set('a', { column: 'id', value: 1 });
+    await store.set('b', { column: 'id', value: 2 });
+    await expect(store.delete('a')).resolves.toBe(true);
+    await expect(store.delete('a')).resolves.toBe(false);
+    expect((await store.list()).map(entry => entry.sourceId)).toEqual(['b']);
+  });
+
+  test('digests source ids so credentials are not stored', () => {
+    const id = WatermarkStore.sourceId(['postgres://etl:secret@db/sales', 'orders']);
+    expect(id).toMatch(/^[0-9a-f]{16}$/);
+    expect(id).toBe(WatermarkStore.sourceId(['postgres://etl:secret@db/sales', 'orders']));
+  });
+});
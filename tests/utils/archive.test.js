@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import * as tar from 'tar';
+import { detectCompression, extractTar, extractZip, gunzipFile, listFiles } from '../../src/utils/archive.js';
+import { createZip } from '../helpers/zip.js';
+
+describe('archive', () => {
+  let dir;
+  let target;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+    target = path.join(dir, 'out');
+    await fs.mkdir(target);
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const write = async (name, content) => {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, content);
+    return file;
+  };
+
+  test('recognises gzip, zip and tar by their content, whatever the file is called', async () => {
+    await write('people.csv', 'id\n1\n');
+    await tar.c({ file: path.join(dir, 'upload-2'), cwd: dir }, ['people.csv']);
+
+    expect(await detectCompression(await write('upload-1', zlib.gzipSync('id\n1\n')))).toBe('gzip');
+    expect(await detectCompression(path.join(dir, 'upload-2'))).toBe('tar');
+    expect(await detectCompression(await write('upload-3', createZip([['people.csv', 'id\n1\n']])))).toBe('zip');
+    expect(await detectCompression(path.join(dir, 'people.csv'))).toBeNull();
+  });
+
+  test('unpacks a gzip file', async () => {
+    const file = await gunzipFile(await write('people.csv.gz', zlib.gzipSync('id\n1\n')), path.join(target, 'people.csv'));
+    expect(await fs.readFile(file, 'utf8')).toBe('id\n1\n');
+  });
+
+  test('extracts the files of a zip archive, nested ones included', async () => {
+    const archive = await write('data.zip', createZip([['people.csv', 'id\n1\n'], ['orders/', ''], ['orders/2024.json', '[]']]));
+    expect(await extractZip(archive, target)).toEqual([path.join(target, 'orders/2024.json'), path.join(target, 'people.csv')]);
+    expect(await fs.readFile(path.join(target, 'orders/2024.json'), 'utf8')).toBe('[]');
+  });
+
+  test('skips zip entries that would be written outside the target directory', async () => {
+    const archive = await write('data.zip', createZip([
+      ['../escaped.csv', 'id\n1\n'],
+      ['nested/../../escaped-too.csv', 'id\n1\n'],
+      [path.join(dir, 'absolute.csv'), 'id\n1\n'],
+      ['people.csv', 'id\n1\n']
+    ]));
+
+    expect(await extractZip(archive, target)).toEqual([path.join(target, 'people.csv')]);
+    expect((await fs.readdir(dir)).sort()).toEqual(['data.zip', 'out']);
+  });
+
+  test('extracts the files of a tar archive', async () => {
+    await fs.mkdir(path.join(dir, 'src/orders'), { recursive: true });
+    await fs.writeFile(path.join(dir, 'src/people.csv'), 'id\n1\n');
+    await fs.writeFile(path.join(dir, 'src/orders/2024.json'), '[]');
+    await tar.c({ file: path.join(dir, 'data.tar'), cwd: path.join(dir, 'src') }, ['people.csv', 'orders']);
+
+    expect(await extractTar(path.join(dir, 'data.tar'), target)).toEqual([path.join(target, 'orders/2024.json'), path.join(target, 'people.csv')]);
+    expect(await listFiles(target)).toHaveLength(2);
+  });
+});
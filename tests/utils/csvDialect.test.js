@@ -0,0 +1,59 @@
+import { detectEncoding, splitRecords, detectDelimiter, detectQuote, detectHeader, sniffCSV } from '../../src/utils/csvDialect.js';
+
+describe('detectEncoding', () => {
+  test('recognizes byte order marks', () => {
+    expect(detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x61]))).toEqual({ encoding: 'utf-8', bom: true });
+    expect(detectEncoding(Buffer.from([0xFF, 0xFE, 0x61, 0x00]))).toEqual({ encoding: 'utf-16le', bom: true });
+    expect(detectEncoding(Buffer.from([0xFE, 0xFF, 0x00, 0x61]))).toEqual({ encoding: 'utf-16be', bom: true });
+  });
+
+  test('recognizes UTF-16 without a BOM, UTF-8 and Latin-1', () => {
+    expect(detectEncoding(Buffer.from('id,name\n1,Ada\n', 'utf16le'))).toEqual({ encoding: 'utf-16le', bom: false });
+    expect(detectEncoding(Buffer.from('name\nJosé\n', 'utf8'))).toEqual({ encoding: 'utf-8', bom: false });
+    expect(detectEncoding(Buffer.from('name\nJosé\n', 'latin1'))).toEqual({ encoding: 'latin1', bom: false });
+  });
+
+  test('accepts a multi-byte character cut off at the end of the sample', () => {
+    const bytes = Buffer.from('a,b\n1,é', 'utf8');
+    expect(detectEncoding(bytes.subarray(0, bytes.length - 1)).encoding).toBe('utf-8');
+  });
+});
+
+describe('splitRecords', () => {
+  test('handles quoted delimiters, doubled quotes, line breaks and CRLF', () => {
+    const text = 'a,b\r\n"x, y","say ""hi"""\r\n"multi\nline",2\r\n';
+    expect(splitRecords(text, ',', '"')).toEqual([['a', 'b'], ['x, y', 'say "hi"'], ['multi\nline', '2']]);
+  });
+
+  test('drops a trailing record the sample cut off inside quotes', () => {
+    expect(splitRecords('a,b\n1,"unfinished', ',', '"')).toEqual([['a', 'b']]);
+  });
+});
+
+describe('delimiter, quote and header detection', () => {
+  test('picks the delimiter that splits rows consistently', () => {
+    expect(detectDelimiter('id;amount;note\n1;2,5;x\n2;3,0;y\n')).toBe(';');
+    expect(detectDelimiter('id\tname\n1\tAda, Countess\n2\tGrace\n')).toBe('\t');
+    expect(detectDelimiter('id|name\n1|Ada\n')).toBe('|');
+  });
+
+  test('prefers single quotes only when they wrap fields', () => {
+    expect(detectQuote("id,name\n1,'Smith, J'\n2,'Doe, A'\n")).toBe("'");
+    expect(detectQuote('id,name\n1,"O\'Brien"\n')).toBe('"');
+  });
+
+  test('tells a header row from a data row', () => {
+    expect(detectHeader([['id', 'amount'], ['1', '10.5'], ['2', '7']])).toBe(true);
+    expect(detectHeader([['1', '10.5'], ['2', '7'], ['3', '8']])).toBe(false);
+    expect(detectHeader([['A1', 'B2'], ['C3', 'D4']])).toBe(false);
+    expect(detectHeader([['name', 'name'], ['x', 'y']])).toBe(false);
+  });
+});
+
+describe('sniffCSV', () => {
+  test('combines the detected dialect and respects overrides', () => {
+    const sample = Buffer.from('﻿id;city\n1;Köln\n2;München\n', 'utf8');
+    expect(sniffCSV(sample)).toEqual({ encoding: 'utf-8', bom: true, delimiter: ';', quote: '"', header: true, columnCount: 2 });
+    expect(sniffCSV(sample, { delimiter: ',', header: false })).toMatchObject({ delimiter: ',', header: false, columnCount: 1 });
+  });
+});
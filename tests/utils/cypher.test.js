@@ -0,0 +1,18 @@
+import { quoteCypherIdentifier } from '../../src/utils/cypher.js';
+
+describe('quoteCypherIdentifier', () => {
+  test('quotes names with spaces, dashes and reserved words', () => {
+    expect(quoteCypherIdentifier('order date')).toBe('`order date`');
+    expect(quoteCypherIdentifier('e-mail')).toBe('`e-mail`');
+    expect(quoteCypherIdentifier('MATCH')).toBe('`MATCH`');
+  });
+
+  test('doubles backticks so a name cannot end the quoting', () => {
+    expect(quoteCypherIdentifier('a`b')).toBe('`a``b`');
+    expect(quoteCypherIdentifier('x` }) DETACH DELETE n //')).toBe('`x`` }) DETACH DELETE n //`');
+  });
+
+  test('quotes numbers as their text', () => {
+    expect(quoteCypherIdentifier(2024)).toBe('`2024`');
+  });
+});
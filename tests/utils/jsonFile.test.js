@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { withFileLock, readJSONFile, writeJSONFile } from '../../src/utils/jsonFile.js';
+
+describe('jsonFile', () => {
+  let dir;
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-'));
+  });
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('reads the fallback for a missing file and rethrows other errors', async () => {
+    expect(await readJSONFile(path.join(dir, 'missing.json'))).toEqual({});
+    expect(await readJSONFile(path.join(dir, 'missing.json'), [])).toEqual([]);
+    await fs.writeFile(path.join(dir, 'broken.json'), '{"a":');
+    await expect(readJSONFile(path.join(dir, 'broken.json'))).rejects.toThrow(SyntaxError);
+  });
+
+  test('writes through a temporary file and leaves none behind', async () => {
+    const file = path.join(dir, 'nested', 'state.json');
+    await writeJSONFile(file, { a: 1 });
+    await writeJSONFile(file, { a: 2 });
+    expect(await readJSONFile(file)).toEqual({ a: 2 });
+    expect(await fs.readdir(path.dirname(file))).toEqual(['state.json']);
+  });
+
+  test('runs changes to one file one at a time so none is lost', async () => {
+    const file = path.join(dir, 'counts.json');
+    await Promise.all(Array.from({ length: 20 }, (_, i) => withFileLock(file, async () => {
+      const counts = await readJSONFile(file);
+      await new Promise(resolve => setTimeout(resolve, 1));
+      counts[`job${i}`] = i;
+      await writeJSONFile(file, counts);
+    })));
+    expect(Object.keys(await readJSONFile(file))).toHaveLength(20);
+  });
+
+  test('keeps the queue going after a failed change and returns each result', async () => {
+    const file = path.join(dir, 'state.json');
+    const failed = withFileLock(file, async () => { throw new Error('disk full'); });
+    const next = withFileLock(file, async () => 'done');
+    await expect(failed).rejects.toThrow('disk full');
+    await expect(next).resolves.toBe('done');
+  });
+});
@@ -0,0 +1,54 @@
+import { parseJSONPath, queryJSONPath, selectRecords } from '../../src/utils/jsonPath.js';
+
+const document = {
+  data: {
+    orders: [
+      { id: 1, customer: { name: 'Ada' }, lines: [{ sku: 'A' }, { sku: 'B' }] },
+      { id: 2, customer: { name: 'Grace' }, lines: [{ sku: 'C' }] }
+    ]
+  },
+  'odd key': { value: true }
+};
+
+describe('parseJSONPath', () => {
+  test('parses keys, indexes, wildcards and recursive descent', () => {
+    expect(parseJSONPath("$.data['orders'][0]..sku[*]")).toEqual([
+      { type: 'key', key: 'data', recursive: false },
+      { type: 'key', key: 'orders', recursive: false },
+      { type: 'index', index: 0, recursive: false },
+      { type: 'key', key: 'sku', recursive: true },
+      { type: 'wildcard', recursive: false }
+    ]);
+  });
+
+  test('rejects paths that do not start at the root or do not parse', () => {
+    expect(() => parseJSONPath('data.orders')).toThrow('must start with $');
+    expect(() => parseJSONPath('$.data[?(@.id)]')).toThrow('at position');
+  });
+});
+
+describe('queryJSONPath', () => {
+  test('selects by key, index, negative index and quoted key', () => {
+    expect(queryJSONPath(document, '$.data.orders[0].id')).toEqual([1]);
+    expect(queryJSONPath(document, '$.data.orders[-1].customer.name')).toEqual(['Grace']);
+    expect(queryJSONPath(document, "$['odd key'].value")).toEqual([true]);
+    expect(queryJSONPath(document, '$.data.missing')).toEqual([]);
+  });
+
+  test('collects matches with wildcards and recursive descent', () => {
+    expect(queryJSONPath(document, '$.data.orders[*].customer.name')).toEqual(['Ada', 'Grace']);
+    expect(queryJSONPath(document, '$..sku')).toEqual(['A', 'B', 'C']);
+  });
+});
+
+describe('selectRecords', () => {
+  test('treats a path ending at an array as its items', () => {
+    expect(selectRecords(document, '$.data.orders').map(order => order.id)).toEqual([1, 2]);
+    expect(selectRecords(document, '$.data.orders[*]').map(order => order.id)).toEqual([1, 2]);
+  });
+
+  test('returns the document itself for the root path', () => {
+    expect(selectRecords([{ a: 1 }, { a: 2 }])).toEqual([{ a: 1 }, { a: 2 }]);
+    expect(selectRecords({ a: 1 })).toEqual([{ a: 1 }]);
+  });
+});
@@ -0,0 +1,94 @@
+import { localeConventions, parseAmount, matchDate, parseDate, zoneOffset, NUMBER_FORMATS } from '../../src/utils/locale.js';
+
+describe('localeConventions', () => {
+  test('derives separators, date order and region from the locale', () => {
+    expect(localeConventions('en-US', 'UTC')).toMatchObject({ group: ',', decimal: '.', dateOrder: 'MDY', region: 'US' });
+    expect(localeConventions('de-DE', 'Europe/Berlin')).toMatchObject({ group: '.', decimal: ',', dateOrder: 'DMY', region: 'DE' });
+    expect(localeConventions('fr-FR', 'UTC')).toMatchObject({ group: ' ', decimal: ',' });
+  });
+
+  test('rejects unknown locales and time zones', () => {
+    expect(() => localeConventions('not a locale', 'UTC')).toThrow('Unknown locale');
+    expect(() => localeConventions('en-US', 'Mars/Olympus')).toThrow('Unknown time zone');
+  });
+});
+
+describe('parseAmount', () => {
+  const german = { ...NUMBER_FORMATS['1.234,5'], region: 'DE' };
+
+  test('reads grouped numbers, currencies and percentages', () => {
+    expect(parseAmount('$95,000')).toEqual({ value: 95000, currency: 'USD', percent: false });
+    expect(parseAmount('1.234,56 €', german)).toEqual({ value: 1234.56, currency: 'EUR', percent: false });
+    expect(parseAmount('12,5%', german)).toEqual({ value: 0.125, currency: null, percent: true });
+    expect(parseAmount('(1,234.00)').value).toBe(-1234);
+    expect(parseAmount('-EUR 10').value).toBe(-10);
+    expect(parseAmount('12,34,567.5').value).toBe(1234567.5);
+    expect(parseAmount('1.5e3').value).toBe(1500);
+  });
+
+  test('uses the regional currency for shared symbols', () => {
+    expect(parseAmount('$10', { ...NUMBER_FORMATS['1,234.5'], region: 'CA' }).currency).toBe('CAD');
+  });
+
+  test('returns null for text that is not a number in the convention', () => {
+    expect(parseAmount('1,234.5', german)).toBeNull();
+    expect(parseAmount('12,34')).toBeNull();
+    expect(parseAmount('$5%')).toBeNull();
+    expect(parseAmount('abc')).toBeNull();
+    expect(parseAmount(null)).toBeNull();
+  });
+});
+
+describe('matchDate', () => {
+  test('lists the field orders an ambiguous numeric date fits', () => {
+    expect(matchDate('03/04/2021').orders).toEqual(['DMY', 'MDY']);
+    expect(matchDate('13/04/2021').orders).toEqual(['DMY']);
+    expect(matchDate('2021.04.13').orders).toEqual(['YMD']);
+  });
+
+  test('recognizes ISO and month-name dates with or without a time', () => {
+    expect(matchDate('2021-04-13')).toEqual({ iso: true, orders: [], text: false, time: false, zoned: false });
+    expect(matchDate('2021-04-13T10:00:00+02:00')).toMatchObject({ iso: true, time: true, zoned: true });
+    expect(matchDate('13 Apr 2021 10:30')).toMatchObject({ text: true, time: true });
+  });
+
+  test('rejects impossible dates and other text', () => {
+    expect(matchDate('2021-02-30')).toBeNull();
+    expect(matchDate('31/02/2021')).toBeNull();
+    expect(matchDate('hello')).toBeNull();
+    expect(matchDate(20210413)).toBeNull();
+  });
+});
+
+describe('parseDate', () => {
+  test('formats dates by the chosen field order', () => {
+    expect(parseDate('03/04/2021', { order: 'DMY', temporal: 'date' })).toBe('2021-04-03');
+    expect(parseDate('03/04/2021', { order: 'MDY', temporal: 'date' })).toBe('2021-03-04');
+    expect(parseDate('03/04/21', { order: 'DMY', temporal: 'date' })).toBe('2021-04-03');
+    expect(parseDate('03/04/2021', { temporal: 'date' })).toBeNull();
+  });
+
+  test('places wall-clock times in the job time zone, including daylight saving time', () => {
+    expect(parseDate('2021-01-15 09:30', { timezone: 'Europe/Berlin' })).toBe('2021-01-15T09:30:00.000+01:00');
+    expect(parseDate('2021-07-15 09:30', { timezone: 'Europe/Berlin' })).toBe('2021-07-15T09:30:00.000+02:00');
+    expect(parseDate('07/15/2021 9:30 pm', { order: 'MDY', timezone: '-05:00' })).toBe('2021-07-15T21:30:00.000-05:00');
+  });
+
+  test('keeps the offset a value names', () => {
+    expect(parseDate('2021-07-15T09:30:00Z', { timezone: 'Europe/Berlin' })).toBe('2021-07-15T09:30:00.000+00:00');
+    expect(parseDate('2021-07-15T23:30:00-04:00', { temporal: 'date' })).toBe('2021-07-15');
+  });
+
+  test('reads month names', () => {
+    expect(parseDate('Apr 13, 2021', { temporal: 'date' })).toBe('2021-04-13');
+  });
+});
+
+describe('zoneOffset', () => {
+  test('reads fixed offsets and IANA zones', () => {
+    expect(zoneOffset('UTC', 0)).toBe(0);
+    expect(zoneOffset('+05:30', 0)).toBe(330);
+    expect(zoneOffset('America/New_York', Date.UTC(2021, 0, 1))).toBe(-300);
+    expect(zoneOffset('America/New_York', Date.UTC(2021, 6, 1))).toBe(-240);
+  });
+});
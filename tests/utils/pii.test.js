@@ -0,0 +1,62 @@
+import { luhnValid, isCreditCard, detectPiiValue, classifyPiiColumn } from '../../src/utils/pii.js';
+
+describe('card numbers', () => {
+  test('check the Luhn digit', () => {
+    expect(luhnValid('4111111111111111')).toBe(true);
+    expect(luhnValid('4111111111111112')).toBe(false);
+    expect(luhnValid('')).toBe(false);
+  });
+
+  test('accept formatted card numbers of a known network only', () => {
+    expect(isCreditCard('4111 1111 1111 1111')).toBe(true);
+    expect(isCreditCard('5500-0000-0000-0004')).toBe(true);
+    expect(isCreditCard('0000000000000000')).toBe(false);
+    expect(isCreditCard('4111')).toBe(false);
+  });
+});
+
+describe('detectPiiValue', () => {
+  test('recognizes personal data by its shape', () => {
+    expect(detectPiiValue('ada@example.com')).toEqual(['email']);
+    expect(detectPiiValue('+1 (555) 123-4567')).toEqual(['phone']);
+    expect(detectPiiValue('123-45-6789')).toEqual(['national_id']);
+    expect(detectPiiValue('AB 12 34 56 C')).toEqual(['national_id']);
+    expect(detectPiiValue('221b Baker Street')).toEqual(['address']);
+    expect(detectPiiValue('Ada Lovelace')).toEqual(['name']);
+  });
+
+  test('ignores numbers, dates and empty values', () => {
+    expect(detectPiiValue(5551234567)).toEqual([]);
+    expect(detectPiiValue('2021-04-13')).toEqual([]);
+    expect(detectPiiValue('')).toEqual([]);
+    expect(detectPiiValue(null)).toEqual([]);
+    expect(detectPiiValue(true)).toEqual([]);
+  });
+});
+
+describe('classifyPiiColumn', () => {
+  test('classifies by values and notes when the column name agrees', () => {
+    const emails = ['a@x.com', 'b@y.org', 'c@z.net'];
+    expect(classifyPiiColumn('contact', emails)).toEqual({ category: 'email', confidence: 1, source: 'values' });
+    expect(classifyPiiColumn('email', emails)).toEqual({ category: 'email', confidence: 1, source: 'name+values' });
+  });
+
+  test('needs a name-like column for person names', () => {
+    const names = ['Ada Lovelace', 'Grace Hopper', 'New York'];
+    expect(classifyPiiColumn('city', names)).toBeNull();
+    expect(classifyPiiColumn('customerName', names)).toMatchObject({ category: 'name', source: 'name' });
+  });
+
+  test('falls back to the column name when values do not decide', () => {
+    expect(classifyPiiColumn('passport_no', ['X1234567', 'Y7654321'])).toEqual({ category: 'national_id', confidence: 0.5, source: 'name' });
+  });
+
+  test('returns null for ordinary columns and empty columns', () => {
+    expect(classifyPiiColumn('department', ['Sales', 'Support'])).toBeNull();
+    expect(classifyPiiColumn('email', [null, ''])).toBeNull();
+  });
+
+  test('reads list values item by item', () => {
+    expect(classifyPiiColumn('aliases', [['a@x.com', 'b@x.com'], ['c@x.com']])).toMatchObject({ category: 'email' });
+  });
+});
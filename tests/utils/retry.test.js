@@ -0,0 +1,95 @@
+import { isTransientError, backoffDelay, retry, withTimeout } from '../../src/utils/retry.js';
+
+describe('isTransientError', () => {
+  test('recognizes network, lock and server-busy errors', () => {
+    expect(isTransientError({ code: 'ECONNRESET' })).toBe(true);
+    expect(isTransientError({ code: 'SQLITE_BUSY' })).toBe(true);
+    expect(isTransientError({ code: '08006' })).toBe(true);
+    expect(isTransientError({ code: '40P01' })).toBe(true);
+    expect(isTransientError({ name: 'TimeoutError' })).toBe(true);
+    expect(isTransientError({ response: { status: 429 } })).toBe(true);
+    expect(isTransientError({ $metadata: { httpStatusCode: 503 } })).toBe(true);
+  });
+
+  test('leaves permanent errors alone', () => {
+    expect(isTransientError(null)).toBe(false);
+    expect(isTransientError({ code: 'ER_PARSE_ERROR' })).toBe(false);
+    expect(isTransientError({ code: '42P01' })).toBe(false);
+    expect(isTransientError({ response: { status: 404 } })).toBe(false);
+    expect(isTransientError(new Error('syntax error'))).toBe(false);
+  });
+});
+
+describe('backoffDelay', () => {
+  test('doubles per attempt up to the maximum', () => {
+    const options = { delay: 100, maxDelay: 1000, jitter: false };
+    expect([1, 2, 3, 4, 5].map(attempt => backoffDelay(attempt, options))).toEqual([100, 200, 400, 800, 1000]);
+  });
+
+  test('keeps jittered delays between half and all of the ceiling', () => {
+    for (let i = 0; i < 50; i++) {
+      const delay = backoffDelay(3, { delay: 100 });
+      expect(delay).toBeGreaterThanOrEqual(200);
+      expect(delay).toBeLessThanOrEqual(400);
+    }
+  });
+});
+
+describe('retry', () => {
+  test('retries transient failures and records every attempt', async () => {
+    const attempts = [];
+    let calls = 0;
+    const result = await retry(async () => {
+      calls++;
+      if (calls < 3) throw Object.assign(new Error('reset'), { code: 'ECONNRESET' });
+      return 'done';
+    }, { retries: 3, delay: 1, label: 'query', onAttempt: attempt => attempts.push(attempt) });
+
+    expect(result).toBe('done');
+    expect(attempts.map(({ attempt, status }) => [attempt, status])).toEqual([[1, 'failed'], [2, 'failed'], [3, 'succeeded']]);
+    expect(attempts[0]).toMatchObject({ operation: 'query', code: 'ECONNRESET', error: 'reset' });
+    expect(attempts[0].retryIn).toBeGreaterThan(0);
+  });
+
+  test('gives up after the configured retries', async () => {
+    let calls = 0;
+    const failing = () => {
+      calls++;
+      throw Object.assign(new Error('refused'), { code: 'ECONNREFUSED' });
+    };
+    await expect(retry(failing, { retries: 2, delay: 1 })).rejects.toThrow('refused');
+    expect(calls).toBe(3);
+  });
+
+  test('does not retry permanent errors', async () => {
+    const attempts = [];
+    let calls = 0;
+    const failing = () => {
+      calls++;
+      throw new Error('no such table');
+    };
+    await expect(retry(failing, { retries: 5, delay: 1, onAttempt: attempt => attempts.push(attempt) })).rejects.toThrow('no such table');
+    expect(calls).toBe(1);
+    expect(attempts[0].retryIn).toBeNull();
+  });
+});
+
+describe('withTimeout', () => {
+  test('returns the result of an operation that finishes in time', async () => {
+    await expect(withTimeout(Promise.resolve(42), 1000)).resolves.toBe(42);
+  });
+
+  test('rejects with ETIMEDOUT and runs the cleanup callback', async () => {
+    let cleaned = false;
+    const stuck = new Promise(() => {});
+    const error = await withTimeout(stuck, 10, 'Query timed out', () => { cleaned = true; }).catch(caught => caught);
+    expect(error.message).toBe('Query timed out');
+    expect(error.code).toBe('ETIMEDOUT');
+    expect(isTransientError(error)).toBe(true);
+    expect(cleaned).toBe(true);
+  });
+
+  test('waits without a limit when none is given', async () => {
+    await expect(withTimeout(Promise.resolve('ok'), 0)).resolves.toBe('ok');
+  });
+});
@@ -0,0 +1,67 @@
+import { normalizeText, jaroWinkler, soundex, nameSimilarity, compareValues } from '../../src/utils/similarity.js';
+
+describe('normalizeText', () => {
+  test('strips accents, case and punctuation', () => {
+    expect(normalizeText('  Café-Müller, Inc. ')).toBe('cafe muller inc');
+    expect(normalizeText(null)).toBe('');
+  });
+});
+
+describe('jaroWinkler', () => {
+  test('matches the reference values', () => {
+    expect(jaroWinkler('martha', 'marhta')).toBeCloseTo(0.961, 3);
+    expect(jaroWinkler('dwayne', 'duane')).toBeCloseTo(0.84, 2);
+    expect(jaroWinkler('abc', 'abc')).toBe(1);
+    expect(jaroWinkler('abc', 'xyz')).toBe(0);
+    expect(jaroWinkler('', 'abc')).toBe(0);
+  });
+});
+
+describe('soundex', () => {
+  test('codes names by sound', () => {
+    expect(soundex('Robert')).toBe('R163');
+    expect(soundex('Rupert')).toBe('R163');
+    expect(soundex('Ashcraft')).toBe('A261');
+    expect(soundex('Tymczak')).toBe('T522');
+    expect(soundex('Lee')).toBe('L000');
+    expect(soundex('')).toBe('');
+  });
+});
+
+describe('nameSimilarity', () => {
+  test('tolerates nicknames, word order and initials', () => {
+    expect(nameSimilarity('Bob Johnson', 'Robert Johnson')).toBe(1);
+    expect(nameSimilarity('Johnson, Robert', 'Robert Johnson')).toBe(1);
+    expect(nameSimilarity('R. Johnson', 'Robert Johnson')).toBeCloseTo(0.95, 2);
+    expect(nameSimilarity('Robert Johnson', 'Susan Miller')).toBeLessThan(0.7);
+  });
+
+  test('costs a little for a missing middle name', () => {
+    const score = nameSimilarity('Ada Lovelace', 'Ada King Lovelace');
+    expect(score).toBeLessThan(1);
+    expect(score).toBeGreaterThan(0.9);
+  });
+});
+
+describe('compareValues', () => {
+  test('compares phone digits regardless of country code and formatting', () => {
+    expect(compareValues('+1 (555) 123-4567', '555.123.4567', 'digits')).toBe(1);
+    expect(compareValues('555-1234', '555-9999', 'digits')).toBe(0);
+  });
+
+  test('compares numbers by relative difference and dates by day', () => {
+    expect(compareValues(100, 90, 'number')).toBeCloseTo(0.9);
+    expect(compareValues(0, 0, 'number')).toBe(1);
+    expect(compareValues('2021-04-13T08:00:00Z', '2021-04-13T20:00:00Z', 'date')).toBe(1);
+    expect(compareValues('2021-04-13', '2021-04-14', 'date')).toBe(0);
+  });
+
+  test('halves the similarity of strings whose numbers differ', () => {
+    expect(compareValues('12 Main St', '12 Main St.', 'string')).toBe(1);
+    expect(compareValues('12 Main St', '14 Main St', 'string')).toBeLessThan(0.5);
+  });
+
+  test('rejects unknown comparators', () => {
+    expect(() => compareValues('a', 'b', 'fuzzy')).toThrow('Unknown comparator: fuzzy');
+  });
+});